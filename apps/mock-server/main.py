@@ -1,5 +1,6 @@
+import json
 import os
-from flask import Flask, jsonify
+from flask import Flask, Response, jsonify, request
 from time import sleep
 
 app = Flask(__name__)
@@ -8,20 +9,279 @@ app = Flask(__name__)
 def health():
     return jsonify(ok=True)
 
+DEMO_FIELDS = {
+    "vendor": "Demo Store",
+    "total": 12.34,
+    "currency": "USD",
+    "transactionDate": "2024-01-01",
+    "items": [
+        {"description": "Coffee", "quantity": 2, "unitPrice": 3.5, "totalPrice": 7},
+        {"description": "Muffin", "quantity": 1, "unitPrice": 3.99, "totalPrice": 3.99},
+    ],
+    "category": "meals",
+}
+
+DEMO_DATA = {
+    "fields": DEMO_FIELDS,
+    "fieldMeta": {
+        "vendor": {"confidence": 0.98, "boundingRegions": [], "uncertain": False},
+        "total": {"confidence": 0.64, "boundingRegions": [], "uncertain": True},
+        "category": {"confidence": None, "boundingRegions": [], "content": "retailMeal", "uncertain": False,
+                     "suggested": {"category": "meals", "source": "merchantType"}},
+    },
+    "pages": [],
+    "confidence": 0.95,
+}
+
+DEMO_FILE = {
+    "id": "00000000-0000-4000-8000-000000000001",
+    "file": "demo.png",
+    "secureFile": "00000000-0000-4000-8000-000000000001.png",
+}
+
+
+def demo_job(job_id, state="succeeded"):
+    done = state in ("succeeded", "failed")
+    return {
+        "id": job_id,
+        "batchId": "mock-batch-1",
+        "status": "completed" if done else "running",
+        "files": [{**DEMO_FILE, "state": state, "data": DEMO_DATA if done else None, "error": None, "duplicate": None}],
+    }
+
+
+CATEGORIES = [
+    {"id": "meals", "label": "Meals", "glCode": "6100"},
+    {"id": "lodging", "label": "Lodging", "glCode": "6210"},
+    {"id": "travel", "label": "Travel", "glCode": "6200"},
+    {"id": "supplies", "label": "Office supplies", "glCode": "6300"},
+    {"id": "other", "label": "Other", "glCode": "6900"},
+]
+
+
+@app.get('/api/categories')
+def categories():
+    return jsonify(categories=CATEGORIES)
+
+
 @app.post('/api/upload')
 def upload():
-    # pretend OCR
-    sleep(1)
-    return jsonify({
-        "results": [{"file": "demo.png", "data": {"vendor": "Demo Store", "total": "12.34", "transactionDate": "2024-01-01"}}],
-        "fields": {"vendor": "Demo Store", "total": "12.34", "transactionDate": "2024-01-01"},
-        "batchId": "mock-batch-1"
-    })
+    job = demo_job("mock-job-1", "queued")
+    return jsonify({"jobId": job["id"], "batchId": job["batchId"], "status": "queued", "files": job["files"]}), 202
+
+
+@app.get('/api/jobs/<job_id>')
+def job_status(job_id):
+    return jsonify(demo_job(job_id))
+
+
+@app.get('/api/jobs/<job_id>/events')
+def job_events(job_id):
+    def stream():
+        yield f"event: job\ndata: {json.dumps(demo_job(job_id, 'running'))}\n\n"
+        # pretend OCR
+        sleep(1)
+        yield f"event: job\ndata: {json.dumps(demo_job(job_id))}\n\n"
+    return Response(stream(), mimetype='text/event-stream')
+
+# Drafts are kept in memory for the lifetime of the mock server
+DRAFTS = {}
+
+
+@app.get('/api/drafts')
+def list_drafts():
+    return jsonify(drafts=[
+        {
+            "id": d["id"],
+            "receiptCount": len(d["receipts"]),
+            "files": [r.get("file") for r in d["receipts"] if r.get("file")],
+            "vendors": [r.get("fields", {}).get("vendor") for r in d["receipts"] if r.get("fields", {}).get("vendor")],
+            "total": "12.34",
+            "createdAt": d["updatedAt"],
+            "updatedAt": d["updatedAt"],
+        }
+        for d in DRAFTS.values()
+    ])
+
+
+@app.get('/api/receipts/<draft_id>')
+def get_draft(draft_id):
+    if draft_id not in DRAFTS:
+        return jsonify(message="Draft not found"), 404
+    return jsonify(DRAFTS[draft_id])
+
+
+@app.put('/api/receipts/<draft_id>')
+def put_draft(draft_id):
+    body = request.get_json(silent=True) or {}
+    draft = {"id": draft_id, "owner": None, **body, "updatedAt": "2024-01-01T00:00:00.000Z"}
+    DRAFTS[draft_id] = draft
+    return jsonify(id=draft_id, updatedAt=draft["updatedAt"])
+
+
+@app.delete('/api/receipts/<draft_id>')
+def delete_draft(draft_id):
+    DRAFTS.pop(draft_id, None)
+    return "", 204
+
+
+@app.get('/api/batches/<batch_id>/files/<receipt_id>')
+def batch_file(batch_id, receipt_id):
+    return jsonify(message="File not found"), 404
+
+
+# The mock user is both approver and finance so every screen can be tried
+SUBMISSIONS = {}
+
+
+@app.get('/api/me')
+def me():
+    return jsonify(oid=None, name="Mock User", upn="mock@example.com", roles=["Approver", "Finance"],
+                   permissions={"approve": True, "reimburse": True})
+
+
+@app.get('/api/submissions')
+def list_submissions():
+    return jsonify(submissions=list(SUBMISSIONS.values()))
+
+
+@app.get('/api/approvals')
+def list_approvals():
+    status = request.args.get('status', 'submitted')
+    return jsonify(submissions=[s for s in SUBMISSIONS.values() if s["status"] == status])
+
+
+TRANSITIONS = {"approve": ("submitted", "approved"), "reject": ("submitted", "rejected"), "reimburse": ("approved", "reimbursed")}
+
+
+@app.post('/api/approvals/<submission_id>/<action>')
+def update_approval(submission_id, action):
+    submission = SUBMISSIONS.get(submission_id)
+    if action not in TRANSITIONS or not submission:
+        return jsonify(message="Submission not found", code="not_found"), 404
+    comment = (request.get_json(silent=True) or {}).get("comment")
+    if action == "reject" and not comment:
+        return jsonify(message="A comment is required", code="comment_required"), 400
+    source, target = TRANSITIONS[action]
+    if submission["status"] != source:
+        return jsonify(message=f"Cannot {action} a submission that is {submission['status']}", code="invalid_transition"), 409
+    submission["status"] = target
+    submission["history"].append({"status": target, "by": "Mock User", "at": "2024-01-01T00:00:00.000Z", "comment": comment})
+    return jsonify(submission)
+
+
+# A blank one-page PDF stands in for the rendered expense report
+BLANK_PDF = (b"%PDF-1.4\n1 0 obj<</Type/Catalog/Pages 2 0 R>>endobj\n"
+             b"2 0 obj<</Type/Pages/Kids[3 0 R]/Count 1>>endobj\n"
+             b"3 0 obj<</Type/Page/Parent 2 0 R/MediaBox[0 0 595 842]>>endobj\n"
+             b"trailer<</Root 1 0 R>>\n%%EOF\n")
+
+
+@app.get('/api/submissions/<submission_id>/report')
+def submission_report(submission_id):
+    submission = SUBMISSIONS.get(submission_id)
+    if not submission:
+        return jsonify(message="Submission not found", code="not_found"), 404
+    return Response(BLANK_PDF, mimetype="application/pdf",
+                    headers={"Content-Disposition": f'attachment; filename="expense-report-{submission["itemId"]}.pdf"'})
+
+
+
+# Mock submissions are delivered on the first attempt
+MOCK_DELIVERY = {"status": "delivered", "itemId": "mock-1234", "attempts": 1, "nextAttemptAt": None, "lastError": None,
+                 "deliveredAt": "2024-01-01T00:00:00.000Z",
+                 "steps": [{"type": "create_item", "status": "done", "error": None, "completedAt": "2024-01-01T00:00:00.000Z"}]}
+
+
+# Every mock submission has just its expense report stored
+MOCK_ATTACHMENTS = [{"name": "expense-report.pdf", "size": len(BLANK_PDF)}]
+
+
+@app.get('/api/receipts')
+def search_receipts():
+    # Filters are ignored; the real server searches and pages
+    receipts = [{**s, "attachments": MOCK_ATTACHMENTS} for s in reversed(list(SUBMISSIONS.values()))]
+    return jsonify(receipts=receipts, total=len(receipts), page=1, pageSize=20)
+
+
+@app.get('/api/submissions/<submission_id>')
+def get_submission(submission_id):
+    submission = SUBMISSIONS.get(submission_id)
+    if not submission:
+        return jsonify(message="Submission not found", code="not_found"), 404
+    return jsonify({**submission, "attachments": MOCK_ATTACHMENTS, "delivery": MOCK_DELIVERY})
+
+
+@app.get('/api/submissions/<submission_id>/delivery')
+def submission_delivery(submission_id):
+    if submission_id not in SUBMISSIONS:
+        return jsonify(message="Submission not found", code="not_found"), 404
+    return jsonify(MOCK_DELIVERY)
+
+
+@app.post('/api/submissions/<submission_id>/delivery/retry')
+def retry_delivery(submission_id):
+    return jsonify(message="Only failed deliveries can be retried"), 409
+
+
+@app.get('/api/submissions/<submission_id>/attachments/<name>')
+def submission_attachment(submission_id, name):
+    if submission_id not in SUBMISSIONS or name != "expense-report.pdf":
+        return jsonify(message="Attachment not found"), 404
+    return Response(BLANK_PDF, mimetype="application/pdf",
+                    headers={"Content-Disposition": f'attachment; filename="{name}"'})
+
+EXPORT_TYPES = {"csv": "text/csv; charset=utf-8", "ofx": "application/x-ofx", "iif": "application/x-iif"}
+
+
+@app.get('/api/exports')
+def exports():
+    fmt = request.args.get('format', 'csv')
+    if fmt not in EXPORT_TYPES:
+        return jsonify(message="Invalid format: expected one of csv, ofx, iif"), 400
+    # Every format gets the CSV rows; the real server renders OFX and IIF
+    rows = ["submissionId,itemId,submitter,status,vendor,total,currency"]
+    rows += [f'{s["id"]},{s["itemId"]},{s["ownerName"]},{s["status"]},{s["fields"].get("vendor", "")},'
+             f'{s["fields"].get("total", "")},{s["fields"].get("currency", "")}' for s in SUBMISSIONS.values()]
+    return Response("\r\n".join(rows) + "\r\n", mimetype=EXPORT_TYPES[fmt],
+                    headers={"Content-Disposition": f'attachment; filename="receipts.{fmt}"',
+                             "X-Export-Count": str(len(SUBMISSIONS)), "X-Export-Skipped": "0"})
+
+
+@app.post('/api/validate')
+def validate():
+    receipts = (request.get_json(silent=True) or {}).get("receipts") or []
+    return jsonify(receipts=[{"id": r.get("id"), "violations": [], "blocked": False,
+                              "conversion": None, "conversionError": None} for r in receipts])
+
 
 @app.post('/api/submit')
 def submit():
     sleep(1)
-    return jsonify({"ok": True, "itemId": "mock-1234"})
+    submission_id = f"mock-submission-{len(SUBMISSIONS) + 1}"
+    SUBMISSIONS[submission_id] = {
+        "id": submission_id,
+        "itemId": "mock-1234",
+        "ownerName": "Someone Else",
+        "fields": {**DEMO_FIELDS, "items": None},
+        "overrideReason": None,
+        "justification": None,
+        "policyWarnings": [],
+        "conversion": None,
+        "status": "submitted",
+        "history": [{"status": "submitted", "by": "Someone Else", "at": "2024-01-01T00:00:00.000Z", "comment": None}],
+        "submittedAt": "2024-01-01T00:00:00.000Z",
+        "updatedAt": "2024-01-01T00:00:00.000Z",
+    }
+    return jsonify({
+        "ok": True,
+        "batchId": "mock-batch-1",
+        "items": [{"receiptId": "00000000-0000-4000-8000-000000000001", "itemId": "mock-1234",
+                   "submissionId": submission_id, "status": "submitted", "attachments": ["expense-report.pdf"],
+                   "reportUrl": f"/api/submissions/{submission_id}/report", "delivery": MOCK_DELIVERY}],
+        "summary": {"receiptCount": 1, "attachmentCount": 1, "total": "12.34"},
+        "itemId": "mock-1234",
+    })
 
 if __name__ == '__main__':
     # Only enable debug in development environment
@@ -0,0 +1,109 @@
+import crypto from "crypto"
+
+// Keys are opaque to the server; UUIDs are the usual choice
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,200}$/
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex")
+
+/**
+ * Make a route safe to retry. A request with an Idempotency-Key header runs
+ * once per key and user; repeating it returns the stored response with an
+ * Idempotent-Replayed header instead of running the route again. Only
+ * successful responses are kept, so a request that failed can be fixed and
+ * sent again with the same key. Requests without the header are not affected.
+ *
+ * While the first request runs its key is held for at most leaseMs, and it is
+ * released when the response ends without a saved outcome, so a crashed or
+ * abandoned request does not block the key until it expires.
+ *
+ * Responses:
+ * - 400 for a malformed key
+ * - 409 while the first request with the key is still running
+ * - 422 when the key was used for a different request body
+ *
+ * @param {Object} store - Idempotency store (see stores/idempotencyStore.js)
+ * @param {Object} [options]
+ * @param {Function} [options.scope] - (req) => owner of the key, e.g. the user id
+ * @param {number} [options.ttlMs] - How long a key is remembered
+ * @param {number} [options.leaseMs] - How long a running request holds its key
+ * @param {Function} [options.refresh] - Async ({ status, body }, req) =>
+ *   { status, body }, bringing a saved response up to date before it is
+ *   replayed, e.g. the delivery state of what the first request created
+ * @returns {Function} - Express middleware; the route must answer with res.json
+ */
+export function idempotency(
+  store,
+  { scope = () => "", ttlMs = 24 * 60 * 60 * 1000, leaseMs = 5 * 60 * 1000, refresh = null } = {},
+) {
+  return async (req, res, next) => {
+    const header = req.get("Idempotency-Key")
+    if (header === undefined) return next()
+    if (!KEY_PATTERN.test(header)) {
+      return res.status(400).json({
+        message: "Invalid Idempotency-Key: expected 8 to 200 letters, digits or _ . : -",
+      })
+    }
+
+    const key = sha256(`${scope(req) ?? ""}\n${req.method} ${req.path}\n${header}`)
+    const requestHash = sha256(JSON.stringify(req.body ?? null))
+    const now = Date.now()
+    let existing
+    try {
+      existing = await store.reserve(
+        key,
+        {
+          requestHash,
+          state: "pending",
+          createdAt: new Date(now).toISOString(),
+          pendingExpiresAt: new Date(now + leaseMs).toISOString(),
+        },
+        { expiredBefore: new Date(now - ttlMs).toISOString(), now: new Date(now).toISOString() },
+      )
+    } catch (err) {
+      return next(err)
+    }
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ message: "This Idempotency-Key was already used for a different request" })
+      }
+      if (existing.state === "pending") {
+        return res.status(409).json({ message: "A request with this Idempotency-Key is still in progress" })
+      }
+      let replay = { status: existing.status, body: existing.body }
+      try {
+        if (refresh) replay = await refresh(replay, req)
+      } catch (err) {
+        return next(err)
+      }
+      res.set("Idempotent-Replayed", "true")
+      return res.status(replay.status).json(replay.body)
+    }
+
+    // Responses that end without going through res.json (or a dropped
+    // connection) leave nothing to replay; free the key for a retry
+    let settled = false
+    const release = () => {
+      if (settled) return
+      settled = true
+      store.delete(key).catch((err) => console.error("Failed to release Idempotency-Key:", err.message))
+    }
+    res.on("finish", release)
+    res.on("close", release)
+
+    // Save the outcome before answering, so an immediate retry sees it
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      settled = true
+      const saved =
+        res.statusCode < 300
+          ? store.put(key, { requestHash, state: "complete", status: res.statusCode, body, createdAt: new Date(now).toISOString() })
+          : store.delete(key)
+      saved
+        .catch((err) => console.error("Failed to save idempotent response:", err.message))
+        .then(() => json(body))
+      return res
+    }
+    next()
+  }
+}
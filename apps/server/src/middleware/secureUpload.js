@@ -4,6 +4,7 @@ import crypto from "crypto"
 import multer from "multer"
 import { fileURLToPath } from "url"
 import { fileTypeFromBuffer } from "file-type"
+import { detectConvertibleType } from "../services/imageConversion.js"
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -11,18 +12,32 @@ const __dirname = path.dirname(__filename)
 const TMP_ROOT = path.join(__dirname, "../../.tmp")
 fs.mkdirSync(TMP_ROOT, { recursive: true, mode: 0o700 })
 
-// Allowed file extensions and MIME types
-const ALLOWED_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".pdf"]
+// Allowed file extensions and MIME types. HEIC/HEIF, WebP and TIFF are
+// converted for OCR (see services/imageConversion.js)
+const ALLOWED_EXTENSIONS = [
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".gif",
+  ".pdf",
+  ".heic",
+  ".heif",
+  ".webp",
+  ".tif",
+  ".tiff",
+]
+const CONVERTED_MIME_TYPES = ["image/heic", "image/heif", "image/webp", "image/tiff"]
 const ALLOWED_MIME_TYPES = [
   "image/jpeg",
   "image/png",
   "image/gif",
   "application/pdf",
+  ...CONVERTED_MIME_TYPES,
 ]
 
 // File size limits
 const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB
-const MAX_FILES = 5
+export const MAX_FILES = 5
 
 /**
  * Sanitize filename to prevent path traversal attacks
@@ -56,7 +71,12 @@ async function validateFileContent(file) {
       ? await fs.promises.readFile(file.path)
       : file.buffer
     const type = await fileTypeFromBuffer(buffer)
-    return type && ALLOWED_MIME_TYPES.includes(type.mime)
+    if (!type || !ALLOWED_MIME_TYPES.includes(type.mime)) return false
+    // e.g. AVIF-coded HEIF passes as image/heif but cannot be converted
+    if (CONVERTED_MIME_TYPES.includes(type.mime)) {
+      return detectConvertibleType(buffer) !== null
+    }
+    return true
   } catch (err) {
     console.error("File validation failed", err)
     throw err
@@ -64,6 +84,8 @@ async function validateFileContent(file) {
 }
 
 // Configure secure multer instance
+// File contents are not available until multer has written them to disk,
+// so only the filename is checked here; see verifyUploadedFiles below.
 export const secureUpload = multer({
   dest: TMP_ROOT,
   limits: {
@@ -71,13 +93,8 @@ export const secureUpload = multer({
     files: MAX_FILES,
     fieldSize: 1024 * 1024, // 1MB for text fields
   },
-  fileFilter: async (req, file, cb) => {
+  fileFilter: (req, file, cb) => {
     try {
-      const valid = await validateFileContent(file)
-      if (!valid) {
-        return cb(new Error("File type not allowed"), false)
-      }
-
       file.secureFilename = sanitizeFilename(file.originalname)
       cb(null, true)
     } catch (error) {
@@ -86,6 +103,46 @@ export const secureUpload = multer({
   },
 })
 
+/**
+ * Validate stored upload contents by magic bytes, discarding the whole
+ * upload if any file fails
+ * @param {Object} req - Express request with multer files
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export async function verifyUploadedFiles(req, res, next) {
+  const files = req.files || []
+  try {
+    for (const file of files) {
+      const valid = await validateFileContent(file)
+      if (!valid) {
+        await removeUploadedFiles(files)
+        return next(new Error("File type not allowed"))
+      }
+    }
+    next()
+  } catch (error) {
+    await removeUploadedFiles(files)
+    next(error)
+  }
+}
+
+/**
+ * Delete stored uploads that will not be kept
+ * @param {Array} files - Multer files
+ */
+export async function removeUploadedFiles(files) {
+  for (const file of files) {
+    try {
+      await fs.promises.unlink(file.path)
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("Cleanup error:", err)
+      }
+    }
+  }
+}
+
 // Error handler for multer errors
 export function handleUploadErrors(err, req, res, next) {
   if (err instanceof multer.MulterError) {
@@ -3,7 +3,6 @@ import os from "os"
 import path from "path"
 import express from "express"
 import cors from "cors"
-import fetch from "node-fetch"
 import dotenv from "dotenv"
 import { createRemoteJWKSet, jwtVerify } from "jose"
 import { fileURLToPath } from "url"
@@ -12,8 +11,56 @@ import crypto from "crypto"
 import helmet from "helmet"
 
 // Import our secure upload middleware
-import { secureUpload, handleUploadErrors } from "./middleware/secureUpload.js"
-import { OCRService } from "./services/ocrService.js"
+import {
+  secureUpload,
+  verifyUploadedFiles,
+  handleUploadErrors,
+  removeUploadedFiles,
+  MAX_FILES,
+} from "./middleware/secureUpload.js"
+import { idempotency } from "./middleware/idempotency.js"
+import { createOCRService } from "./services/ocrService.js"
+import { UploadJobs } from "./services/uploadJobs.js"
+import { validateFields } from "./services/receiptFields.js"
+import { listItemColumns } from "./services/listColumns.js"
+import { checkTotals, validateOverride } from "./services/consistency.js"
+import {
+  DuplicateDetector,
+  DUPLICATE_STATUS,
+  hashFile,
+} from "./services/duplicates.js"
+import { createDuplicateStore } from "./stores/duplicateStore.js"
+import { createReceiptStore } from "./stores/receiptStore.js"
+import { sanitizeDraft, summarizeDraft } from "./services/drafts.js"
+import { BATCH_ID_REGEX, RECEIPT_ID_REGEX, newBatchId } from "./services/ids.js"
+import { listBatchFiles, readManifest, writeManifest } from "./services/batches.js"
+import { BatchJanitor, REMOVAL_REASONS } from "./services/janitor.js"
+import { createSubmissionStore } from "./stores/submissionStore.js"
+import { createAttachmentStore, isAttachmentName } from "./stores/attachmentStore.js"
+import { Categorizer, loadCategoryRules } from "./services/categories.js"
+import { CurrencyConverter, TableRateProvider, loadRateTable } from "./services/fx.js"
+import { createAttestation, signatureToSvg, validateSignature } from "./services/attestation.js"
+import { renderExpenseReport } from "./services/report.js"
+import { EXPORT_FORMATS, renderExport, toExportRow } from "./services/exports.js"
+import { parseSearchQuery, searchSubmissions } from "./services/receiptSearch.js"
+import { createSubmissionSink } from "./services/submissionSink.js"
+import { GraphClient } from "./services/graph.js"
+import { DELIVERY_STATUS, Outbox, describeDelivery } from "./services/outbox.js"
+import { createOutboxStore } from "./stores/outboxStore.js"
+import { createIdempotencyStore } from "./stores/idempotencyStore.js"
+import { createCleanupReportStore, MAX_CLEANUP_REPORTS } from "./stores/cleanupReportStore.js"
+import {
+  PolicyEngine,
+  isBlocked,
+  loadPolicyRules,
+  validateJustification,
+} from "./services/policy.js"
+import {
+  APPROVAL_QUEUES,
+  ApprovalError,
+  ApprovalWorkflow,
+  SUBMISSION_STATUS,
+} from "./services/approvals.js"
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -127,14 +174,174 @@ app.use(express.json({ limit: "20mb" }))
 const TMP_ROOT = path.join(__dirname, "../.tmp")
 await fsp.mkdir(TMP_ROOT, { recursive: true })
 
-const BATCH_ID_REGEX = /^batch-[0-9]+-[a-z0-9]+$/
+// Attachment name of the PDF expense report on each submitted item
+const REPORT_FILE = "expense-report.pdf"
+
+// Local stores (duplicate index, drafts, submissions, attachments) live here unless configured otherwise
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "../.data")
+// Default backend for local stores; each store can override it
+const STORE_TYPE = process.env.STORE_TYPE || "file"
+
+const CONSISTENCY_TOLERANCE = parseFloat(process.env.CONSISTENCY_TOLERANCE) || 0.02
+
+// 0 is a valid setting: it turns the low-confidence check off
+const OCR_MIN_CONFIDENCE = parseFloat(process.env.OCR_MIN_CONFIDENCE)
 
 // Initialize OCR service
-const ocrService = new OCRService(
-  process.env.AZURE_DOC_INTELLIGENCE_ENDPOINT,
-  process.env.AZURE_DOC_INTELLIGENCE_KEY,
+// The mock provider returns demo data and must be opted into explicitly;
+// OCR_MOCK=true is kept as a shorthand for OCR_PROVIDER=mock
+const ocrService = createOCRService(
+  process.env.OCR_MOCK === "true" ? "mock" : process.env.OCR_PROVIDER || "azure",
+  {
+    endpoint: process.env.AZURE_DOC_INTELLIGENCE_ENDPOINT,
+    apiKey: process.env.AZURE_DOC_INTELLIGENCE_KEY,
+    lang: process.env.TESSERACT_LANG || "eng",
+    langPath: process.env.TESSERACT_LANG_PATH || undefined,
+    cachePath: path.join(DATA_DIR, "tesseract"),
+    minConfidence: Number.isFinite(OCR_MIN_CONFIDENCE) ? OCR_MIN_CONFIDENCE : 0.5,
+    uncertainBelow: parseFloat(process.env.OCR_FIELD_CONFIDENCE) || 0.8,
+    defaultCurrency: process.env.DEFAULT_CURRENCY || "USD",
+    dateOrder: process.env.OCR_DATE_ORDER || "MDY",
+  },
+)
+
+if (ocrService.mock && process.env.NODE_ENV === "production") {
+  console.warn("The mock OCR provider is enabled: uploads will return demo data")
+}
+
+const uploadJobs = new UploadJobs()
+
+// Expense categories, GL codes and the rules used to suggest them
+const categorizer = new Categorizer(
+  await loadCategoryRules(process.env.CATEGORY_RULES_FILE || undefined),
+)
+
+const HOME_CURRENCY = process.env.HOME_CURRENCY || process.env.DEFAULT_CURRENCY || "USD"
+
+// Expense policy checked on validate and submit; amount limits are in the
+// home currency
+const policy = new PolicyEngine(
+  await loadPolicyRules(process.env.POLICY_RULES_FILE || undefined),
+  { homeCurrency: HOME_CURRENCY },
+)
+
+// Conversion of totals into the home currency; off without a rate table
+const converter = process.env.FX_RATES_FILE
+  ? new CurrencyConverter(
+      new TableRateProvider(await loadRateTable(process.env.FX_RATES_FILE), {
+        maxAgeDays: parseInt(process.env.FX_MAX_RATE_AGE_DAYS, 10) || 7,
+      }),
+      { homeCurrency: HOME_CURRENCY },
+    )
+  : null
+
+// Index of submitted receipts, checked on upload and submit. A rejected
+// receipt may be corrected and submitted again, so it does not count.
+const duplicates = new DuplicateDetector(
+  createDuplicateStore({
+    type: process.env.DUPLICATE_STORE || STORE_TYPE,
+    dataDir: DATA_DIR,
+  }),
+  {
+    ignore: async ({ submissionId }) =>
+      Boolean(submissionId) && (await approvals.statusOf(submissionId)) === SUBMISSION_STATUS.REJECTED,
+  },
+)
+
+// Saved drafts, keyed by batch id
+const drafts = createReceiptStore({
+  type: process.env.RECEIPT_STORE || STORE_TYPE,
+  dataDir: DATA_DIR,
+})
+
+// App-only Microsoft Graph access. For the client credentials flow this is
+// the HOME tenant of the app registration, even in multi-tenant mode.
+const graph = new GraphClient({
+  tenantId: process.env.TENANT_ID,
+  clientId: process.env.CLIENT_ID,
+  clientSecret: process.env.CLIENT_SECRET,
+  maxRetries: parseInt(process.env.GRAPH_MAX_RETRIES, 10) || 4,
+})
+
+// Where submitted receipts go: the SharePoint list when one is configured,
+// otherwise a local store under DATA_DIR that can be inspected
+const sink = createSubmissionSink(
+  process.env.SUBMISSION_SINK || (process.env.SITE_ID && process.env.LIST_ID ? "sharepoint" : "local"),
+  {
+    siteId: process.env.SITE_ID,
+    listId: process.env.LIST_ID,
+    graph,
+    dir: STORE_TYPE === "memory" ? null : process.env.LOCAL_SINK_DIR || path.join(DATA_DIR, "sink"),
+    url: process.env.WEBHOOK_URL,
+    secret: process.env.WEBHOOK_SECRET,
+  },
+)
+
+// Copies of submitted attachments, downloadable after the batch files are gone
+const attachmentStore = createAttachmentStore({
+  type: process.env.ATTACHMENT_STORE || STORE_TYPE,
+  dataDir: DATA_DIR,
+})
+
+// Delivers submissions to the sink step by step, retrying failed steps with backoff
+const outbox = new Outbox(
+  createOutboxStore({
+    type: process.env.OUTBOX_STORE || STORE_TYPE,
+    dataDir: DATA_DIR,
+  }),
+  {
+    sink,
+    files: attachmentStore,
+    onItemCreated: async (entry) => {
+      await approvals.setItemId(entry.id, entry.itemId)
+      await duplicates.setItemId(entry.id, entry.itemId)
+    },
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 10,
+    baseDelayMs: (parseFloat(process.env.OUTBOX_RETRY_DELAY_SECONDS) || 30) * 1000,
+  },
+)
+
+// Responses of submits sent with an Idempotency-Key
+const idempotencyStore = createIdempotencyStore({
+  type: process.env.IDEMPOTENCY_STORE || STORE_TYPE,
+  dataDir: DATA_DIR,
+})
+
+// Status of submitted receipts; changes are mirrored to the item's status column
+const approvals = new ApprovalWorkflow(
+  createSubmissionStore({
+    type: process.env.SUBMISSION_STORE || STORE_TYPE,
+    dataDir: DATA_DIR,
+  }),
+  {
+    approverRole: process.env.APPROVER_ROLE || "Approver",
+    financeRole: process.env.FINANCE_ROLE || "Finance",
+    syncStatus: async (submission) => {
+      const latest = submission.history[submission.history.length - 1]
+      await outbox.updateColumns(submission.id, submission.itemId, {
+        status: submission.status,
+        statusComment: latest.comment,
+        statusChangedBy: latest.by,
+      })
+    },
+  },
 )
 
+// Removes abandoned batches and keeps TMP_ROOT within its quotas
+const janitor = new BatchJanitor({
+  root: TMP_ROOT,
+  drafts,
+  reports: createCleanupReportStore({
+    type: process.env.CLEANUP_REPORT_STORE || STORE_TYPE,
+    dataDir: DATA_DIR,
+  }),
+  ttlMs: (parseFloat(process.env.BATCH_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  draftTtlMs: (parseFloat(process.env.DRAFT_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  maxBytesPerUser: (parseFloat(process.env.BATCH_QUOTA_PER_USER_MB) || 200) * 1024 * 1024,
+  maxBytesTotal: (parseFloat(process.env.BATCH_QUOTA_TOTAL_MB) || 2048) * 1024 * 1024,
+  intervalMs: (parseFloat(process.env.JANITOR_INTERVAL_MINUTES) || 15) * 60 * 1000,
+})
+
 // ===== Auth (AAD access token validation) =====
 // NOTE: In multi-tenant mode, do NOT tie validation to a single tenant.
 // We use the 'organizations' JWKS and validate issuer pattern + allowed tenant list.
@@ -187,95 +394,38 @@ async function validateAADToken(token) {
   return payload
 }
 
+// Claims of a verified token that routes rely on
+function userFromClaims(payload) {
+  return {
+    oid: payload.oid || payload.sub,
+    tid: payload.tid,
+    name: payload.name || null,
+    upn: payload.preferred_username || payload.upn || null,
+    roles: Array.isArray(payload.roles) ? payload.roles : [],
+  }
+}
+
+// Drafts and batches belong to the signed-in user; null when auth is bypassed
+function currentUserId(req) {
+  return req.user?.oid || null
+}
+
 function requireAuth(req, res, next) {
   if (process.env.AUTH_BYPASS === "true") return next()
   const h = req.headers.authorization || ""
   const token = h.startsWith("Bearer ") ? h.slice(7) : null
   if (!token) return res.status(401).json({ message: "Missing bearer token" })
   validateAADToken(token)
-    .then(() => next())
+    .then((payload) => {
+      req.user = userFromClaims(payload)
+      next()
+    })
     .catch((err) => {
       console.error("Auth error:", err.message)
       res.status(401).json({ message: "Unauthorized" })
     })
 }
 
-// ===== Graph helpers (app-only, client credentials) =====
-// IMPORTANT: For Graph CC flow, we still use your HOME tenant ID.
-async function getGraphToken() {
-  const TENANT_ID = process.env.TENANT_ID
-  const CLIENT_ID = process.env.CLIENT_ID
-  const CLIENT_SECRET = process.env.CLIENT_SECRET
-  if (!TENANT_ID || !CLIENT_ID || !CLIENT_SECRET) return null
-  const body = new URLSearchParams({
-    client_id: CLIENT_ID,
-    client_secret: CLIENT_SECRET,
-    scope: "https://graph.microsoft.com/.default",
-    grant_type: "client_credentials",
-  })
-  const r = await fetch(
-    `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/token`,
-    {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-    },
-  )
-
-  if (!r.ok) {
-    const errorText = await r.text()
-    throw new Error(`Token request failed: ${r.status} ${errorText}`)
-  }
-
-  const j = await r.json()
-  return j.access_token
-}
-
-const FIELD_SCHEMA = {
-  vendor: "string",
-  total: "string",
-  transactionDate: "string",
-  merchantAddress: "string",
-  merchantPhone: "string",
-  subtotal: "string",
-  tax: "string",
-}
-
-function validateFields(fields) {
-  const sanitized = {}
-  for (const [k, v] of Object.entries(fields || {})) {
-    const expected = FIELD_SCHEMA[k]
-    if (!expected) throw new Error(`Invalid field: ${k}`)
-    if (typeof v !== expected)
-      throw new Error(`Invalid type for ${k}: expected ${expected}`)
-    sanitized[k] = v
-  }
-  return sanitized
-}
-
-async function createListItem(graphToken, fields) {
-  const sanitizedFields = validateFields(fields)
-  const SITE_ID = process.env.SITE_ID
-  const LIST_ID = process.env.LIST_ID
-  if (!graphToken || !SITE_ID || !LIST_ID) return { id: `mock-${Date.now()}` }
-  const r = await fetch(
-    `https://graph.microsoft.com/v1.0/sites/${SITE_ID}/lists/${LIST_ID}/items`,
-    {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${graphToken}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ fields: sanitizedFields }),
-    },
-  )
-  if (!r.ok) {
-    const t = await r.text()
-    throw new Error(`Create item failed: ${r.status} ${t}`)
-  }
-  return r.json()
-}
-
 function validateInputForSignature(input, { maxBytes = 5 * 1024 * 1024 } = {}) {
   if (input == null) throw new Error("INVALID_SIGNATURE_INPUT")
   let buf
@@ -292,28 +442,6 @@ function validateInputForSignature(input, { maxBytes = 5 * 1024 * 1024 } = {}) {
   return buf
 }
 
-async function uploadAttachment(graphToken, itemId, name, filePath) {
-  const SITE_ID = process.env.SITE_ID
-  const LIST_ID = process.env.LIST_ID
-  if (!graphToken || !SITE_ID || !LIST_ID) return { name }
-  const b = await fsp.readFile(filePath)
-  const r = await fetch(
-    `https://graph.microsoft.com/v1.0/sites/${SITE_ID}/lists/${LIST_ID}/items/${itemId}/driveItem/children/${encodeURIComponent(
-      name,
-    )}:/content`,
-    {
-      method: "PUT",
-      headers: { Authorization: `Bearer ${graphToken}` },
-      body: b,
-    },
-  )
-  if (!r.ok) {
-    const t = await r.text()
-    throw new Error(`Attach failed: ${r.status} ${t}`)
-  }
-  return r.json()
-}
-
 // ===== Routes =====
 app.get("/api/health", (_req, res) => res.json({ ok: true }))
 
@@ -330,11 +458,12 @@ app.get("/api/health/ocr", async (req, res) => {
   }
 })
 
-// SECURITY: Updated upload route with async processing
+// SECURITY: Upload route stores the batch and queues OCR as a job
 app.post(
   "/api/upload",
   requireAuth,
   secureUpload.array("files"),
+  verifyUploadedFiles,
   async (req, res) => {
     try {
       const files = req.files || []
@@ -342,53 +471,92 @@ app.post(
         return res.status(400).json({ message: "No files uploaded" })
       }
 
-      const batchId = `batch-${Date.now()}-${Math.random().toString(36).slice(2)}`
+      const batchId = newBatchId()
       const batchDir = path.join(TMP_ROOT, batchId)
 
-      await fsp.mkdir(batchDir, { recursive: true, mode: 0o700 })
+      // Refuse uploads that do not fit rather than evicting someone's work
+      const size = files.reduce((sum, f) => sum + f.size, 0)
+      const overQuota = await janitor.reserveQuota(batchId, currentUserId(req), size)
+      if (overQuota) {
+        await removeUploadedFiles(files)
+        const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1)
+        const used = `${mb(overQuota.used)} of ${mb(overQuota.limit)} MB`
+        return overQuota.reason === REMOVAL_REASONS.USER_QUOTA
+          ? res.status(413).json({
+              message: `Upload quota exceeded: your batches use ${used}. Submit or discard saved drafts to free space.`,
+            })
+          : res.status(507).json({
+              message: `Server upload storage is full (${used} used). Try again later.`,
+            })
+      }
+
+      // The reservation is dropped once the batch is on disk and counted there
+      const entries = []
+      try {
+        await fsp.mkdir(batchDir, { recursive: true, mode: 0o700 })
+
+        const seen = new Map()
 
-      const processingPromises = []
+        for (const f of files) {
+          const secureFilename = f.secureFilename || `${crypto.randomUUID()}.tmp`
+          const dest = path.join(batchDir, secureFilename)
 
-      for (const f of files) {
-        const secureFilename = f.secureFilename || `${crypto.randomUUID()}.tmp`
-        const dest = path.join(batchDir, secureFilename)
+          await fsp.rename(f.path, dest)
 
-        await fsp.rename(f.path, dest)
+          const id = path.parse(secureFilename).name
+          const hash = await hashFile(dest)
+          let duplicate = await duplicates.check({ hash, owner: currentUserId(req) })
+          if (!duplicate && seen.has(hash)) {
+            duplicate = {
+              status: DUPLICATE_STATUS.EXACT,
+              matches: [{ reason: "batch", receiptId: seen.get(hash) }],
+            }
+          }
+          if (!seen.has(hash)) seen.set(hash, id)
 
-        const ocrPromise = ocrService
-          .analyzeReceipt(dest)
-          .then((data) => ({
+          entries.push({
+            id,
             file: f.originalname,
             secureFile: secureFilename,
-            data,
-          }))
-          .catch((error) => {
-            console.error(`OCR failed for ${f.originalname}:`, error.message)
-            return {
-              file: f.originalname,
-              secureFile: secureFilename,
-              data: {
-                vendor: "",
-                total: "",
-                transactionDate: "",
-                error: "OCR processing failed",
-              },
-            }
+            duplicate,
           })
+        }
 
-        processingPromises.push(ocrPromise)
+        await writeManifest(batchDir, {
+          batchId,
+          owner: currentUserId(req),
+          createdAt: new Date().toISOString(),
+          files: entries.map(({ id, file, secureFile }) => ({ id, file, secureFile })),
+        })
+      } finally {
+        janitor.releaseQuota(batchId)
       }
 
-      const ocrResults = await Promise.all(processingPromises)
-      const primaryResult =
-        ocrResults.find((r) => !r.data.error) || ocrResults[0]
-      const fields = primaryResult?.data || {}
+      // OCR runs in the background; clients follow it through /api/jobs
+      const job = uploadJobs.create(batchId, entries, { owner: currentUserId(req) })
+      uploadJobs
+        .run(job.id, async (entry) => {
+          const data = suggestCategory(
+            await ocrService.analyzeReceipt(path.join(batchDir, entry.secureFile)),
+          )
+          // Exact copies were flagged above; look for similar receipts by fields
+          if (!entry.duplicate) {
+            try {
+              const duplicate = await duplicates.check({ fields: data.fields, owner: currentUserId(req) })
+              if (duplicate) uploadJobs.annotate(job.id, entry.id, { duplicate })
+            } catch (error) {
+              console.error("Duplicate check failed:", error.message)
+            }
+          }
+          return data
+        })
+        .catch((error) => console.error("Upload job error:", error))
 
-      res.json({
-        results: ocrResults,
-        fields,
+      res.status(202).json({
+        jobId: job.id,
         batchId,
-        processingTime: Date.now() - parseInt(batchId.split("-")[1]),
+        status: job.status,
+        files: job.files,
       })
     } catch (error) {
       console.error("Upload error:", error)
@@ -421,16 +589,747 @@ app.post(
 // Add upload error handling middleware
 app.use("/api/upload", handleUploadErrors)
 
-app.post("/api/submit", requireAuth, async (req, res) => {
+// Pre-fill the category from the merchant type or vendor; users can change it
+function suggestCategory(data) {
+  const suggestion = categorizer.suggest({
+    vendor: data.fields.vendor,
+    merchantType: data.merchantType,
+  })
+  data.fields.category = suggestion?.category || ""
+  if (suggestion) {
+    data.fieldMeta.category = {
+      confidence: null,
+      boundingRegions: [],
+      content: suggestion.match,
+      uncertain: false,
+      suggested: { category: suggestion.category, source: suggestion.source },
+    }
+  }
+  return data
+}
+
+app.get("/api/categories", requireAuth, (_req, res) => {
+  res.json({ categories: categorizer.list() })
+})
+
+// Jobs of other users are reported as missing
+function findJob(req) {
+  const job = uploadJobs.snapshot(req.params.id)
+  return job && job.owner === currentUserId(req) ? job : null
+}
+
+app.get("/api/jobs/:id", requireAuth, (req, res) => {
+  const job = findJob(req)
+  if (!job) return res.status(404).json({ message: "Job not found" })
+  res.json(job)
+})
+
+// Server-sent events stream of job snapshots; ends once the job completes
+app.get("/api/jobs/:id/events", requireAuth, (req, res) => {
+  const job = findJob(req)
+  if (!job) return res.status(404).json({ message: "Job not found" })
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  })
+  res.flushHeaders()
+
+  const send = (snapshot) => {
+    res.write(`event: job\ndata: ${JSON.stringify(snapshot)}\n\n`)
+    if (snapshot.status === "completed") close()
+  }
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000)
+  const unsubscribe = uploadJobs.subscribe(job.id, send)
+
+  function close() {
+    clearInterval(heartbeat)
+    unsubscribe()
+    res.end()
+  }
+
+  req.on("close", () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+
+  send(job)
+})
+
+/**
+ * Look up a stored batch for the current user. A batch belongs to the user
+ * recorded in its manifest; batches without one are treated as foreign.
+ * @returns {Promise<Object>} - { dir, exists, owned }
+ */
+async function findBatch(req, batchId) {
+  const dir = path.join(TMP_ROOT, batchId)
+  const manifest = await readManifest(dir)
+  if (manifest) {
+    return { dir, exists: true, owned: manifest.owner === currentUserId(req) }
+  }
+  try {
+    await fsp.access(dir)
+    return { dir, exists: true, owned: false }
+  } catch {
+    return { dir, exists: false, owned: false }
+  }
+}
+
+// Original file of one receipt in a stored batch, e.g. to restore a draft
+app.get("/api/batches/:batchId/files/:receiptId", requireAuth, async (req, res) => {
+  const { batchId, receiptId } = req.params
+  if (!BATCH_ID_REGEX.test(batchId) || !RECEIPT_ID_REGEX.test(receiptId)) {
+    return res.status(400).json({ message: "Invalid file reference" })
+  }
+  try {
+    const batch = await findBatch(req, batchId)
+    if (!batch.owned) return res.status(404).json({ message: "File not found" })
+    const batchDir = batch.dir
+    const name = (await listBatchFiles(batchDir)).find(
+      (f) => path.parse(f).name === receiptId,
+    )
+    if (!name) return res.status(404).json({ message: "File not found" })
+    res.sendFile(path.join(batchDir, name), {
+      headers: { "Cache-Control": "private, no-store" },
+    })
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return res.status(404).json({ message: "File not found" })
+    }
+    console.error("Batch file error:", err)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+// Drop one receipt's file from a batch, e.g. a duplicate the user removed
+// while reviewing, so the submission accounts for every remaining file
+app.delete("/api/batches/:batchId/files/:receiptId", requireAuth, async (req, res) => {
+  const { batchId, receiptId } = req.params
+  if (!BATCH_ID_REGEX.test(batchId) || !RECEIPT_ID_REGEX.test(receiptId)) {
+    return res.status(400).json({ message: "Invalid file reference" })
+  }
+  try {
+    const batch = await findBatch(req, batchId)
+    if (!batch.owned) return res.status(404).json({ message: "File not found" })
+    const name = (await listBatchFiles(batch.dir)).find(
+      (f) => path.parse(f).name === receiptId,
+    )
+    if (!name) return res.status(404).json({ message: "File not found" })
+    await fsp.rm(path.join(batch.dir, name), { force: true })
+    const manifest = await readManifest(batch.dir)
+    await writeManifest(batch.dir, {
+      ...manifest,
+      files: manifest.files.filter((f) => f.id !== receiptId),
+    })
+    res.status(204).end()
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return res.status(404).json({ message: "File not found" })
+    }
+    console.error("Delete batch file error:", err)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+// ===== Drafts =====
+// A draft saves the review state of an upload batch until it is submitted
+
+async function findDraft(req) {
+  const draft = await drafts.get(req.params.id)
+  return draft && draft.owner === currentUserId(req) ? draft : null
+}
+
+// The signed-in user's drafts
+app.get("/api/drafts", requireAuth, async (req, res) => {
+  try {
+    const list = await drafts.listByOwner(currentUserId(req))
+    res.json({ drafts: list.map(summarizeDraft) })
+  } catch (err) {
+    console.error("List drafts error:", err)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+app.get("/api/receipts/:id", requireAuth, async (req, res) => {
+  if (!BATCH_ID_REGEX.test(req.params.id)) {
+    return res.status(400).json({ message: "Invalid draft id" })
+  }
+  try {
+    const draft = await findDraft(req)
+    if (!draft) return res.status(404).json({ message: "Draft not found" })
+    res.json(draft)
+  } catch (err) {
+    console.error("Get draft error:", err)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+app.put("/api/receipts/:id", requireAuth, async (req, res) => {
+  const { id } = req.params
+  if (!BATCH_ID_REGEX.test(id)) {
+    return res.status(400).json({ message: "Invalid draft id" })
+  }
+  let content
+  try {
+    content = sanitizeDraft(req.body, { maxReceipts: MAX_FILES })
+  } catch (err) {
+    return res.status(400).json({ message: err.message })
+  }
+  try {
+    const existing = await drafts.get(id)
+    // Someone else's draft or batch is reported as missing rather than overwritten
+    const batch = await findBatch(req, id)
+    if (
+      (existing && existing.owner !== currentUserId(req)) ||
+      (batch.exists && !batch.owned)
+    ) {
+      return res.status(404).json({ message: "Draft not found" })
+    }
+    const now = new Date().toISOString()
+    const draft = {
+      id,
+      owner: currentUserId(req),
+      ...content,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    }
+    await drafts.put(draft)
+    res.json({ id, updatedAt: draft.updatedAt })
+  } catch (err) {
+    console.error("Save draft error:", err)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+// Discarding a draft also removes its uploaded files
+app.delete("/api/receipts/:id", requireAuth, async (req, res) => {
+  if (!BATCH_ID_REGEX.test(req.params.id)) {
+    return res.status(400).json({ message: "Invalid draft id" })
+  }
+  try {
+    const draft = await findDraft(req)
+    if (!draft) return res.status(404).json({ message: "Draft not found" })
+    await drafts.delete(draft.id)
+    const batch = await findBatch(req, draft.id)
+    if (batch.owned) await fsp.rm(batch.dir, { recursive: true, force: true })
+    res.status(204).end()
+  } catch (err) {
+    console.error("Delete draft error:", err)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+// ===== Upload storage =====
+
+// App role allowed to see what the janitor removed, including other users' batches
+const ADMIN_ROLE = process.env.ADMIN_ROLE || "Admin"
+
+// Latest sweep and the recent sweeps that removed batches or stray files
+app.get("/api/admin/cleanup", requireAuth, async (req, res) => {
+  if (!(req.user?.roles || []).includes(ADMIN_ROLE)) {
+    return res.status(403).json({ message: "Not allowed to view cleanup reports" })
+  }
+  const limit = parseInt(req.query.limit, 10) || 20
+  if (limit < 1 || limit > MAX_CLEANUP_REPORTS) {
+    return res.status(400).json({ message: `Invalid limit: expected 1 to ${MAX_CLEANUP_REPORTS}` })
+  }
+  try {
+    res.json({
+      lastSweep: janitor.lastReport,
+      reports: await janitor.reports.list(limit),
+    })
+  } catch (err) {
+    console.error("Cleanup reports error:", err)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+// ===== Approvals =====
+// Submitted receipts move through submitted → approved/rejected → reimbursed
+
+const APPROVAL_ERROR_STATUS = {
+  not_found: 404,
+  forbidden: 403,
+  invalid_transition: 409,
+  comment_required: 400,
+  sync_failed: 502,
+}
+
+function sendApprovalError(res, err, label) {
+  if (err instanceof ApprovalError) {
+    return res.status(APPROVAL_ERROR_STATUS[err.code] || 500).json({
+      message: err.message,
+      code: err.code,
+    })
+  }
+  console.error(`${label} error:`, err)
+  res.status(500).json({ message: "Internal server error" })
+}
+
+// Signed-in user and what the approval workflow allows them to do
+app.get("/api/me", requireAuth, (req, res) => {
+  res.json({
+    oid: currentUserId(req),
+    name: req.user?.name || null,
+    upn: req.user?.upn || null,
+    roles: req.user?.roles || [],
+    permissions: approvals.permissions(req.user),
+  })
+})
+
+// The signed-in user's own submissions and their status
+app.get("/api/submissions", requireAuth, async (req, res) => {
+  try {
+    const list = await approvals.listByOwner(currentUserId(req))
+    res.json({ submissions: list })
+  } catch (err) {
+    sendApprovalError(res, err, "List submissions")
+  }
+})
+
+// Search the signed-in user's submitted receipts, a page at a time. Registered
+// before /api/submissions/:id so "search" is not taken for an id.
+app.get("/api/submissions/search", requireAuth, async (req, res) => {
+  let filters
+  try {
+    filters = parseSearchQuery(req.query)
+  } catch (err) {
+    return res.status(400).json({ message: err.message })
+  }
+  try {
+    const { results, ...page } = searchSubmissions(await approvals.listByOwner(currentUserId(req)), filters)
+    const receipts = []
+    for (const submission of results) {
+      receipts.push({ ...submission, attachments: await attachmentStore.list(submission.id) })
+    }
+    res.json({ receipts, ...page })
+  } catch (err) {
+    console.error("Search receipts error:", err)
+    res.status(500).json({ message: "Internal server error" })
+  }
+})
+
+// One submission with its status history and attachments, for its owner and approvers
+app.get("/api/submissions/:id", requireAuth, async (req, res) => {
+  try {
+    const submission = await approvals.get(req.params.id, req.user)
+    res.json({
+      ...submission,
+      attachments: await attachmentStore.list(submission.id),
+      delivery: describeDelivery(await outbox.get(submission.id)),
+    })
+  } catch (err) {
+    sendApprovalError(res, err, "Get submission")
+  }
+})
+
+// Progress of a submission's delivery to the sink, step by step
+app.get("/api/submissions/:id/delivery", requireAuth, async (req, res) => {
+  try {
+    const submission = await approvals.get(req.params.id, req.user)
+    const delivery = await outbox.get(submission.id)
+    if (!delivery) return res.status(404).json({ message: "No delivery recorded for this submission" })
+    res.json(describeDelivery(delivery))
+  } catch (err) {
+    sendApprovalError(res, err, "Get delivery")
+  }
+})
+
+// Try a delivery that gave up again
+app.post("/api/submissions/:id/delivery/retry", requireAuth, async (req, res) => {
+  try {
+    const submission = await approvals.get(req.params.id, req.user)
+    const delivery = await outbox.retry(submission.id)
+    if (!delivery) {
+      return res.status(409).json({ message: "Only failed deliveries can be retried" })
+    }
+    res.json(describeDelivery(delivery))
+  } catch (err) {
+    sendApprovalError(res, err, "Retry delivery")
+  }
+})
+
+// Copy of a file attached to a submitted item
+app.get("/api/submissions/:id/attachments/:name", requireAuth, async (req, res) => {
+  try {
+    const submission = await approvals.get(req.params.id, req.user)
+    const data = isAttachmentName(req.params.name)
+      ? await attachmentStore.get(submission.id, req.params.name)
+      : null
+    if (!data) return res.status(404).json({ message: "Attachment not found" })
+    // Always a download; signatures are SVG, which must not render on our origin
+    res.attachment(req.params.name)
+    res.set("Cache-Control", "private, no-store")
+    res.send(data)
+  } catch (err) {
+    sendApprovalError(res, err, "Download attachment")
+  }
+})
+
+// PDF expense report of a submission, for its owner and approvers
+app.get("/api/submissions/:id/report", requireAuth, async (req, res) => {
+  try {
+    const submission = await approvals.get(req.params.id, req.user)
+    const pdf = await attachmentStore.get(submission.id, REPORT_FILE)
+    if (!pdf) return res.status(404).json({ message: "Report not found" })
+    const name = `expense-report-${submission.id.replace(/[^A-Za-z0-9-]/g, "")}.pdf`
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${name}"`,
+    })
+    res.send(pdf)
+  } catch (err) {
+    sendApprovalError(res, err, "Download report")
+  }
+})
+
+app.get("/api/approvals", requireAuth, async (req, res) => {
+  const status = req.query.status || SUBMISSION_STATUS.SUBMITTED
+  if (!APPROVAL_QUEUES.includes(status)) {
+    return res.status(400).json({
+      message: `Invalid status: expected one of ${APPROVAL_QUEUES.join(", ")}`,
+    })
+  }
+  try {
+    const submissions = await approvals.listQueue(req.user, status)
+    res.json({ submissions })
+  } catch (err) {
+    sendApprovalError(res, err, "List approvals")
+  }
+})
+
+// Accounting exports of submitted receipts; approvers and finance get every
+// user's receipts, everyone else their own
+app.get("/api/exports", requireAuth, async (req, res) => {
+  const { format = "csv", from, to, user, status } = req.query
+  const spec = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null
+  if (!spec) {
+    return res.status(400).json({
+      message: `Invalid format: expected one of ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    })
+  }
+  let submissions
+  try {
+    submissions = await approvals.list(req.user, { owner: user || undefined, status: status || undefined, from, to })
+  } catch (err) {
+    return res.status(400).json({ message: err.message })
+  }
+  // A stored submission whose fields no longer validate cannot be exported
+  const rows = []
+  for (const submission of submissions) {
+    try {
+      rows.push(toExportRow(submission, { glCode: categorizer.glCode(submission.fields?.category) }))
+    } catch (err) {
+      console.error(`Export of submission ${submission.id} failed:`, err.message)
+      return res.status(422).json({ message: `Submission ${submission.id} cannot be exported: ${err.message}` })
+    }
+  }
+  let result
+  try {
+    result = renderExport(format, rows, {
+      from,
+      to,
+      defaultCurrency: HOME_CURRENCY,
+      accountId: process.env.EXPORT_OFX_ACCOUNT_ID || undefined,
+      payableAccount: process.env.EXPORT_IIF_PAYABLE_ACCOUNT || undefined,
+      expenseAccount: process.env.EXPORT_IIF_EXPENSE_ACCOUNT || undefined,
+    })
+  } catch (err) {
+    // Receipts in several currencies cannot go into one OFX or IIF file
+    return res.status(422).json({ message: err.message })
+  }
+  const { body, skipped } = result
+  const name = ["receipts", from, to].filter(Boolean).join("-")
+  res.set({
+    "Content-Type": spec.contentType,
+    "Content-Disposition": `attachment; filename="${name}.${spec.extension}"`,
+    "X-Export-Count": String(rows.length - skipped),
+    "X-Export-Skipped": String(skipped),
+  })
+  res.send(body)
+})
+
+app.post("/api/approvals/:id/:action(approve|reject|reimburse)", requireAuth, async (req, res) => {
+  try {
+    const submission = await approvals.transition(
+      req.params.id,
+      req.params.action,
+      req.user,
+      { comment: req.body?.comment },
+    )
+    res.json(submission)
+  } catch (err) {
+    sendApprovalError(res, err, "Update approval")
+  }
+})
+
+function parseSignature(signatureDataUrl) {
+  const m = signatureDataUrl.match(/^data:image\/png;base64,(.+)$/)
+  if (!m) throw new Error("Invalid signature")
+  const maxSize = 100 * 1024 // 100KB
+  try {
+    return validateInputForSignature(Buffer.from(m[1], "base64"), {
+      maxBytes: maxSize,
+    })
+  } catch {
+    throw new Error("Invalid signature")
+  }
+}
+
+/**
+ * Validate receipt fields including the category, which must be one of the
+ * configured categories. An empty category is dropped.
+ */
+function validateReceiptFields(fields) {
+  const sanitized = validateFields(fields)
+  if (sanitized.category === "") delete sanitized.category
+  if (sanitized.category !== undefined && !categorizer.has(sanitized.category)) {
+    throw new Error(`Invalid category: ${sanitized.category}`)
+  }
+  return sanitized
+}
+
+/**
+ * Normalize the submit payload into one entry per receipt. Older clients
+ * send a single `fields` object, which is treated as a batch of one.
+ */
+function parseSubmittedReceipts({ receipts, fields, override, acknowledgeDuplicate, justification }) {
+  if (receipts === undefined) {
+    return [
+      {
+        id: null,
+        fields: validateReceiptFields(fields),
+        override: validateOverride(override),
+        acknowledgeDuplicate: acknowledgeDuplicate === true,
+        justification: validateJustification(justification),
+      },
+    ]
+  }
+  if (!Array.isArray(receipts) || receipts.length === 0) {
+    throw new Error("Invalid receipts: expected a non-empty array")
+  }
+  if (receipts.length > MAX_FILES) {
+    throw new Error(`Too many receipts. Maximum is ${MAX_FILES}`)
+  }
+  return receipts.map((r) => {
+    if (!r || typeof r !== "object") throw new Error("Invalid receipt")
+    if (r.id != null && !RECEIPT_ID_REGEX.test(r.id)) {
+      throw new Error("Invalid receipt id")
+    }
+    return {
+      id: r.id ?? null,
+      fields: validateReceiptFields(r.fields),
+      override: validateOverride(r.override),
+      acknowledgeDuplicate: r.acknowledgeDuplicate === true,
+      justification: validateJustification(r.justification),
+    }
+  })
+}
+
+// Check each receipt against the expense policy, setting `violations`.
+// Runs after convertReceipts so foreign amounts meet limits in the home currency.
+function checkPolicy(receipts) {
+  for (const receipt of receipts) {
+    receipt.violations = policy.evaluate(receipt.fields, {
+      justification: receipt.justification,
+      conversion: receipt.conversion,
+    })
+  }
+  return receipts.filter((r) => isBlocked(r.violations))
+}
+
+/**
+ * Convert each receipt's total into the home currency, setting `conversion`
+ * and `conversionError`. Returns the receipts without a usable rate.
+ */
+async function convertReceipts(receipts) {
+  for (const receipt of receipts) {
+    receipt.conversion = null
+    receipt.conversionError = null
+    if (!converter) continue
+    try {
+      receipt.conversion = await converter.convert(receipt.fields)
+    } catch (err) {
+      receipt.conversionError = err.message
+    }
+  }
+  return receipts.filter((r) => r.conversionError)
+}
+
+// Dry run of the policy checks and currency conversion for the review page
+app.post("/api/validate", requireAuth, async (req, res) => {
+  let receipts
+  try {
+    receipts = parseSubmittedReceipts(req.body || {})
+  } catch (err) {
+    return res.status(400).json({ message: err.message })
+  }
+  await convertReceipts(receipts)
+  checkPolicy(receipts)
+  res.json({
+    receipts: receipts.map((r) => ({
+      id: r.id,
+      violations: r.violations,
+      blocked: isBlocked(r.violations),
+      conversion: r.conversion,
+      conversionError: r.conversionError,
+    })),
+  })
+})
+
+// Content hashes of a stored batch keyed by receipt id
+async function hashBatchFiles(batchDir) {
+  const hashes = new Map()
+  let names = []
+  try {
+    names = await listBatchFiles(batchDir)
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err
+  }
+  for (const name of names) {
+    hashes.set(path.parse(name).name, await hashFile(path.join(batchDir, name)))
+  }
+  return hashes
+}
+
+/**
+ * Match the files of a batch to the submitted receipts. A receipt claims the
+ * file named by its id; a lone receipt without an id (the single-receipt
+ * payload) gets every file. Sets `files` on each receipt.
+ * @throws {Error} - When a receipt id names no file or a file is left unclaimed
+ */
+function assignBatchFiles(receipts, names) {
+  const byId = new Map(names.map((name) => [path.parse(name).name, name]))
+  if (receipts.length === 1 && !receipts[0].id) {
+    receipts[0].files = names
+    return
+  }
+  for (const receipt of receipts) {
+    if (receipt.id && !byId.has(receipt.id)) {
+      throw new Error(`No file in the batch for receipt ${receipt.id}`)
+    }
+    receipt.files = receipt.id ? [byId.get(receipt.id)] : []
+  }
+  const unclaimed = [...byId].filter(([, name]) => !receipts.some((r) => r.files.includes(name)))
+  if (unclaimed.length > 0) {
+    throw new Error(`Batch files not claimed by any receipt: ${unclaimed.map(([id]) => id).join(", ")}`)
+  }
+}
+
+/**
+ * Check each receipt against earlier submissions and against the other
+ * receipts of the same request. Sets `hash` and `duplicate` on each receipt.
+ * Matches submitted by someone other than `owner` are redacted.
+ */
+async function checkDuplicates(receipts, hashes, owner) {
+  const seen = new Map()
+  for (const receipt of receipts) {
+    const [own] = receipt.files || []
+    receipt.hash = (own && hashes.get(path.parse(own).name)) || null
+    receipt.duplicate = await duplicates.check({
+      hash: receipt.hash,
+      fields: receipt.fields,
+      owner,
+    })
+    if (!receipt.duplicate && receipt.hash && seen.has(receipt.hash)) {
+      receipt.duplicate = {
+        status: DUPLICATE_STATUS.EXACT,
+        matches: [{ reason: "batch", receiptId: seen.get(receipt.hash) }],
+      }
+    }
+    if (receipt.hash && !seen.has(receipt.hash)) seen.set(receipt.hash, receipt.id)
+  }
+}
+
+// With conversion enabled the total is in the home currency
+function summarizeBatch(items) {
+  const total = items.reduce(
+    (sum, item) => sum + ((converter ? item.conversion?.amount : item.fields.total) || 0),
+    0,
+  )
+  return {
+    receiptCount: items.length,
+    attachmentCount: items.reduce((n, item) => n + item.attachments.length, 0),
+    total: total.toFixed(2),
+    ...(converter && { currency: converter.homeCurrency }),
+  }
+}
+
+/**
+ * Bring a replayed /api/submit response up to date: the items it created may
+ * have been delivered (or have changed status) since it was saved
+ */
+async function refreshSubmitResponse({ body }, req) {
+  const items = []
+  for (const item of body.items) {
+    const submission = await approvals.get(item.submissionId, req.user)
+    const entry = await outbox.get(item.submissionId)
+    items.push({
+      ...item,
+      itemId: entry?.itemId ?? submission.itemId ?? null,
+      status: submission.status,
+      delivery: describeDelivery(entry),
+    })
+  }
+  const delivered = items.every((i) => i.delivery?.status === DELIVERY_STATUS.DELIVERED)
+  return {
+    status: delivered ? 200 : 202,
+    body: { ...body, items, ...(items.length === 1 && { itemId: items[0].itemId }) },
+  }
+}
+
+const submitIdempotency = idempotency(idempotencyStore, {
+  scope: currentUserId,
+  refresh: refreshSubmitResponse,
+})
+
+app.post("/api/submit", requireAuth, submitIdempotency, async (req, res) => {
   const requestId = crypto.randomUUID()
   const tempBase = path.join(os.tmpdir(), "receipt-extractor", requestId)
-  await fsp.mkdir(tempBase, { recursive: true, mode: 0o700 })
   try {
-    const { fields, signatureDataUrl, batchId } = req.body || {}
-    const token = await getGraphToken()
-    const item = await createListItem(token, fields || {})
-    const itemId =
-      item?.id || item?.value?.id || item?.name || `mock-${Date.now()}`
+    await fsp.mkdir(tempBase, { recursive: true, mode: 0o700 })
+    const body = req.body || {}
+    const { signatureDataUrl, batchId } = body
+
+    let receipts
+    try {
+      receipts = parseSubmittedReceipts(body)
+    } catch (err) {
+      return res.status(400).json({ message: err.message })
+    }
+
+    // Totals that don't add up need an explicit override with a reason
+    const unresolved = receipts
+      .map((r) => ({ id: r.id, issues: checkTotals(r.fields, { tolerance: CONSISTENCY_TOLERANCE }) }))
+      .filter((r, i) => r.issues.length > 0 && !receipts[i].override)
+    if (unresolved.length > 0) {
+      return res.status(422).json({
+        message: "Receipt totals do not add up. Correct them or override with a reason.",
+        receipts: unresolved,
+      })
+    }
+
+    // Foreign totals need a rate for their transaction date
+    const unconverted = await convertReceipts(receipts)
+
+    // Policy errors block submission; justified exceptions become warnings
+    const violating = checkPolicy(receipts)
+    if (violating.length > 0) {
+      return res.status(422).json({
+        message: "Some receipts break the expense policy.",
+        receipts: violating.map((r) => ({ id: r.id, violations: r.violations })),
+      })
+    }
+
+    if (unconverted.length > 0) {
+      return res.status(422).json({
+        message: "Some receipts cannot be converted to the home currency.",
+        receipts: unconverted.map((r) => ({ id: r.id, conversionError: r.conversionError })),
+      })
+    }
 
     if (batchId) {
       if (!BATCH_ID_REGEX.test(batchId)) {
@@ -440,16 +1339,65 @@ app.post("/api/submit", requireAuth, async (req, res) => {
       if (!src.startsWith(TMP_ROOT + path.sep)) {
         return res.status(400).json({ message: "Invalid batchId" })
       }
+      // Only the uploader may submit a batch; a missing batch has no files to attach
+      const batch = await findBatch(req, batchId)
+      if (batch.exists && !batch.owned) {
+        return res.status(404).json({ message: "Batch not found" })
+      }
+    }
+
+    // Every uploaded file must go to a receipt before the batch is taken over
+    let batchNames = []
+    if (batchId) {
       try {
-        await fsp.stat(src)
-        const batchDir = path.join(tempBase, "batch")
-        await fsp.mkdir(batchDir, { recursive: true })
-        await fsp.rename(src, batchDir)
-        const files = await fsp.readdir(batchDir)
-        for (const name of files) {
-          const filePath = path.join(batchDir, name)
-          await uploadAttachment(token, itemId, name, filePath)
-        }
+        batchNames = await listBatchFiles(path.join(TMP_ROOT, batchId))
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err
+      }
+    }
+    try {
+      assignBatchFiles(receipts, batchNames)
+    } catch (err) {
+      return res.status(400).json({ message: err.message })
+    }
+
+    // The PNG is optional for a typed signature; the strokes or typed name
+    // are kept as SVG alongside it
+    let signature = null
+    let signatureSpec = null
+    try {
+      if (signatureDataUrl) signature = parseSignature(signatureDataUrl)
+      signatureSpec = validateSignature(body.signature)
+    } catch (err) {
+      return res.status(400).json({ message: err.message })
+    }
+
+    // Exact copies are rejected; similar receipts must be acknowledged.
+    // Runs before the batch is taken over so the user can fix and retry.
+    await checkDuplicates(
+      receipts,
+      batchId ? await hashBatchFiles(path.join(TMP_ROOT, batchId)) : new Map(),
+      currentUserId(req),
+    )
+    const blocked = receipts.filter(
+      (r) =>
+        r.duplicate &&
+        (r.duplicate.status === DUPLICATE_STATUS.EXACT || !r.acknowledgeDuplicate),
+    )
+    if (blocked.length > 0) {
+      return res.status(409).json({
+        message: "Some receipts look like duplicates of receipts already submitted.",
+        receipts: blocked.map((r) => ({ id: r.id, duplicate: r.duplicate })),
+      })
+    }
+
+    // Take ownership of the batch files before creating any items
+    let batchFiles = []
+    const batchDir = path.join(tempBase, "batch")
+    if (batchId) {
+      try {
+        await fsp.rename(path.join(TMP_ROOT, batchId), batchDir)
+        batchFiles = await listBatchFiles(batchDir)
       } catch (err) {
         if (err.code !== "ENOENT") {
           throw err
@@ -457,32 +1405,164 @@ app.post("/api/submit", requireAuth, async (req, res) => {
       }
     }
 
-    if (signatureDataUrl) {
-      const m = signatureDataUrl.match(/^data:image\/png;base64,(.+)$/)
-      if (!m) {
-        return res.status(400).json({ message: "Invalid signature" })
+    // A signed submission gets an attestation tying the signer from the
+    // token to a hash of the exact fields and files being certified
+    let attestation = null
+    const signedFiles = []
+    if (signature || signatureSpec) {
+      const svg = signatureSpec ? signatureToSvg(signatureSpec) : null
+      attestation = createAttestation({
+        signer: req.user || null,
+        signature: signatureSpec,
+        png: signature,
+        svg,
+        receipts,
+      })
+      if (signature) signedFiles.push(["signature.png", signature])
+      if (svg) signedFiles.push(["signature.svg", Buffer.from(svg)])
+      signedFiles.push(["attestation.json", Buffer.from(JSON.stringify(attestation, null, 2))])
+    }
+
+    // Each receipt is recorded and its files kept before anything is sent, so
+    // a sink that fails halfway is retried by the outbox without losing files
+    const items = []
+    for (const receipt of receipts) {
+      const submission = await approvals.recordSubmission({
+        itemId: null,
+        batchId,
+        receiptId: receipt.id,
+        owner: currentUserId(req),
+        ownerName: req.user?.name || req.user?.upn,
+        fields: receipt.fields,
+        overrideReason: receipt.override?.reason,
+        justification: receipt.justification,
+        policyWarnings: receipt.violations,
+        conversion: receipt.conversion,
+        attestationHash: attestation?.contentHash,
+        signedAt: attestation?.signedAt,
+      })
+
+      const receiptFiles = []
+      for (const name of receipt.files.filter((f) => batchFiles.includes(f))) {
+        receiptFiles.push([name, await fsp.readFile(path.join(batchDir, name))])
+      }
+      const files = [...receiptFiles, ...signedFiles]
+      for (const [attachmentName, data] of files) {
+        await attachmentStore.put(submission.id, attachmentName, data)
       }
-      const maxSize = 100 * 1024 // 100KB
-      let safeContent
+      const attachments = files.map(([attachmentName]) => attachmentName)
+
+      // One printable document per expense; a rendering failure does not
+      // hold up the submission
+      let report = null
       try {
-        safeContent = validateInputForSignature(Buffer.from(m[1], "base64"), {
-          maxBytes: maxSize,
+        report = await renderExpenseReport({
+          fields: receipt.fields,
+          category: receipt.fields.category && categorizer.list().find((c) => c.id === receipt.fields.category),
+          conversion: receipt.conversion,
+          submissionId: submission.id,
+          batchId,
+          submitter: req.user,
+          submittedAt: submission.submittedAt,
+          overrideReason: receipt.override?.reason,
+          justification: receipt.justification,
+          policyWarnings: receipt.violations,
+          file: receiptFiles[0] && { name: receiptFiles[0][0], data: receiptFiles[0][1] },
+          signaturePng: signature,
+          attestation,
         })
-      } catch {
-        return res.status(400).json({ message: "Invalid signature" })
+      } catch (err) {
+        console.error("Failed to render expense report:", err.message)
+      }
+      if (report) {
+        await attachmentStore.put(submission.id, REPORT_FILE, report)
+        attachments.push(REPORT_FILE)
+      }
+
+      await outbox.enqueue({
+        id: submission.id,
+        columns: listItemColumns({
+          fields: receipt.fields,
+          batchId,
+          overrideReason: receipt.override?.reason,
+          glCode: categorizer.glCode(receipt.fields.category),
+          justification: receipt.justification,
+          conversion: receipt.conversion,
+          attestationHash: attestation?.contentHash,
+          signedAt: attestation?.signedAt,
+          status: SUBMISSION_STATUS.SUBMITTED,
+        }),
+        attachments,
+      })
+      // Indexed before delivery; the item id is added once the item exists
+      try {
+        await duplicates.record({
+          hash: receipt.hash,
+          fields: receipt.fields,
+          submissionId: submission.id,
+          owner: currentUserId(req),
+          batchId: batchId || null,
+          receiptId: receipt.id,
+        })
+      } catch (err) {
+        console.error("Failed to index receipt for duplicate detection:", err.message)
+      }
+
+      // First attempt right away; failures are retried in the background
+      const delivery = await outbox.deliver(submission.id)
+
+      items.push({
+        receiptId: receipt.id,
+        itemId: delivery.itemId,
+        submissionId: submission.id,
+        status: submission.status,
+        fields: receipt.fields,
+        conversion: receipt.conversion,
+        attachments,
+        reportUrl: report ? `/api/submissions/${submission.id}/report` : null,
+        duplicate: receipt.duplicate,
+        delivery: describeDelivery(delivery),
+      })
+    }
+
+    // The batch is gone now, so its draft has nothing left to resume
+    if (batchId) {
+      try {
+        const draft = await drafts.get(batchId)
+        if (draft?.owner === currentUserId(req)) await drafts.delete(batchId)
+      } catch (err) {
+        console.error("Failed to remove submitted draft:", err.message)
       }
-      const tmp = path.join(tempBase, `signature.png`)
-      await fsp.writeFile(tmp, safeContent)
-      await uploadAttachment(token, itemId, "signature.png", tmp)
     }
 
-    res.json({ ok: true, itemId })
+    // 202 while some items are still waiting to be delivered
+    const delivered = items.every((i) => i.delivery.status === DELIVERY_STATUS.DELIVERED)
+    res.status(delivered ? 200 : 202).json({
+      ok: true,
+      batchId: batchId || null,
+      items: items.map(
+        ({ receiptId, itemId, submissionId, status, conversion, attachments, reportUrl, duplicate, delivery }) => ({
+          receiptId,
+          itemId,
+          submissionId,
+          status,
+          conversion,
+          attachments,
+          reportUrl,
+          duplicate,
+          delivery,
+        }),
+      ),
+      summary: summarizeBatch(items),
+      attestation: attestation && { contentHash: attestation.contentHash, signedAt: attestation.signedAt },
+      ...(items.length === 1 && { itemId: items[0].itemId }),
+    })
   } catch (e) {
     console.error("Submit error", {
       message: e?.message,
       stack: e?.stack,
       timestamp: new Date().toISOString(),
-      userId: req.user && req.user.id,
+      userId: currentUserId(req),
       requestId,
     })
     return res.status(500).json({
@@ -511,6 +1591,8 @@ app.use((err, req, res, next) => {
 })
 
 if (process.env.NODE_ENV !== "test") {
+  janitor.start().catch((err) => console.error("Janitor sweep failed:", err))
+  outbox.start().catch((err) => console.error("Outbox run failed:", err))
   app.listen(port, () => console.log(`API listening on :${port}`))
 }
 
@@ -0,0 +1,324 @@
+import crypto from "crypto"
+import { isIsoDate } from "./normalize.js"
+
+/**
+ * Approval workflow for submitted receipts. A receipt is a draft until it is
+ * submitted; approvers then approve or reject it and finance marks approved
+ * receipts as reimbursed. Permissions come from the app roles in the user's
+ * access token.
+ */
+
+export const SUBMISSION_STATUS = {
+  SUBMITTED: "submitted",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  REIMBURSED: "reimbursed",
+}
+
+export const APPROVAL_ERROR_CODES = {
+  NOT_FOUND: "not_found",
+  FORBIDDEN: "forbidden",
+  INVALID_TRANSITION: "invalid_transition",
+  COMMENT_REQUIRED: "comment_required",
+  SYNC_FAILED: "sync_failed",
+}
+
+const APPROVAL_ERROR_MESSAGES = {
+  not_found: "Submission not found",
+  forbidden: "You are not allowed to do this",
+  invalid_transition: "The submission is not in a state that allows this",
+  comment_required: "A comment is required",
+  sync_failed: "The status could not be updated where the receipt was submitted",
+}
+
+/**
+ * Workflow failure with a machine-readable reason code
+ */
+export class ApprovalError extends Error {
+  constructor(code, { message, cause } = {}) {
+    super(message || APPROVAL_ERROR_MESSAGES[code])
+    this.name = "ApprovalError"
+    this.code = code
+    this.cause = cause
+  }
+}
+
+// Actions, the statuses they apply to and the permission they need
+const ACTIONS = {
+  approve: {
+    from: [SUBMISSION_STATUS.SUBMITTED],
+    to: SUBMISSION_STATUS.APPROVED,
+    permission: "approve",
+  },
+  reject: {
+    from: [SUBMISSION_STATUS.SUBMITTED],
+    to: SUBMISSION_STATUS.REJECTED,
+    permission: "approve",
+    commentRequired: true,
+  },
+  reimburse: {
+    from: [SUBMISSION_STATUS.APPROVED],
+    to: SUBMISSION_STATUS.REIMBURSED,
+    permission: "reimburse",
+  },
+}
+
+// Queue each permission works on
+const QUEUES = {
+  [SUBMISSION_STATUS.SUBMITTED]: "approve",
+  [SUBMISSION_STATUS.APPROVED]: "reimburse",
+}
+
+export const APPROVAL_QUEUES = Object.keys(QUEUES)
+
+const MAX_COMMENT_LENGTH = 1000
+
+export class ApprovalWorkflow {
+  /**
+   * @param {Object} store - Submission store (see stores/submissionStore.js)
+   * @param {Object} [options]
+   * @param {string} [options.approverRole] - App role allowed to approve and reject
+   * @param {string} [options.financeRole] - App role allowed to mark receipts reimbursed
+   * @param {Function} [options.syncStatus] - Async (submission) => void, writes the
+   *   new status to the submission sink; the change is undone when it throws
+   */
+  constructor(
+    store,
+    { approverRole = "Approver", financeRole = "Finance", syncStatus = async () => {} } = {},
+  ) {
+    this.store = store
+    this.approverRole = approverRole
+    this.financeRole = financeRole
+    this.syncStatus = syncStatus
+  }
+
+  /**
+   * Permissions granted by a user's app roles
+   * @param {Object|null} user - req.user
+   * @returns {Object} - { approve, reimburse }
+   */
+  permissions(user) {
+    const roles = user?.roles || []
+    return {
+      approve: roles.includes(this.approverRole),
+      reimburse: roles.includes(this.financeRole),
+    }
+  }
+
+  /**
+   * Record a receipt that was just submitted
+   * @param {Object} submission - { itemId, batchId, receiptId, owner, ownerName, fields,
+   *   overrideReason, justification, policyWarnings, conversion, attestationHash, signedAt }
+   * @returns {Promise<Object>} - Stored submission
+   */
+  async recordSubmission({
+    itemId,
+    batchId,
+    receiptId,
+    owner,
+    ownerName,
+    fields,
+    overrideReason,
+    justification,
+    policyWarnings,
+    conversion,
+    attestationHash,
+    signedAt,
+  }) {
+    const now = new Date().toISOString()
+    const submission = {
+      id: crypto.randomUUID(),
+      itemId,
+      batchId: batchId || null,
+      receiptId: receiptId || null,
+      owner: owner || null,
+      ownerName: ownerName || null,
+      fields,
+      overrideReason: overrideReason || null,
+      justification: justification || null,
+      policyWarnings: policyWarnings || [],
+      // Total in the home currency and the rate used (see fx.js)
+      conversion: conversion || null,
+      // contentHash of the signed attestation (see attestation.js)
+      attestationHash: attestationHash || null,
+      signedAt: signedAt || null,
+      status: SUBMISSION_STATUS.SUBMITTED,
+      history: [{ status: SUBMISSION_STATUS.SUBMITTED, by: ownerName || owner || null, at: now, comment: null }],
+      submittedAt: now,
+      updatedAt: now,
+    }
+    await this.store.put(submission)
+    return submission
+  }
+
+  /**
+   * Record the item a submission was delivered as (see outbox.js)
+   * @param {string} id - Submission id
+   * @param {string} itemId
+   * @returns {Promise<void>}
+   */
+  async setItemId(id, itemId) {
+    await this.store.update(id, (submission) => {
+      if (!submission) throw new ApprovalError(APPROVAL_ERROR_CODES.NOT_FOUND)
+      return { ...submission, itemId }
+    })
+  }
+
+  /**
+   * A submission the user may see: their own, or any one when they can
+   * approve or reimburse
+   * @param {string} id - Submission id
+   * @param {Object|null} user - req.user
+   * @returns {Promise<Object>}
+   * @throws {ApprovalError} - not_found when missing or not visible to the user
+   */
+  async get(id, user) {
+    const submission = await this.store.get(id)
+    const { approve, reimburse } = this.permissions(user)
+    if (!submission || !(approve || reimburse || submission.owner === (user?.oid || null))) {
+      throw new ApprovalError(APPROVAL_ERROR_CODES.NOT_FOUND)
+    }
+    return submission
+  }
+
+  /**
+   * Status of a submission whoever asks, for checks made by the server itself
+   * @param {string} id - Submission id
+   * @returns {Promise<string|null>} - null when there is no such submission
+   */
+  async statusOf(id) {
+    return (await this.store.get(id))?.status ?? null
+  }
+
+  /**
+   * List a user's own submissions with their status
+   * @param {string|null} owner - User id
+   * @returns {Promise<Array<Object>>} - Most recent first
+   */
+  async listByOwner(owner) {
+    return this.store.listByOwner(owner)
+  }
+
+  /**
+   * Submissions matching the filters among those the user may see: everyone's
+   * for approvers and finance, otherwise only their own
+   * @param {Object|null} user - req.user
+   * @param {Object} [filters]
+   * @param {string} [filters.owner] - Submitter id or name
+   * @param {string} [filters.status] - One of SUBMISSION_STATUS
+   * @param {string} [filters.from] - Earliest receipt date, YYYY-MM-DD
+   * @param {string} [filters.to] - Latest receipt date, YYYY-MM-DD
+   * @returns {Promise<Array<Object>>} - Oldest first
+   * @throws {Error} - For invalid filters
+   */
+  async list(user, { owner, status, from, to } = {}) {
+    for (const [name, value] of Object.entries({ owner, status, from, to })) {
+      if (value != null && typeof value !== "string") throw new Error(`Invalid ${name}: expected text`)
+    }
+    if (status && !Object.values(SUBMISSION_STATUS).includes(status)) {
+      throw new Error(`Invalid status: expected one of ${Object.values(SUBMISSION_STATUS).join(", ")}`)
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && !isIsoDate(value)) throw new Error(`Invalid ${name}: expected YYYY-MM-DD`)
+    }
+    if (from && to && from > to) throw new Error("Invalid date range: from is after to")
+
+    const { approve, reimburse } = this.permissions(user)
+    const self = user?.oid || null
+    const name = owner?.trim().toLowerCase()
+    return (await this.store.list()).filter((s) => {
+      if (!approve && !reimburse && s.owner !== self) return false
+      if (name && s.owner !== owner.trim() && (s.ownerName || "").toLowerCase() !== name) return false
+      if (status && s.status !== status) return false
+      // Undated receipts count as spent on the day they were submitted
+      const date = s.fields?.transactionDate || s.submittedAt.slice(0, 10)
+      return (!from || date >= from) && (!to || date <= to)
+    })
+  }
+
+  /**
+   * List the submissions waiting on the user
+   * @param {Object|null} user - req.user
+   * @param {string} [status] - "submitted" (approval queue) or "approved" (reimbursement queue)
+   * @returns {Promise<Array<Object>>} - Oldest first
+   * @throws {ApprovalError} - forbidden without the matching role
+   * @throws {Error} - For a status without a queue
+   */
+  async listQueue(user, status = SUBMISSION_STATUS.SUBMITTED) {
+    const permission = QUEUES[status]
+    if (!permission) {
+      throw new Error(`Invalid status: expected one of ${APPROVAL_QUEUES.join(", ")}`)
+    }
+    if (!this.permissions(user)[permission]) {
+      throw new ApprovalError(APPROVAL_ERROR_CODES.FORBIDDEN)
+    }
+    return this.store.listByStatus(status)
+  }
+
+  /**
+   * Approve, reject or reimburse a submission
+   * @param {string} id - Submission id
+   * @param {string} action - "approve", "reject" or "reimburse"
+   * @param {Object} user - req.user of the approver
+   * @param {Object} [options]
+   * @param {string} [options.comment] - Required when rejecting
+   * @returns {Promise<Object>} - Updated submission
+   * @throws {ApprovalError}
+   */
+  async transition(id, action, user, { comment } = {}) {
+    const rule = ACTIONS[action]
+    if (!rule || !this.permissions(user)[rule.permission]) {
+      throw new ApprovalError(APPROVAL_ERROR_CODES.FORBIDDEN)
+    }
+    if (comment != null && typeof comment !== "string") {
+      throw new ApprovalError(APPROVAL_ERROR_CODES.COMMENT_REQUIRED, {
+        message: "Invalid comment: expected text",
+      })
+    }
+    const text = (comment || "").trim().slice(0, MAX_COMMENT_LENGTH) || null
+    if (rule.commentRequired && !text) {
+      throw new ApprovalError(APPROVAL_ERROR_CODES.COMMENT_REQUIRED)
+    }
+
+    // The status is checked and changed in one store update, so of two
+    // approvers acting at once the second one gets invalid_transition
+    const now = new Date().toISOString()
+    const entry = { status: rule.to, by: user.name || user.upn || user.oid, at: now, comment: text }
+    const updated = await this.store.update(id, (submission) => {
+      if (!submission) throw new ApprovalError(APPROVAL_ERROR_CODES.NOT_FOUND)
+      // Nobody signs off on their own expenses
+      if (rule.permission === "approve" && submission.owner && submission.owner === user.oid) {
+        throw new ApprovalError(APPROVAL_ERROR_CODES.FORBIDDEN, {
+          message: "You cannot approve or reject your own receipts",
+        })
+      }
+      if (!rule.from.includes(submission.status)) {
+        throw new ApprovalError(APPROVAL_ERROR_CODES.INVALID_TRANSITION, {
+          message: `Cannot ${action} a submission that is ${submission.status}`,
+        })
+      }
+      return { ...submission, status: rule.to, history: [...submission.history, entry], updatedAt: now }
+    })
+
+    // Synced outside the store update: it waits for a delivery in flight,
+    // which records its item id through setItemId
+    try {
+      await this.syncStatus(updated)
+    } catch (error) {
+      console.error("Status sync failed:", error.message)
+      await this.store.update(id, (submission) => {
+        const last = submission.history[submission.history.length - 1]
+        if (last.at !== entry.at || last.status !== entry.status) return submission
+        const history = submission.history.slice(0, -1)
+        return {
+          ...submission,
+          status: history[history.length - 1].status,
+          history,
+          updatedAt: history[history.length - 1].at,
+        }
+      })
+      throw new ApprovalError(APPROVAL_ERROR_CODES.SYNC_FAILED, { cause: error })
+    }
+    return updated
+  }
+}
@@ -0,0 +1,163 @@
+import crypto from "crypto"
+
+/**
+ * Signatures and signer attestations. The client sends how the submission
+ * was signed: either the pen strokes drawn on the signature pad or a typed
+ * name. The server renders either one to SVG itself, so no client-supplied
+ * markup is ever stored, and builds an attestation record that ties the
+ * signer from the token to a hash of the exact fields and files certified.
+ */
+
+export const SIGNATURE_METHODS = {
+  DRAWN: "drawn",
+  TYPED: "typed",
+}
+
+export const ATTESTATION_STATEMENT =
+  "I certify that these expenses were incurred on company business and that the receipts and amounts are accurate."
+
+const MAX_SIZE = 2000
+const MAX_STROKES = 200
+const MAX_POINTS = 10000
+const MAX_NAME_LENGTH = 100
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v)
+const isSize = (v) => Number.isInteger(v) && v > 0 && v <= MAX_SIZE
+const round1 = (n) => Math.round(n * 10) / 10
+
+function validateStrokes(strokes, width, height) {
+  if (!Array.isArray(strokes) || strokes.length === 0 || strokes.length > MAX_STROKES) {
+    throw new Error(`Invalid signature strokes: expected 1 to ${MAX_STROKES} strokes`)
+  }
+  let points = 0
+  return strokes.map((stroke) => {
+    if (!Array.isArray(stroke) || stroke.length === 0) {
+      throw new Error("Invalid signature strokes: expected lists of points")
+    }
+    points += stroke.length
+    if (points > MAX_POINTS) throw new Error("Invalid signature strokes: too many points")
+    return stroke.map((point) => {
+      const [x, y] = Array.isArray(point) ? point : []
+      if (![x, y].every((n) => typeof n === "number" && Number.isFinite(n)) || x < 0 || y < 0 || x > width || y > height) {
+        throw new Error("Invalid signature strokes: points must lie on the signature pad")
+      }
+      return [round1(x), round1(y)]
+    })
+  })
+}
+
+/**
+ * Validate the signature description sent with a submission or draft
+ * @param {Object|null} signature - { method: "drawn", width, height, strokes }
+ *   with strokes as [[[x, y], ...], ...], or { method: "typed", typedName }
+ * @returns {Object|null} - Sanitized signature, or null when absent
+ * @throws {Error} - When the signature is malformed
+ */
+export function validateSignature(signature) {
+  if (signature == null) return null
+  if (!isObject(signature)) throw new Error("Invalid signature")
+  if (signature.method === SIGNATURE_METHODS.TYPED) {
+    const name = typeof signature.typedName === "string" ? signature.typedName.trim() : ""
+    if (!name || name.length > MAX_NAME_LENGTH || /[\u0000-\u001f]/.test(name)) {
+      throw new Error(`Invalid typed signature: enter a name of at most ${MAX_NAME_LENGTH} characters`)
+    }
+    return { method: SIGNATURE_METHODS.TYPED, typedName: name }
+  }
+  if (signature.method === SIGNATURE_METHODS.DRAWN) {
+    const { width, height } = signature
+    if (!isSize(width) || !isSize(height)) {
+      throw new Error(`Invalid signature size: expected whole numbers up to ${MAX_SIZE}`)
+    }
+    return {
+      method: SIGNATURE_METHODS.DRAWN,
+      width,
+      height,
+      strokes: validateStrokes(signature.strokes, width, height),
+    }
+  }
+  throw new Error("Invalid signature method: expected drawn or typed")
+}
+
+const escapeXml = (s) =>
+  s.replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c])
+
+/**
+ * Render a validated signature as SVG
+ * @param {Object} signature - Output of validateSignature
+ * @returns {string} - SVG document
+ */
+export function signatureToSvg(signature) {
+  if (signature.method === SIGNATURE_METHODS.TYPED) {
+    const width = Math.max(200, signature.typedName.length * 24 + 32)
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="80" viewBox="0 0 ${width} 80">` +
+      `<text x="16" y="54" font-family="cursive" font-size="40" fill="#000">${escapeXml(signature.typedName)}</text>` +
+      "</svg>"
+    )
+  }
+  const { width, height, strokes } = signature
+  const paths = strokes.map((stroke) => {
+    const [first, ...rest] = stroke
+    // A single point is drawn as a dot
+    const tail = rest.length ? rest.map(([x, y]) => `L${x} ${y}`).join("") : `L${first[0]} ${first[1]}`
+    return `<path d="M${first[0]} ${first[1]}${tail}"/>`
+  })
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<g fill="none" stroke="#000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">` +
+    paths.join("") +
+    "</g></svg>"
+  )
+}
+
+/**
+ * JSON with object keys sorted, so equal content always hashes the same
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`
+  if (isObject(value)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`
+  }
+  return JSON.stringify(value)
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex")
+
+/**
+ * Build the attestation record stored with each submitted item
+ * @param {Object} options
+ * @param {Object|null} options.signer - Verified user, { oid, tid, name, upn }
+ * @param {Object|null} options.signature - Output of validateSignature
+ * @param {Buffer|null} options.png - Signature image, when one was drawn
+ * @param {string|null} options.svg - Output of signatureToSvg
+ * @param {Array<Object>} options.receipts - [{ id, fields, hash }] being certified
+ * @param {Date} [options.now]
+ * @returns {Object} - Attestation with a `contentHash` over the certified content
+ */
+export function createAttestation({ signer, signature, png, svg, receipts, now = new Date() }) {
+  const content = {
+    statement: ATTESTATION_STATEMENT,
+    receipts: receipts.map((r) => ({ id: r.id, fields: r.fields, fileSha256: r.hash || null })),
+    signature: {
+      method: signature?.method || (png ? SIGNATURE_METHODS.DRAWN : null),
+      typedName: signature?.typedName || null,
+      pngSha256: png ? sha256(png) : null,
+      svgSha256: svg ? sha256(svg) : null,
+    },
+  }
+  return {
+    version: 1,
+    signer: signer
+      ? { oid: signer.oid || null, tid: signer.tid || null, name: signer.name || null, upn: signer.upn || null }
+      : null,
+    signedAt: now.toISOString(),
+    ...content,
+    contentHash: sha256(canonicalJson(content)),
+  }
+}
@@ -0,0 +1,45 @@
+import { promises as fsp } from "fs"
+import path from "path"
+
+/**
+ * Upload batches on disk. Each batch directory holds the uploaded files
+ * (named by receipt id) and a manifest recording who uploaded them and when.
+ */
+
+export const MANIFEST_FILE = "manifest.json"
+
+/**
+ * Write the manifest of a new batch
+ * @param {string} batchDir - Batch directory
+ * @param {Object} manifest - { batchId, owner, createdAt, files }
+ * @returns {Promise<void>}
+ */
+export async function writeManifest(batchDir, manifest) {
+  await fsp.writeFile(path.join(batchDir, MANIFEST_FILE), JSON.stringify(manifest), {
+    mode: 0o600,
+  })
+}
+
+/**
+ * Read a batch manifest
+ * @param {string} batchDir - Batch directory
+ * @returns {Promise<Object|null>} - Manifest, or null for batches without one
+ */
+export async function readManifest(batchDir) {
+  try {
+    return JSON.parse(await fsp.readFile(path.join(batchDir, MANIFEST_FILE), "utf8"))
+  } catch (err) {
+    if (err.code === "ENOENT" || err instanceof SyntaxError) return null
+    throw err
+  }
+}
+
+/**
+ * List the uploaded files of a batch, leaving out the manifest
+ * @param {string} batchDir - Batch directory
+ * @returns {Promise<Array<string>>} - File names
+ */
+export async function listBatchFiles(batchDir) {
+  const names = await fsp.readdir(batchDir)
+  return names.filter((name) => name !== MANIFEST_FILE)
+}
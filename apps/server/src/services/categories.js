@@ -0,0 +1,191 @@
+import { promises as fsp } from "fs"
+
+/**
+ * Expense categories with their GL codes, and the rules used to suggest a
+ * category for a receipt. Admins replace the defaults with a JSON file
+ * (CATEGORY_RULES_FILE) shaped like:
+ *
+ * {
+ *   "categories": [
+ *     {
+ *       "id": "meals",              // stored in the receipt's category field
+ *       "label": "Meals",
+ *       "glCode": "6100",           // written to the list item's glCode column
+ *       "keywords": ["cafe"],       // whole words matched in the vendor name
+ *       "merchantTypes": ["meal"]   // merchant types reported by OCR
+ *     }
+ *   ]
+ * }
+ *
+ * Categories are checked in order; the first matching rule wins.
+ */
+
+export const DEFAULT_CATEGORY_RULES = {
+  categories: [
+    {
+      id: "meals",
+      label: "Meals",
+      glCode: "6100",
+      keywords: [
+        "restaurant", "cafe", "café", "coffee", "bistro", "diner", "grill", "pizza",
+        "bakery", "bar", "pub", "kitchen", "starbucks", "mcdonald's", "subway", "chipotle",
+      ],
+      merchantTypes: ["meal", "retailMeal"],
+    },
+    {
+      id: "lodging",
+      label: "Lodging",
+      glCode: "6210",
+      keywords: ["hotel", "inn", "motel", "suites", "resort", "marriott", "hilton", "hyatt", "airbnb"],
+      merchantTypes: ["hotel"],
+    },
+    {
+      id: "travel",
+      label: "Travel",
+      glCode: "6200",
+      keywords: [
+        "airlines", "airline", "airways", "air", "taxi", "cab", "uber", "lyft", "rail",
+        "amtrak", "parking", "fuel", "gas", "shell", "chevron", "exxon", "rental", "hertz", "avis",
+      ],
+      merchantTypes: ["gas", "parking"],
+    },
+    {
+      id: "supplies",
+      label: "Office supplies",
+      glCode: "6300",
+      keywords: ["office", "staples", "depot", "supplies", "stationery", "print", "printing"],
+      merchantTypes: [],
+    },
+    {
+      id: "other",
+      label: "Other",
+      glCode: "6900",
+      keywords: [],
+      merchantTypes: [],
+    },
+  ],
+}
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/
+
+const isStringList = (v) => Array.isArray(v) && v.every((s) => typeof s === "string")
+
+/**
+ * Validate a rule table
+ * @param {Object} rules - { categories }
+ * @returns {Object} - Rules with missing lists filled in
+ * @throws {Error} - When the table is malformed
+ */
+export function validateCategoryRules(rules) {
+  if (!rules || !Array.isArray(rules.categories) || rules.categories.length === 0) {
+    throw new Error("Invalid category rules: expected a non-empty categories array")
+  }
+  const seen = new Set()
+  const categories = rules.categories.map((c, i) => {
+    if (!c || typeof c !== "object") throw new Error(`Invalid category at index ${i}`)
+    if (typeof c.id !== "string" || !ID_PATTERN.test(c.id)) {
+      throw new Error(`Invalid category id at index ${i}: use lowercase letters, digits, - or _`)
+    }
+    if (seen.has(c.id)) throw new Error(`Duplicate category id: ${c.id}`)
+    seen.add(c.id)
+    if (typeof c.glCode !== "string" || !c.glCode.trim()) {
+      throw new Error(`Missing glCode for category: ${c.id}`)
+    }
+    for (const key of ["keywords", "merchantTypes"]) {
+      if (c[key] !== undefined && !isStringList(c[key])) {
+        throw new Error(`Invalid ${key} for category ${c.id}: expected a list of strings`)
+      }
+    }
+    return {
+      id: c.id,
+      label: typeof c.label === "string" && c.label.trim() ? c.label : c.id,
+      glCode: c.glCode.trim(),
+      keywords: c.keywords || [],
+      merchantTypes: c.merchantTypes || [],
+    }
+  })
+  return { categories }
+}
+
+/**
+ * Load the rule table from a JSON file, or the defaults without one
+ * @param {string} [filePath] - Path to the rules file
+ * @returns {Promise<Object>} - Validated rules
+ * @throws {Error} - When the file cannot be read or is invalid
+ */
+export async function loadCategoryRules(filePath) {
+  if (!filePath) return validateCategoryRules(DEFAULT_CATEGORY_RULES)
+  let rules
+  try {
+    rules = JSON.parse(await fsp.readFile(filePath, "utf8"))
+  } catch (err) {
+    throw new Error(`Could not read category rules from ${filePath}: ${err.message}`)
+  }
+  return validateCategoryRules(rules)
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Whole-word, case-insensitive match that also works for words like "mcdonald's"
+function keywordPattern(keyword) {
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword.toLowerCase())}($|[^\\p{L}\\p{N}])`, "u")
+}
+
+export class Categorizer {
+  /**
+   * @param {Object} rules - Output of validateCategoryRules
+   */
+  constructor(rules) {
+    this.categories = rules.categories
+    this.rules = rules.categories.map((c) => ({
+      id: c.id,
+      keywords: c.keywords.map((k) => ({ keyword: k, pattern: keywordPattern(k) })),
+      merchantTypes: new Set(c.merchantTypes.map((t) => t.toLowerCase())),
+    }))
+  }
+
+  /**
+   * Categories as shown to users
+   * @returns {Array<Object>} - [{ id, label, glCode }]
+   */
+  list() {
+    return this.categories.map(({ id, label, glCode }) => ({ id, label, glCode }))
+  }
+
+  has(id) {
+    return this.categories.some((c) => c.id === id)
+  }
+
+  /**
+   * GL code of a category
+   * @param {string} id - Category id
+   * @returns {string|null}
+   */
+  glCode(id) {
+    return this.categories.find((c) => c.id === id)?.glCode || null
+  }
+
+  /**
+   * Suggest a category from the merchant type reported by OCR, falling back
+   * to keywords in the vendor name
+   * @param {Object} receipt
+   * @param {string} [receipt.vendor] - Vendor name
+   * @param {string} [receipt.merchantType] - Merchant type from OCR, e.g. "hotel"
+   * @returns {Object|null} - { category, source: "merchantType"|"vendor", match }
+   */
+  suggest({ vendor, merchantType } = {}) {
+    if (merchantType) {
+      const type = merchantType.toLowerCase()
+      const rule = this.rules.find((r) => r.merchantTypes.has(type))
+      if (rule) return { category: rule.id, source: "merchantType", match: merchantType }
+    }
+    if (vendor) {
+      const name = vendor.toLowerCase()
+      for (const rule of this.rules) {
+        const hit = rule.keywords.find(({ pattern }) => pattern.test(name))
+        if (hit) return { category: rule.id, source: "vendor", match: hit.keyword }
+      }
+    }
+    return null
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Arithmetic consistency checks for receipt totals. OCR often misreads a
+ * single digit, which shows up as totals that no longer add up.
+ */
+
+export const CONSISTENCY_CODES = {
+  TOTAL_MISMATCH: "total_mismatch",
+  ITEMS_MISMATCH: "items_mismatch",
+  LINE_MISMATCH: "line_mismatch",
+}
+
+const MAX_OVERRIDE_REASON = 500
+
+const round = (n) => Math.round(n * 100) / 100
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v)
+
+/**
+ * Check that subtotal + tax = total, that line items sum to the subtotal and
+ * that each line's quantity × unit price matches its line total
+ * @param {Object} fields - Sanitized receipt fields (see validateFields)
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Allowed rounding difference
+ * @returns {Array<Object>} - Issues as { code, fields, expected, actual, message }
+ */
+export function checkTotals(fields, { tolerance = 0.02 } = {}) {
+  const issues = []
+  const { subtotal, tax, total } = fields || {}
+  const items = Array.isArray(fields?.items) ? fields.items : []
+  const differs = (a, b) => Math.abs(a - b) > tolerance + 1e-9
+
+  if (isNumber(subtotal) && isNumber(tax) && isNumber(total)) {
+    const expected = round(subtotal + tax)
+    if (differs(expected, total)) {
+      issues.push({
+        code: CONSISTENCY_CODES.TOTAL_MISMATCH,
+        fields: ["subtotal", "tax", "total"],
+        expected,
+        actual: total,
+        message: `Subtotal + tax is ${expected.toFixed(2)} but total is ${total.toFixed(2)}`,
+      })
+    }
+  }
+
+  const lineTotals = items.map((item) => item.totalPrice).filter(isNumber)
+  // Without a subtotal, items are compared to the total when there is no tax
+  const target = isNumber(subtotal) ? subtotal : !isNumber(tax) ? total : null
+  if (lineTotals.length > 0 && isNumber(target)) {
+    const sum = round(lineTotals.reduce((a, b) => a + b, 0))
+    const field = isNumber(subtotal) ? "subtotal" : "total"
+    if (differs(sum, target)) {
+      issues.push({
+        code: CONSISTENCY_CODES.ITEMS_MISMATCH,
+        fields: ["items", field],
+        expected: sum,
+        actual: target,
+        message: `Line items add up to ${sum.toFixed(2)} but ${field} is ${target.toFixed(2)}`,
+      })
+    }
+  }
+
+  items.forEach((item, i) => {
+    const { quantity, unitPrice, totalPrice } = item
+    if (!isNumber(quantity) || !isNumber(unitPrice) || !isNumber(totalPrice)) return
+    const expected = round(quantity * unitPrice)
+    if (differs(expected, totalPrice)) {
+      issues.push({
+        code: CONSISTENCY_CODES.LINE_MISMATCH,
+        fields: [`items.${i}.totalPrice`],
+        expected,
+        actual: totalPrice,
+        message: `Line ${i + 1}: ${quantity} × ${unitPrice.toFixed(2)} is ${expected.toFixed(2)} but line total is ${totalPrice.toFixed(2)}`,
+      })
+    }
+  })
+
+  return issues
+}
+
+/**
+ * Validate a user's override of consistency warnings
+ * @param {*} override - Submitted override, expected as { reason }
+ * @returns {Object|null} - Sanitized override or null when none was given
+ * @throws {Error} - When the override is malformed or has no reason
+ */
+export function validateOverride(override) {
+  if (override == null) return null
+  const reason = typeof override?.reason === "string" ? override.reason.trim() : ""
+  if (!reason) throw new Error("Override requires a reason")
+  if (reason.length > MAX_OVERRIDE_REASON) {
+    throw new Error(`Override reason is too long. Maximum is ${MAX_OVERRIDE_REASON} characters`)
+  }
+  return { reason }
+}
@@ -0,0 +1,111 @@
+import { RECEIPT_ID_REGEX } from "./ids.js"
+import { validateSignature } from "./attestation.js"
+
+/**
+ * Validation for saved drafts. Drafts hold work in progress, so field values
+ * are not checked against the receipt schema until submit; only the shape
+ * and size of the draft are.
+ */
+
+const RECEIPT_KEYS = [
+  "id",
+  "file",
+  "secureFile",
+  "fileIndex",
+  "fields",
+  "fieldMeta",
+  "pages",
+  "confidence",
+  "error",
+  "override",
+  "duplicate",
+  "acknowledgeDuplicate",
+  "justification",
+]
+
+const MAX_DRAFT_BYTES = 1024 * 1024
+const MAX_SIGNATURE_LENGTH = 200 * 1024
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v)
+
+/**
+ * Validate a draft sent by the client
+ * @param {Object} body - { receipts, files, signatureDataUrl, signature }
+ * @param {Object} options
+ * @param {number} options.maxReceipts - Most receipts a draft may hold
+ * @returns {Object} - Sanitized { receipts, files, signatureDataUrl, signature }
+ * @throws {Error} - When the draft is malformed or too large
+ */
+export function sanitizeDraft(body, { maxReceipts }) {
+  const { receipts, files = [], signatureDataUrl = null, signature = null } = body || {}
+
+  if (!Array.isArray(receipts) || receipts.length > maxReceipts) {
+    throw new Error(`Invalid receipts: expected an array of at most ${maxReceipts}`)
+  }
+  const sanitizedReceipts = receipts.map((r) => {
+    if (!isObject(r) || !RECEIPT_ID_REGEX.test(r.id)) {
+      throw new Error("Invalid receipt id")
+    }
+    if (r.fields !== undefined && !isObject(r.fields)) {
+      throw new Error("Invalid type for fields: expected object")
+    }
+    return Object.fromEntries(
+      RECEIPT_KEYS.filter((k) => r[k] !== undefined).map((k) => [k, r[k]]),
+    )
+  })
+
+  if (!Array.isArray(files) || files.length > maxReceipts) {
+    throw new Error(`Invalid files: expected an array of at most ${maxReceipts}`)
+  }
+  const sanitizedFiles = files.map((f) => {
+    if (!isObject(f) || typeof f.name !== "string" || f.name.length > 255) {
+      throw new Error("Invalid file")
+    }
+    return {
+      name: f.name,
+      type: typeof f.type === "string" ? f.type.slice(0, 100) : "",
+      size: Number.isFinite(f.size) ? f.size : null,
+    }
+  })
+
+  if (
+    signatureDataUrl !== null &&
+    (typeof signatureDataUrl !== "string" ||
+      !signatureDataUrl.startsWith("data:image/png;base64,") ||
+      signatureDataUrl.length > MAX_SIGNATURE_LENGTH)
+  ) {
+    throw new Error("Invalid signature")
+  }
+
+  const draft = {
+    receipts: sanitizedReceipts,
+    files: sanitizedFiles,
+    signatureDataUrl,
+    signature: validateSignature(signature),
+  }
+  if (Buffer.byteLength(JSON.stringify(draft)) > MAX_DRAFT_BYTES) {
+    throw new Error("Draft is too large")
+  }
+  return draft
+}
+
+/**
+ * Short description of a draft for the "My drafts" list
+ * @param {Object} draft - Stored draft
+ * @returns {Object} - { id, receiptCount, files, vendors, total, createdAt, updatedAt }
+ */
+export function summarizeDraft(draft) {
+  const total = draft.receipts.reduce((sum, r) => {
+    const n = Number(r.fields?.total)
+    return Number.isFinite(n) ? sum + n : sum
+  }, 0)
+  return {
+    id: draft.id,
+    receiptCount: draft.receipts.length,
+    files: draft.receipts.map((r) => r.file).filter(Boolean),
+    vendors: draft.receipts.map((r) => r.fields?.vendor).filter(Boolean),
+    total: total.toFixed(2),
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt,
+  }
+}
@@ -0,0 +1,213 @@
+import crypto from "crypto"
+import fs from "fs"
+
+/**
+ * Duplicate detection against receipts that were already submitted. A file
+ * with the same content hash is an exact duplicate; a receipt with a similar
+ * vendor, a nearby date and the same total is a likely duplicate (e.g. the
+ * same receipt photographed twice).
+ */
+
+export const DUPLICATE_STATUS = {
+  EXACT: "exact",
+  SIMILAR: "similar",
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Words that often differ between two readings of the same vendor name
+const VENDOR_NOISE = /\b(inc|llc|ltd|co|corp|company|store|the)\b/g
+
+/**
+ * Compute the SHA-256 hash of a file's contents
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256")
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+  })
+}
+
+function normalizeVendor(vendor) {
+  return String(vendor || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(VENDOR_NOISE, " ")
+    .replace(/\s+/g, "")
+}
+
+function bigrams(text) {
+  const grams = new Map()
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2)
+    grams.set(gram, (grams.get(gram) || 0) + 1)
+  }
+  return grams
+}
+
+/**
+ * Similarity of two vendor names from 0 to 1 (Dice coefficient on bigrams)
+ * @param {string} a - Vendor name
+ * @param {string} b - Vendor name
+ * @returns {number}
+ */
+export function vendorSimilarity(a, b) {
+  const x = normalizeVendor(a)
+  const y = normalizeVendor(b)
+  if (!x || !y) return 0
+  if (x === y) return 1
+  if (x.length < 2 || y.length < 2) return 0
+
+  const gx = bigrams(x)
+  const gy = bigrams(y)
+  let overlap = 0
+  for (const [gram, count] of gx) {
+    overlap += Math.min(count, gy.get(gram) || 0)
+  }
+  return (2 * overlap) / (x.length - 1 + (y.length - 1))
+}
+
+function shiftDate(isoDate, days) {
+  return new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+// Only what the client needs to recognise the earlier submission. Receipts
+// submitted by someone else are only flagged, without their details.
+function toMatch(record, reason, owner) {
+  if ((record.owner ?? null) !== (owner ?? null)) {
+    return { reason, byAnotherUser: true }
+  }
+  return {
+    reason,
+    itemId: record.itemId ?? null,
+    submissionId: record.submissionId ?? null,
+    submittedAt: record.submittedAt ?? null,
+    vendor: record.vendor ?? null,
+    transactionDate: record.transactionDate ?? null,
+    total: record.total ?? null,
+    currency: record.currency ?? null,
+  }
+}
+
+export class DuplicateDetector {
+  /**
+   * @param {Object} store - Duplicate index (see stores/duplicateStore.js)
+   * @param {Object} [options]
+   * @param {number} [options.dateWindowDays] - Days either side of the date that still match
+   * @param {number} [options.amountTolerance] - Allowed difference between totals
+   * @param {number} [options.vendorThreshold] - Minimum vendor similarity (0-1)
+   * @param {Function} [options.ignore] - Async (record) => boolean, true for
+   *   indexed receipts that no longer count, e.g. rejected ones that may be
+   *   submitted again
+   */
+  constructor(
+    store,
+    { dateWindowDays = 1, amountTolerance = 0.01, vendorThreshold = 0.8, ignore = async () => false } = {},
+  ) {
+    this.store = store
+    this.dateWindowDays = dateWindowDays
+    this.amountTolerance = amountTolerance
+    this.vendorThreshold = vendorThreshold
+    this.ignore = ignore
+  }
+
+  /**
+   * Look for earlier submissions of a receipt
+   * @param {Object} receipt
+   * @param {string} [receipt.hash] - Content hash of the receipt file
+   * @param {Object} [receipt.fields] - Typed receipt fields
+   * @param {string|null} [receipt.owner] - User checking; only their own
+   *   submissions are described in full
+   * @returns {Promise<Object|null>} - { status, matches } or null when unique
+   */
+  async check({ hash, fields, owner = null } = {}) {
+    const exact = await this.withoutIgnored(await this.store.findByHash(hash))
+    if (exact.length > 0) {
+      return {
+        status: DUPLICATE_STATUS.EXACT,
+        matches: exact.map((r) => toMatch(r, "file", owner)),
+      }
+    }
+
+    const similar = await this.withoutIgnored(await this.findSimilar(fields))
+    if (similar.length > 0) {
+      return {
+        status: DUPLICATE_STATUS.SIMILAR,
+        matches: similar.map((r) => toMatch(r, "fields", owner)),
+      }
+    }
+    return null
+  }
+
+  async withoutIgnored(records) {
+    const kept = []
+    for (const record of records) {
+      if (!(await this.ignore(record))) kept.push(record)
+    }
+    return kept
+  }
+
+  /**
+   * Find submitted receipts with a similar vendor, date and total
+   * @param {Object} [fields] - Typed receipt fields
+   * @returns {Promise<Array<Object>>} - Matching records
+   */
+  async findSimilar(fields) {
+    const { vendor, transactionDate, total, currency } = fields || {}
+    if (!vendor || typeof total !== "number" || typeof transactionDate !== "string") {
+      return []
+    }
+
+    const candidates = await this.store.findByDateRange(
+      shiftDate(transactionDate, -this.dateWindowDays),
+      shiftDate(transactionDate, this.dateWindowDays),
+    )
+    return candidates.filter(
+      (r) =>
+        typeof r.total === "number" &&
+        Math.abs(r.total - total) <= this.amountTolerance + 1e-9 &&
+        (!currency || !r.currency || r.currency === currency) &&
+        vendorSimilarity(r.vendor, vendor) >= this.vendorThreshold,
+    )
+  }
+
+  /**
+   * Add a submitted receipt to the index
+   * @param {Object} entry
+   * @param {string} [entry.hash] - Content hash of the receipt file
+   * @param {Object} entry.fields - Typed receipt fields
+   * @param {string} entry.submissionId - Submission of the receipt; its list
+   *   item id is filled in by setItemId once delivered
+   * @param {string|null} entry.owner - Submitting user (oid)
+   * @param {string} [entry.batchId] - Upload batch the file came from
+   * @param {string} [entry.receiptId] - Receipt id within the batch
+   * @returns {Promise<void>}
+   */
+  async record({ hash, fields, ...columns }) {
+    await this.store.add({
+      hash: hash || null,
+      itemId: null,
+      vendor: fields.vendor ?? null,
+      transactionDate: fields.transactionDate ?? null,
+      total: fields.total ?? null,
+      currency: fields.currency ?? null,
+      ...columns,
+      submittedAt: new Date().toISOString(),
+    })
+  }
+
+  /**
+   * Record the list item created for a submitted receipt
+   * @param {string} submissionId
+   * @param {string} itemId
+   * @returns {Promise<void>}
+   */
+  async setItemId(submissionId, itemId) {
+    await this.store.setItemId(submissionId, itemId)
+  }
+}
@@ -0,0 +1,272 @@
+import { listItemColumns } from "./listColumns.js"
+
+/**
+ * Accounting exports of submitted receipts. Each submission becomes a row of
+ * the same columns the submission sink writes, which is then
+ * rendered as CSV (every column), OFX (a card statement of debits) or
+ * QuickBooks IIF (journal entries from a payable account to the expense
+ * account of the receipt's GL code).
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ofx: { contentType: "application/x-ofx", extension: "ofx" },
+  iif: { contentType: "application/x-iif", extension: "iif" },
+}
+
+// CSV column order; list columns that are not known here are appended
+const CSV_COLUMNS = [
+  "submissionId",
+  "itemId",
+  "submittedAt",
+  "submitter",
+  "status",
+  "vendor",
+  "transactionDate",
+  "total",
+  "currency",
+  "subtotal",
+  "tax",
+  "merchantAddress",
+  "merchantPhone",
+  "category",
+  "glCode",
+  "items",
+  "originalAmount",
+  "originalCurrency",
+  "homeAmount",
+  "homeCurrency",
+  "fxRate",
+  "fxRateDate",
+  "overrideReason",
+  "policyJustification",
+  "batchId",
+  "attestationHash",
+  "signedAt",
+]
+
+/**
+ * Export row of a stored submission
+ * @param {Object} submission - Stored submission (see approvals.js)
+ * @param {Object} [options]
+ * @param {string} [options.glCode] - GL code of the submission's category
+ * @returns {Object} - List columns plus submissionId, itemId, submittedAt and submitter
+ */
+export function toExportRow(submission, { glCode } = {}) {
+  return {
+    submissionId: submission.id,
+    itemId: submission.itemId,
+    submittedAt: submission.submittedAt,
+    submitter: submission.ownerName || submission.owner,
+    ...listItemColumns({
+      fields: submission.fields,
+      batchId: submission.batchId,
+      overrideReason: submission.overrideReason,
+      glCode,
+      justification: submission.justification,
+      conversion: submission.conversion,
+      attestationHash: submission.attestationHash,
+      signedAt: submission.signedAt,
+      status: submission.status,
+    }),
+  }
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+function csvCell(value) {
+  if (value == null) return ""
+  let text = String(value)
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Render rows as CSV, with a byte order mark so spreadsheets read UTF-8
+ * @param {Array<Object>} rows - Output of toExportRow
+ * @returns {string}
+ */
+export function exportCsv(rows) {
+  const extra = [...new Set(rows.flatMap(Object.keys))].filter((k) => !CSV_COLUMNS.includes(k))
+  const columns = [...CSV_COLUMNS, ...extra]
+  const lines = [columns.join(","), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(","))]
+  return `\uFEFF${lines.join("\r\n")}\r\n`
+}
+
+// Amount and currency booked for a row: the home currency total when converted
+function booking(row, defaultCurrency) {
+  const amount = row.homeAmount ?? row.total
+  if (amount == null) return null
+  return {
+    amount,
+    currency: row.homeCurrency || row.currency || defaultCurrency,
+    date: row.transactionDate || row.submittedAt.slice(0, 10),
+  }
+}
+
+// Bookable rows in one currency; rows without a total cannot be booked
+function bookings(rows, format, defaultCurrency) {
+  const booked = []
+  let skipped = 0
+  for (const row of rows) {
+    const b = booking(row, defaultCurrency)
+    if (b) booked.push({ row, ...b })
+    else skipped++
+  }
+  const currencies = [...new Set(booked.map((b) => b.currency || "unknown"))]
+  if (currencies.length > 1) {
+    throw new Error(
+      `${format} files hold a single currency, but these receipts are in ${currencies.sort().join(", ")}. ` +
+        "Configure FX_RATES_FILE so totals are converted to the home currency.",
+    )
+  }
+  return { booked, skipped, currency: currencies[0] || defaultCurrency }
+}
+
+// OFX 1.x files are plain ASCII
+const ascii = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "?")
+
+const sgml = (text, max) =>
+  ascii(text)
+    .slice(0, max)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+
+const ofxDate = (iso) => iso.replace(/-/g, "")
+
+/**
+ * Render rows as an OFX 1.0.2 credit card statement with one debit per receipt
+ * @param {Array<Object>} rows - Output of toExportRow
+ * @param {Object} [options]
+ * @param {string} [options.accountId] - Statement account id
+ * @param {string} [options.from] - Statement start, YYYY-MM-DD
+ * @param {string} [options.to] - Statement end, YYYY-MM-DD
+ * @param {string} [options.defaultCurrency] - Currency of receipts without one
+ * @param {Date} [options.now]
+ * @returns {{ body: string, skipped: number }} - skipped counts rows without a total
+ * @throws {Error} - When the receipts are in more than one currency
+ */
+export function exportOfx(rows, { accountId = "RECEIPTS", from, to, defaultCurrency = "USD", now = new Date() } = {}) {
+  const { booked, skipped, currency } = bookings(rows, "OFX", defaultCurrency)
+  const dates = booked.map((b) => b.date).sort()
+  const start = from || dates[0] || now.toISOString().slice(0, 10)
+  const end = to || dates.at(-1) || now.toISOString().slice(0, 10)
+  const serverTime = now.toISOString().replace(/[-:T]/g, "").slice(0, 14)
+  const balance = booked.reduce((sum, b) => sum + b.amount, 0)
+
+  const transactions = booked.map(({ row, amount, date }) =>
+    [
+      "<STMTTRN>",
+      "<TRNTYPE>DEBIT",
+      `<DTPOSTED>${ofxDate(date)}`,
+      `<TRNAMT>${(-amount).toFixed(2)}`,
+      `<FITID>${sgml(row.submissionId, 255)}`,
+      `<NAME>${sgml(row.vendor || "Receipt", 32)}`,
+      `<MEMO>${sgml([row.glCode && `GL ${row.glCode}`, row.category, row.submitter].filter(Boolean).join(" / "), 255)}`,
+      "</STMTTRN>",
+    ].join("\n"),
+  )
+
+  const body = [
+    "OFXHEADER:100",
+    "DATA:OFXSGML",
+    "VERSION:102",
+    "SECURITY:NONE",
+    "ENCODING:USASCII",
+    "CHARSET:1252",
+    "COMPRESSION:NONE",
+    "OLDFILEUID:NONE",
+    "NEWFILEUID:NONE",
+    "",
+    "<OFX>",
+    "<SIGNONMSGSRSV1><SONRS>",
+    "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+    `<DTSERVER>${serverTime}`,
+    "<LANGUAGE>ENG",
+    "</SONRS></SIGNONMSGSRSV1>",
+    "<CREDITCARDMSGSRSV1><CCSTMTTRNRS>",
+    "<TRNUID>0",
+    "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+    "<CCSTMTRS>",
+    `<CURDEF>${currency}`,
+    `<CCACCTFROM><ACCTID>${sgml(accountId, 22)}</CCACCTFROM>`,
+    "<BANKTRANLIST>",
+    `<DTSTART>${ofxDate(start)}`,
+    `<DTEND>${ofxDate(end)}`,
+    ...transactions,
+    "</BANKTRANLIST>",
+    `<LEDGERBAL><BALAMT>${(-balance).toFixed(2)}<DTASOF>${serverTime}</LEDGERBAL>`,
+    "</CCSTMTRS>",
+    "</CCSTMTTRNRS></CREDITCARDMSGSRSV1>",
+    "</OFX>",
+    "",
+  ].join("\n")
+  return { body, skipped }
+}
+
+// IIF is tab separated; tabs, line breaks and quotes would break the row
+const iifCell = (value) =>
+  String(value ?? "")
+    .replace(/[\t\r\n]+/g, " ")
+    .replace(/"/g, "'")
+
+const iifDate = (iso) => `${iso.slice(5, 7)}/${iso.slice(8, 10)}/${iso.slice(0, 4)}`
+
+/**
+ * Render rows as QuickBooks IIF general journal entries: the payable account
+ * is credited and the expense account of the receipt's GL code debited
+ * @param {Array<Object>} rows - Output of toExportRow
+ * @param {Object} [options]
+ * @param {string} [options.payableAccount] - Account owed to the employees
+ * @param {string} [options.expenseAccount] - Account for receipts without a GL code
+ * @param {string} [options.defaultCurrency] - Currency of receipts without one
+ * @returns {{ body: string, skipped: number }} - skipped counts rows without a total
+ * @throws {Error} - When the receipts are in more than one currency
+ */
+export function exportIif(
+  rows,
+  {
+    payableAccount = "Employee Reimbursements Payable",
+    expenseAccount = "Uncategorized Expenses",
+    defaultCurrency = "USD",
+  } = {},
+) {
+  const { booked, skipped } = bookings(rows, "IIF", defaultCurrency)
+  const columns = ["TRNSTYPE", "DATE", "ACCNT", "NAME", "AMOUNT", "DOCNUM", "MEMO"]
+  const lines = [`!TRNS\t${columns.join("\t")}`, `!SPL\t${columns.join("\t")}`, "!ENDTRNS"]
+  for (const { row, amount, date } of booked) {
+    const name = iifCell(row.vendor || "Receipt")
+    const memo = iifCell([row.category, row.submitter].filter(Boolean).join(" / "))
+    const line = (type, account, value) =>
+      [type, "GENERAL JOURNAL", iifDate(date), iifCell(account), name, value.toFixed(2), iifCell(row.itemId), memo].join("\t")
+    lines.push(line("TRNS", payableAccount, -amount), line("SPL", row.glCode || expenseAccount, amount), "ENDTRNS")
+  }
+  return { body: `${lines.join("\r\n")}\r\n`, skipped }
+}
+
+/**
+ * Render rows in one of EXPORT_FORMATS
+ * @param {string} format - "csv", "ofx" or "iif"
+ * @param {Array<Object>} rows - Output of toExportRow
+ * @param {Object} [options] - Passed to the format's renderer
+ * @returns {{ body: string, skipped: number }}
+ * @throws {Error} - For an unknown format or receipts that cannot be exported in it
+ */
+export function renderExport(format, rows, options = {}) {
+  switch (format) {
+    case "csv":
+      return { body: exportCsv(rows), skipped: 0 }
+    case "ofx":
+      return exportOfx(rows, options)
+    case "iif":
+      return exportIif(rows, options)
+    default:
+      throw new Error(`Invalid format: expected one of ${Object.keys(EXPORT_FORMATS).join(", ")}`)
+  }
+}
@@ -0,0 +1,217 @@
+import { promises as fsp } from "fs"
+import path from "path"
+import { isCurrencyCode, isIsoDate } from "./normalize.js"
+
+/**
+ * Conversion of receipt totals into the home currency using exchange rates
+ * for the transaction date.
+ *
+ * Rates come from a provider. Every provider exposes `name` and
+ * `getRate(from, to, date)`, which resolves to { rate, date } (1 `from` =
+ * `rate` `to`, published on `date`) or null when it has no usable rate.
+ * TableRateProvider serves a rate table loaded from a local file
+ * (FX_RATES_FILE), either CSV with a header row:
+ *
+ *   date,base,quote,rate
+ *   2024-06-03,EUR,USD,1.0842
+ *
+ * or JSON shaped like { "rates": [{ "date", "base", "quote", "rate" }] }.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const RATE_COLUMNS = ["date", "base", "quote", "rate"]
+
+const round = (n, places) => Math.round(n * 10 ** places) / 10 ** places
+
+/**
+ * Validate one rate entry
+ * @param {Object} entry - { date, base, quote, rate }
+ * @param {string} where - Location for error messages, e.g. "line 3"
+ * @returns {Object} - Entry with a numeric rate
+ * @throws {Error} - When the entry is malformed
+ */
+function validateRate(entry, where) {
+  const { date, base, quote } = entry || {}
+  const rate = typeof entry?.rate === "string" ? Number(entry.rate) : entry?.rate
+  if (!isIsoDate(date)) throw new Error(`Invalid exchange rate at ${where}: date must be YYYY-MM-DD`)
+  if (!isCurrencyCode(base) || !isCurrencyCode(quote) || base === quote) {
+    throw new Error(`Invalid exchange rate at ${where}: base and quote must be different ISO 4217 codes`)
+  }
+  if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+    throw new Error(`Invalid exchange rate at ${where}: rate must be a positive number`)
+  }
+  return { date, base, quote, rate }
+}
+
+/**
+ * Parse a CSV rate table. The header names the date, base, quote and rate
+ * columns in any order; blank lines and lines starting with # are skipped.
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} - [{ date, base, quote, rate }]
+ * @throws {Error} - When a column is missing or a row is malformed
+ */
+export function parseRatesCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line, i) => ({ number: i + 1, cells: line.split(",").map((c) => c.trim()) }))
+    .filter(({ cells }) => cells.join("") !== "" && !cells[0].startsWith("#"))
+  if (lines.length === 0) return []
+  const header = lines[0].cells.map((c) => c.toLowerCase())
+  const index = Object.fromEntries(RATE_COLUMNS.map((col) => [col, header.indexOf(col)]))
+  const missing = RATE_COLUMNS.filter((col) => index[col] === -1)
+  if (missing.length > 0) {
+    throw new Error(`Invalid exchange rate table: missing column ${missing.join(", ")}`)
+  }
+  return lines.slice(1).map(({ number, cells }) =>
+    validateRate(
+      Object.fromEntries(RATE_COLUMNS.map((col) => [col, cells[index[col]]])),
+      `line ${number}`,
+    ),
+  )
+}
+
+/**
+ * Validate a JSON rate table
+ * @param {Object} table - { rates }
+ * @returns {Array<Object>} - [{ date, base, quote, rate }]
+ * @throws {Error} - When an entry is malformed
+ */
+export function parseRatesJson(table) {
+  if (!table || !Array.isArray(table.rates)) {
+    throw new Error("Invalid exchange rate table: expected a rates array")
+  }
+  return table.rates.map((entry, i) => validateRate(entry, `index ${i}`))
+}
+
+/**
+ * Load a rate table from a .csv or .json file
+ * @param {string} filePath - Path to the rate table
+ * @returns {Promise<Array<Object>>} - [{ date, base, quote, rate }]
+ * @throws {Error} - When the file cannot be read or is invalid
+ */
+export async function loadRateTable(filePath) {
+  const csv = path.extname(filePath).toLowerCase() === ".csv"
+  let content
+  try {
+    content = await fsp.readFile(filePath, "utf8")
+    if (!csv) content = JSON.parse(content)
+  } catch (err) {
+    throw new Error(`Could not read exchange rates from ${filePath}: ${err.message}`)
+  }
+  return csv ? parseRatesCsv(content) : parseRatesJson(content)
+}
+
+/**
+ * Rates from a local table. A transaction date without a published rate
+ * (weekends, holidays) uses the most recent earlier rate, up to
+ * `maxAgeDays` old. Inverse pairs are derived, and pairs the table does not
+ * list directly are crossed through a common currency.
+ */
+export class TableRateProvider {
+  /**
+   * @param {Array<Object>} rates - Output of loadRateTable
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeDays] - Oldest rate accepted for a date
+   */
+  constructor(rates = [], { maxAgeDays = 7 } = {}) {
+    this.name = "table"
+    this.maxAgeDays = maxAgeDays
+    this.pairs = new Map()
+    for (const { date, base, quote, rate } of rates) {
+      const key = `${base}/${quote}`
+      if (!this.pairs.has(key)) this.pairs.set(key, [])
+      this.pairs.get(key).push({ date, rate })
+    }
+    // Later entries for the same pair and date replace earlier ones
+    for (const [key, list] of this.pairs) {
+      const byDate = new Map(list.map((r) => [r.date, r]))
+      this.pairs.set(key, [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)))
+    }
+    this.currencies = [...new Set(rates.flatMap((r) => [r.base, r.quote]))]
+  }
+
+  // Latest listed rate for base/quote on or before `date`, or null
+  listed(base, quote, date) {
+    const list = this.pairs.get(`${base}/${quote}`)
+    if (!list) return null
+    let found = null
+    for (const entry of list) {
+      if (entry.date > date) break
+      found = entry
+    }
+    if (!found) return null
+    const age = (Date.parse(`${date}T00:00:00Z`) - Date.parse(`${found.date}T00:00:00Z`)) / DAY_MS
+    return age <= this.maxAgeDays ? found : null
+  }
+
+  // Listed or inverse rate for a pair
+  direct(from, to, date) {
+    const listed = this.listed(from, to, date)
+    if (listed) return { rate: listed.rate, date: listed.date }
+    const inverse = this.listed(to, from, date)
+    if (inverse) return { rate: round(1 / inverse.rate, 8), date: inverse.date }
+    return null
+  }
+
+  async getRate(from, to, date) {
+    if (from === to) return { rate: 1, date }
+    const rate = this.direct(from, to, date)
+    if (rate) return rate
+    for (const via of this.currencies) {
+      if (via === from || via === to) continue
+      const first = this.direct(from, via, date)
+      const second = first && this.direct(via, to, date)
+      if (second) {
+        return {
+          rate: round(first.rate * second.rate, 8),
+          date: first.date < second.date ? first.date : second.date,
+        }
+      }
+    }
+    return null
+  }
+}
+
+export class CurrencyConverter {
+  /**
+   * @param {Object} provider - Rate provider (see TableRateProvider)
+   * @param {Object} options
+   * @param {string} options.homeCurrency - Currency totals are converted to
+   */
+  constructor(provider, { homeCurrency }) {
+    if (!isCurrencyCode(homeCurrency)) {
+      throw new Error(`Invalid home currency: ${homeCurrency}`)
+    }
+    this.provider = provider
+    this.homeCurrency = homeCurrency
+  }
+
+  /**
+   * Convert a receipt's total into the home currency. Receipts without a
+   * currency are taken to be in the home currency; receipts without a date
+   * use today's rate.
+   * @param {Object} fields - Sanitized receipt fields
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time for undated receipts
+   * @returns {Promise<Object|null>} - { originalAmount, originalCurrency,
+   *   amount, currency, rate, rateDate }, or null without a total
+   * @throws {Error} - When no rate is available for the date
+   */
+  async convert(fields, { now = new Date() } = {}) {
+    if (typeof fields.total !== "number") return null
+    const from = fields.currency || this.homeCurrency
+    const date = fields.transactionDate || now.toISOString().slice(0, 10)
+    const found = await this.provider.getRate(from, this.homeCurrency, date)
+    if (!found) {
+      throw new Error(`No exchange rate from ${from} to ${this.homeCurrency} for ${date}`)
+    }
+    return {
+      originalAmount: fields.total,
+      originalCurrency: from,
+      amount: round(fields.total * found.rate, 2),
+      currency: this.homeCurrency,
+      rate: found.rate,
+      rateDate: found.date,
+    }
+  }
+}
@@ -0,0 +1,251 @@
+import fetch from "node-fetch"
+
+/**
+ * Microsoft Graph client for app-only calls (client credentials flow).
+ * Tokens are cached until shortly before they expire. Throttled requests
+ * (429, 503, 504) are retried after the Retry-After the service asks for,
+ * or with exponential backoff when it gives none. Files over 4 MB are sent
+ * through an upload session in chunks, as Graph requires.
+ */
+
+// Graph rejects simple uploads over 4 MB
+export const SIMPLE_UPLOAD_LIMIT = 4 * 1024 * 1024
+// Upload session chunks must be multiples of 320 KiB
+const CHUNK_UNIT = 320 * 1024
+
+const RETRY_STATUSES = [429, 503, 504]
+
+export class GraphError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {number} details.status - HTTP status of the last response
+   * @param {string} [details.body] - Response text
+   */
+  constructor(message, { status, body = "" }) {
+    super(message)
+    this.name = "GraphError"
+    this.status = status
+    this.body = body
+  }
+}
+
+/**
+ * Delay a Retry-After header asks for: seconds, or an HTTP date
+ * @param {string|null} value
+ * @param {number} [now]
+ * @returns {number|null} - Milliseconds, or null without a usable header
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000
+  const at = Date.parse(value)
+  return Number.isNaN(at) ? null : Math.max(0, at - now)
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+export class GraphClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.tenantId - Home tenant of the app registration
+   * @param {string} options.clientId
+   * @param {string} options.clientSecret
+   * @param {string} [options.authorityUrl] - Identity platform root
+   * @param {string} [options.graphUrl] - Graph API root
+   * @param {number} [options.maxRetries] - Retries of a throttled request
+   * @param {number} [options.baseDelayMs] - First backoff when no Retry-After is given
+   * @param {number} [options.maxDelayMs] - Longest wait before a retry
+   * @param {number} [options.refreshMarginMs] - Tokens are renewed this long before they expire
+   * @param {number} [options.chunkSize] - Upload session chunk, rounded down to 320 KiB
+   * @param {Function} [options.sleep] - Async (ms) => void, replaced in tests
+   */
+  constructor({
+    tenantId,
+    clientId,
+    clientSecret,
+    authorityUrl = "https://login.microsoftonline.com",
+    graphUrl = "https://graph.microsoft.com/v1.0",
+    maxRetries = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 60 * 1000,
+    refreshMarginMs = 5 * 60 * 1000,
+    chunkSize = 10 * CHUNK_UNIT,
+    sleep = wait,
+  } = {}) {
+    this.tenantId = tenantId
+    this.clientId = clientId
+    this.clientSecret = clientSecret
+    this.authorityUrl = authorityUrl
+    this.graphUrl = graphUrl
+    this.maxRetries = maxRetries
+    this.baseDelayMs = baseDelayMs
+    this.maxDelayMs = maxDelayMs
+    this.refreshMarginMs = refreshMarginMs
+    this.chunkSize = Math.max(CHUNK_UNIT, Math.floor(chunkSize / CHUNK_UNIT) * CHUNK_UNIT)
+    this.sleep = sleep
+    this.token = null
+    this.pendingToken = null
+  }
+
+  get configured() {
+    return Boolean(this.tenantId && this.clientId && this.clientSecret)
+  }
+
+  /**
+   * An app-only access token, from the cache while it is still fresh.
+   * Concurrent callers share one token request.
+   * @returns {Promise<string|null>} - null when no credentials are configured
+   */
+  async getToken() {
+    if (!this.configured) return null
+    if (this.token && Date.now() < this.token.expiresAt - this.refreshMarginMs) {
+      return this.token.value
+    }
+    if (!this.pendingToken) {
+      this.pendingToken = this._fetchToken().finally(() => {
+        this.pendingToken = null
+      })
+    }
+    return this.pendingToken
+  }
+
+  async _fetchToken() {
+    const body = new URLSearchParams({
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      scope: "https://graph.microsoft.com/.default",
+      grant_type: "client_credentials",
+    })
+    const r = await this._send(
+      `${this.authorityUrl}/${encodeURIComponent(this.tenantId)}/oauth2/v2.0/token`,
+      { method: "POST", headers: { "Content-Type": "application/x-www-form-urlencoded" }, body },
+    )
+    if (!r.ok) {
+      const errorText = await r.text()
+      throw new GraphError(`Token request failed: ${r.status} ${errorText}`, { status: r.status, body: errorText })
+    }
+    const j = await r.json()
+    this.token = { value: j.access_token, expiresAt: Date.now() + (Number(j.expires_in) || 3600) * 1000 }
+    return this.token.value
+  }
+
+  /** Forget the cached token, e.g. after Graph rejected it */
+  clearToken() {
+    this.token = null
+  }
+
+  /**
+   * Wait before retry `attempt` (1-based)
+   * @param {Object} response - The throttled response
+   * @param {number} attempt
+   * @returns {number} - Milliseconds
+   */
+  retryDelay(response, attempt) {
+    const asked = parseRetryAfter(response.headers.get("retry-after"))
+    return Math.min(this.maxDelayMs, asked ?? this.baseDelayMs * 2 ** (attempt - 1))
+  }
+
+  // fetch, retrying throttled responses
+  async _send(url, options) {
+    for (let attempt = 1; ; attempt++) {
+      const r = await fetch(url, options)
+      if (!RETRY_STATUSES.includes(r.status) || attempt > this.maxRetries) return r
+      const delay = this.retryDelay(r, attempt)
+      await r.text()
+      console.warn(`Graph answered ${r.status}; retrying in ${delay} ms`)
+      await this.sleep(delay)
+    }
+  }
+
+  /**
+   * Call Graph with the app token
+   * @param {string} path - Path under graphUrl, e.g. "/sites/{id}/lists/{id}/items"
+   * @param {Object} [options]
+   * @param {string} [options.method]
+   * @param {Object} [options.json] - Request body sent as JSON
+   * @param {Buffer} [options.body] - Raw request body
+   * @param {string} [options.label] - Name of the operation for error messages
+   * @returns {Promise<Object|null>} - Parsed JSON response, or null for an empty one
+   * @throws {GraphError}
+   */
+  async request(path, { method = "GET", json, body, label = "Graph request" } = {}) {
+    for (let renewed = false; ; renewed = true) {
+      const token = await this.getToken()
+      if (!token) throw new Error("Graph credentials are not configured")
+      const r = await this._send(`${this.graphUrl}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(json !== undefined && { "Content-Type": "application/json" }),
+        },
+        body: json !== undefined ? JSON.stringify(json) : body,
+      })
+      // A token revoked or expired early gets one fresh try
+      if (r.status === 401 && !renewed) {
+        await r.text()
+        this.clearToken()
+        continue
+      }
+      const text = await r.text()
+      if (!r.ok) throw new GraphError(`${label} failed: ${r.status} ${text}`, { status: r.status, body: text })
+      return text ? JSON.parse(text) : null
+    }
+  }
+
+  /**
+   * Upload a file to a drive item path, through an upload session when it
+   * is over SIMPLE_UPLOAD_LIMIT
+   * @param {string} path - Path of the file under graphUrl, without the
+   *   trailing ":/content", e.g. "/sites/{id}/lists/{id}/items/{id}/driveItem/children/{name}:"
+   * @param {Buffer} data
+   * @param {Object} [options]
+   * @param {string} [options.label] - Name of the operation for error messages
+   * @returns {Promise<Object>} - The created driveItem
+   * @throws {GraphError}
+   */
+  async upload(path, data, { label = "Upload" } = {}) {
+    if (data.length <= SIMPLE_UPLOAD_LIMIT) {
+      return this.request(`${path}/content`, { method: "PUT", body: data, label })
+    }
+    const session = await this.request(`${path}/createUploadSession`, {
+      method: "POST",
+      json: { item: { "@microsoft.graph.conflictBehavior": "replace" } },
+      label,
+    })
+    try {
+      return await this._uploadChunks(session.uploadUrl, data, label)
+    } catch (err) {
+      // Best effort: an abandoned session expires on its own anyway
+      await fetch(session.uploadUrl, { method: "DELETE" }).catch(() => {})
+      throw err
+    }
+  }
+
+  // The upload URL is pre-authenticated and must not get the bearer token
+  async _uploadChunks(uploadUrl, data, label) {
+    let start = 0
+    for (;;) {
+      const end = Math.min(start + this.chunkSize, data.length)
+      const r = await this._send(uploadUrl, {
+        method: "PUT",
+        headers: {
+          "Content-Length": String(end - start),
+          "Content-Range": `bytes ${start}-${end - 1}/${data.length}`,
+        },
+        body: data.subarray(start, end),
+      })
+      const text = await r.text()
+      if (!r.ok) throw new GraphError(`${label} failed: ${r.status} ${text}`, { status: r.status, body: text })
+      const result = text ? JSON.parse(text) : {}
+      // 200 or 201 once the last byte is in
+      if (r.status !== 202) return result
+      // The service says which bytes it still needs, e.g. ["3276800-"]
+      const next = parseInt(result.nextExpectedRanges?.[0], 10)
+      start = Number.isNaN(next) ? end : next
+      if (start >= data.length) {
+        throw new GraphError(`${label} failed: upload session did not complete`, { status: r.status, body: text })
+      }
+    }
+  }
+}
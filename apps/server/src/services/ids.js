@@ -0,0 +1,16 @@
+/**
+ * Identifiers shared by routes and stores
+ */
+
+export const BATCH_ID_REGEX = /^batch-[0-9]+-[a-z0-9]+$/
+
+// Receipt ids are the UUID part of the secure filename assigned at upload
+export const RECEIPT_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+/**
+ * Create an id for a new upload batch
+ * @returns {string}
+ */
+export function newBatchId() {
+  return `batch-${Date.now()}-${Math.random().toString(36).slice(2)}`
+}
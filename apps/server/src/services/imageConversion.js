@@ -0,0 +1,84 @@
+import { PDFDocument } from "pdf-lib"
+
+/**
+ * Conversion of receipt photos that OCR providers and the expense report
+ * cannot read as they are: HEIC/HEIF (iPhone photos), WebP and TIFF. Single
+ * images become JPEG; multi-page TIFF scans become a PDF with one page per
+ * image. The uploaded original stays the receipt's attachment.
+ */
+
+const JPEG_QUALITY = 90
+
+// ftyp brands of HEVC-coded HEIF images; mif1/msf1 are generic and are
+// only HEIC when a compatible brand says so
+const HEIC_BRANDS = ["heic", "heix", "heim", "heis", "hevc", "hevx", "hevm", "hevs"]
+const HEIF_BRANDS = ["mif1", "msf1"]
+
+/**
+ * Type of a file that needs converting, from its leading bytes
+ * @param {Buffer} data
+ * @returns {string|null} - "image/heic", "image/heif", "image/webp",
+ *   "image/tiff", or null for any other file
+ */
+export function detectConvertibleType(data) {
+  if (data.length < 12) return null
+  if (data.toString("latin1", 4, 8) === "ftyp") {
+    const size = Math.min(data.readUInt32BE(0), data.length)
+    const major = data.toString("latin1", 8, 12)
+    if (HEIC_BRANDS.includes(major)) return "image/heic"
+    if (HEIF_BRANDS.includes(major)) {
+      // Compatible brands follow the major brand and minor version
+      for (let offset = 16; offset + 4 <= size; offset += 4) {
+        if (HEIC_BRANDS.includes(data.toString("latin1", offset, offset + 4))) return "image/heif"
+      }
+    }
+    return null
+  }
+  if (data.toString("latin1", 0, 4) === "RIFF" && data.toString("latin1", 8, 12) === "WEBP") return "image/webp"
+  const order = data.toString("latin1", 0, 2)
+  if ((order === "II" && data.readUInt16LE(2) === 42) || (order === "MM" && data.readUInt16BE(2) === 42)) {
+    return "image/tiff"
+  }
+  return null
+}
+
+/**
+ * Convert a HEIC/HEIF, WebP or TIFF file into JPEG, or PDF for a TIFF
+ * with several pages
+ * @param {Buffer} data - The uploaded file
+ * @returns {Promise<Object|null>} - { data, mime, pages, from }, or null when
+ *   the file can be used as it is
+ * @throws {Error} - When the image cannot be decoded
+ */
+export async function convertReceiptFile(data) {
+  const from = detectConvertibleType(data)
+  if (!from) return null
+
+  if (from === "image/heic" || from === "image/heif") {
+    // libvips builds shipped with sharp decode AVIF but not HEVC
+    const { default: heicConvert } = await import("heic-convert")
+    const jpeg = await heicConvert({ buffer: data, format: "JPEG", quality: JPEG_QUALITY / 100 })
+    return { data: Buffer.from(jpeg), mime: "image/jpeg", pages: 1, from }
+  }
+
+  const { default: sharp } = await import("sharp")
+  const { pages = 1 } = await sharp(data).metadata()
+  if (pages === 1) {
+    // rotate() applies the EXIF/TIFF orientation
+    const jpeg = await sharp(data).rotate().jpeg({ quality: JPEG_QUALITY }).toBuffer()
+    return { data: jpeg, mime: "image/jpeg", pages: 1, from }
+  }
+
+  const doc = await PDFDocument.create()
+  for (let page = 0; page < pages; page++) {
+    const image = sharp(data, { page }).rotate()
+    const { density } = await sharp(data, { page }).metadata()
+    const { data: jpeg, info } = await image.jpeg({ quality: JPEG_QUALITY }).toBuffer({ resolveWithObject: true })
+    // Scans record their resolution; pages without one are laid out at 72 dpi
+    const scale = 72 / (density || 72)
+    const embedded = await doc.embedJpg(jpeg)
+    const pdfPage = doc.addPage([info.width * scale, info.height * scale])
+    pdfPage.drawImage(embedded, { x: 0, y: 0, width: info.width * scale, height: info.height * scale })
+  }
+  return { data: Buffer.from(await doc.save()), mime: "application/pdf", pages, from }
+}
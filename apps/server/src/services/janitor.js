@@ -0,0 +1,299 @@
+import { promises as fsp } from "fs"
+import path from "path"
+import { BATCH_ID_REGEX } from "./ids.js"
+import { readManifest } from "./batches.js"
+
+/**
+ * Retention for upload batches. Batches hold receipt images until they are
+ * submitted; abandoned ones are removed once they expire. Uploads that would
+ * go over quota are refused (see reserveQuota), and when a user or the whole
+ * server is over quota anyway the oldest batches without a saved draft are
+ * removed. Saved drafts are only removed once they expire.
+ *
+ * Removal reasons:
+ * - expired: older than the batch TTL (or the draft TTL when a draft was saved)
+ * - user_quota: the owner's batches use more than the per-user quota
+ * - total_quota: all batches together use more than the total quota
+ */
+
+export const REMOVAL_REASONS = {
+  EXPIRED: "expired",
+  USER_QUOTA: "user_quota",
+  TOTAL_QUOTA: "total_quota",
+}
+
+const HOUR_MS = 60 * 60 * 1000
+const MB = 1024 * 1024
+
+export class BatchJanitor {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Directory holding the batches (TMP_ROOT)
+   * @param {Object} [options.drafts] - Receipt store; batches with a draft use draftTtlMs
+   * @param {Object} [options.reports] - Cleanup report store; keeps reports of sweeps that removed something
+   * @param {number} [options.ttlMs] - Lifetime of a batch without a draft
+   * @param {number} [options.draftTtlMs] - Lifetime of a batch since its draft was last saved
+   * @param {number} [options.maxBytesPerUser] - Disk quota per owner
+   * @param {number} [options.maxBytesTotal] - Disk quota for all batches
+   * @param {number} [options.minAgeMs] - Batches younger than this are never evicted for quota
+   * @param {number} [options.intervalMs] - Time between sweeps
+   */
+  constructor({
+    root,
+    drafts = null,
+    reports = null,
+    ttlMs = 24 * HOUR_MS,
+    draftTtlMs = 30 * 24 * HOUR_MS,
+    maxBytesPerUser = 200 * MB,
+    maxBytesTotal = 2048 * MB,
+    minAgeMs = 10 * 60 * 1000,
+    intervalMs = 15 * 60 * 1000,
+  }) {
+    this.root = root
+    this.drafts = drafts
+    this.reports = reports
+    this.ttlMs = ttlMs
+    this.draftTtlMs = draftTtlMs
+    this.maxBytesPerUser = maxBytesPerUser
+    this.maxBytesTotal = maxBytesTotal
+    this.minAgeMs = minAgeMs
+    this.intervalMs = intervalMs
+    this.timer = null
+    this.running = null
+    this.lastReport = null
+    // Uploads that passed the quota check and are still being written, by batch id
+    this.reservations = new Map()
+    this.quotaQueue = Promise.resolve()
+  }
+
+  /**
+   * Sweep now and then on every interval
+   * @returns {Promise<Object>} - Report of the startup sweep
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.sweep().catch((err) => console.error("Janitor sweep failed:", err))
+      }, this.intervalMs)
+      this.timer.unref?.()
+    }
+    return this.sweep()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Check whether an upload fits in the quotas, counting uploads that are
+   * reserved but not fully written yet
+   * @param {string|null} owner - Uploading user
+   * @param {number} bytes - Size of the upload
+   * @returns {Promise<Object|null>} - { reason, used, limit } for the first
+   *   quota the upload would exceed, or null when it fits
+   */
+  async checkQuota(owner, bytes) {
+    const { batches } = await this._scan()
+    const counted = [
+      ...batches.filter((batch) => !this.reservations.has(batch.batchId)),
+      ...this.reservations.values(),
+    ]
+    const owned = counted.filter((batch) => (batch.owner ?? "") === (owner ?? ""))
+    const userUsed = sumBytes(owned)
+    if (userUsed + bytes > this.maxBytesPerUser) {
+      return { reason: REMOVAL_REASONS.USER_QUOTA, used: userUsed, limit: this.maxBytesPerUser }
+    }
+    const totalUsed = sumBytes(counted)
+    if (totalUsed + bytes > this.maxBytesTotal) {
+      return { reason: REMOVAL_REASONS.TOTAL_QUOTA, used: totalUsed, limit: this.maxBytesTotal }
+    }
+    return null
+  }
+
+  /**
+   * Check an upload against the quotas and hold its room until releaseQuota.
+   * Reservations are made one at a time, so two uploads at once cannot both
+   * take the last of a quota.
+   * @param {string} batchId - Batch the upload will be written to
+   * @param {string|null} owner - Uploading user
+   * @param {number} bytes - Size of the upload
+   * @returns {Promise<Object|null>} - As checkQuota; null when reserved
+   */
+  reserveQuota(batchId, owner, bytes) {
+    const run = this.quotaQueue.then(async () => {
+      const overQuota = await this.checkQuota(owner, bytes)
+      if (!overQuota) this.reservations.set(batchId, { owner, bytes })
+      return overQuota
+    })
+    // Keep the queue alive after a failed check
+    this.quotaQueue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Drop a reservation once its batch is written, or was not written at all
+   * @param {string} batchId
+   */
+  releaseQuota(batchId) {
+    this.reservations.delete(batchId)
+  }
+
+  /**
+   * Remove expired batches and enforce quotas. Overlapping calls share one sweep.
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} - { ranAt, removed, strays, freedBytes, kept }
+   */
+  sweep(now = new Date()) {
+    if (!this.running) {
+      this.running = this._sweep(now).finally(() => {
+        this.running = null
+      })
+    }
+    return this.running
+  }
+
+  async _sweep(now) {
+    const { batches, strays } = await this._scan()
+    const removed = []
+    const remove = async (batch, reason) => {
+      await fsp.rm(batch.dir, { recursive: true, force: true })
+      if (batch.hasDraft) await this.drafts.delete(batch.batchId)
+      removed.push({ batchId: batch.batchId, owner: batch.owner, bytes: batch.bytes, reason })
+    }
+
+    // Expired batches first
+    let kept = []
+    for (const batch of batches) {
+      const ttl = batch.hasDraft ? this.draftTtlMs : this.ttlMs
+      if (now - batch.lastActive > ttl) {
+        await remove(batch, REMOVAL_REASONS.EXPIRED)
+      } else {
+        kept.push(batch)
+      }
+    }
+
+    // Then quotas, evicting the oldest batches; saved drafts are left to the draft TTL
+    const evictable = (batch) => !batch.hasDraft && now - batch.createdAt >= this.minAgeMs
+    const byEvictionOrder = (a, b) => a.lastActive - b.lastActive
+
+    const owners = new Map()
+    for (const batch of kept) {
+      const key = batch.owner ?? ""
+      owners.set(key, [...(owners.get(key) || []), batch])
+    }
+    for (const owned of owners.values()) {
+      let used = sumBytes(owned)
+      for (const batch of owned.filter(evictable).sort(byEvictionOrder)) {
+        if (used <= this.maxBytesPerUser) break
+        await remove(batch, REMOVAL_REASONS.USER_QUOTA)
+        used -= batch.bytes
+      }
+    }
+    kept = kept.filter((batch) => !removed.some((r) => r.batchId === batch.batchId))
+
+    let used = sumBytes(kept)
+    for (const batch of kept.filter(evictable).sort(byEvictionOrder)) {
+      if (used <= this.maxBytesTotal) break
+      await remove(batch, REMOVAL_REASONS.TOTAL_QUOTA)
+      used -= batch.bytes
+    }
+    kept = kept.filter((batch) => !removed.some((r) => r.batchId === batch.batchId))
+
+    // Files left behind by uploads that failed before a batch was created
+    let strayCount = 0
+    let strayBytes = 0
+    for (const stray of strays) {
+      if (now - stray.mtime > this.ttlMs) {
+        await fsp.rm(stray.path, { force: true })
+        strayCount += 1
+        strayBytes += stray.bytes
+      }
+    }
+
+    const report = {
+      ranAt: now.toISOString(),
+      removed,
+      strays: strayCount,
+      freedBytes: sumBytes(removed) + strayBytes,
+      kept: { batches: kept.length, bytes: sumBytes(kept) },
+    }
+    this.lastReport = report
+    if (removed.length > 0 || strayCount > 0) {
+      await this.reports?.add(report)
+      const reasons = Object.entries(countBy(removed, (r) => r.reason))
+        .map(([reason, n]) => `${n} ${reason}`)
+        .join(", ")
+      console.info(
+        `Janitor removed ${removed.length} batch(es)${reasons ? ` (${reasons})` : ""} and ${strayCount} stray file(s), freed ${(report.freedBytes / MB).toFixed(1)} MB`,
+      )
+    }
+    return report
+  }
+
+  /**
+   * Collect batches with their owner, size and last activity
+   * @private
+   */
+  async _scan() {
+    const batches = []
+    const strays = []
+    let entries = []
+    try {
+      entries = await fsp.readdir(this.root, { withFileTypes: true })
+    } catch (err) {
+      if (err.code === "ENOENT") return { batches, strays }
+      throw err
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(this.root, entry.name)
+      try {
+        if (entry.isFile()) {
+          const stat = await fsp.stat(entryPath)
+          strays.push({ path: entryPath, bytes: stat.size, mtime: stat.mtime })
+          continue
+        }
+        if (!entry.isDirectory() || !BATCH_ID_REGEX.test(entry.name)) continue
+
+        const stat = await fsp.stat(entryPath)
+        const manifest = await readManifest(entryPath)
+        const draft = this.drafts ? await this.drafts.get(entry.name) : null
+        const createdAt = manifest?.createdAt ? new Date(manifest.createdAt) : stat.mtime
+        const updatedAt = draft?.updatedAt ? new Date(draft.updatedAt) : createdAt
+        batches.push({
+          batchId: entry.name,
+          dir: entryPath,
+          owner: manifest?.owner ?? draft?.owner ?? null,
+          bytes: await directorySize(entryPath),
+          hasDraft: Boolean(draft),
+          createdAt,
+          lastActive: updatedAt > createdAt ? updatedAt : createdAt,
+        })
+      } catch (err) {
+        // Submitted or removed while scanning
+        if (err.code !== "ENOENT") throw err
+      }
+    }
+    return { batches, strays }
+  }
+}
+
+async function directorySize(dir) {
+  let total = 0
+  for (const name of await fsp.readdir(dir)) {
+    const stat = await fsp.stat(path.join(dir, name))
+    if (stat.isFile()) total += stat.size
+  }
+  return total
+}
+
+function sumBytes(list) {
+  return list.reduce((sum, item) => sum + item.bytes, 0)
+}
+
+function countBy(list, key) {
+  const counts = {}
+  for (const item of list) counts[key(item)] = (counts[key(item)] || 0) + 1
+  return counts
+}
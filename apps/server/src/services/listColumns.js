@@ -0,0 +1,62 @@
+import { toListItemFields, validateFields } from "./receiptFields.js"
+
+/**
+ * Columns of a submitted receipt in the SharePoint list. Every submission
+ * sink writes these and the accounting exports read them, so an exported row
+ * always matches the list item.
+ */
+
+// Columns recording the original amount and the rate used
+function conversionColumns(conversion) {
+  if (!conversion) return {}
+  return {
+    originalAmount: conversion.originalAmount,
+    originalCurrency: conversion.originalCurrency,
+    homeAmount: conversion.amount,
+    homeCurrency: conversion.currency,
+    fxRate: conversion.rate,
+    fxRateDate: conversion.rateDate,
+  }
+}
+
+/**
+ * Map a submitted receipt to list columns
+ * @param {Object} receipt
+ * @param {Object} receipt.fields - Receipt fields (validated again here)
+ * @param {string} [receipt.batchId]
+ * @param {string} [receipt.overrideReason] - Reason given for totals that don't add up
+ * @param {string} [receipt.glCode] - GL code of the receipt's category
+ * @param {string} [receipt.justification] - Justification for policy warnings
+ * @param {Object} [receipt.conversion] - Home currency conversion (see fx.js)
+ * @param {string} [receipt.attestationHash] - contentHash of the attestation
+ * @param {string} [receipt.signedAt]
+ * @param {string} [receipt.status] - Approval status
+ * @returns {Object} - List item fields; empty columns are left out
+ */
+export function listItemColumns({
+  fields,
+  batchId,
+  overrideReason,
+  glCode,
+  justification,
+  conversion,
+  attestationHash,
+  signedAt,
+  status,
+}) {
+  const columns = toListItemFields(validateFields(fields))
+  const extra = {
+    batchId,
+    overrideReason,
+    glCode,
+    policyJustification: justification,
+    ...conversionColumns(conversion),
+    attestationHash,
+    signedAt,
+    status,
+  }
+  for (const [k, v] of Object.entries(extra)) {
+    if (v != null) columns[k] = v
+  }
+  return columns
+}
@@ -0,0 +1,200 @@
+/**
+ * Normalization of OCR values into typed receipt fields: amounts become
+ * decimals with an ISO 4217 currency code, dates become ISO-8601 (YYYY-MM-DD).
+ * Typed values reported by OCR are preferred over the printed text.
+ */
+
+// Unambiguous symbols only; a bare "$" uses the configured default currency
+const CURRENCY_SYMBOLS = {
+  "US$": "USD",
+  "C$": "CAD",
+  "CA$": "CAD",
+  "A$": "AUD",
+  "AU$": "AUD",
+  "NZ$": "NZD",
+  "HK$": "HKD",
+  "S$": "SGD",
+  "R$": "BRL",
+  "€": "EUR",
+  "£": "GBP",
+  "¥": "JPY",
+  "₹": "INR",
+  "₩": "KRW",
+  "₪": "ILS",
+  "₺": "TRY",
+  "₽": "RUB",
+  "zł": "PLN",
+  "Kč": "CZK",
+}
+
+const MONTHS = [
+  "jan", "feb", "mar", "apr", "may", "jun",
+  "jul", "aug", "sep", "oct", "nov", "dec",
+]
+
+const KNOWN_CURRENCIES = new Set(
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("currency")
+    : [],
+)
+
+/**
+ * Check for an ISO 4217 currency code
+ * @param {*} value - Candidate code
+ * @returns {boolean}
+ */
+export function isCurrencyCode(value) {
+  if (typeof value !== "string" || !/^[A-Z]{3}$/.test(value)) return false
+  return KNOWN_CURRENCIES.size === 0 || KNOWN_CURRENCIES.has(value)
+}
+
+/**
+ * Check for a valid calendar date in YYYY-MM-DD form
+ * @param {*} value - Candidate date
+ * @returns {boolean}
+ */
+export function isIsoDate(value) {
+  if (typeof value !== "string") return false
+  const m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  return Boolean(m) && toIsoDate(+m[1], +m[2], +m[3]) === value
+}
+
+/**
+ * Parse a printed decimal such as "1,234.56", "1.234,56" or "(12.00)"
+ * @param {string|number} value - Printed or numeric amount
+ * @returns {number|null} - Amount rounded to cents, or null if unreadable
+ */
+export function parseDecimal(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? roundCents(value) : null
+  }
+  if (typeof value !== "string") return null
+
+  let text = value.trim()
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d.,-]/g, ""))
+  text = text.replace(/[^\d.,]/g, "")
+  if (!/\d/.test(text)) return null
+
+  const lastComma = text.lastIndexOf(",")
+  const lastDot = text.lastIndexOf(".")
+  let normalized
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal separator
+    const decimal = lastComma > lastDot ? "," : "."
+    const thousands = decimal === "," ? "." : ","
+    normalized = text.split(thousands).join("").replace(decimal, ".")
+  } else if (lastComma !== -1) {
+    // "12,34" is a decimal comma; "1,234" is a thousands separator
+    normalized = /,\d{1,2}$/.test(text) && text.split(",").length === 2
+      ? text.replace(",", ".")
+      : text.split(",").join("")
+  } else if (text.split(".").length > 2) {
+    normalized = text.split(".").join("")
+  } else {
+    normalized = text
+  }
+
+  const n = Number(normalized)
+  if (!Number.isFinite(n)) return null
+  return roundCents(negative ? -n : n)
+}
+
+/**
+ * Detect the currency of a printed amount
+ * @param {string} text - Printed amount, e.g. "12,34 €" or "USD 5.00"
+ * @param {string} [defaultCurrency] - Currency assumed for a bare "$"
+ * @returns {string|null} - ISO 4217 code
+ */
+export function detectCurrency(text, defaultCurrency = null) {
+  if (typeof text !== "string") return null
+
+  const code = text.toUpperCase().match(/\b([A-Z]{3})\b/)
+  if (code && isCurrencyCode(code[1])) return code[1]
+
+  const symbols = Object.keys(CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length)
+  const symbol = symbols.find((s) => text.includes(s))
+  if (symbol) return CURRENCY_SYMBOLS[symbol]
+
+  return text.includes("$") ? defaultCurrency : null
+}
+
+/**
+ * Normalize an OCR amount
+ * @param {Object|string|number} value - Azure `valueCurrency`, number, or printed text
+ * @param {Object} [options]
+ * @param {string} [options.content] - Printed text, used to detect the currency
+ * @param {string} [options.defaultCurrency] - Currency assumed for a bare "$"
+ * @returns {{amount: number|null, currency: string|null}}
+ */
+export function normalizeAmount(value, { content, defaultCurrency = null } = {}) {
+  if (value && typeof value === "object") {
+    const currency =
+      (isCurrencyCode(value.currencyCode) && value.currencyCode) ||
+      detectCurrency(value.currencySymbol || content, defaultCurrency)
+    return { amount: parseDecimal(value.amount), currency }
+  }
+
+  const text = typeof value === "string" ? value : content
+  return {
+    amount: parseDecimal(value),
+    currency: detectCurrency(text, defaultCurrency),
+  }
+}
+
+/**
+ * Normalize an OCR date to YYYY-MM-DD
+ * @param {string} value - Azure `valueDate` or printed text
+ * @param {Object} [options]
+ * @param {string} [options.dateOrder] - "MDY" or "DMY" for ambiguous numeric dates
+ * @returns {string|null}
+ */
+export function normalizeDate(value, { dateOrder = "MDY" } = {}) {
+  if (typeof value !== "string") return null
+  const text = value.trim()
+
+  let m = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/)
+  if (m) return toIsoDate(+m[1], +m[2], +m[3])
+
+  m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/)
+  if (m) {
+    let [a, b] = [+m[1], +m[2]]
+    const year = fullYear(+m[3])
+    // An impossible month settles the order regardless of configuration
+    const dayFirst = a > 12 || (b <= 12 && dateOrder === "DMY")
+    if (dayFirst) [a, b] = [b, a]
+    return toIsoDate(year, a, b)
+  }
+
+  m = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]{3,})\.?,?[\s-]+(\d{2}|\d{4})\b/)
+  if (m) return toIsoDate(fullYear(+m[3]), monthIndex(m[2]), +m[1])
+
+  m = text.match(/^([A-Za-z]{3,})\.?[\s-]+(\d{1,2})(?:st|nd|rd|th)?,?[\s-]+(\d{2}|\d{4})\b/)
+  if (m) return toIsoDate(fullYear(+m[3]), monthIndex(m[1]), +m[2])
+
+  return null
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1
+}
+
+function fullYear(year) {
+  return year < 100 ? 2000 + year : year
+}
+
+function toIsoDate(year, month, day) {
+  if (!month || !day) return null
+  const d = new Date(Date.UTC(year, month - 1, day))
+  if (
+    d.getUTCFullYear() !== year ||
+    d.getUTCMonth() !== month - 1 ||
+    d.getUTCDate() !== day
+  ) {
+    return null
+  }
+  return d.toISOString().slice(0, 10)
+}
+
+function roundCents(n) {
+  return Math.round(n * 100) / 100
+}
@@ -0,0 +1,372 @@
+import fs from 'fs'
+import fetch from 'node-fetch'
+import { normalizeAmount, normalizeDate, parseDecimal } from '../normalize.js'
+import { OCRError, OCR_ERROR_CODES } from './errors.js'
+import { toFieldMeta } from './result.js'
+
+const API_VERSION = '2023-07-31'
+
+/**
+ * Azure Document Intelligence `prebuilt-receipt` provider with
+ * non-blocking polling
+ */
+export class AzureOCRProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Azure Document Intelligence endpoint
+   * @param {string} options.apiKey - Azure Document Intelligence key
+   * @param {number} [options.uncertainBelow] - Field confidence flagged for review
+   * @param {string} [options.defaultCurrency] - Currency for amounts printed without one
+   * @param {string} [options.dateOrder] - "MDY" or "DMY" for ambiguous printed dates
+   */
+  constructor({
+    endpoint,
+    apiKey,
+    uncertainBelow = 0.8,
+    defaultCurrency = 'USD',
+    dateOrder = 'MDY'
+  } = {}) {
+    this.name = 'azure'
+    this.endpoint = endpoint
+    this.apiKey = apiKey
+    this.uncertainBelow = uncertainBelow
+    this.defaultCurrency = defaultCurrency
+    this.dateOrder = dateOrder
+    this.maxRetries = 12
+    this.pollInterval = 2000 // 2 seconds
+    this.requestTimeout = 10000 // 10 seconds
+  }
+
+  /**
+   * Analyze a receipt with non-blocking async polling
+   * @param {string} filePath - Path to file to analyze
+   * @returns {Promise<Object>} - Extracted receipt data
+   * @throws {OCRError} - When analysis fails, with a reason code
+   */
+  async analyze(filePath) {
+    if (!this.endpoint || !this.apiKey) {
+      throw new OCRError(OCR_ERROR_CODES.NOT_CONFIGURED)
+    }
+
+    let result
+    try {
+      // Start the analysis
+      const operationUrl = await this._startAnalysis(filePath)
+      
+      // Poll for results without blocking
+      result = await this._pollForResults(operationUrl)
+    } catch (error) {
+      console.error('OCR analysis failed:', error.message)
+      if (error instanceof OCRError) throw error
+
+      const code = error.message === 'Request timed out'
+        ? OCR_ERROR_CODES.TIMEOUT
+        : OCR_ERROR_CODES.SERVICE_ERROR
+      throw new OCRError(code, { cause: error })
+    }
+
+    return this._extractReceiptData(result)
+  }
+
+  /**
+   * Start OCR analysis and return operation URL
+   * @private
+   */
+  async _startAnalysis(filePath) {
+    const url = `${this.endpoint}/formrecognizer/documentModels/prebuilt-receipt:analyze?api-version=${API_VERSION}`
+    
+    // Read file asynchronously
+    const fileBuffer = await fs.promises.readFile(filePath)
+    
+    const response = await this._makeRequest(url, {
+      method: 'POST',
+      headers: {
+        'Ocp-Apim-Subscription-Key': this.apiKey,
+        'Content-Type': 'application/octet-stream'
+      },
+      body: fileBuffer
+    })
+
+    if (response.status !== 202) {
+      const errorText = await response.text()
+      throw new Error(`Analysis start failed: ${response.status} ${errorText}`)
+    }
+
+    const operationUrl = response.headers.get('operation-location')
+    if (!operationUrl) {
+      throw new Error('No operation location header received')
+    }
+
+    return operationUrl
+  }
+
+  /**
+   * Poll for analysis results with exponential backoff
+   * @private
+   */
+  async _pollForResults(operationUrl) {
+    let attempt = 0
+    let delay = this.pollInterval
+
+    while (attempt < this.maxRetries) {
+      // Wait before polling (except first attempt)
+      if (attempt > 0) {
+        await this._delay(delay)
+        // Exponential backoff with jitter
+        delay = Math.min(delay * 1.2 + Math.random() * 1000, 10000)
+      }
+
+      try {
+        const response = await this._makeRequest(operationUrl, {
+          headers: {
+            'Ocp-Apim-Subscription-Key': this.apiKey
+          }
+        })
+
+        if (!response.ok) {
+          throw new Error(`Poll request failed: ${response.status}`)
+        }
+
+        const result = await response.json()
+
+        switch (result.status) {
+          case 'succeeded':
+            return result
+          
+          case 'failed':
+            throw new OCRError(OCR_ERROR_CODES.SERVICE_ERROR, {
+              cause: new Error(`OCR analysis failed: ${result.error?.message || 'Unknown error'}`)
+            })
+          
+          case 'running':
+          case 'notStarted':
+            // Continue polling
+            break
+          
+          default:
+            throw new Error(`Unknown status: ${result.status}`)
+        }
+      } catch (error) {
+        // A failed analysis is final; anything else may be transient
+        if (error instanceof OCRError) {
+          throw error
+        }
+
+        console.warn(`Poll attempt ${attempt + 1} failed:`, error.message)
+        
+        // If it's the last attempt, throw the error
+        if (attempt === this.maxRetries - 1) {
+          throw error
+        }
+      }
+
+      attempt++
+    }
+
+    throw new OCRError(OCR_ERROR_CODES.TIMEOUT)
+  }
+
+  /**
+   * Extract receipt data from OCR results
+   * @private
+   */
+  _extractReceiptData(ocrResult) {
+    const analyzeResult = ocrResult?.analyzeResult
+    const document = analyzeResult?.documents?.[0]
+    if (!document || !document.fields) {
+      throw new OCRError(OCR_ERROR_CODES.NO_DOCUMENT)
+    }
+
+    const fields = document.fields
+    const values = {}
+    const fieldMeta = {}
+
+    const currencies = []
+    const read = (key, type, ...candidates) => {
+      const extracted = candidates
+        .map(field => this._extractFieldValue(field, type))
+        .find(Boolean)
+      values[key] = extracted ? extracted.value : (type === 'string' ? '' : null)
+      if (extracted) fieldMeta[key] = toFieldMeta(extracted, this.uncertainBelow)
+      if (extracted?.currency) currencies.push(extracted.currency)
+    }
+
+    read('vendor', 'string', fields.MerchantName, fields.VendorName)
+    read('total', 'amount', fields.Total)
+    read('transactionDate', 'date', fields.TransactionDate)
+    // Additional fields that might be useful
+    read('merchantAddress', 'string', fields.MerchantAddress)
+    read('merchantPhone', 'string', fields.MerchantPhoneNumber)
+    read('subtotal', 'amount', fields.Subtotal)
+    read('tax', 'amount', fields.TotalTax)
+    values.items = this._extractItems(fields.Items, fieldMeta, currencies)
+    values.currency = currencies[0] || this.defaultCurrency || null
+
+    return {
+      fields: values,
+      fieldMeta,
+      pages: (analyzeResult.pages || []).map(page => ({
+        pageNumber: page.pageNumber,
+        width: page.width,
+        height: page.height,
+        unit: page.unit
+      })),
+      confidence: document.confidence || 0,
+      // Specialized receipts are reported as e.g. "receipt.hotel"
+      merchantType: document.docType?.startsWith('receipt.') ? document.docType.slice(8) : null
+    }
+  }
+
+  /**
+   * Extract a field's value with its confidence and location. Typed values
+   * reported by OCR (valueCurrency, valueDate, valueNumber) are preferred over
+   * the printed content. Low confidence values are kept so reviewers can
+   * correct them rather than retype them.
+   * @private
+   */
+  _extractFieldValue(field, type = 'string') {
+    if (!field) return null
+
+    const content = field.content ?? null
+    let value
+    let currency = null
+
+    switch (type) {
+      case 'amount': {
+        const amount = normalizeAmount(field.valueCurrency ?? field.valueNumber ?? content, {
+          content,
+          defaultCurrency: this.defaultCurrency
+        })
+        value = amount.amount
+        currency = amount.currency
+        break
+      }
+      case 'number':
+        value = typeof field.valueNumber === 'number' ? field.valueNumber : parseDecimal(content)
+        break
+      case 'date':
+        value = normalizeDate(field.valueDate || content, { dateOrder: this.dateOrder })
+        break
+      default:
+        value = content || field.valueString || field.value || null
+    }
+
+    if (value == null && content == null) return null
+
+    return {
+      value: value ?? (type === 'string' ? '' : null),
+      content,
+      currency,
+      // Printed text that could not be normalized still needs a human look
+      unreadable: value == null,
+      confidence: typeof field.confidence === 'number' ? field.confidence : null,
+      boundingRegions: (field.boundingRegions || []).map(region => ({
+        pageNumber: region.pageNumber,
+        polygon: region.polygon
+      }))
+    }
+  }
+
+  /**
+   * Extract line items from the receipt Items array. Item metadata is
+   * recorded in fieldMeta under `items.<index>.<column>` keys.
+   * @private
+   */
+  _extractItems(itemsField, fieldMeta = {}, currencies = []) {
+    const entries = itemsField?.valueArray || []
+    const columns = {
+      description: ['Description', 'string'],
+      quantity: ['Quantity', 'number'],
+      unitPrice: ['Price', 'amount'],
+      totalPrice: ['TotalPrice', 'amount']
+    }
+    const items = []
+
+    for (const entry of entries) {
+      const source = entry?.valueObject || {}
+      const item = { description: '', quantity: null, unitPrice: null, totalPrice: null }
+      const meta = {}
+      for (const [key, [name, type]] of Object.entries(columns)) {
+        const extracted = this._extractFieldValue(source[name], type)
+        if (!extracted) continue
+        item[key] = extracted.value
+        meta[key] = toFieldMeta(extracted, this.uncertainBelow)
+        if (extracted.currency) currencies.push(extracted.currency)
+      }
+      if (!Object.values(item).some(v => v !== null && v !== '')) continue
+
+      for (const [key, value] of Object.entries(meta)) {
+        fieldMeta[`items.${items.length}.${key}`] = value
+      }
+      items.push(item)
+    }
+
+    return items
+  }
+
+  /**
+   * Make HTTP request with timeout
+   * @private
+   */
+  async _makeRequest(url, options = {}) {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout)
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        signal: controller.signal
+      })
+      
+      clearTimeout(timeoutId)
+      return response
+    } catch (error) {
+      clearTimeout(timeoutId)
+      
+      if (error.name === 'AbortError') {
+        throw new Error('Request timed out')
+      }
+      
+      throw error
+    }
+  }
+
+  /**
+   * Non-blocking delay using Promise
+   * @private
+   */
+  _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+  }
+
+  /**
+   * Health check for the Azure endpoint
+   */
+  async healthCheck() {
+    if (!this.endpoint || !this.apiKey) {
+      return { healthy: false, reason: 'OCR service not configured' }
+    }
+
+    try {
+      // Simple connectivity test
+      const response = await this._makeRequest(this.endpoint, {
+        method: 'GET',
+        headers: {
+          'Ocp-Apim-Subscription-Key': this.apiKey
+        }
+      })
+
+      return { 
+        healthy: response.status < 500, 
+        status: response.status,
+        reason: response.status < 500 ? 'OK' : 'Service unavailable'
+      }
+    } catch (error) {
+      return { 
+        healthy: false, 
+        reason: error.message 
+      }
+    }
+  }
+}
+
@@ -0,0 +1,36 @@
+/**
+ * Reason codes attached to OCR failures
+ */
+export const OCR_ERROR_CODES = {
+  NOT_CONFIGURED: 'not_configured',
+  TIMEOUT: 'timeout',
+  SERVICE_ERROR: 'service_error',
+  NO_DOCUMENT: 'no_document',
+  LOW_CONFIDENCE: 'low_confidence',
+  UNSUPPORTED_FILE: 'unsupported_file',
+  CONVERSION_FAILED: 'conversion_failed'
+}
+
+const OCR_ERROR_MESSAGES = {
+  not_configured: 'OCR service is not configured',
+  timeout: 'OCR analysis timed out',
+  service_error: 'OCR service returned an error',
+  no_document: 'No receipt was found in the file',
+  low_confidence: 'Receipt could not be read with enough confidence',
+  unsupported_file: 'The OCR provider cannot read this type of file',
+  conversion_failed: 'The image could not be converted for OCR'
+}
+
+/**
+ * OCR failure with a machine-readable reason code. `data` carries any
+ * partial extraction (e.g. for low confidence results) for manual review.
+ */
+export class OCRError extends Error {
+  constructor(code, { cause, data } = {}) {
+    super(OCR_ERROR_MESSAGES[code] || 'OCR processing failed')
+    this.name = 'OCRError'
+    this.code = code
+    this.cause = cause
+    this.data = data || null
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Demo provider that returns fixed data without reading the file. Used for
+ * demos and API tests; it must be selected explicitly.
+ */
+export class MockOCRProvider {
+  constructor() {
+    this.name = 'mock'
+  }
+
+  async analyze() {
+    return {
+      fields: {
+        vendor: 'Demo Store',
+        total: 12.34,
+        currency: 'USD',
+        transactionDate: new Date().toISOString().slice(0, 10),
+        merchantAddress: '',
+        merchantPhone: '',
+        subtotal: 10.99,
+        tax: 1.35,
+        items: [
+          { description: 'Coffee', quantity: 2, unitPrice: 3.5, totalPrice: 7 },
+          { description: 'Muffin', quantity: 1, unitPrice: 3.99, totalPrice: 3.99 }
+        ]
+      },
+      fieldMeta: {
+        vendor: { confidence: 0.98, boundingRegions: [], uncertain: false },
+        total: { confidence: 0.97, boundingRegions: [], uncertain: false },
+        transactionDate: { confidence: 0.72, boundingRegions: [], uncertain: true }
+      },
+      pages: [],
+      confidence: 0.95,
+      merchantType: 'retailMeal'
+    }
+  }
+
+  async healthCheck() {
+    return { healthy: true, mock: true, reason: 'Mock mode' }
+  }
+}
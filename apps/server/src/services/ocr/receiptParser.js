@@ -0,0 +1,194 @@
+import { detectCurrency, normalizeDate, parseDecimal } from '../normalize.js'
+import { OCRError, OCR_ERROR_CODES } from './errors.js'
+import { emptyFields, toFieldMeta } from './result.js'
+
+/**
+ * Heuristic receipt parser for plain OCR text lines, used by providers that
+ * only recognize text (e.g. Tesseract). It looks for the usual receipt
+ * layout: merchant details at the top, line items in the middle and
+ * subtotal/tax/total near the bottom.
+ */
+
+// "12.34", "$1,234.56", "EUR 5,00", "1,20 €", "-3.00"; not part of a date like 03.04.24
+const AMOUNT_PATTERN = /(?<![\d/.-])(?:\b[A-Z]{3}\s?)?(?:[$€£¥₹]|[A-Z]{1,2}\$)?\s?-?\d{1,3}(?:[,.]\d{3})*[.,]\d{2}(?![\d/]|[.,-]\d)(?:\s?[$€£¥₹]|\s[A-Z]{3}\b)?/g
+const DATE_PATTERN = /\b(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}(?:st|nd|rd|th)?[\s-]+[A-Za-z]{3,}\.?,?[\s-]+\d{2,4}|[A-Za-z]{3,}\.?[\s-]+\d{1,2}(?:st|nd|rd|th)?,?[\s-]+\d{2,4})\b/
+const PHONE_PATTERN = /(?:\+?\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/
+
+const SUBTOTAL_LINE = /\bsub\s*-?\s*total\b/i
+const TOTAL_LINE = /\b(total|amount\s+due|balance\s+due)\b/i
+const NOT_TOTAL_LINE = /\btotal\s+(tax|savings|discount|items?|qty|quantity)\b/i
+const TAX_LINE = /\b(tax|vat|gst|hst|pst)\b/i
+const NOT_ITEM_LINE = /\b(change|cash|card|visa|mastercard|amex|tender|payment|paid|tip|discount|savings|auth|approval|balance)\b/i
+const QUANTITY_PATTERN = /(\d+(?:\.\d+)?)\s*(?:x|@|×)\s*((?:[$€£¥₹]\s?)?\d+[.,]\d{2})?/i
+
+const HEADER_LINES = 6
+
+/**
+ * Parse recognized text lines into the shared OCR result shape
+ * @param {Array<Object>} lines - Lines as { text, confidence (0-1), bbox: { x0, y0, x1, y1 } }
+ * @param {Object} [options]
+ * @param {number} [options.pageNumber] - Page the lines belong to
+ * @param {number} [options.uncertainBelow] - Confidence flagged for review
+ * @param {string} [options.defaultCurrency] - Currency for amounts printed without one
+ * @param {string} [options.dateOrder] - "MDY" or "DMY" for ambiguous printed dates
+ * @returns {Object} - { fields, fieldMeta, confidence }
+ * @throws {OCRError} - no_document when neither a merchant nor a total is found
+ */
+export function parseReceiptText(lines, {
+  pageNumber = 1,
+  uncertainBelow = 0.8,
+  defaultCurrency = 'USD',
+  dateOrder = 'MDY'
+} = {}) {
+  const rows = lines
+    .map(line => ({ ...line, text: (line.text || '').trim() }))
+    .filter(line => line.text)
+  const fields = emptyFields()
+  const fieldMeta = {}
+  const currencies = []
+
+  const meta = (line, value) => toFieldMeta({
+    content: line.text,
+    unreadable: value == null,
+    confidence: typeof line.confidence === 'number' ? line.confidence : null,
+    boundingRegions: line.bbox ? [{ pageNumber, polygon: toPolygon(line.bbox) }] : []
+  }, uncertainBelow)
+
+  const set = (key, value, line) => {
+    fields[key] = value
+    fieldMeta[key] = meta(line, value)
+  }
+
+  const amountLines = rows.map(line => ({ line, amount: lastAmount(line.text, defaultCurrency) }))
+  const firstAmountIndex = amountLines.findIndex(({ amount }) => amount)
+  const headerEnd = firstAmountIndex === -1 ? Math.min(rows.length, HEADER_LINES) : firstAmountIndex
+
+  // Merchant details come before the first priced line
+  const vendorIndex = rows.slice(0, Math.min(headerEnd + 1, HEADER_LINES)).findIndex(isVendorLine)
+  if (vendorIndex !== -1) set('vendor', rows[vendorIndex].text, rows[vendorIndex])
+
+  const header = rows.slice(0, headerEnd)
+  const phoneLine = header.find(line => PHONE_PATTERN.test(line.text) && !DATE_PATTERN.test(line.text))
+  if (phoneLine) set('merchantPhone', phoneLine.text.match(PHONE_PATTERN)[0].trim(), phoneLine)
+
+  const streetIndex = header.findIndex((line, i) => i > vendorIndex && /^\d+\s+[A-Za-z]/.test(line.text) && line !== phoneLine)
+  if (streetIndex !== -1) {
+    const address = [header[streetIndex]]
+    const next = header[streetIndex + 1]
+    if (next && next !== phoneLine && /,\s*[A-Za-z]{2}\b|\b\d{5}(?:-\d{4})?\b/.test(next.text)) address.push(next)
+    set('merchantAddress', address.map(line => line.text).join(', '), address[0])
+  }
+
+  for (const line of rows) {
+    const match = line.text.match(DATE_PATTERN)
+    const date = match && normalizeDate(match[1], { dateOrder })
+    if (date) {
+      set('transactionDate', date, line)
+      break
+    }
+  }
+
+  // Summary lines: subtotal, tax and the largest "total"
+  let summaryStart = -1
+  let total = null
+  amountLines.forEach(({ line, amount }, i) => {
+    if (!amount) return
+    if (SUBTOTAL_LINE.test(line.text)) {
+      if (fields.subtotal === null) set('subtotal', amount.amount, line)
+    } else if (TOTAL_LINE.test(line.text) && !NOT_TOTAL_LINE.test(line.text)) {
+      if (!total || amount.amount > total.amount.amount) total = { line, amount }
+    } else if (TAX_LINE.test(line.text)) {
+      if (fields.tax === null) set('tax', amount.amount, line)
+    } else {
+      return
+    }
+    if (summaryStart === -1) summaryStart = i
+    if (amount.currency) currencies.push(amount.currency)
+  })
+  if (total) set('total', total.amount.amount, total.line)
+
+  // Priced lines between the header and the summary are line items
+  const itemsEnd = summaryStart === -1 ? rows.length : summaryStart
+  for (let i = Math.max(headerEnd, vendorIndex + 1); i < itemsEnd; i++) {
+    const { line, amount } = amountLines[i]
+    if (!amount || NOT_ITEM_LINE.test(line.text) || DATE_PATTERN.test(line.text)) continue
+    const item = parseItem(line.text, amount)
+    if (!item) continue
+    const index = fields.items.length
+    for (const [key, value] of Object.entries(item)) {
+      if (value !== null && value !== '') fieldMeta[`items.${index}.${key}`] = meta(line, value)
+    }
+    fields.items.push(item)
+    if (amount.currency) currencies.push(amount.currency)
+  }
+
+  if (!fields.vendor && fields.total === null) {
+    throw new OCRError(OCR_ERROR_CODES.NO_DOCUMENT)
+  }
+
+  fields.currency = currencies[0] || defaultCurrency || null
+  const confidences = rows.map(line => line.confidence).filter(c => typeof c === 'number')
+  return {
+    fields,
+    fieldMeta,
+    confidence: confidences.length
+      ? confidences.reduce((a, b) => a + b, 0) / confidences.length
+      : 0
+  }
+}
+
+function isVendorLine(line) {
+  const { text } = line
+  return (
+    (text.match(/[A-Za-z]/g) || []).length >= 3 &&
+    !/^\d+\s/.test(text) &&
+    !DATE_PATTERN.test(text) &&
+    !PHONE_PATTERN.test(text) &&
+    !new RegExp(AMOUNT_PATTERN.source).test(text) &&
+    !/\b(receipt|welcome|thank|invoice)\b/i.test(text)
+  )
+}
+
+/**
+ * Find the right-most printed amount on a line
+ * @private
+ */
+function lastAmount(text, defaultCurrency) {
+  const matches = text.match(AMOUNT_PATTERN)
+  if (!matches) return null
+  const printed = matches[matches.length - 1].trim()
+  const amount = parseDecimal(printed)
+  if (amount === null) return null
+  return { amount, currency: detectCurrency(printed, defaultCurrency), printed }
+}
+
+/**
+ * Split an item line such as "2 x 3.50 Coffee 7.00" into its columns
+ * @private
+ */
+function parseItem(text, amount) {
+  let description = text.slice(0, text.lastIndexOf(amount.printed))
+  let quantity = null
+  let unitPrice = null
+
+  const q = description.match(QUANTITY_PATTERN)
+  if (q) {
+    quantity = Number(q[1])
+    unitPrice = q[2] ? parseDecimal(q[2]) : null
+    description = description.replace(q[0], ' ')
+  } else {
+    const leading = description.match(/^\s*(\d{1,3})\s+(?=[A-Za-z])/)
+    if (leading) {
+      quantity = Number(leading[1])
+      description = description.slice(leading[0].length)
+    }
+  }
+
+  description = description.replace(/\s+/g, ' ').replace(/^[^\w]+|[^\w)]+$/g, '').trim()
+  if (!description && quantity === null) return null
+  return { description, quantity, unitPrice, totalPrice: amount.amount }
+}
+
+function toPolygon({ x0, y0, x1, y1 }) {
+  return [x0, y0, x1, y0, x1, y1, x0, y1]
+}
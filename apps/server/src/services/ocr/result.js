@@ -0,0 +1,50 @@
+/**
+ * Result shape shared by every OCR provider:
+ *
+ * {
+ *   fields,      // typed receipt fields (see receiptFields.js FIELD_SCHEMA)
+ *   fieldMeta,   // { confidence, boundingRegions, content, uncertain } per field;
+ *                // line items use `items.<index>.<column>` keys
+ *   pages,       // [{ pageNumber, width, height, unit }]
+ *   confidence,  // overall document confidence from 0 to 1
+ *   merchantType // kind of merchant when the provider detects it
+ *                // (e.g. "hotel", "meal", "gas"), otherwise null
+ * }
+ *
+ * Bounding region polygons are flat [x1, y1, x2, y2, ...] lists in the
+ * page's own unit.
+ */
+
+/**
+ * Strip the value from an extracted field, flagging uncertain ones
+ * @param {Object} extracted - { content, unreadable, confidence, boundingRegions }
+ * @param {number} uncertainBelow - Confidence below which a field needs review
+ * @returns {Object} - Field metadata
+ */
+export function toFieldMeta({ content, unreadable, confidence, boundingRegions }, uncertainBelow) {
+  return {
+    confidence,
+    boundingRegions,
+    content,
+    uncertain: unreadable || (confidence !== null && confidence < uncertainBelow)
+  }
+}
+
+/**
+ * Fields every provider returns, even when nothing was read
+ * @param {string|null} currency - Currency to report
+ * @returns {Object}
+ */
+export function emptyFields(currency = null) {
+  return {
+    vendor: '',
+    total: null,
+    currency,
+    transactionDate: null,
+    merchantAddress: '',
+    merchantPhone: '',
+    subtotal: null,
+    tax: null,
+    items: []
+  }
+}
@@ -0,0 +1,151 @@
+import fs from 'fs'
+import { OCRError, OCR_ERROR_CODES } from './errors.js'
+import { parseReceiptText } from './receiptParser.js'
+
+/**
+ * Offline provider using Tesseract.js for text recognition and a heuristic
+ * parser for the receipt fields. Needs no cloud credentials; language data is
+ * downloaded once into `cachePath` unless `langPath` points at a local copy.
+ */
+export class TesseractOCRProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.lang] - Tesseract language(s), e.g. "eng" or "eng+deu"
+   * @param {string} [options.langPath] - Directory or URL holding *.traineddata files
+   * @param {string} [options.cachePath] - Directory where downloaded language data is cached
+   * @param {number} [options.uncertainBelow] - Field confidence flagged for review
+   * @param {string} [options.defaultCurrency] - Currency for amounts printed without one
+   * @param {string} [options.dateOrder] - "MDY" or "DMY" for ambiguous printed dates
+   */
+  constructor({
+    lang = 'eng',
+    langPath,
+    cachePath,
+    uncertainBelow = 0.8,
+    defaultCurrency = 'USD',
+    dateOrder = 'MDY'
+  } = {}) {
+    this.name = 'tesseract'
+    this.lang = lang
+    this.langPath = langPath
+    this.cachePath = cachePath
+    this.uncertainBelow = uncertainBelow
+    this.defaultCurrency = defaultCurrency
+    this.dateOrder = dateOrder
+    this.workerPromise = null
+  }
+
+  /**
+   * Recognize a receipt image and parse its fields
+   * @param {string} filePath - Path to the image
+   * @returns {Promise<Object>} - Extracted receipt data
+   * @throws {OCRError} - When the file cannot be read or recognized
+   */
+  async analyze(filePath) {
+    const image = await fs.promises.readFile(filePath)
+    if (image.subarray(0, 5).toString('latin1') === '%PDF-') {
+      throw new OCRError(OCR_ERROR_CODES.UNSUPPORTED_FILE)
+    }
+
+    let page
+    try {
+      const worker = await this._getWorker()
+      const { data } = await worker.recognize(image, {}, { blocks: true })
+      page = data
+    } catch (error) {
+      console.error('Tesseract recognition failed:', error.message)
+      throw new OCRError(OCR_ERROR_CODES.SERVICE_ERROR, { cause: error })
+    }
+
+    const lines = (page.blocks || [])
+      .flatMap(block => block.paragraphs || [])
+      .flatMap(paragraph => paragraph.lines || [])
+      .map(line => ({
+        text: line.text,
+        confidence: typeof line.confidence === 'number' ? line.confidence / 100 : null,
+        bbox: line.bbox
+      }))
+
+    const { fields, fieldMeta, confidence } = parseReceiptText(lines, {
+      uncertainBelow: this.uncertainBelow,
+      defaultCurrency: this.defaultCurrency,
+      dateOrder: this.dateOrder
+    })
+    const size = imageSize(image)
+
+    return {
+      fields,
+      fieldMeta,
+      pages: size ? [{ pageNumber: 1, width: size.width, height: size.height, unit: 'pixel' }] : [],
+      confidence,
+      merchantType: null
+    }
+  }
+
+  /**
+   * Health check: the worker starts once language data is available
+   */
+  async healthCheck() {
+    try {
+      await this._getWorker()
+      return { healthy: true, reason: 'OK' }
+    } catch (error) {
+      return { healthy: false, reason: error.message }
+    }
+  }
+
+  /**
+   * Stop the recognition worker
+   */
+  async close() {
+    const pending = this.workerPromise
+    this.workerPromise = null
+    if (pending) await (await pending.catch(() => null))?.terminate()
+  }
+
+  /**
+   * Start the worker on first use and reuse it afterwards
+   * @private
+   */
+  _getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        const { default: Tesseract } = await import('tesseract.js')
+        if (this.cachePath) await fs.promises.mkdir(this.cachePath, { recursive: true })
+        return Tesseract.createWorker(this.lang, 1, {
+          ...(this.langPath && { langPath: this.langPath }),
+          ...(this.cachePath && { cachePath: this.cachePath })
+        })
+      })()
+      // Allow a retry after e.g. language data failed to download
+      this.workerPromise.catch(() => { this.workerPromise = null })
+    }
+    return this.workerPromise
+  }
+}
+
+/**
+ * Read the pixel size from a PNG, GIF or JPEG header
+ * @private
+ */
+function imageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+  }
+  if (buffer.length >= 10 && buffer.subarray(0, 3).toString('latin1') === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null
+      const marker = buffer[offset + 1]
+      // Start-of-frame markers carry the dimensions
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) }
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2)
+    }
+  }
+  return null
+}
@@ -1,261 +1,123 @@
 import fs from 'fs'
-import fetch from 'node-fetch'
+import os from 'os'
+import path from 'path'
+import { OCRError, OCR_ERROR_CODES } from './ocr/errors.js'
+import { convertReceiptFile, detectConvertibleType } from './imageConversion.js'
+import { AzureOCRProvider } from './ocr/azureProvider.js'
+import { TesseractOCRProvider } from './ocr/tesseractProvider.js'
+import { MockOCRProvider } from './ocr/mockProvider.js'
+
+export { OCRError, OCR_ERROR_CODES }
 
 /**
- * Async OCR service with proper error handling and non-blocking polling
+ * Available OCR providers. Every provider exposes `name`,
+ * `analyze(filePath)` and `healthCheck()`, and returns the shared result
+ * shape described in ocr/result.js.
  */
-export class OCRService {
-  constructor(endpoint, apiKey) {
-    this.endpoint = endpoint
-    this.apiKey = apiKey
-    this.maxRetries = 12
-    this.pollInterval = 2000 // 2 seconds
-    this.requestTimeout = 10000 // 10 seconds
-  }
+export const OCR_PROVIDERS = {
+  azure: AzureOCRProvider,
+  tesseract: TesseractOCRProvider,
+  mock: MockOCRProvider
+}
 
+/**
+ * OCR entry point used by the routes. Delegates extraction to a provider and
+ * applies the checks that are the same for every provider.
+ */
+export class OCRService {
   /**
-   * Analyze receipt with non-blocking async polling
-   * @param {string} filePath - Path to file to analyze
-   * @returns {Promise<Object>} - Extracted receipt data
+   * @param {Object} provider - Provider instance (see OCR_PROVIDERS)
+   * @param {Object} [options]
+   * @param {number} [options.minConfidence] - Minimum document confidence
    */
-  async analyzeReceipt(filePath) {
-    if (!this.endpoint || !this.apiKey) {
-      return this._getMockData()
-    }
-
-    try {
-      // Start the analysis
-      const operationUrl = await this._startAnalysis(filePath)
-      
-      // Poll for results without blocking
-      const result = await this._pollForResults(operationUrl)
-      
-      return this._extractReceiptData(result)
-    } catch (error) {
-      console.error('OCR analysis failed:', error.message)
-      
-      // Return mock data as fallback
-      return this._getMockData()
-    }
+  constructor(provider, { minConfidence = 0.5 } = {}) {
+    this.provider = provider
+    this.minConfidence = minConfidence
   }
 
-  /**
-   * Start OCR analysis and return operation URL
-   * @private
-   */
-  async _startAnalysis(filePath) {
-    const url = `${this.endpoint}/formrecognizer/documentModels/prebuilt-receipt:analyze?api-version=2023-07-31`
-    
-    // Read file asynchronously
-    const fileBuffer = await fs.promises.readFile(filePath)
-    
-    const response = await this._makeRequest(url, {
-      method: 'POST',
-      headers: {
-        'Ocp-Apim-Subscription-Key': this.apiKey,
-        'Content-Type': 'application/octet-stream'
-      },
-      body: fileBuffer
-    })
-
-    if (response.status !== 202) {
-      const errorText = await response.text()
-      throw new Error(`Analysis start failed: ${response.status} ${errorText}`)
-    }
-
-    const operationUrl = response.headers.get('operation-location')
-    if (!operationUrl) {
-      throw new Error('No operation location header received')
-    }
-
-    return operationUrl
+  get mock() {
+    return this.provider.name === 'mock'
   }
 
   /**
-   * Poll for analysis results with exponential backoff
-   * @private
+   * Analyze a receipt with the configured provider. HEIC, WebP and TIFF
+   * files are analyzed as a converted copy (see imageConversion.js).
+   * @param {string} filePath - Path to file to analyze
+   * @returns {Promise<Object>} - Extracted receipt data
+   * @throws {OCRError} - When analysis fails, with a reason code
    */
-  async _pollForResults(operationUrl) {
-    let attempt = 0
-    let delay = this.pollInterval
-
-    while (attempt < this.maxRetries) {
-      // Wait before polling (except first attempt)
-      if (attempt > 0) {
-        await this._delay(delay)
-        // Exponential backoff with jitter
-        delay = Math.min(delay * 1.2 + Math.random() * 1000, 10000)
-      }
-
-      try {
-        const response = await this._makeRequest(operationUrl, {
-          headers: {
-            'Ocp-Apim-Subscription-Key': this.apiKey
-          }
-        })
-
-        if (!response.ok) {
-          throw new Error(`Poll request failed: ${response.status}`)
-        }
-
-        const result = await response.json()
-
-        switch (result.status) {
-          case 'succeeded':
-            return result
-          
-          case 'failed':
-            throw new Error(`OCR analysis failed: ${result.error?.message || 'Unknown error'}`)
-          
-          case 'running':
-          case 'notStarted':
-            // Continue polling
-            break
-          
-          default:
-            throw new Error(`Unknown status: ${result.status}`)
-        }
-      } catch (error) {
-        console.warn(`Poll attempt ${attempt + 1} failed:`, error.message)
-        
-        // If it's the last attempt, throw the error
-        if (attempt === this.maxRetries - 1) {
-          throw error
-        }
-      }
+  async analyzeReceipt(filePath) {
+    const data = await this._withReadableCopy(filePath, readable => this.provider.analyze(readable))
 
-      attempt++
+    if (data.confidence < this.minConfidence) {
+      throw new OCRError(OCR_ERROR_CODES.LOW_CONFIDENCE, { data })
     }
 
-    throw new Error('OCR analysis timed out after maximum retries')
+    return data
   }
 
   /**
-   * Extract receipt data from OCR results
+   * Run `analyze` on the file, or on a converted copy in a temporary
+   * directory that is removed afterwards
    * @private
    */
-  _extractReceiptData(ocrResult) {
+  async _withReadableCopy(filePath, analyze) {
+    let type = null
     try {
-      const document = ocrResult?.analyzeResult?.documents?.[0]
-      if (!document || !document.fields) {
-        return this._getMockData()
-      }
-
-      const fields = document.fields
-      
-      return {
-        vendor: this._extractFieldValue(fields.MerchantName) || 
-                this._extractFieldValue(fields.VendorName) || '',
-        total: this._extractFieldValue(fields.Total) || '',
-        transactionDate: this._extractFieldValue(fields.TransactionDate) || '',
-        // Additional fields that might be useful
-        merchantAddress: this._extractFieldValue(fields.MerchantAddress) || '',
-        merchantPhone: this._extractFieldValue(fields.MerchantPhoneNumber) || '',
-        subtotal: this._extractFieldValue(fields.Subtotal) || '',
-        tax: this._extractFieldValue(fields.TotalTax) || '',
-        confidence: document.confidence || 0
-      }
-    } catch (error) {
-      console.error('Error extracting receipt data:', error)
-      return this._getMockData()
+      type = detectConvertibleType(await readHead(filePath))
+    } catch {
+      // Unreadable files are reported by the provider
     }
-  }
-
-  /**
-   * Extract field value with confidence checking
-   * @private
-   */
-  _extractFieldValue(field) {
-    if (!field) return null
-    
-    // Only return values with reasonable confidence
-    if (field.confidence && field.confidence < 0.5) {
-      return null
-    }
-    
-    return field.content || field.value || null
-  }
-
-  /**
-   * Make HTTP request with timeout
-   * @private
-   */
-  async _makeRequest(url, options = {}) {
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout)
+    if (!type) return analyze(filePath)
 
+    let converted
     try {
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal
-      })
-      
-      clearTimeout(timeoutId)
-      return response
+      converted = await convertReceiptFile(await fs.promises.readFile(filePath))
     } catch (error) {
-      clearTimeout(timeoutId)
-      
-      if (error.name === 'AbortError') {
-        throw new Error('Request timed out')
-      }
-      
-      throw error
+      console.error(`Receipt conversion from ${type} failed:`, error.message)
+      throw new OCRError(OCR_ERROR_CODES.CONVERSION_FAILED, { cause: error })
     }
-  }
 
-  /**
-   * Non-blocking delay using Promise
-   * @private
-   */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms))
-  }
-
-  /**
-   * Get mock data for fallback scenarios
-   * @private
-   */
-  _getMockData() {
-    return {
-      vendor: 'Demo Store',
-      total: '12.34',
-      transactionDate: new Date().toISOString().slice(0, 10),
-      merchantAddress: '',
-      merchantPhone: '',
-      subtotal: '10.99',
-      tax: '1.35',
-      confidence: 0.95
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ocr-'))
+    try {
+      const copy = path.join(dir, converted.mime === 'application/pdf' ? 'receipt.pdf' : 'receipt.jpg')
+      await fs.promises.writeFile(copy, converted.data, { mode: 0o600 })
+      return await analyze(copy)
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true })
     }
   }
 
   /**
-   * Health check for OCR service
+   * Health check for the configured provider
    */
   async healthCheck() {
-    if (!this.endpoint || !this.apiKey) {
-      return { healthy: false, reason: 'OCR service not configured' }
-    }
-
-    try {
-      // Simple connectivity test
-      const response = await this._makeRequest(this.endpoint, {
-        method: 'GET',
-        headers: {
-          'Ocp-Apim-Subscription-Key': this.apiKey
-        }
-      })
+    return { provider: this.provider.name, ...(await this.provider.healthCheck()) }
+  }
+}
 
-      return { 
-        healthy: response.status < 500, 
-        status: response.status,
-        reason: response.status < 500 ? 'OK' : 'Service unavailable'
-      }
-    } catch (error) {
-      return { 
-        healthy: false, 
-        reason: error.message 
-      }
-    }
+// Enough leading bytes to recognize a file type
+async function readHead(filePath, length = 64) {
+  const handle = await fs.promises.open(filePath)
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0)
+    return buffer.subarray(0, bytesRead)
+  } finally {
+    await handle.close()
   }
 }
 
+/**
+ * Create an OCR service for a provider name
+ * @param {string} name - "azure", "tesseract" or "mock"
+ * @param {Object} [options] - Provider options plus `minConfidence`
+ * @returns {OCRService}
+ * @throws {Error} - For an unknown provider
+ */
+export function createOCRService(name, { minConfidence, ...options } = {}) {
+  const Provider = OCR_PROVIDERS[name]
+  if (!Provider) {
+    throw new Error(`Unknown OCR provider: ${name}. Expected one of ${Object.keys(OCR_PROVIDERS).join(', ')}`)
+  }
+  return new OCRService(new Provider(options), { minConfidence })
+}
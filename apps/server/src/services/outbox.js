@@ -0,0 +1,291 @@
+/**
+ * Delivery of submitted receipts to the submission sink. The submission and
+ * its files are saved locally first; the outbox then creates the item and
+ * uploads each file as separate steps, recording the outcome of every step.
+ * A failed step is retried with exponential backoff, resuming where the last
+ * attempt stopped, so no file is lost when the sink is down.
+ *
+ * Delivery is at-least-once: a step's outcome is saved after the sink
+ * answers, so a crash in between repeats the step on the next attempt and
+ * can create a second item or upload a file again.
+ *
+ * Entry statuses:
+ * - pending: steps remain; retried at nextAttemptAt
+ * - delivered: every step went through
+ * - failed: gave up after maxAttempts; retry() queues it again
+ */
+
+export const DELIVERY_STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+}
+
+export const DELIVERY_STEPS = {
+  CREATE_ITEM: "create_item",
+  UPLOAD_ATTACHMENT: "upload_attachment",
+}
+
+const STEP_STATUS = { PENDING: "pending", DONE: "done", FAILED: "failed" }
+
+/**
+ * What clients see of an entry: its status and steps, without the columns
+ * @param {Object|null} entry
+ * @returns {Object|null} - { status, itemId, attempts, nextAttemptAt, lastError,
+ *   deliveredAt, steps: [{ type, name, status, error, completedAt }] }
+ */
+export function describeDelivery(entry) {
+  if (!entry) return null
+  const { status, itemId, attempts, nextAttemptAt, lastError, deliveredAt, steps } = entry
+  return {
+    status,
+    itemId,
+    attempts,
+    nextAttemptAt,
+    lastError,
+    deliveredAt,
+    steps: steps.map(({ type, name, status, error, completedAt }) => ({
+      type,
+      ...(name && { name }),
+      status,
+      error,
+      completedAt,
+    })),
+  }
+}
+
+export class Outbox {
+  /**
+   * @param {Object} store - Outbox store (see stores/outboxStore.js)
+   * @param {Object} options
+   * @param {Object} options.sink - Submission sink (see submissionSink.js)
+   * @param {Object} options.files - Attachment store holding each entry's files
+   *   under its id (see stores/attachmentStore.js)
+   * @param {Function} [options.onItemCreated] - Async (entry) => void, called once
+   *   the item exists, e.g. to record its id
+   * @param {number} [options.maxAttempts] - Attempts before an entry is marked failed
+   * @param {number} [options.baseDelayMs] - Wait after the first failed attempt; doubles after each
+   * @param {number} [options.maxDelayMs] - Longest wait between attempts
+   * @param {number} [options.intervalMs] - How often due entries are retried
+   */
+  constructor(
+    store,
+    {
+      sink,
+      files,
+      onItemCreated = async () => {},
+      maxAttempts = 10,
+      baseDelayMs = 30 * 1000,
+      maxDelayMs = 60 * 60 * 1000,
+      intervalMs = 30 * 1000,
+    },
+  ) {
+    this.store = store
+    this.sink = sink
+    this.files = files
+    this.onItemCreated = onItemCreated
+    this.maxAttempts = maxAttempts
+    this.baseDelayMs = baseDelayMs
+    this.maxDelayMs = maxDelayMs
+    this.intervalMs = intervalMs
+    this.timer = null
+    this.running = new Map()
+  }
+
+  /**
+   * Queue a submission for delivery; its files must already be in `files`
+   * @param {Object} submission
+   * @param {string} submission.id - Submission id, also the id of the entry
+   * @param {Object} submission.columns - Columns of the item (see listColumns.js)
+   * @param {Array<string>} submission.attachments - Names of the files to upload
+   * @returns {Promise<Object>} - The entry
+   */
+  async enqueue({ id, columns, attachments }) {
+    const now = new Date().toISOString()
+    const entry = {
+      id,
+      itemId: null,
+      columns,
+      status: DELIVERY_STATUS.PENDING,
+      steps: [
+        { type: DELIVERY_STEPS.CREATE_ITEM, status: STEP_STATUS.PENDING, error: null, completedAt: null },
+        ...attachments.map((name) => ({
+          type: DELIVERY_STEPS.UPLOAD_ATTACHMENT,
+          name,
+          status: STEP_STATUS.PENDING,
+          error: null,
+          completedAt: null,
+        })),
+      ],
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      deliveredAt: null,
+    }
+    await this.store.put(entry)
+    return entry
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  get(id) {
+    return this.store.get(id)
+  }
+
+  /**
+   * Run the remaining steps of a pending entry now. Concurrent calls for the
+   * same entry share one attempt.
+   * @param {string} id
+   * @returns {Promise<Object|null>} - The entry after the attempt
+   */
+  deliver(id) {
+    if (!this.running.has(id)) {
+      this.running.set(
+        id,
+        this._deliver(id).finally(() => this.running.delete(id)),
+      )
+    }
+    return this.running.get(id)
+  }
+
+  async _deliver(id) {
+    const entry = await this.store.get(id)
+    if (!entry || entry.status !== DELIVERY_STATUS.PENDING) return entry
+    entry.attempts += 1
+    try {
+      for (const step of entry.steps.filter((s) => s.status !== STEP_STATUS.DONE)) {
+        try {
+          await this._runStep(entry, step)
+        } catch (err) {
+          step.status = STEP_STATUS.FAILED
+          step.error = err.message
+          throw err
+        }
+        step.status = STEP_STATUS.DONE
+        step.error = null
+        step.completedAt = new Date().toISOString()
+        // Saved after every step so a retry resumes after the last saved one
+        entry.updatedAt = step.completedAt
+        await this.store.put(entry)
+        if (step.type === DELIVERY_STEPS.CREATE_ITEM) {
+          try {
+            await this.onItemCreated(entry)
+          } catch (err) {
+            console.error("Failed to record delivered item:", err.message)
+          }
+        }
+      }
+      entry.status = DELIVERY_STATUS.DELIVERED
+      entry.deliveredAt = new Date().toISOString()
+      entry.nextAttemptAt = null
+      entry.lastError = null
+    } catch (err) {
+      console.error(`Delivery of ${id} failed (attempt ${entry.attempts}):`, err.message)
+      entry.lastError = err.message
+      if (entry.attempts >= this.maxAttempts) {
+        entry.status = DELIVERY_STATUS.FAILED
+        entry.nextAttemptAt = null
+      } else {
+        entry.nextAttemptAt = new Date(Date.now() + this.backoff(entry.attempts)).toISOString()
+      }
+    }
+    entry.updatedAt = new Date().toISOString()
+    await this.store.put(entry)
+    return entry
+  }
+
+  async _runStep(entry, step) {
+    if (step.type === DELIVERY_STEPS.CREATE_ITEM) {
+      const { id } = await this.sink.createItem(entry.columns)
+      entry.itemId = id
+      return
+    }
+    const data = await this.files.get(entry.id, step.name)
+    if (!data) throw new Error(`Attachment missing: ${step.name}`)
+    await this.sink.uploadAttachment(entry.itemId, step.name, data)
+  }
+
+  /**
+   * Wait before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Milliseconds
+   */
+  backoff(attempts) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1))
+  }
+
+  /**
+   * Change columns of a submission. Before its item exists the entry is
+   * updated so the item is created with them; afterwards the sink is.
+   * @param {string} id - Submission id
+   * @param {string} itemId - Item id recorded on the submission, for
+   *   submissions that predate the outbox
+   * @param {Object} columns
+   * @returns {Promise<void>}
+   */
+  async updateColumns(id, itemId, columns) {
+    // An attempt in flight may be creating the item right now
+    await this.running.get(id)
+    const entry = await this.store.get(id)
+    if (entry && !entry.itemId) {
+      Object.assign(entry.columns, columns)
+      entry.updatedAt = new Date().toISOString()
+      await this.store.put(entry)
+      return
+    }
+    await this.sink.updateItem(entry?.itemId || itemId, columns)
+  }
+
+  /**
+   * Queue a failed entry again with a fresh set of attempts
+   * @param {string} id
+   * @returns {Promise<Object|null>} - The entry after an immediate attempt, or
+   *   null when there is nothing to retry
+   */
+  async retry(id) {
+    const entry = await this.store.get(id)
+    if (!entry || entry.status !== DELIVERY_STATUS.FAILED) return null
+    entry.status = DELIVERY_STATUS.PENDING
+    entry.attempts = 0
+    entry.nextAttemptAt = new Date().toISOString()
+    await this.store.put(entry)
+    return this.deliver(id)
+  }
+
+  /**
+   * Attempt every entry that is due, one at a time
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Array<Object>>} - Entries after their attempt
+   */
+  async processDue(now = new Date()) {
+    const results = []
+    for (const { id } of await this.store.listDue(now.toISOString())) {
+      results.push(await this.deliver(id))
+    }
+    return results
+  }
+
+  /**
+   * Resume deliveries left over from before a restart, then retry due
+   * entries on every interval
+   * @returns {Promise<Array<Object>>}
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.processDue().catch((err) => console.error("Outbox run failed:", err))
+      }, this.intervalMs)
+      this.timer.unref?.()
+    }
+    return this.processDue()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+}
@@ -0,0 +1,240 @@
+import { promises as fsp } from "fs"
+
+/**
+ * Expense policy checked before a receipt is submitted. The rule set is
+ * declarative; admins provide it as a JSON file (POLICY_RULES_FILE) shaped
+ * like { "rules": [ ... ] }, see policy.example.json. Without one no rules
+ * apply.
+ *
+ * Every rule has an `id`, a `type`, a `severity` ("error" blocks submission,
+ * "warning" is shown to the submitter and the approver) and an optional
+ * `message`. Rule types:
+ * - maxAmount: { field = "total", max, category?, currency? } the amount may
+ *   not exceed `max`; limited to one category when given. With a `currency`
+ *   the rule applies to receipts in that currency only; without one `max` is
+ *   in the home currency and foreign amounts are compared after conversion
+ *   (a warning when no exchange rate is known)
+ * - maxAge: { days } the transaction date may not be older than `days`
+ * - weekend: the transaction date may not fall on a Saturday or Sunday
+ * - forbiddenItems: { keywords } no line item may mention a keyword as a
+ *   whole word (so "rum" does not match "rump steak")
+ *
+ * A rule with `justifiable: true` is satisfied by a written justification
+ * on the receipt; the violation is then reported as a justified warning.
+ */
+
+export const POLICY_SEVERITY = {
+  ERROR: "error",
+  WARNING: "warning",
+}
+
+// Existing deployments keep submitting as before until rules are configured
+export const DEFAULT_POLICY_RULES = { rules: [] }
+
+const MAX_JUSTIFICATION = 500
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const round2 = (n) => Math.round(n * 100) / 100
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+const isStringList = (v) => Array.isArray(v) && v.every((s) => typeof s === "string")
+const isPositive = (v) => typeof v === "number" && Number.isFinite(v) && v > 0
+
+// Parameters each rule type requires, as [name, check, description]
+const RULE_PARAMS = {
+  maxAmount: [["max", isPositive, "a positive number"]],
+  maxAge: [["days", isPositive, "a positive number"]],
+  weekend: [],
+  forbiddenItems: [["keywords", (v) => isStringList(v) && v.length > 0, "a list of words"]],
+}
+
+/**
+ * Validate a rule set
+ * @param {Object} policy - { rules }
+ * @returns {Object} - The rule set
+ * @throws {Error} - When a rule is malformed
+ */
+export function validatePolicyRules(policy) {
+  if (!policy || !Array.isArray(policy.rules)) {
+    throw new Error("Invalid policy rules: expected a rules array")
+  }
+  const seen = new Set()
+  for (const [i, rule] of policy.rules.entries()) {
+    if (!rule || typeof rule.id !== "string" || !rule.id) {
+      throw new Error(`Invalid policy rule at index ${i}: missing id`)
+    }
+    if (seen.has(rule.id)) throw new Error(`Duplicate policy rule id: ${rule.id}`)
+    seen.add(rule.id)
+    const params = RULE_PARAMS[rule.type]
+    if (!params) {
+      throw new Error(
+        `Unknown type for policy rule ${rule.id}: expected one of ${Object.keys(RULE_PARAMS).join(", ")}`,
+      )
+    }
+    if (!Object.values(POLICY_SEVERITY).includes(rule.severity)) {
+      throw new Error(`Invalid severity for policy rule ${rule.id}: expected error or warning`)
+    }
+    for (const [name, check, description] of params) {
+      if (!check(rule[name])) {
+        throw new Error(`Invalid ${name} for policy rule ${rule.id}: expected ${description}`)
+      }
+    }
+  }
+  return policy
+}
+
+/**
+ * Load the rule set from a JSON file, or the empty default without one
+ * @param {string} [filePath] - Path to the rules file
+ * @returns {Promise<Object>} - Validated rule set
+ * @throws {Error} - When the file cannot be read or is invalid
+ */
+export async function loadPolicyRules(filePath) {
+  if (!filePath) return validatePolicyRules(DEFAULT_POLICY_RULES)
+  let policy
+  try {
+    policy = JSON.parse(await fsp.readFile(filePath, "utf8"))
+  } catch (err) {
+    throw new Error(`Could not read policy rules from ${filePath}: ${err.message}`)
+  }
+  return validatePolicyRules(policy)
+}
+
+/**
+ * Validate a submitted justification
+ * @param {*} justification - Text explaining an exception to policy
+ * @returns {string|null} - Trimmed justification, or null when empty
+ * @throws {Error} - When it is not text or too long
+ */
+export function validateJustification(justification) {
+  if (justification == null) return null
+  if (typeof justification !== "string") throw new Error("Invalid justification: expected text")
+  const text = justification.trim()
+  if (text.length > MAX_JUSTIFICATION) {
+    throw new Error(`Justification is too long. Maximum is ${MAX_JUSTIFICATION} characters`)
+  }
+  return text || null
+}
+
+// Days between two ISO dates, counting calendar days in UTC
+function daysBetween(isoDate, now) {
+  const then = Date.parse(`${isoDate}T00:00:00Z`)
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  return Math.floor((today - then) / DAY_MS)
+}
+
+// Checks per rule type; each returns [{ field, message }] for the violations
+const CHECKS = {
+  maxAmount(rule, fields, { conversion, homeCurrency }) {
+    const field = rule.field || "total"
+    const amount = fields[field]
+    if (typeof amount !== "number") return []
+    if (rule.category && fields.category !== rule.category) return []
+    const scope = rule.category ? ` for ${rule.category}` : ""
+    const limit = rule.max.toFixed(2)
+    if (rule.currency) {
+      if (fields.currency !== rule.currency) return []
+      if (amount <= rule.max) return []
+      return [{ field, message: `${amount.toFixed(2)} is over the ${limit} limit${scope}` }]
+    }
+
+    // Receipts without a currency are in the home currency
+    const currency = fields.currency || homeCurrency
+    if (currency === homeCurrency) {
+      if (amount <= rule.max) return []
+      return [{ field, message: `${amount.toFixed(2)} is over the ${limit} limit${scope}` }]
+    }
+    if (!conversion?.rate) {
+      return [{
+        field,
+        severity: POLICY_SEVERITY.WARNING,
+        message: `${amount.toFixed(2)} ${currency} could not be checked against the ${limit} ${homeCurrency} limit${scope}: no exchange rate`,
+      }]
+    }
+    const converted = round2(amount * conversion.rate)
+    if (converted <= rule.max) return []
+    return [{
+      field,
+      message: `${amount.toFixed(2)} ${currency} (${converted.toFixed(2)} ${homeCurrency}) is over the ${limit} ${homeCurrency} limit${scope}`,
+    }]
+  },
+
+  maxAge(rule, fields, { now }) {
+    if (!fields.transactionDate) return []
+    const age = daysBetween(fields.transactionDate, now)
+    if (age <= rule.days) return []
+    return [{
+      field: "transactionDate",
+      message: `Receipt is ${age} days old; receipts must be submitted within ${rule.days} days`,
+    }]
+  },
+
+  weekend(rule, fields) {
+    if (!fields.transactionDate) return []
+    const day = new Date(`${fields.transactionDate}T00:00:00Z`).getUTCDay()
+    if (day !== 0 && day !== 6) return []
+    return [{ field: "transactionDate", message: "Weekend spend needs a justification" }]
+  },
+
+  forbiddenItems(rule, fields) {
+    const pattern = new RegExp(
+      `(^|[^\\p{L}\\p{N}])(${rule.keywords.map(escapeRegExp).join("|")})($|[^\\p{L}\\p{N}])`,
+      "iu",
+    )
+    return (fields.items || []).flatMap((item, i) => {
+      const match = typeof item.description === "string" && item.description.match(pattern)
+      if (!match) return []
+      return [{
+        field: `items.${i}.description`,
+        message: `“${item.description}” is not reimbursable (${match[2].toLowerCase()})`,
+      }]
+    })
+  },
+}
+
+export class PolicyEngine {
+  /**
+   * @param {Object} policy - Output of validatePolicyRules
+   * @param {Object} [options]
+   * @param {string} [options.homeCurrency] - Currency of limits that name none
+   */
+  constructor(policy, { homeCurrency = "USD" } = {}) {
+    this.rules = policy.rules
+    this.homeCurrency = homeCurrency
+  }
+
+  /**
+   * Check receipt fields against every rule
+   * @param {Object} fields - Sanitized receipt fields (see validateFields)
+   * @param {Object} [options]
+   * @param {string|null} [options.justification] - Submitter's justification
+   * @param {Object|null} [options.conversion] - The total converted into the
+   *   home currency (see CurrencyConverter#convert)
+   * @param {Date} [options.now] - Reference time for date rules
+   * @returns {Array<Object>} - Violations as { rule, severity, field, message, justifiable, justified }
+   */
+  evaluate(fields, { justification = null, conversion = null, now = new Date() } = {}) {
+    const context = { now, conversion, homeCurrency: this.homeCurrency }
+    return this.rules.flatMap((rule) =>
+      CHECKS[rule.type](rule, fields, context).map(({ field, message, severity }) => {
+        const justified = Boolean(rule.justifiable && justification)
+        return {
+          rule: rule.id,
+          severity: justified ? POLICY_SEVERITY.WARNING : severity || rule.severity,
+          field,
+          message: rule.message || message,
+          justifiable: Boolean(rule.justifiable),
+          justified,
+        }
+      }),
+    )
+  }
+}
+
+/**
+ * Whether any violation blocks submission
+ * @param {Array<Object>} violations - Output of PolicyEngine#evaluate
+ * @returns {boolean}
+ */
+export function isBlocked(violations) {
+  return violations.some((v) => v.severity === POLICY_SEVERITY.ERROR)
+}
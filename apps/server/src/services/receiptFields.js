@@ -0,0 +1,131 @@
+import { isCurrencyCode, isIsoDate, parseDecimal } from "./normalize.js"
+
+/**
+ * Receipt field schema and validation for submitted fields.
+ *
+ * Types:
+ * - string: free text
+ * - amount: decimal, stored as a number rounded to cents
+ * - number: any finite number (e.g. quantities)
+ * - date: ISO-8601 calendar date (YYYY-MM-DD)
+ * - currency: ISO 4217 code
+ * - items: array of line items following ITEM_SCHEMA
+ */
+export const FIELD_SCHEMA = {
+  vendor: "string",
+  total: "amount",
+  currency: "currency",
+  transactionDate: "date",
+  merchantAddress: "string",
+  merchantPhone: "string",
+  subtotal: "amount",
+  tax: "amount",
+  items: "items",
+  // Expense category id from the configured rule table (see categories.js)
+  category: "string",
+}
+
+export const ITEM_SCHEMA = {
+  description: "string",
+  quantity: "number",
+  unitPrice: "amount",
+  totalPrice: "amount",
+}
+
+const MAX_ITEMS = 200
+
+/**
+ * Validate a single value against a schema type
+ * @param {string} name - Field name for error messages
+ * @param {string} expected - Schema type
+ * @param {*} v - Submitted value
+ * @returns {*} - Canonical value, or undefined when left empty
+ */
+function validateValue(name, expected, v) {
+  const invalid = () => new Error(`Invalid type for ${name}: expected ${expected}`)
+
+  // Typed fields may be left empty; empty values are dropped
+  if (expected !== "string" && (v === null || v === "")) return undefined
+
+  switch (expected) {
+    case "string":
+      if (typeof v !== "string") throw invalid()
+      return v
+    case "amount": {
+      if (typeof v === "string" && !/^-?\d+(\.\d{1,2})?$/.test(v.trim())) {
+        throw invalid()
+      }
+      const n = parseDecimal(v)
+      if (n === null) throw invalid()
+      return n
+    }
+    case "number": {
+      const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v
+      if (typeof n !== "number" || !Number.isFinite(n)) throw invalid()
+      return n
+    }
+    case "date":
+      if (!isIsoDate(v)) throw invalid()
+      return v
+    case "currency":
+      if (!isCurrencyCode(v)) throw invalid()
+      return v
+    default:
+      throw invalid()
+  }
+}
+
+function validateItems(items) {
+  if (!Array.isArray(items)) {
+    throw new Error("Invalid type for items: expected array")
+  }
+  if (items.length > MAX_ITEMS) {
+    throw new Error(`Too many items: maximum is ${MAX_ITEMS}`)
+  }
+  return items.map((item, i) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      throw new Error(`Invalid type for items[${i}]: expected object`)
+    }
+    const sanitized = {}
+    for (const [k, v] of Object.entries(item)) {
+      const expected = ITEM_SCHEMA[k]
+      if (!expected) throw new Error(`Invalid field: items[${i}].${k}`)
+      const value = validateValue(`items[${i}].${k}`, expected, v)
+      if (value !== undefined) sanitized[k] = value
+    }
+    return sanitized
+  })
+}
+
+/**
+ * Validate submitted receipt fields against FIELD_SCHEMA
+ * @param {Object} fields - Submitted fields
+ * @returns {Object} - Sanitized fields with canonical typed values
+ * @throws {Error} - On unknown fields or type mismatches
+ */
+export function validateFields(fields) {
+  const sanitized = {}
+  for (const [k, v] of Object.entries(fields || {})) {
+    const expected = FIELD_SCHEMA[k]
+    if (!expected) throw new Error(`Invalid field: ${k}`)
+    if (expected === "items") {
+      sanitized[k] = validateItems(v)
+      continue
+    }
+    const value = validateValue(k, expected, v)
+    if (value !== undefined) sanitized[k] = value
+  }
+  return sanitized
+}
+
+/**
+ * Map sanitized fields to SharePoint list columns. Columns are flat, so line
+ * items are stored as a JSON text column.
+ * @param {Object} fields - Output of validateFields
+ * @returns {Object} - List item fields
+ */
+export function toListItemFields(fields) {
+  const { items, ...rest } = fields
+  if (items === undefined) return rest
+  return { ...rest, items: JSON.stringify(items) }
+}
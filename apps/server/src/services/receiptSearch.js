@@ -0,0 +1,114 @@
+import { SUBMISSION_STATUS } from "./approvals.js"
+import { isIsoDate } from "./normalize.js"
+
+/**
+ * Search over submitted receipts: free text over the vendor and line item
+ * descriptions, filters on date, amount, category and status, newest first
+ * and a page at a time. Submissions are scanned in memory, which is fine for
+ * the history of one user.
+ */
+
+export const DEFAULT_PAGE_SIZE = 20
+export const MAX_PAGE_SIZE = 100
+const MAX_QUERY_LENGTH = 200
+
+const AMOUNT = /^\d+(\.\d{1,2})?$/
+
+// Lower case without accents, so "cafe" finds "Café"
+const fold = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+
+function positiveInteger(name, value, max) {
+  if (!/^\d+$/.test(value) || Number(value) < 1 || (max && Number(value) > max)) {
+    throw new Error(`Invalid ${name}: expected a whole number from 1${max ? ` to ${max}` : ""}`)
+  }
+  return Number(value)
+}
+
+/**
+ * Validate the query string of a search
+ * @param {Object} query - req.query: q, from, to, minAmount, maxAmount, category,
+ *   status, page, pageSize
+ * @returns {Object} - Filters for searchSubmissions
+ * @throws {Error} - For invalid parameters
+ */
+export function parseSearchQuery(query) {
+  const { q, from, to, minAmount, maxAmount, category, status, page, pageSize } = query
+  for (const [name, value] of Object.entries({ q, from, to, minAmount, maxAmount, category, status, page, pageSize })) {
+    if (value != null && typeof value !== "string") throw new Error(`Invalid ${name}: expected text`)
+  }
+  if (q && q.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Invalid q: at most ${MAX_QUERY_LENGTH} characters`)
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && !isIsoDate(value)) throw new Error(`Invalid ${name}: expected YYYY-MM-DD`)
+  }
+  if (from && to && from > to) throw new Error("Invalid date range: from is after to")
+  for (const [name, value] of Object.entries({ minAmount, maxAmount })) {
+    if (value && !AMOUNT.test(value)) throw new Error(`Invalid ${name}: expected an amount such as 12.50`)
+  }
+  if (minAmount && maxAmount && Number(minAmount) > Number(maxAmount)) {
+    throw new Error("Invalid amount range: minAmount is above maxAmount")
+  }
+  if (status && !Object.values(SUBMISSION_STATUS).includes(status)) {
+    throw new Error(`Invalid status: expected one of ${Object.values(SUBMISSION_STATUS).join(", ")}`)
+  }
+  return {
+    terms: fold(q).split(/\s+/).filter(Boolean),
+    from: from || null,
+    to: to || null,
+    minAmount: minAmount ? Number(minAmount) : null,
+    maxAmount: maxAmount ? Number(maxAmount) : null,
+    category: category || null,
+    status: status || null,
+    page: page ? positiveInteger("page", page) : 1,
+    pageSize: pageSize ? positiveInteger("pageSize", pageSize, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+  }
+}
+
+// Undated receipts count as spent on the day they were submitted
+const receiptDate = (s) => s.fields?.transactionDate || s.submittedAt.slice(0, 10)
+
+// Amount filters apply to the home currency total when it was converted
+const receiptAmount = (s) => s.conversion?.amount ?? s.fields?.total
+
+function matches(submission, { terms, from, to, minAmount, maxAmount, category, status }) {
+  const { fields = {} } = submission
+  if (status && submission.status !== status) return false
+  if (category && fields.category !== category) return false
+  const date = receiptDate(submission)
+  if ((from && date < from) || (to && date > to)) return false
+  if (minAmount != null || maxAmount != null) {
+    const amount = receiptAmount(submission)
+    if (amount == null) return false
+    if ((minAmount != null && amount < minAmount) || (maxAmount != null && amount > maxAmount)) return false
+  }
+  if (terms.length === 0) return true
+  const text = fold([fields.vendor, ...(fields.items || []).map((i) => i.description)].join(" "))
+  return terms.every((term) => text.includes(term))
+}
+
+/**
+ * Filter and page submissions
+ * @param {Array<Object>} submissions - Stored submissions (see approvals.js)
+ * @param {Object} filters - Output of parseSearchQuery
+ * @returns {Object} - { results, total, page, pageSize }; results are newest first
+ */
+export function searchSubmissions(submissions, filters) {
+  const found = submissions
+    .filter((s) => matches(s, filters))
+    .sort((a, b) => {
+      const byDate = receiptDate(b).localeCompare(receiptDate(a))
+      return byDate || b.submittedAt.localeCompare(a.submittedAt)
+    })
+  const start = (filters.page - 1) * filters.pageSize
+  return {
+    results: found.slice(start, start + filters.pageSize),
+    total: found.length,
+    page: filters.page,
+    pageSize: filters.pageSize,
+  }
+}
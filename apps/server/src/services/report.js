@@ -0,0 +1,289 @@
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib"
+import { convertReceiptFile } from "./imageConversion.js"
+
+/**
+ * Printable expense report for one submitted receipt: the extracted fields,
+ * line items, signature and attestation on the first pages, followed by the
+ * receipt itself (images scaled to the page, PDF pages copied as they are;
+ * HEIC, WebP and TIFF photos converted first).
+ */
+
+const PAGE = { width: 595.28, height: 841.89 } // A4 in points
+const MARGIN = 50
+const LINE = 14
+const GREY = rgb(0.4, 0.4, 0.4)
+
+// Receipt fields shown in the report, in order
+const FIELD_LABELS = {
+  vendor: "Vendor",
+  transactionDate: "Date",
+  total: "Total",
+  currency: "Currency",
+  subtotal: "Subtotal",
+  tax: "Tax",
+  merchantAddress: "Address",
+  merchantPhone: "Phone",
+}
+
+const formatAmount = (n) => (typeof n === "number" ? n.toFixed(2) : String(n ?? ""))
+
+// Kind of a receipt file from its leading bytes
+function fileKind(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) return "jpeg"
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "png"
+  if (data.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf"
+  return null
+}
+
+/** Lays out text top to bottom, starting a new page when one fills up */
+class ReportWriter {
+  constructor(doc, fonts) {
+    this.doc = doc
+    this.fonts = fonts
+    // Standard fonts only cover WinAnsi; anything else prints as "?"
+    this.charset = new Set(fonts.regular.getCharacterSet())
+    this.newPage()
+  }
+
+  newPage() {
+    this.page = this.doc.addPage([PAGE.width, PAGE.height])
+    this.y = PAGE.height - MARGIN
+  }
+
+  ensureSpace(height) {
+    if (this.y - height < MARGIN) this.newPage()
+  }
+
+  clean(text) {
+    return [...String(text ?? "").replace(/[\r\n\t]+/g, " ")]
+      .map((c) => (this.charset.has(c.codePointAt(0)) ? c : "?"))
+      .join("")
+  }
+
+  // Split text into lines no wider than `width`
+  wrap(text, width, font, size) {
+    const lines = []
+    let line = ""
+    for (const word of this.clean(text).split(" ")) {
+      const candidate = line ? `${line} ${word}` : word
+      if (font.widthOfTextAtSize(candidate, size) <= width || !line) {
+        line = candidate
+      } else {
+        lines.push(line)
+        line = word
+      }
+    }
+    lines.push(line)
+    // Very long words are cut rather than run off the page
+    return lines.map((l) => {
+      let cut = l
+      while (cut.length > 1 && font.widthOfTextAtSize(cut, size) > width) cut = cut.slice(0, -1)
+      return cut
+    })
+  }
+
+  text(value, { x = MARGIN, width = PAGE.width - 2 * MARGIN, size = 10, bold = false, color } = {}) {
+    const font = bold ? this.fonts.bold : this.fonts.regular
+    for (const line of this.wrap(value, width, font, size)) {
+      this.ensureSpace(LINE)
+      this.page.drawText(line, { x, y: this.y - size, size, font, color })
+      this.y -= LINE
+    }
+  }
+
+  heading(value) {
+    this.y -= 8
+    this.ensureSpace(LINE * 3)
+    this.text(value, { size: 13, bold: true })
+    this.y -= 2
+  }
+
+  // Bold label with the value wrapped in a column beside it
+  row(label, value) {
+    if (value == null || value === "") return
+    const valueX = MARGIN + 130
+    const lines = this.wrap(value, PAGE.width - MARGIN - valueX, this.fonts.regular, 10)
+    this.ensureSpace(LINE * Math.min(lines.length, 3))
+    this.page.drawText(this.clean(label), { x: MARGIN, y: this.y - 10, size: 10, font: this.fonts.bold })
+    for (const line of lines) {
+      this.ensureSpace(LINE)
+      this.page.drawText(line, { x: valueX, y: this.y - 10, size: 10, font: this.fonts.regular })
+      this.y -= LINE
+    }
+  }
+
+  table(columns, rows) {
+    const width = PAGE.width - 2 * MARGIN
+    const draw = (cells, bold) => {
+      this.ensureSpace(LINE)
+      let x = MARGIN
+      for (const [i, col] of columns.entries()) {
+        const w = col.width * width
+        const font = bold ? this.fonts.bold : this.fonts.regular
+        const [first] = this.wrap(cells[i], w - 6, font, 9)
+        const textX = col.align === "right" ? x + w - 6 - font.widthOfTextAtSize(first, 9) : x
+        this.page.drawText(first, { x: textX, y: this.y - 9, size: 9, font })
+        x += w
+      }
+      this.y -= LINE
+    }
+    draw(columns.map((c) => c.label), true)
+    for (const row of rows) draw(row, false)
+  }
+
+  image(embedded, { maxWidth, maxHeight }) {
+    const scale = Math.min(1, maxWidth / embedded.width, maxHeight / embedded.height)
+    const width = embedded.width * scale
+    const height = embedded.height * scale
+    this.ensureSpace(height)
+    this.page.drawImage(embedded, { x: MARGIN, y: this.y - height, width, height })
+    this.y -= height + 6
+  }
+}
+
+function writeSummary(w, { fields, category, conversion, submissionId, batchId, submitter, submittedAt }) {
+  w.text("Expense report", { size: 18, bold: true })
+  w.y -= 6
+  w.row("Submitted by", [submitter?.name, submitter?.upn && `<${submitter.upn}>`].filter(Boolean).join(" "))
+  w.row("Submitted", submittedAt)
+  w.row("Submission", submissionId)
+  w.row("Batch", batchId)
+
+  w.heading("Receipt")
+  for (const [key, label] of Object.entries(FIELD_LABELS)) {
+    const value = fields[key]
+    w.row(label, ["total", "subtotal", "tax"].includes(key) && value != null ? formatAmount(value) : value)
+  }
+  if (category) w.row("Category", `${category.label} (GL ${category.glCode})`)
+  if (conversion && conversion.originalCurrency !== conversion.currency) {
+    w.row(
+      `Total in ${conversion.currency}`,
+      `${formatAmount(conversion.amount)} at ${conversion.rate} (${conversion.rateDate} rate)`,
+    )
+  }
+}
+
+function writeItems(w, items) {
+  if (!items?.length) return
+  w.heading("Line items")
+  w.table(
+    [
+      { label: "Description", width: 0.52 },
+      { label: "Qty", width: 0.12, align: "right" },
+      { label: "Unit price", width: 0.18, align: "right" },
+      { label: "Line total", width: 0.18, align: "right" },
+    ],
+    items.map((item) => [
+      item.description ?? "",
+      item.quantity ?? "",
+      item.unitPrice != null ? formatAmount(item.unitPrice) : "",
+      item.totalPrice != null ? formatAmount(item.totalPrice) : "",
+    ]),
+  )
+}
+
+function writeNotes(w, { overrideReason, justification, policyWarnings }) {
+  if (!overrideReason && !justification && !policyWarnings?.length) return
+  w.heading("Notes")
+  w.row("Totals override", overrideReason)
+  for (const warning of policyWarnings || []) w.row("Policy", warning.message)
+  w.row("Justification", justification)
+}
+
+async function writeSignature(w, doc, { attestation, signaturePng }) {
+  if (!attestation && !signaturePng) return
+  w.heading("Signature")
+  if (signaturePng) {
+    try {
+      w.image(await doc.embedPng(signaturePng), { maxWidth: 250, maxHeight: 90 })
+    } catch (err) {
+      w.text(`The signature image could not be embedded (${err.message}).`, { color: GREY })
+    }
+  }
+  if (!attestation) return
+  if (attestation.signature?.typedName) w.row("Typed signature", attestation.signature.typedName)
+  w.row(
+    "Signer",
+    [attestation.signer?.name, attestation.signer?.upn && `<${attestation.signer.upn}>`].filter(Boolean).join(" ") ||
+      "Not recorded",
+  )
+  w.row("Signer id", attestation.signer?.oid)
+  w.row("Signed at", attestation.signedAt)
+  w.row("Statement", attestation.statement)
+  w.row("Content hash", `SHA-256 ${attestation.contentHash}`)
+}
+
+async function appendReceiptFile(w, doc, file) {
+  if (!file) return
+  let data = file.data
+  let kind = fileKind(data)
+  try {
+    if (!kind) {
+      const converted = await convertReceiptFile(data)
+      if (converted) {
+        data = converted.data
+        kind = fileKind(data)
+      }
+    }
+    if (kind === "pdf") {
+      const source = await PDFDocument.load(data, { ignoreEncryption: true })
+      const pages = await doc.copyPages(source, source.getPageIndices())
+      for (const page of pages) doc.addPage(page)
+      return
+    }
+    if (kind === "jpeg" || kind === "png") {
+      const embedded = kind === "jpeg" ? await doc.embedJpg(data) : await doc.embedPng(data)
+      w.newPage()
+      w.text(`Receipt: ${file.name}`, { bold: true })
+      w.y -= 4
+      w.image(embedded, { maxWidth: PAGE.width - 2 * MARGIN, maxHeight: w.y - MARGIN })
+      return
+    }
+  } catch (err) {
+    w.heading("Receipt")
+    w.text(`${file.name} could not be embedded (${err.message}). It is attached to the item.`, { color: GREY })
+    return
+  }
+  w.heading("Receipt")
+  w.text(`${file.name} cannot be embedded in the report. It is attached to the item.`, { color: GREY })
+}
+
+/**
+ * Render the expense report for one submitted receipt
+ * @param {Object} report
+ * @param {Object} report.fields - Sanitized receipt fields
+ * @param {Object} [report.category] - { label, glCode } of the receipt's category
+ * @param {Object} [report.conversion] - Home currency conversion (see fx.js)
+ * @param {string} [report.submissionId]
+ * @param {string} [report.batchId]
+ * @param {Object} [report.submitter] - { name, upn }
+ * @param {string} [report.submittedAt] - ISO timestamp
+ * @param {string} [report.overrideReason]
+ * @param {string} [report.justification]
+ * @param {Array<Object>} [report.policyWarnings] - Policy violations (see policy.js)
+ * @param {Object} [report.file] - Receipt file, { name, data: Buffer }
+ * @param {Buffer} [report.signaturePng] - Drawn or typed signature image
+ * @param {Object} [report.attestation] - Signer attestation (see attestation.js)
+ * @returns {Promise<Buffer>} - PDF document
+ */
+export async function renderExpenseReport(report) {
+  const doc = await PDFDocument.create()
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold),
+  }
+  const w = new ReportWriter(doc, fonts)
+  const title = `Expense report: ${report.fields.vendor || "receipt"}${report.submissionId ? ` (${report.submissionId})` : ""}`
+  doc.setTitle(w.clean(title))
+  doc.setAuthor(w.clean(report.submitter?.name || report.submitter?.upn || ""))
+  if (report.attestation) doc.setSubject(`Attestation SHA-256 ${report.attestation.contentHash}`)
+  doc.setCreationDate(report.submittedAt ? new Date(report.submittedAt) : new Date())
+
+  writeSummary(w, report)
+  writeItems(w, report.fields.items)
+  writeNotes(w, report)
+  await writeSignature(w, doc, report)
+  await appendReceiptFile(w, doc, report.file)
+
+  return Buffer.from(await doc.save())
+}
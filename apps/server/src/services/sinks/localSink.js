@@ -0,0 +1,97 @@
+import crypto from "crypto"
+import path from "path"
+import { JsonFile } from "../../stores/jsonFile.js"
+import { FileAttachmentStore, MemoryAttachmentStore } from "../../stores/attachmentStore.js"
+
+/**
+ * Keeps submitted receipts on this machine instead of sending them anywhere:
+ * the items in items.json and their files under files/<itemId>/ of the sink
+ * directory, so development and tests can see exactly what was submitted.
+ * Without a directory everything is kept in memory.
+ */
+
+// The JsonFile interface without the disk
+class MemoryDocument {
+  constructor(createDefault) {
+    this.data = createDefault()
+  }
+
+  async read() {
+    return this.data
+  }
+
+  async update(fn) {
+    return fn(this.data)
+  }
+}
+
+export class LocalSink {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory of the sink; in memory when empty
+   */
+  constructor({ dir } = {}) {
+    this.name = "local"
+    const createDefault = () => ({ items: {} })
+    this.items = dir ? new JsonFile(path.join(dir, "items.json"), createDefault) : new MemoryDocument(createDefault)
+    this.files = dir ? new FileAttachmentStore(path.join(dir, "files")) : new MemoryAttachmentStore()
+  }
+
+  async createItem(columns) {
+    const id = crypto.randomUUID()
+    const now = new Date().toISOString()
+    await this.items.update((data) => {
+      data.items[id] = { id, columns: structuredClone(columns), createdAt: now, updatedAt: now }
+    })
+    return { id }
+  }
+
+  async updateItem(itemId, columns) {
+    await this.items.update((data) => {
+      const item = data.items[itemId]
+      if (!item) throw new Error(`Item not found: ${itemId}`)
+      Object.assign(item.columns, structuredClone(columns))
+      item.updatedAt = new Date().toISOString()
+    })
+  }
+
+  async uploadAttachment(itemId, name, data) {
+    const { items } = await this.items.read()
+    if (!items[itemId]) throw new Error(`Item not found: ${itemId}`)
+    await this.files.put(itemId, name, data)
+  }
+
+  /**
+   * An item with the names of its files, for inspection
+   * @param {string} itemId
+   * @returns {Promise<Object|null>} - { id, columns, createdAt, updatedAt, attachments }
+   */
+  async getItem(itemId) {
+    const { items } = await this.items.read()
+    const item = items[itemId]
+    if (!item) return null
+    const attachments = (await this.files.list(itemId)).map((f) => f.name)
+    return { ...structuredClone(item), attachments }
+  }
+
+  /**
+   * Every item, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async listItems() {
+    const { items } = await this.items.read()
+    return Object.values(items)
+      .sort((a, b) => (a.createdAt > b.createdAt ? 1 : -1))
+      .map((item) => structuredClone(item))
+  }
+
+  /**
+   * A stored file
+   * @param {string} itemId
+   * @param {string} name
+   * @returns {Promise<Buffer|null>}
+   */
+  async getAttachment(itemId, name) {
+    return this.files.get(itemId, name)
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Writes each submitted receipt as an item of a SharePoint list, with its
+ * files in the item's folder, through Microsoft Graph (see graph.js)
+ */
+export class SharePointSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.siteId - SharePoint site id
+   * @param {string} options.listId - Id of the receipts list
+   * @param {GraphClient} options.graph - Client holding the app credentials
+   */
+  constructor({ siteId, listId, graph } = {}) {
+    if (!siteId || !listId) {
+      throw new Error("The sharepoint sink needs SITE_ID and LIST_ID")
+    }
+    this.name = "sharepoint"
+    this.graph = graph
+    this.itemsPath = `/sites/${encodeURIComponent(siteId)}/lists/${encodeURIComponent(listId)}/items`
+  }
+
+  /**
+   * Create a list item
+   * @param {Object} columns - List columns (see listColumns.js)
+   * @returns {Promise<Object>} - { id }
+   */
+  async createItem(columns) {
+    const item = await this.graph.request(this.itemsPath, {
+      method: "POST",
+      json: { fields: columns },
+      label: "Create item",
+    })
+    return { id: item.id }
+  }
+
+  /**
+   * Update columns of an existing list item, e.g. its approval status
+   * @param {string} itemId
+   * @param {Object} columns
+   */
+  async updateItem(itemId, columns) {
+    await this.graph.request(`${this.itemsPath}/${encodeURIComponent(itemId)}/fields`, {
+      method: "PATCH",
+      json: columns,
+      label: "Update item",
+    })
+  }
+
+  /**
+   * Store a file in the item's folder; large files go up in chunks
+   * @param {string} itemId
+   * @param {string} name - File name
+   * @param {Buffer} data
+   */
+  async uploadAttachment(itemId, name, data) {
+    await this.graph.upload(
+      `${this.itemsPath}/${encodeURIComponent(itemId)}/driveItem/children/${encodeURIComponent(name)}:`,
+      data,
+      { label: "Attach" },
+    )
+  }
+}
@@ -0,0 +1,73 @@
+import crypto from "crypto"
+import fetch from "node-fetch"
+
+/**
+ * Posts submitted receipts to an HTTP endpoint as JSON events, for systems
+ * other than SharePoint:
+ * - { event: "item.created", itemId, columns }
+ * - { event: "item.updated", itemId, columns }
+ * - { event: "attachment.added", itemId, name, size, content } (content is base64)
+ *
+ * Item ids are generated here; a receiver that keeps its own ids can answer
+ * item.created with { id }. With a secret, each request carries
+ * X-Receipts-Signature: sha256=<HMAC-SHA256 of the body> so the receiver can
+ * check where it came from.
+ */
+export class WebhookSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Endpoint receiving the events
+   * @param {string} [options.secret] - Key for the request signature
+   * @param {number} [options.timeoutMs] - Time allowed per request
+   */
+  constructor({ url, secret, timeoutMs = 10000 } = {}) {
+    if (!url) throw new Error("The webhook sink needs WEBHOOK_URL")
+    this.name = "webhook"
+    this.url = url
+    this.secret = secret || null
+    this.timeoutMs = timeoutMs
+  }
+
+  async _send(payload) {
+    const body = JSON.stringify(payload)
+    const headers = { "Content-Type": "application/json", "X-Receipts-Event": payload.event }
+    if (this.secret) {
+      headers["X-Receipts-Signature"] = `sha256=${crypto.createHmac("sha256", this.secret).update(body).digest("hex")}`
+    }
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs)
+    try {
+      const r = await fetch(this.url, { method: "POST", headers, body, signal: controller.signal })
+      if (!r.ok) {
+        const t = await r.text()
+        throw new Error(`Webhook ${payload.event} failed: ${r.status} ${t}`)
+      }
+      return (r.headers.get("content-type") || "").includes("application/json") ? r.json() : null
+    } catch (err) {
+      if (err.name === "AbortError") throw new Error(`Webhook ${payload.event} timed out`)
+      throw err
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  async createItem(columns) {
+    const itemId = crypto.randomUUID()
+    const reply = await this._send({ event: "item.created", itemId, columns })
+    return { id: typeof reply?.id === "string" && reply.id ? reply.id : itemId }
+  }
+
+  async updateItem(itemId, columns) {
+    await this._send({ event: "item.updated", itemId, columns })
+  }
+
+  async uploadAttachment(itemId, name, data) {
+    await this._send({
+      event: "attachment.added",
+      itemId,
+      name,
+      size: data.length,
+      content: Buffer.from(data).toString("base64"),
+    })
+  }
+}
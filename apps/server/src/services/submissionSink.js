@@ -0,0 +1,30 @@
+import { LocalSink } from "./sinks/localSink.js"
+import { SharePointSink } from "./sinks/sharepointSink.js"
+import { WebhookSink } from "./sinks/webhookSink.js"
+
+/**
+ * Where submitted receipts are delivered. Every sink exposes `name` and:
+ * - createItem(columns): a new item from list columns (see listColumns.js); resolves to { id }
+ * - updateItem(itemId, columns): change columns of an item, e.g. its status
+ * - uploadAttachment(itemId, name, data): add a file (Buffer) to an item
+ */
+export const SUBMISSION_SINKS = {
+  sharepoint: SharePointSink,
+  local: LocalSink,
+  webhook: WebhookSink,
+}
+
+/**
+ * Create the sink for a name
+ * @param {string} name - "sharepoint", "local" or "webhook"
+ * @param {Object} [options] - Options of that sink, e.g. { siteId, listId, graph },
+ *   { dir } or { url, secret }
+ * @returns {SharePointSink|LocalSink|WebhookSink}
+ * @throws {Error} - For an unknown sink or missing settings
+ */
+export function createSubmissionSink(name, options = {}) {
+  if (!Object.hasOwn(SUBMISSION_SINKS, name)) {
+    throw new Error(`Unknown submission sink: ${name}. Expected one of ${Object.keys(SUBMISSION_SINKS).join(", ")}`)
+  }
+  return new SUBMISSION_SINKS[name](options)
+}
@@ -0,0 +1,136 @@
+import crypto from "crypto"
+import { EventEmitter } from "events"
+
+/**
+ * In-memory registry of upload jobs. Each job tracks the OCR state of every
+ * file in a batch so clients can poll or stream progress instead of holding
+ * the upload request open.
+ */
+export class UploadJobs {
+  constructor({ retentionMs = 60 * 60 * 1000 } = {}) {
+    this.jobs = new Map()
+    this.events = new EventEmitter()
+    this.events.setMaxListeners(0)
+    this.retentionMs = retentionMs
+  }
+
+  /**
+   * Register a new job with every file queued
+   * @param {string} batchId - Batch the files were stored under
+   * @param {Array<Object>} files - Files as { id, file, secureFile, duplicate }
+   * @param {Object} [options]
+   * @param {string|null} [options.owner] - User who uploaded the batch
+   * @returns {Object} - Job snapshot
+   */
+  create(batchId, files, { owner = null } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      batchId,
+      owner,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      files: files.map((f) => ({
+        id: f.id,
+        file: f.file,
+        secureFile: f.secureFile,
+        state: "queued",
+        data: null,
+        error: null,
+        duplicate: f.duplicate || null,
+      })),
+    }
+    this.jobs.set(job.id, job)
+    return this.snapshot(job.id)
+  }
+
+  /**
+   * Run a worker for every file of a job, recording per-file state
+   * @param {string} jobId - Job to run
+   * @param {Function} worker - Async function receiving a file entry
+   * @returns {Promise<Object>} - Final job snapshot
+   */
+  async run(jobId, worker) {
+    const job = this.jobs.get(jobId)
+    if (!job) throw new Error(`Unknown job: ${jobId}`)
+
+    job.status = "running"
+    await Promise.all(
+      job.files.map(async (entry) => {
+        this._setFile(job, entry, { state: "running" })
+        try {
+          const data = await worker(entry)
+          this._setFile(job, entry, { state: "succeeded", data })
+        } catch (error) {
+          console.error(`OCR failed for ${entry.file}:`, error.message)
+          this._setFile(job, entry, {
+            state: "failed",
+            data: error.data || null,
+            error: {
+              code: error.code || "service_error",
+              message: error.code ? error.message : "OCR processing failed",
+            },
+          })
+        }
+      }),
+    )
+
+    job.status = "completed"
+    job.completedAt = new Date().toISOString()
+    this._emit(job)
+
+    const timer = setTimeout(() => this.jobs.delete(jobId), this.retentionMs)
+    timer.unref?.()
+
+    return this.snapshot(jobId)
+  }
+
+  /**
+   * Record extra details about one file of a job, e.g. duplicate matches
+   * @param {string} jobId - Job id
+   * @param {string} fileId - File entry id
+   * @param {Object} changes - Properties to merge into the entry
+   */
+  annotate(jobId, fileId, changes) {
+    const job = this.jobs.get(jobId)
+    const entry = job?.files.find((f) => f.id === fileId)
+    if (entry) this._setFile(job, entry, changes)
+  }
+
+  /**
+   * Get a copy of a job's current state
+   * @param {string} jobId - Job id
+   * @returns {Object|null} - Job snapshot or null if unknown
+   */
+  snapshot(jobId) {
+    const job = this.jobs.get(jobId)
+    if (!job) return null
+    return {
+      ...job,
+      files: job.files.map((f) => ({ ...f })),
+    }
+  }
+
+  /**
+   * Listen for updates to a job
+   * @param {string} jobId - Job id
+   * @param {Function} listener - Called with a snapshot on every change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    const handler = (id) => {
+      if (id === jobId) listener(this.snapshot(jobId))
+    }
+    this.events.on("update", handler)
+    return () => this.events.off("update", handler)
+  }
+
+  _setFile(job, entry, changes) {
+    Object.assign(entry, changes)
+    this._emit(job)
+  }
+
+  _emit(job) {
+    this.events.emit("update", job.id)
+  }
+}
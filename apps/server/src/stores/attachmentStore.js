@@ -0,0 +1,127 @@
+import { promises as fsp } from "fs"
+import path from "path"
+
+/**
+ * Copies of the files attached to each submitted item (the receipt, the
+ * signature and attestation, and the PDF expense report), keyed by
+ * submission id, so they can be downloaded after the batch files are gone.
+ * Stores implement:
+ * - get(id, name): the file as a Buffer, or null
+ * - put(id, name, data): create or replace a file
+ * - list(id): [{ name, size }] of a submission, sorted by name
+ */
+
+const ID_PATTERN = /^[A-Za-z0-9-]{1,100}$/
+// Secure upload names, signature.png, attestation.json, expense-report.pdf
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,199}$/
+
+function checkId(id) {
+  if (typeof id !== "string" || !ID_PATTERN.test(id)) {
+    throw new Error(`Invalid submission id: ${id}`)
+  }
+}
+
+/**
+ * Whether a name can be stored, e.g. to check one taken from a URL
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isAttachmentName(name) {
+  return typeof name === "string" && NAME_PATTERN.test(name) && !name.includes("..")
+}
+
+function checkName(name) {
+  if (!isAttachmentName(name)) throw new Error(`Invalid attachment name: ${name}`)
+}
+
+const byName = (a, b) => (a.name > b.name ? 1 : -1)
+
+/** Keeps files for the lifetime of the process; used in tests and demos */
+export class MemoryAttachmentStore {
+  constructor() {
+    this.files = new Map()
+  }
+
+  async get(id, name) {
+    checkId(id)
+    checkName(name)
+    const data = this.files.get(id)?.get(name)
+    return data ? Buffer.from(data) : null
+  }
+
+  async put(id, name, data) {
+    checkId(id)
+    checkName(name)
+    if (!this.files.has(id)) this.files.set(id, new Map())
+    this.files.get(id).set(name, Buffer.from(data))
+  }
+
+  async list(id) {
+    checkId(id)
+    return [...(this.files.get(id) || [])].map(([name, data]) => ({ name, size: data.length })).sort(byName)
+  }
+}
+
+/** Writes the files of each submission to their own directory */
+export class FileAttachmentStore {
+  constructor(dir) {
+    this.dir = dir
+  }
+
+  async get(id, name) {
+    checkId(id)
+    checkName(name)
+    try {
+      return await fsp.readFile(path.join(this.dir, id, name))
+    } catch (err) {
+      if (err.code === "ENOENT") return null
+      throw err
+    }
+  }
+
+  async put(id, name, data) {
+    checkId(id)
+    checkName(name)
+    const dir = path.join(this.dir, id)
+    await fsp.mkdir(dir, { recursive: true, mode: 0o700 })
+    const target = path.join(dir, name)
+    const temp = `${target}.${process.pid}.tmp`
+    await fsp.writeFile(temp, data, { mode: 0o600 })
+    await fsp.rename(temp, target)
+  }
+
+  async list(id) {
+    checkId(id)
+    let names
+    try {
+      names = await fsp.readdir(path.join(this.dir, id))
+    } catch (err) {
+      if (err.code === "ENOENT") return []
+      throw err
+    }
+    const files = []
+    for (const name of names.filter((n) => NAME_PATTERN.test(n) && !n.endsWith(".tmp"))) {
+      const { size } = await fsp.stat(path.join(this.dir, id, name))
+      files.push({ name, size })
+    }
+    return files.sort(byName)
+  }
+}
+
+/**
+ * Create the configured attachment store
+ * @param {Object} options
+ * @param {string} [options.type] - "file" (default) or "memory"
+ * @param {string} options.dataDir - Directory for the file store
+ * @returns {MemoryAttachmentStore|FileAttachmentStore}
+ */
+export function createAttachmentStore({ type = "file", dataDir }) {
+  switch (type) {
+    case "memory":
+      return new MemoryAttachmentStore()
+    case "file":
+      return new FileAttachmentStore(path.join(dataDir, "attachments"))
+    default:
+      throw new Error(`Unknown attachment store: ${type}`)
+  }
+}
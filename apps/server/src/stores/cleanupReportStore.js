@@ -0,0 +1,64 @@
+import path from "path"
+import { JsonFile } from "./jsonFile.js"
+
+/**
+ * Reports of janitor sweeps that removed something (see services/janitor.js),
+ * newest kept up to a limit. Stores implement:
+ * - add(report): save a report, dropping the oldest beyond the limit
+ * - list(limit): the newest reports first
+ *
+ * Reports look like { ranAt, removed, strays, freedBytes, kept }.
+ */
+
+export const MAX_CLEANUP_REPORTS = 200
+
+/** Keeps reports for the lifetime of the process; used in tests and demos */
+export class MemoryCleanupReportStore {
+  constructor() {
+    this.reports = []
+  }
+
+  async add(report) {
+    this.reports = [structuredClone(report), ...this.reports].slice(0, MAX_CLEANUP_REPORTS)
+  }
+
+  async list(limit = MAX_CLEANUP_REPORTS) {
+    return structuredClone(this.reports.slice(0, limit))
+  }
+}
+
+/** Persists reports to a JSON file under the data directory */
+export class FileCleanupReportStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, () => ({ reports: [] }))
+  }
+
+  async add(report) {
+    await this.file.update((data) => {
+      data.reports = [structuredClone(report), ...data.reports].slice(0, MAX_CLEANUP_REPORTS)
+    })
+  }
+
+  async list(limit = MAX_CLEANUP_REPORTS) {
+    const { reports } = await this.file.read()
+    return structuredClone(reports.slice(0, limit))
+  }
+}
+
+/**
+ * Create the configured cleanup report store
+ * @param {Object} options
+ * @param {string} [options.type] - "file" (default) or "memory"
+ * @param {string} options.dataDir - Directory for the file store
+ * @returns {MemoryCleanupReportStore|FileCleanupReportStore}
+ */
+export function createCleanupReportStore({ type = "file", dataDir }) {
+  switch (type) {
+    case "memory":
+      return new MemoryCleanupReportStore()
+    case "file":
+      return new FileCleanupReportStore(path.join(dataDir, "cleanup-reports.json"))
+    default:
+      throw new Error(`Unknown cleanup report store: ${type}`)
+  }
+}
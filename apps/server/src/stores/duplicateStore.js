@@ -0,0 +1,95 @@
+import path from "path"
+import { JsonFile } from "./jsonFile.js"
+
+/**
+ * Index of submitted receipts used for duplicate detection. Stores implement:
+ * - add(record): save a submitted receipt
+ * - findByHash(hash): records whose file has the same content hash
+ * - findByDateRange(from, to): records with a transaction date in [from, to]
+ * - setItemId(submissionId, itemId): record the list item created for a
+ *   submission once its delivery gets that far
+ *
+ * Records look like { hash, vendor, transactionDate, total, currency,
+ * itemId, submissionId, owner, batchId, receiptId, submittedAt }.
+ */
+
+const byDateRange = (from, to) => (r) =>
+  typeof r.transactionDate === "string" &&
+  r.transactionDate >= from &&
+  r.transactionDate <= to
+
+/** Keeps records for the lifetime of the process; used in tests and demos */
+export class MemoryDuplicateStore {
+  constructor() {
+    this.records = []
+  }
+
+  async add(record) {
+    this.records.push({ ...record })
+  }
+
+  async findByHash(hash) {
+    if (!hash) return []
+    return this.records.filter((r) => r.hash === hash)
+  }
+
+  async findByDateRange(from, to) {
+    return this.records.filter(byDateRange(from, to))
+  }
+
+  async setItemId(submissionId, itemId) {
+    for (const record of this.records) {
+      if (record.submissionId === submissionId) record.itemId = itemId
+    }
+  }
+}
+
+/** Persists records to a JSON file under the data directory */
+export class FileDuplicateStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, () => ({ records: [] }))
+  }
+
+  async add(record) {
+    await this.file.update((data) => {
+      data.records.push({ ...record })
+    })
+  }
+
+  async findByHash(hash) {
+    if (!hash) return []
+    const { records } = await this.file.read()
+    return records.filter((r) => r.hash === hash)
+  }
+
+  async findByDateRange(from, to) {
+    const { records } = await this.file.read()
+    return records.filter(byDateRange(from, to))
+  }
+
+  async setItemId(submissionId, itemId) {
+    await this.file.update((data) => {
+      for (const record of data.records) {
+        if (record.submissionId === submissionId) record.itemId = itemId
+      }
+    })
+  }
+}
+
+/**
+ * Create the configured duplicate index
+ * @param {Object} options
+ * @param {string} [options.type] - "file" (default) or "memory"
+ * @param {string} options.dataDir - Directory for the file store
+ * @returns {MemoryDuplicateStore|FileDuplicateStore}
+ */
+export function createDuplicateStore({ type = "file", dataDir }) {
+  switch (type) {
+    case "memory":
+      return new MemoryDuplicateStore()
+    case "file":
+      return new FileDuplicateStore(path.join(dataDir, "duplicates.json"))
+    default:
+      throw new Error(`Unknown duplicate store: ${type}`)
+  }
+}
@@ -0,0 +1,91 @@
+import path from "path"
+import { JsonFile } from "./jsonFile.js"
+
+/**
+ * Requests made with an Idempotency-Key and the response they got (see
+ * middleware/idempotency.js). Stores implement:
+ * - reserve(key, record, { expiredBefore, now }): save a record unless the
+ *   key is taken, first dropping records created before expiredBefore and
+ *   pending records whose lease ended before now (ISO times); resolves to
+ *   the record already holding the key, or null when the key was free
+ * - put(key, record): replace the record of a key
+ * - delete(key)
+ *
+ * Records look like { requestHash, state, status, body, createdAt,
+ * pendingExpiresAt }.
+ */
+
+function dropExpired(records, { expiredBefore, now }) {
+  for (const [key, record] of Object.entries(records)) {
+    const leaseEnded = record.state === "pending" && record.pendingExpiresAt && record.pendingExpiresAt < now
+    if (record.createdAt < expiredBefore || leaseEnded) delete records[key]
+  }
+}
+
+/** Keeps records for the lifetime of the process; used in tests and demos */
+export class MemoryIdempotencyStore {
+  constructor() {
+    this.records = {}
+  }
+
+  async reserve(key, record, expiry) {
+    dropExpired(this.records, expiry)
+    if (Object.hasOwn(this.records, key)) return structuredClone(this.records[key])
+    this.records[key] = structuredClone(record)
+    return null
+  }
+
+  async put(key, record) {
+    this.records[key] = structuredClone(record)
+  }
+
+  async delete(key) {
+    delete this.records[key]
+  }
+}
+
+/** Persists records to a JSON file under the data directory */
+export class FileIdempotencyStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, () => ({ records: {} }))
+  }
+
+  reserve(key, record, expiry) {
+    return this.file.update(({ records }) => {
+      dropExpired(records, expiry)
+      if (Object.hasOwn(records, key)) return structuredClone(records[key])
+      records[key] = structuredClone(record)
+      return null
+    })
+  }
+
+  async put(key, record) {
+    await this.file.update(({ records }) => {
+      records[key] = structuredClone(record)
+    })
+  }
+
+  async delete(key) {
+    await this.file.update(({ records }) => {
+      delete records[key]
+    })
+  }
+}
+
+/**
+ * Create the configured idempotency store
+ * @param {Object} options
+ * @param {string} [options.type] - "file" (default) or "memory"
+ * @param {string} options.dataDir - Directory for the file store
+ * @returns {MemoryIdempotencyStore|FileIdempotencyStore}
+ */
+export function createIdempotencyStore({ type = "file", dataDir }) {
+  switch (type) {
+    case "memory":
+      return new MemoryIdempotencyStore()
+    case "file":
+      return new FileIdempotencyStore(path.join(dataDir, "idempotency.json"))
+    default:
+      throw new Error(`Unknown idempotency store: ${type}`)
+  }
+}
@@ -0,0 +1,59 @@
+import { promises as fsp } from "fs"
+import path from "path"
+import crypto from "crypto"
+
+/**
+ * A JSON document on disk with serialized, atomic updates. Used by the local
+ * store implementations so they work without any external database.
+ */
+export class JsonFile {
+  /**
+   * @param {string} filePath - Location of the JSON file
+   * @param {Function} createDefault - Returns the initial document
+   */
+  constructor(filePath, createDefault) {
+    this.filePath = filePath
+    this.createDefault = createDefault
+    this.data = null
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * Read the document, loading it from disk on first use
+   * @returns {Promise<Object>}
+   */
+  async read() {
+    if (this.data) return this.data
+    try {
+      this.data = JSON.parse(await fsp.readFile(this.filePath, "utf8"))
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err
+      this.data = this.createDefault()
+    }
+    return this.data
+  }
+
+  /**
+   * Apply a change to the document and persist it. Updates run one at a time.
+   * @param {Function} fn - Receives the document; its return value is passed through
+   * @returns {Promise<*>}
+   */
+  update(fn) {
+    const run = this.queue.then(async () => {
+      const data = await this.read()
+      const result = await fn(data)
+      await this._write(data)
+      return result
+    })
+    // Keep the queue alive after a failed update
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  async _write(data) {
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 })
+    const tmp = `${this.filePath}.${crypto.randomUUID()}.tmp`
+    await fsp.writeFile(tmp, JSON.stringify(data, null, 2), { mode: 0o600 })
+    await fsp.rename(tmp, this.filePath)
+  }
+}
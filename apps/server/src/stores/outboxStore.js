@@ -0,0 +1,84 @@
+import path from "path"
+import { JsonFile } from "./jsonFile.js"
+
+/**
+ * Deliveries of submitted receipts to the submission sink (see
+ * services/outbox.js), kept until every step has gone through. Stores implement:
+ * - get(id): an entry or null
+ * - put(entry): create or replace an entry
+ * - listDue(now): pending entries whose next attempt is at or before an ISO
+ *   time, oldest first
+ *
+ * Entries look like { id, itemId, columns, status, steps, attempts,
+ * nextAttemptAt, lastError, createdAt, updatedAt, deliveredAt }.
+ */
+
+const oldestFirst = (a, b) => (a.createdAt > b.createdAt ? 1 : -1)
+const isDue = (now) => (e) => e.status === "pending" && e.nextAttemptAt && e.nextAttemptAt <= now
+
+/** Keeps entries for the lifetime of the process; used in tests and demos */
+export class MemoryOutboxStore {
+  constructor() {
+    this.entries = new Map()
+  }
+
+  async get(id) {
+    const entry = this.entries.get(id)
+    return entry ? structuredClone(entry) : null
+  }
+
+  async put(entry) {
+    this.entries.set(entry.id, structuredClone(entry))
+  }
+
+  async listDue(now) {
+    return [...this.entries.values()]
+      .filter(isDue(now))
+      .sort(oldestFirst)
+      .map((e) => structuredClone(e))
+  }
+}
+
+/** Persists entries to a JSON file under the data directory */
+export class FileOutboxStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, () => ({ entries: {} }))
+  }
+
+  async get(id) {
+    const { entries } = await this.file.read()
+    return Object.hasOwn(entries, id) ? structuredClone(entries[id]) : null
+  }
+
+  async put(entry) {
+    await this.file.update((data) => {
+      data.entries[entry.id] = structuredClone(entry)
+    })
+  }
+
+  async listDue(now) {
+    const { entries } = await this.file.read()
+    return Object.values(entries)
+      .filter(isDue(now))
+      .sort(oldestFirst)
+      .map((e) => structuredClone(e))
+  }
+}
+
+/**
+ * Create the configured outbox store
+ * @param {Object} options
+ * @param {string} [options.type] - "file" (default) or "memory"
+ * @param {string} options.dataDir - Directory for the file store
+ * @returns {MemoryOutboxStore|FileOutboxStore}
+ */
+export function createOutboxStore({ type = "file", dataDir }) {
+  switch (type) {
+    case "memory":
+      return new MemoryOutboxStore()
+    case "file":
+      return new FileOutboxStore(path.join(dataDir, "outbox.json"))
+    default:
+      throw new Error(`Unknown outbox store: ${type}`)
+  }
+}
@@ -0,0 +1,95 @@
+import path from "path"
+import { JsonFile } from "./jsonFile.js"
+
+/**
+ * Saved receipt drafts so work survives reloads and can be finished on
+ * another device. Stores implement:
+ * - get(id): a draft or null
+ * - put(draft): create or replace a draft
+ * - delete(id): remove a draft, returning whether it existed
+ * - listByOwner(owner): drafts of one user, most recently updated first
+ *
+ * Drafts look like { id, owner, receipts, files, signatureDataUrl,
+ * signature, createdAt, updatedAt }; the id is the upload batch id.
+ */
+
+const newestFirst = (a, b) => (a.updatedAt < b.updatedAt ? 1 : -1)
+
+/** Keeps drafts for the lifetime of the process; used in tests and demos */
+export class MemoryReceiptStore {
+  constructor() {
+    this.drafts = new Map()
+  }
+
+  async get(id) {
+    const draft = this.drafts.get(id)
+    return draft ? structuredClone(draft) : null
+  }
+
+  async put(draft) {
+    this.drafts.set(draft.id, structuredClone(draft))
+  }
+
+  async delete(id) {
+    return this.drafts.delete(id)
+  }
+
+  async listByOwner(owner) {
+    return [...this.drafts.values()]
+      .filter((d) => d.owner === owner)
+      .sort(newestFirst)
+      .map((d) => structuredClone(d))
+  }
+}
+
+/** Persists drafts to a JSON file under the data directory */
+export class FileReceiptStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, () => ({ drafts: {} }))
+  }
+
+  async get(id) {
+    const { drafts } = await this.file.read()
+    return Object.hasOwn(drafts, id) ? structuredClone(drafts[id]) : null
+  }
+
+  async put(draft) {
+    await this.file.update((data) => {
+      data.drafts[draft.id] = structuredClone(draft)
+    })
+  }
+
+  async delete(id) {
+    return this.file.update((data) => {
+      if (!Object.hasOwn(data.drafts, id)) return false
+      delete data.drafts[id]
+      return true
+    })
+  }
+
+  async listByOwner(owner) {
+    const { drafts } = await this.file.read()
+    return Object.values(drafts)
+      .filter((d) => d.owner === owner)
+      .sort(newestFirst)
+      .map((d) => structuredClone(d))
+  }
+}
+
+/**
+ * Create the configured receipt store
+ * @param {Object} options
+ * @param {string} [options.type] - "file" (default) or "memory"
+ * @param {string} options.dataDir - Directory for the file store
+ * @returns {MemoryReceiptStore|FileReceiptStore}
+ */
+export function createReceiptStore({ type = "file", dataDir }) {
+  switch (type) {
+    case "memory":
+      return new MemoryReceiptStore()
+    case "file":
+      return new FileReceiptStore(path.join(dataDir, "drafts.json"))
+    default:
+      throw new Error(`Unknown receipt store: ${type}`)
+  }
+}
@@ -0,0 +1,134 @@
+import path from "path"
+import { JsonFile } from "./jsonFile.js"
+
+/**
+ * Submitted receipts and their approval status. Stores implement:
+ * - get(id): a submission or null
+ * - put(submission): create or replace a submission
+ * - update(id, fn): replace a submission with fn(copy of it, or null when
+ *   missing); updates run one at a time, so fn sees the latest saved version.
+ *   Nothing is saved when fn throws.
+ * - listByStatus(status): submissions in one status, oldest first
+ * - listByOwner(owner): submissions of one user, most recent first
+ * - list(): every submission, oldest first
+ *
+ * Submissions look like { id, itemId, batchId, receiptId, owner, ownerName,
+ * fields, status, history, submittedAt, updatedAt }.
+ */
+
+const oldestFirst = (a, b) => (a.submittedAt > b.submittedAt ? 1 : -1)
+const newestFirst = (a, b) => (a.submittedAt < b.submittedAt ? 1 : -1)
+
+/** Keeps submissions for the lifetime of the process; used in tests and demos */
+export class MemorySubmissionStore {
+  constructor() {
+    this.submissions = new Map()
+    this.queue = Promise.resolve()
+  }
+
+  async get(id) {
+    const submission = this.submissions.get(id)
+    return submission ? structuredClone(submission) : null
+  }
+
+  async put(submission) {
+    this.submissions.set(submission.id, structuredClone(submission))
+  }
+
+  update(id, fn) {
+    const run = this.queue.then(async () => {
+      const updated = await fn(await this.get(id))
+      this.submissions.set(id, structuredClone(updated))
+      return structuredClone(updated)
+    })
+    // Keep the queue alive after a failed update
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  async listByStatus(status) {
+    return [...this.submissions.values()]
+      .filter((s) => s.status === status)
+      .sort(oldestFirst)
+      .map((s) => structuredClone(s))
+  }
+
+  async listByOwner(owner) {
+    return [...this.submissions.values()]
+      .filter((s) => s.owner === owner)
+      .sort(newestFirst)
+      .map((s) => structuredClone(s))
+  }
+
+  async list() {
+    return [...this.submissions.values()].sort(oldestFirst).map((s) => structuredClone(s))
+  }
+}
+
+/** Persists submissions to a JSON file under the data directory */
+export class FileSubmissionStore {
+  constructor(filePath) {
+    this.file = new JsonFile(filePath, () => ({ submissions: {} }))
+  }
+
+  async get(id) {
+    const { submissions } = await this.file.read()
+    return Object.hasOwn(submissions, id) ? structuredClone(submissions[id]) : null
+  }
+
+  async put(submission) {
+    await this.file.update((data) => {
+      data.submissions[submission.id] = structuredClone(submission)
+    })
+  }
+
+  async update(id, fn) {
+    return this.file.update(async (data) => {
+      const current = Object.hasOwn(data.submissions, id) ? structuredClone(data.submissions[id]) : null
+      const updated = await fn(current)
+      data.submissions[id] = structuredClone(updated)
+      return structuredClone(updated)
+    })
+  }
+
+  async listByStatus(status) {
+    const { submissions } = await this.file.read()
+    return Object.values(submissions)
+      .filter((s) => s.status === status)
+      .sort(oldestFirst)
+      .map((s) => structuredClone(s))
+  }
+
+  async listByOwner(owner) {
+    const { submissions } = await this.file.read()
+    return Object.values(submissions)
+      .filter((s) => s.owner === owner)
+      .sort(newestFirst)
+      .map((s) => structuredClone(s))
+  }
+
+  async list() {
+    const { submissions } = await this.file.read()
+    return Object.values(submissions)
+      .sort(oldestFirst)
+      .map((s) => structuredClone(s))
+  }
+}
+
+/**
+ * Create the configured submission store
+ * @param {Object} options
+ * @param {string} [options.type] - "file" (default) or "memory"
+ * @param {string} options.dataDir - Directory for the file store
+ * @returns {MemorySubmissionStore|FileSubmissionStore}
+ */
+export function createSubmissionStore({ type = "file", dataDir }) {
+  switch (type) {
+    case "memory":
+      return new MemorySubmissionStore()
+    case "file":
+      return new FileSubmissionStore(path.join(dataDir, "submissions.json"))
+    default:
+      throw new Error(`Unknown submission store: ${type}`)
+  }
+}
@@ -0,0 +1,234 @@
+import request from "supertest"
+import { jest } from "@jest/globals"
+import {
+  APPROVAL_ERROR_CODES,
+  ApprovalWorkflow,
+  SUBMISSION_STATUS,
+} from "../src/services/approvals.js"
+import { MemorySubmissionStore } from "../src/stores/submissionStore.js"
+import { mockFileType, mockTokenVerifier } from "./mocks.js"
+
+// Tokens are user names; the mocked verifier returns their claims
+const USERS = {
+  alice: { oid: "aaaaaaaa-0000-0000-0000-000000000001", name: "Alice", roles: [] },
+  carol: { oid: "cccccccc-0000-0000-0000-000000000003", name: "Carol", roles: ["Approver"] },
+  frank: { oid: "ffffffff-0000-0000-0000-000000000006", name: "Frank", roles: ["Finance"] },
+}
+
+await mockTokenVerifier(USERS)
+await mockFileType()
+
+process.env.AUTH_BYPASS = "false"
+process.env.APPLICATION_ID_URI = "api://receipts-test"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+const as = (user) => ({ Authorization: `Bearer ${user}` })
+
+async function submit(user, fields = { vendor: "Cafe", total: "4.50" }) {
+  const res = await request(app).post("/api/submit").set(as(user)).send({ fields }).expect(200)
+  return res.body.items[0]
+}
+
+describe("ApprovalWorkflow", () => {
+  const approver = { oid: "approver", name: "Carol", roles: ["Approver"] }
+  const finance = { oid: "finance", name: "Frank", roles: ["Finance"] }
+  let workflow
+  let synced
+
+  beforeEach(() => {
+    synced = []
+    workflow = new ApprovalWorkflow(new MemorySubmissionStore(), {
+      syncStatus: async (submission) => synced.push(submission.status),
+    })
+  })
+
+  function record(owner = "submitter") {
+    return workflow.recordSubmission({ itemId: "42", owner, ownerName: "Sam", fields: { total: 5 } })
+  }
+
+  test("moves a receipt through approval and reimbursement", async () => {
+    const submission = await record()
+    expect(submission.status).toBe(SUBMISSION_STATUS.SUBMITTED)
+
+    const approved = await workflow.transition(submission.id, "approve", approver)
+    expect(approved.status).toBe(SUBMISSION_STATUS.APPROVED)
+
+    const reimbursed = await workflow.transition(submission.id, "reimburse", finance)
+    expect(reimbursed.status).toBe(SUBMISSION_STATUS.REIMBURSED)
+    expect(reimbursed.history.map((h) => h.status)).toEqual(["submitted", "approved", "reimbursed"])
+    expect(synced).toEqual(["approved", "reimbursed"])
+  })
+
+  test("requires a comment to reject", async () => {
+    const submission = await record()
+    await expect(workflow.transition(submission.id, "reject", approver, { comment: "  " })).rejects.toMatchObject({
+      code: APPROVAL_ERROR_CODES.COMMENT_REQUIRED,
+    })
+
+    const rejected = await workflow.transition(submission.id, "reject", approver, { comment: "No itemized receipt" })
+    expect(rejected.status).toBe(SUBMISSION_STATUS.REJECTED)
+    expect(rejected.history[1]).toMatchObject({ by: "Carol", comment: "No itemized receipt" })
+  })
+
+  test("checks roles, status and self-approval", async () => {
+    const submission = await record()
+    await expect(workflow.transition(submission.id, "approve", finance)).rejects.toMatchObject({
+      code: APPROVAL_ERROR_CODES.FORBIDDEN,
+    })
+    await expect(workflow.transition(submission.id, "reimburse", finance)).rejects.toMatchObject({
+      code: APPROVAL_ERROR_CODES.INVALID_TRANSITION,
+    })
+    const own = await record("approver")
+    await expect(workflow.transition(own.id, "approve", approver)).rejects.toMatchObject({
+      code: APPROVAL_ERROR_CODES.FORBIDDEN,
+    })
+    await expect(workflow.transition("missing", "approve", approver)).rejects.toMatchObject({
+      code: APPROVAL_ERROR_CODES.NOT_FOUND,
+    })
+  })
+
+  test("keeps the old status when SharePoint cannot be updated", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {})
+    workflow.syncStatus = async () => {
+      throw new Error("Update item failed: 503")
+    }
+    const submission = await record()
+
+    await expect(workflow.transition(submission.id, "approve", approver)).rejects.toMatchObject({
+      code: APPROVAL_ERROR_CODES.SYNC_FAILED,
+    })
+    expect((await workflow.store.get(submission.id)).status).toBe(SUBMISSION_STATUS.SUBMITTED)
+    console.error.mockRestore()
+  })
+
+  test("lets only one of two approvers acting at once change the status", async () => {
+    const submission = await record()
+    const other = { oid: "approver-2", name: "Dana", roles: ["Approver"] }
+
+    const results = await Promise.allSettled([
+      workflow.transition(submission.id, "approve", approver),
+      workflow.transition(submission.id, "reject", other, { comment: "Duplicate" }),
+    ])
+    expect(results[0]).toMatchObject({ status: "fulfilled", value: { status: SUBMISSION_STATUS.APPROVED } })
+    expect(results[1]).toMatchObject({
+      status: "rejected",
+      reason: { code: APPROVAL_ERROR_CODES.INVALID_TRANSITION },
+    })
+    const stored = await workflow.store.get(submission.id)
+    expect(stored.history.map((h) => h.status)).toEqual(["submitted", "approved"])
+    expect(synced).toEqual(["approved"])
+  })
+
+  test("lists queues only for the matching role", async () => {
+    const first = await record()
+    await record()
+    await workflow.transition(first.id, "approve", approver)
+
+    expect(await workflow.listQueue(approver)).toHaveLength(1)
+    expect(await workflow.listQueue(finance, SUBMISSION_STATUS.APPROVED)).toHaveLength(1)
+    await expect(workflow.listQueue(finance)).rejects.toMatchObject({ code: APPROVAL_ERROR_CODES.FORBIDDEN })
+  })
+})
+
+describe("Approval API", () => {
+  test("reports the signed-in user's permissions", async () => {
+    const me = await request(app).get("/api/me").set(as("carol")).expect(200)
+    expect(me.body).toMatchObject({
+      oid: USERS.carol.oid,
+      name: "Carol",
+      roles: ["Approver"],
+      permissions: { approve: true, reimburse: false },
+    })
+  })
+
+  test("submitted receipts wait for an approver", async () => {
+    const item = await submit("alice", { vendor: "Harbor Books", total: "12.00" })
+    expect(item.status).toBe(SUBMISSION_STATUS.SUBMITTED)
+    expect(item.submissionId).toBeDefined()
+
+    await request(app).get("/api/approvals").set(as("alice")).expect(403)
+    const pending = await request(app).get("/api/approvals").set(as("carol")).expect(200)
+    expect(pending.body.submissions).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ id: item.submissionId, ownerName: "Alice", status: "submitted" }),
+      ]),
+    )
+
+    const own = await request(app).get("/api/submissions").set(as("alice")).expect(200)
+    expect(own.body.submissions[0]).toMatchObject({ id: item.submissionId, status: "submitted" })
+  })
+
+  test("approve, then reimburse", async () => {
+    const item = await submit("alice")
+
+    await request(app).post(`/api/approvals/${item.submissionId}/approve`).set(as("alice")).expect(403)
+    const approved = await request(app)
+      .post(`/api/approvals/${item.submissionId}/approve`)
+      .set(as("carol"))
+      .send({ comment: "Looks good" })
+      .expect(200)
+    expect(approved.body.status).toBe(SUBMISSION_STATUS.APPROVED)
+
+    const again = await request(app).post(`/api/approvals/${item.submissionId}/approve`).set(as("carol")).expect(409)
+    expect(again.body.code).toBe(APPROVAL_ERROR_CODES.INVALID_TRANSITION)
+
+    const queue = await request(app).get("/api/approvals?status=approved").set(as("frank")).expect(200)
+    expect(queue.body.submissions.map((s) => s.id)).toContain(item.submissionId)
+
+    const reimbursed = await request(app)
+      .post(`/api/approvals/${item.submissionId}/reimburse`)
+      .set(as("frank"))
+      .expect(200)
+    expect(reimbursed.body.status).toBe(SUBMISSION_STATUS.REIMBURSED)
+  })
+
+  test("reject needs a comment", async () => {
+    const item = await submit("alice")
+
+    await request(app).post(`/api/approvals/${item.submissionId}/reject`).set(as("carol")).send({}).expect(400)
+    const rejected = await request(app)
+      .post(`/api/approvals/${item.submissionId}/reject`)
+      .set(as("carol"))
+      .send({ comment: "Personal expense" })
+      .expect(200)
+    expect(rejected.body.status).toBe(SUBMISSION_STATUS.REJECTED)
+  })
+
+  test("a rejected receipt can be uploaded and submitted again", async () => {
+    const send = async () => {
+      const upload = await request(app)
+        .post("/api/upload")
+        .set(as("alice"))
+        .attach("files", Buffer.from("fake-image-data rejected once"), "receipt.jpg")
+        .expect(202)
+      const [file] = upload.body.files
+      const res = await request(app)
+        .post("/api/submit")
+        .set(as("alice"))
+        .send({ batchId: upload.body.batchId, receipts: [{ id: file.id, fields: { vendor: "Cafe", total: "4.50" } }] })
+        .expect(200)
+      return { file, item: res.body.items[0] }
+    }
+
+    const first = await send()
+    await request(app)
+      .post(`/api/approvals/${first.item.submissionId}/reject`)
+      .set(as("carol"))
+      .send({ comment: "Missing the itemized receipt" })
+      .expect(200)
+
+    const second = await send()
+    expect(second.file.duplicate).toBeNull()
+    expect(second.item.duplicate).toBeNull()
+  })
+
+  test("rejects unknown queues, actions and submissions", async () => {
+    await request(app).get("/api/approvals?status=rejected").set(as("carol")).expect(400)
+    await request(app).post("/api/approvals/missing/approve").set(as("carol")).expect(404)
+    await request(app).post("/api/approvals/missing/delete").set(as("carol")).expect(404)
+  })
+})
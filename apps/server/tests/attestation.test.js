@@ -0,0 +1,175 @@
+import request from "supertest"
+import crypto from "crypto"
+import {
+  ATTESTATION_STATEMENT,
+  canonicalJson,
+  createAttestation,
+  signatureToSvg,
+  validateSignature,
+} from "../src/services/attestation.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+// 1×1 transparent PNG
+const PNG_DATA_URL =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII="
+
+const DRAWN = {
+  method: "drawn",
+  width: 300,
+  height: 100,
+  strokes: [
+    [[10, 10], [20.04, 30.06], [40, 50]],
+    [[60, 60]],
+  ],
+}
+
+function isoDaysAgo(days) {
+  const date = new Date()
+  date.setUTCDate(date.getUTCDate() - days)
+  return date.toISOString().slice(0, 10)
+}
+
+function recentWeekday() {
+  let days = 1
+  while ([0, 6].includes(new Date(`${isoDaysAgo(days)}T00:00:00Z`).getUTCDay())) days++
+  return isoDaysAgo(days)
+}
+
+describe("validateSignature", () => {
+  test("accepts drawn strokes and typed names", () => {
+    expect(validateSignature(null)).toBeNull()
+    expect(validateSignature(DRAWN).strokes).toEqual([
+      [[10, 10], [20, 30.1], [40, 50]],
+      [[60, 60]],
+    ])
+    expect(validateSignature({ method: "typed", typedName: "  Ada Lovelace " })).toEqual({
+      method: "typed",
+      typedName: "Ada Lovelace",
+    })
+  })
+
+  test("rejects malformed signatures", () => {
+    expect(() => validateSignature("x")).toThrow("Invalid signature")
+    expect(() => validateSignature({ method: "stamp" })).toThrow("Invalid signature method")
+    expect(() => validateSignature({ method: "typed", typedName: " " })).toThrow("Invalid typed signature")
+    expect(() => validateSignature({ method: "typed", typedName: "a".repeat(101) })).toThrow(
+      "Invalid typed signature",
+    )
+    expect(() => validateSignature({ ...DRAWN, width: 0 })).toThrow("Invalid signature size")
+    expect(() => validateSignature({ ...DRAWN, strokes: [] })).toThrow("Invalid signature strokes")
+    expect(() => validateSignature({ ...DRAWN, strokes: [[[400, 10]]] })).toThrow("on the signature pad")
+    expect(() => validateSignature({ ...DRAWN, strokes: [[["1", 2]]] })).toThrow("on the signature pad")
+  })
+})
+
+describe("signatureToSvg", () => {
+  test("renders strokes as paths", () => {
+    const svg = signatureToSvg(validateSignature(DRAWN))
+    expect(svg).toContain('viewBox="0 0 300 100"')
+    expect(svg).toContain('<path d="M10 10L20 30.1L40 50"/>')
+    expect(svg).toContain('<path d="M60 60L60 60"/>')
+  })
+
+  test("escapes typed names", () => {
+    const svg = signatureToSvg(validateSignature({ method: "typed", typedName: "<script>O'Brien</script>" }))
+    expect(svg).toContain("&lt;script&gt;O&apos;Brien&lt;/script&gt;")
+    expect(svg).not.toContain("<script>")
+  })
+})
+
+describe("createAttestation", () => {
+  const receipts = [{ id: "r1", fields: { vendor: "Cafe", total: 4.5 }, hash: "abc" }]
+  const base = {
+    signer: { oid: "u1", tid: "t1", name: "Ada", upn: "ada@example.com", roles: ["Approver"] },
+    signature: validateSignature({ method: "typed", typedName: "Ada" }),
+    png: null,
+    svg: "<svg/>",
+    receipts,
+    now: new Date("2024-06-05T12:00:00Z"),
+  }
+
+  test("records the signer, time and certified content", () => {
+    const attestation = createAttestation(base)
+    expect(attestation).toMatchObject({
+      version: 1,
+      signer: { oid: "u1", tid: "t1", name: "Ada", upn: "ada@example.com" },
+      signedAt: "2024-06-05T12:00:00.000Z",
+      statement: ATTESTATION_STATEMENT,
+      receipts: [{ id: "r1", fields: { vendor: "Cafe", total: 4.5 }, fileSha256: "abc" }],
+      signature: { method: "typed", typedName: "Ada", pngSha256: null },
+    })
+    expect(attestation.signer.roles).toBeUndefined()
+    const { version, signer, signedAt, contentHash, ...content } = attestation
+    expect(contentHash).toBe(crypto.createHash("sha256").update(canonicalJson(content)).digest("hex"))
+  })
+
+  test("changes the hash when the certified content changes", () => {
+    const hash = createAttestation(base).contentHash
+    expect(createAttestation({ ...base, now: new Date() }).contentHash).toBe(hash)
+    expect(
+      createAttestation({ ...base, receipts: [{ ...receipts[0], fields: { vendor: "Cafe", total: 4.51 } }] })
+        .contentHash,
+    ).not.toBe(hash)
+    expect(createAttestation({ ...base, receipts: [{ ...receipts[0], hash: "abd" }] }).contentHash).not.toBe(hash)
+  })
+
+  test("sorts keys before hashing", () => {
+    expect(canonicalJson({ b: 1, a: [{ d: null, c: "x" }], e: undefined })).toBe('{"a":[{"c":"x","d":null}],"b":1}')
+  })
+})
+
+describe("Signed submissions", () => {
+  // Distinct vendors and totals so the submissions are not flagged as duplicates
+  const VENDORS = ["Blue Bottle", "Harbor Books", "Staples", "Northwind Taxi", "Contoso Diner"]
+  let n = 0
+  const fields = () => ({ vendor: VENDORS[n], total: `${++n * 7}.00`, transactionDate: recentWeekday() })
+
+  test("attaches the signature as PNG and SVG with an attestation", async () => {
+    const res = await request(app)
+      .post("/api/submit")
+      .send({ fields: fields(), signatureDataUrl: PNG_DATA_URL, signature: DRAWN })
+      .expect(200)
+    expect(res.body.items[0].attachments).toEqual([
+      "signature.png",
+      "signature.svg",
+      "attestation.json",
+      "expense-report.pdf",
+    ])
+    expect(res.body.attestation.contentHash).toMatch(/^[0-9a-f]{64}$/)
+  })
+
+  test("accepts a typed signature without a drawing", async () => {
+    const res = await request(app)
+      .post("/api/submit")
+      .send({ fields: fields(), signature: { method: "typed", typedName: "Ada Lovelace" } })
+      .expect(200)
+    expect(res.body.items[0].attachments).toEqual(["signature.svg", "attestation.json", "expense-report.pdf"])
+  })
+
+  test("still attests a legacy PNG-only signature", async () => {
+    const res = await request(app).post("/api/submit").send({ fields: fields(), signatureDataUrl: PNG_DATA_URL }).expect(200)
+    expect(res.body.items[0].attachments).toEqual(["signature.png", "attestation.json", "expense-report.pdf"])
+  })
+
+  test("unsigned submissions have no attestation", async () => {
+    const res = await request(app).post("/api/submit").send({ fields: fields() }).expect(200)
+    expect(res.body.attestation).toBeNull()
+  })
+
+  test("rejects malformed signatures", async () => {
+    const res = await request(app)
+      .post("/api/submit")
+      .send({ fields: fields(), signature: { method: "typed", typedName: "" } })
+      .expect(400)
+    expect(res.body.message).toMatch("Invalid typed signature")
+  })
+})
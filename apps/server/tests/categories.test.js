@@ -0,0 +1,139 @@
+import request from "supertest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import {
+  Categorizer,
+  DEFAULT_CATEGORY_RULES,
+  loadCategoryRules,
+  validateCategoryRules,
+} from "../src/services/categories.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+describe("Categorizer", () => {
+  const categorizer = new Categorizer(validateCategoryRules(DEFAULT_CATEGORY_RULES))
+
+  test("suggests a category from whole words in the vendor name", () => {
+    expect(categorizer.suggest({ vendor: "Blue Bottle Coffee" })).toEqual({
+      category: "meals",
+      source: "vendor",
+      match: "coffee",
+    })
+    expect(categorizer.suggest({ vendor: "HILTON GARDEN INN" })?.category).toBe("lodging")
+    expect(categorizer.suggest({ vendor: "McDonald's #1234" })?.category).toBe("meals")
+    // "bar" must not match inside another word
+    expect(categorizer.suggest({ vendor: "Barnes & Noble" })).toBeNull()
+  })
+
+  test("prefers the merchant type reported by OCR", () => {
+    expect(categorizer.suggest({ vendor: "Grand Cafe", merchantType: "hotel" })).toEqual({
+      category: "lodging",
+      source: "merchantType",
+      match: "hotel",
+    })
+    expect(categorizer.suggest({ vendor: "Shell", merchantType: "creditCard" })?.category).toBe("travel")
+  })
+
+  test("maps categories to GL codes", () => {
+    expect(categorizer.glCode("meals")).toBe("6100")
+    expect(categorizer.glCode("unknown")).toBeNull()
+    expect(categorizer.list()[0]).toEqual({ id: "meals", label: "Meals", glCode: "6100" })
+  })
+})
+
+describe("Category rules", () => {
+  test("rejects malformed tables", () => {
+    expect(() => validateCategoryRules({ categories: [] })).toThrow("non-empty")
+    expect(() => validateCategoryRules({ categories: [{ id: "Meals!", glCode: "1" }] })).toThrow(
+      "Invalid category id",
+    )
+    expect(() =>
+      validateCategoryRules({ categories: [{ id: "a", glCode: "1" }, { id: "a", glCode: "2" }] }),
+    ).toThrow("Duplicate category id: a")
+    expect(() => validateCategoryRules({ categories: [{ id: "a" }] })).toThrow("Missing glCode")
+    expect(() => validateCategoryRules({ categories: [{ id: "a", glCode: "1", keywords: "x" }] })).toThrow(
+      "Invalid keywords",
+    )
+  })
+
+  test("loads an admin-provided rules file", async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "categories-test-"))
+    const file = path.join(dir, "categories.json")
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ categories: [{ id: "software", glCode: "6400", keywords: ["github"] }] }),
+    )
+    try {
+      const rules = await loadCategoryRules(file)
+      expect(rules.categories[0]).toEqual({
+        id: "software",
+        label: "software",
+        glCode: "6400",
+        keywords: ["github"],
+        merchantTypes: [],
+      })
+      await expect(loadCategoryRules(path.join(dir, "missing.json"))).rejects.toThrow(
+        "Could not read category rules",
+      )
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+  })
+
+  test("ships an example file that matches the expected format", async () => {
+    const rules = await loadCategoryRules(new URL("../categories.example.json", import.meta.url).pathname)
+    expect(rules.categories.map((c) => c.id)).toContain("other")
+  })
+})
+
+describe("Categories in the API", () => {
+  test("lists the configured categories", async () => {
+    const res = await request(app).get("/api/categories").expect(200)
+    expect(res.body.categories).toEqual(expect.arrayContaining([{ id: "travel", label: "Travel", glCode: "6200" }]))
+  })
+
+  test("pre-fills a suggested category after OCR", async () => {
+    const upload = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data category"), "receipt.jpg")
+      .expect(202)
+
+    let job
+    for (let i = 0; i < 50; i++) {
+      job = (await request(app).get(`/api/jobs/${upload.body.jobId}`)).body
+      if (job.status === "completed") break
+      await new Promise((r) => setTimeout(r, 10))
+    }
+    expect(job.files[0].data.fields.category).toBe("meals")
+    expect(job.files[0].data.fieldMeta.category).toMatchObject({
+      content: "retailMeal",
+      suggested: { category: "meals", source: "merchantType" },
+    })
+  })
+
+  test("accepts known categories on submit and rejects others", async () => {
+    await request(app)
+      .post("/api/submit")
+      .send({ fields: { vendor: "Staples", total: "19.99", category: "supplies" } })
+      .expect(200)
+    await request(app)
+      .post("/api/submit")
+      .send({ fields: { vendor: "Staples", total: "19.99", category: "" } })
+      .expect(200)
+
+    const res = await request(app)
+      .post("/api/submit")
+      .send({ fields: { vendor: "Staples", total: "19.99", category: "toys" } })
+      .expect(400)
+    expect(res.body.message).toBe("Invalid category: toys")
+  })
+})
@@ -0,0 +1,78 @@
+import {
+  checkTotals,
+  validateOverride,
+  CONSISTENCY_CODES,
+} from "../src/services/consistency.js"
+
+describe("checkTotals", () => {
+  test("should accept totals that add up within tolerance", () => {
+    expect(
+      checkTotals({
+        subtotal: 10.99,
+        tax: 1.35,
+        total: 12.35,
+        items: [
+          { quantity: 2, unitPrice: 3.5, totalPrice: 7 },
+          { quantity: 1, unitPrice: 3.99, totalPrice: 3.99 },
+        ],
+      }),
+    ).toEqual([])
+  })
+
+  test("should flag a total that differs from subtotal + tax", () => {
+    const issues = checkTotals({ subtotal: 10.99, tax: 1.35, total: 17.34 })
+
+    expect(issues).toHaveLength(1)
+    expect(issues[0]).toMatchObject({
+      code: CONSISTENCY_CODES.TOTAL_MISMATCH,
+      expected: 12.34,
+      actual: 17.34,
+    })
+  })
+
+  test("should flag line items that do not sum to the subtotal", () => {
+    const issues = checkTotals({
+      subtotal: 10,
+      items: [{ totalPrice: 4 }, { totalPrice: 5 }],
+    })
+
+    expect(issues).toEqual([
+      expect.objectContaining({ code: CONSISTENCY_CODES.ITEMS_MISMATCH, expected: 9, actual: 10 }),
+    ])
+  })
+
+  test("should compare items to the total when there is no subtotal or tax", () => {
+    const issues = checkTotals({ total: 8, items: [{ totalPrice: 4 }, { totalPrice: 5 }] })
+
+    expect(issues[0]).toMatchObject({ code: CONSISTENCY_CODES.ITEMS_MISMATCH, fields: ["items", "total"] })
+  })
+
+  test("should flag a line whose quantity × price differs from its total", () => {
+    const issues = checkTotals({ items: [{ quantity: 3, unitPrice: 2, totalPrice: 8 }] })
+
+    expect(issues[0]).toMatchObject({
+      code: CONSISTENCY_CODES.LINE_MISMATCH,
+      fields: ["items.0.totalPrice"],
+    })
+  })
+
+  test("should skip checks when values are missing", () => {
+    expect(checkTotals({ total: 5 })).toEqual([])
+    expect(checkTotals({})).toEqual([])
+  })
+})
+
+describe("validateOverride", () => {
+  test("should require a reason", () => {
+    expect(() => validateOverride({})).toThrow("Override requires a reason")
+    expect(() => validateOverride({ reason: "  " })).toThrow("Override requires a reason")
+  })
+
+  test("should trim the reason", () => {
+    expect(validateOverride({ reason: " tip included " })).toEqual({ reason: "tip included" })
+  })
+
+  test("should treat a missing override as none", () => {
+    expect(validateOverride(undefined)).toBeNull()
+  })
+})
@@ -0,0 +1,175 @@
+import request from "supertest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { FileReceiptStore } from "../src/stores/receiptStore.js"
+import { sanitizeDraft } from "../src/services/drafts.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+async function upload(content = "fake-image-data draft") {
+  const res = await request(app)
+    .post("/api/upload")
+    .attach("files", Buffer.from(content), "receipt.jpg")
+    .expect(202)
+  return res.body
+}
+
+function draftFor(batch, fields = { vendor: "Cafe", total: "4.50" }) {
+  return {
+    receipts: batch.files.map((f, fileIndex) => ({
+      id: f.id,
+      file: f.file,
+      secureFile: f.secureFile,
+      fileIndex,
+      fields,
+    })),
+    files: batch.files.map((f) => ({ name: f.file, type: "image/jpeg", size: 21 })),
+    signatureDataUrl: null,
+  }
+}
+
+describe("sanitizeDraft", () => {
+  const id = "0b6f6e59-4f0e-4b8e-9a55-4d1b1f2b3c4d"
+
+  test("should keep only known receipt properties", () => {
+    const draft = sanitizeDraft(
+      { receipts: [{ id, fields: { vendor: "" }, extra: "x" }] },
+      { maxReceipts: 5 },
+    )
+
+    expect(draft.receipts).toEqual([{ id, fields: { vendor: "" } }])
+    expect(draft.files).toEqual([])
+  })
+
+  test("should reject malformed drafts", () => {
+    expect(() => sanitizeDraft({}, { maxReceipts: 5 })).toThrow("Invalid receipts")
+    expect(() => sanitizeDraft({ receipts: [{ id: "../x" }] }, { maxReceipts: 5 })).toThrow(
+      "Invalid receipt id",
+    )
+    expect(() =>
+      sanitizeDraft({ receipts: [], signatureDataUrl: "javascript:alert(1)" }, { maxReceipts: 5 }),
+    ).toThrow("Invalid signature")
+  })
+})
+
+describe("FileReceiptStore", () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "drafts-"))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test("should persist drafts and list them per owner", async () => {
+    const file = path.join(dir, "drafts.json")
+    const store = new FileReceiptStore(file)
+    await store.put({ id: "batch-1-a", owner: "u1", receipts: [], updatedAt: "2024-01-01" })
+    await store.put({ id: "batch-2-b", owner: "u1", receipts: [], updatedAt: "2024-02-01" })
+    await store.put({ id: "batch-3-c", owner: "u2", receipts: [], updatedAt: "2024-03-01" })
+
+    const reopened = new FileReceiptStore(file)
+
+    expect((await reopened.listByOwner("u1")).map((d) => d.id)).toEqual(["batch-2-b", "batch-1-a"])
+    expect(await reopened.delete("batch-1-a")).toBe(true)
+    expect(await reopened.get("batch-1-a")).toBeNull()
+  })
+})
+
+describe("Drafts API", () => {
+  test("should save, load and list a draft", async () => {
+    const batch = await upload()
+
+    const saved = await request(app)
+      .put(`/api/receipts/${batch.batchId}`)
+      .send(draftFor(batch))
+      .expect(200)
+    expect(saved.body.id).toBe(batch.batchId)
+
+    const loaded = await request(app).get(`/api/receipts/${batch.batchId}`).expect(200)
+    expect(loaded.body.receipts[0]).toMatchObject({ id: batch.files[0].id, fields: { vendor: "Cafe" } })
+    expect(loaded.body.files[0].name).toBe("receipt.jpg")
+
+    const list = await request(app).get("/api/drafts").expect(200)
+    expect(list.body.drafts).toContainEqual(
+      expect.objectContaining({ id: batch.batchId, receiptCount: 1, total: "4.50" }),
+    )
+  })
+
+  test("should keep the creation time when a draft is saved again", async () => {
+    const batch = await upload()
+    await request(app).put(`/api/receipts/${batch.batchId}`).send(draftFor(batch)).expect(200)
+    const first = await request(app).get(`/api/receipts/${batch.batchId}`)
+
+    await request(app)
+      .put(`/api/receipts/${batch.batchId}`)
+      .send(draftFor(batch, { vendor: "Cafe Updated" }))
+      .expect(200)
+    const second = await request(app).get(`/api/receipts/${batch.batchId}`)
+
+    expect(second.body.createdAt).toBe(first.body.createdAt)
+    expect(second.body.receipts[0].fields.vendor).toBe("Cafe Updated")
+  })
+
+  test("should serve the original files of a batch", async () => {
+    const batch = await upload("fake-image-data original")
+
+    const res = await request(app)
+      .get(`/api/batches/${batch.batchId}/files/${batch.files[0].id}`)
+      .expect(200)
+
+    expect(res.headers["content-type"]).toContain("image/jpeg")
+    expect(res.body.toString()).toBe("fake-image-data original")
+  })
+
+  test("should reject traversal in file and draft ids", async () => {
+    await request(app).get("/api/batches/..%2F..%2Fetc/files/passwd").expect(400)
+    await request(app).get("/api/receipts/..%2Fsecret").expect(400)
+    await request(app).put("/api/receipts/batch-1-a").send({ receipts: "x" }).expect(400)
+  })
+
+  test("should return 404 for unknown drafts and files", async () => {
+    await request(app).get("/api/receipts/batch-1-missing").expect(404)
+    await request(app)
+      .get("/api/batches/batch-1-missing/files/0b6f6e59-4f0e-4b8e-9a55-4d1b1f2b3c4d")
+      .expect(404)
+  })
+
+  test("should remove the draft and its files when discarded", async () => {
+    const batch = await upload()
+    await request(app).put(`/api/receipts/${batch.batchId}`).send(draftFor(batch)).expect(200)
+
+    await request(app).delete(`/api/receipts/${batch.batchId}`).expect(204)
+
+    await request(app).get(`/api/receipts/${batch.batchId}`).expect(404)
+    await request(app)
+      .get(`/api/batches/${batch.batchId}/files/${batch.files[0].id}`)
+      .expect(404)
+  })
+
+  test("should remove the draft once the batch is submitted", async () => {
+    const batch = await upload("fake-image-data submitted draft")
+    await request(app).put(`/api/receipts/${batch.batchId}`).send(draftFor(batch)).expect(200)
+
+    await request(app)
+      .post("/api/submit")
+      .send({
+        batchId: batch.batchId,
+        receipts: [{ id: batch.files[0].id, fields: { vendor: "Cafe", total: "4.50" } }],
+      })
+      .expect(200)
+
+    await request(app).get(`/api/receipts/${batch.batchId}`).expect(404)
+  })
+})
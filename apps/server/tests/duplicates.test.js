@@ -0,0 +1,240 @@
+import request from "supertest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import {
+  DuplicateDetector,
+  DUPLICATE_STATUS,
+  hashFile,
+  vendorSimilarity,
+} from "../src/services/duplicates.js"
+import {
+  FileDuplicateStore,
+  MemoryDuplicateStore,
+} from "../src/stores/duplicateStore.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+const receipt = {
+  vendor: "Corner Cafe",
+  transactionDate: "2024-03-05",
+  total: 12.34,
+  currency: "USD",
+}
+
+describe("vendorSimilarity", () => {
+  test("should ignore case, punctuation and company suffixes", () => {
+    expect(vendorSimilarity("Corner Cafe, Inc.", "CORNER CAFE")).toBe(1)
+  })
+
+  test("should score small OCR differences highly", () => {
+    expect(vendorSimilarity("Corner Cafe", "Corner Cafè")).toBeGreaterThan(0.8)
+    expect(vendorSimilarity("Corner Cafe", "Hardware Depot")).toBeLessThan(0.3)
+  })
+})
+
+describe("DuplicateDetector", () => {
+  test("should report an exact match by content hash", async () => {
+    const detector = new DuplicateDetector(new MemoryDuplicateStore())
+    await detector.record({ hash: "abc", fields: receipt, itemId: "1" })
+
+    const result = await detector.check({ hash: "abc" })
+
+    expect(result.status).toBe(DUPLICATE_STATUS.EXACT)
+    expect(result.matches[0]).toMatchObject({ reason: "file", itemId: "1" })
+  })
+
+  test("should report similar receipts by vendor, date and total", async () => {
+    const detector = new DuplicateDetector(new MemoryDuplicateStore())
+    await detector.record({ hash: "abc", fields: receipt, itemId: "1" })
+
+    const result = await detector.check({
+      hash: "other",
+      fields: { ...receipt, vendor: "Corner Cafe Inc", transactionDate: "2024-03-06" },
+    })
+
+    expect(result.status).toBe(DUPLICATE_STATUS.SIMILAR)
+    expect(result.matches[0]).toMatchObject({ reason: "fields", itemId: "1" })
+  })
+
+  test("should not match different totals, dates or currencies", async () => {
+    const detector = new DuplicateDetector(new MemoryDuplicateStore())
+    await detector.record({ fields: receipt, itemId: "1" })
+
+    expect(await detector.check({ fields: { ...receipt, total: 12.5 } })).toBeNull()
+    expect(await detector.check({ fields: { ...receipt, transactionDate: "2024-03-10" } })).toBeNull()
+    expect(await detector.check({ fields: { ...receipt, currency: "EUR" } })).toBeNull()
+  })
+
+  test("should only describe the user's own submissions", async () => {
+    const detector = new DuplicateDetector(new MemoryDuplicateStore())
+    await detector.record({ hash: "abc", fields: receipt, itemId: "1", owner: "user-a" })
+
+    const own = await detector.check({ hash: "abc", owner: "user-a" })
+    expect(own.matches[0]).toMatchObject({ reason: "file", itemId: "1", vendor: receipt.vendor })
+
+    const other = await detector.check({ hash: "abc", owner: "user-b" })
+    expect(other.status).toBe(DUPLICATE_STATUS.EXACT)
+    expect(other.matches).toEqual([{ reason: "file", byAnotherUser: true }])
+    const similar = await detector.check({ fields: receipt, owner: "user-b" })
+    expect(similar.matches).toEqual([{ reason: "fields", byAnotherUser: true }])
+  })
+
+  test("should add the item id once the submission is delivered", async () => {
+    const detector = new DuplicateDetector(new MemoryDuplicateStore())
+    await detector.record({ hash: "abc", fields: receipt, submissionId: "s-1" })
+    expect((await detector.check({ hash: "abc" })).matches[0]).toMatchObject({ submissionId: "s-1", itemId: null })
+
+    await detector.setItemId("s-1", "7")
+    expect((await detector.check({ hash: "abc" })).matches[0]).toMatchObject({ submissionId: "s-1", itemId: "7" })
+  })
+
+  test("should not match receipts that no longer count", async () => {
+    const detector = new DuplicateDetector(new MemoryDuplicateStore(), {
+      ignore: async (record) => record.submissionId === "rejected",
+    })
+    await detector.record({ hash: "abc", fields: receipt, submissionId: "rejected" })
+
+    expect(await detector.check({ hash: "abc", fields: receipt })).toBeNull()
+
+    await detector.record({ hash: "abc", fields: receipt, submissionId: "approved" })
+    expect((await detector.check({ hash: "abc" })).matches).toEqual([
+      expect.objectContaining({ submissionId: "approved" }),
+    ])
+  })
+
+  test("should skip the fuzzy match without vendor, date and total", async () => {
+    const detector = new DuplicateDetector(new MemoryDuplicateStore())
+    await detector.record({ fields: receipt, itemId: "1" })
+
+    expect(await detector.check({ fields: { total: 12.34 } })).toBeNull()
+  })
+})
+
+describe("FileDuplicateStore", () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "duplicates-"))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test("should persist records across instances", async () => {
+    const file = path.join(dir, "duplicates.json")
+    await new FileDuplicateStore(file).add({ hash: "abc", ...receipt })
+
+    const store = new FileDuplicateStore(file)
+
+    expect(await store.findByHash("abc")).toHaveLength(1)
+    expect(await store.findByDateRange("2024-03-01", "2024-03-31")).toHaveLength(1)
+    expect(await store.findByDateRange("2024-04-01", "2024-04-30")).toHaveLength(0)
+  })
+
+  test("should keep every record when adds overlap", async () => {
+    const store = new FileDuplicateStore(path.join(dir, "duplicates.json"))
+    await Promise.all(["a", "b", "c"].map((hash) => store.add({ hash })))
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, "duplicates.json"), "utf8"))
+    expect(stored.records.map((r) => r.hash).sort()).toEqual(["a", "b", "c"])
+  })
+
+  test("should set the item id of a submission's records", async () => {
+    const file = path.join(dir, "duplicates.json")
+    const store = new FileDuplicateStore(file)
+    await store.add({ hash: "abc", submissionId: "s-1", itemId: null })
+    await store.add({ hash: "def", submissionId: "s-2", itemId: null })
+    await store.setItemId("s-1", "7")
+
+    const reopened = new FileDuplicateStore(file)
+    expect((await reopened.findByHash("abc"))[0].itemId).toBe("7")
+    expect((await reopened.findByHash("def"))[0].itemId).toBeNull()
+  })
+
+  test("should hash file contents", async () => {
+    const a = path.join(dir, "a.jpg")
+    const b = path.join(dir, "b.jpg")
+    fs.writeFileSync(a, "same")
+    fs.writeFileSync(b, "same")
+
+    expect(await hashFile(a)).toBe(await hashFile(b))
+  })
+})
+
+describe("Duplicate detection in the API", () => {
+  async function upload(...contents) {
+    let req = request(app).post("/api/upload")
+    contents.forEach((content, i) => {
+      req = req.attach("files", Buffer.from(content), `receipt-${i}.jpg`)
+    })
+    return (await req.expect(202)).body
+  }
+
+  test("should flag a file already submitted and block resubmitting it", async () => {
+    const first = await upload("fake-image-data duplicate")
+    await request(app)
+      .post("/api/submit")
+      .send({
+        batchId: first.batchId,
+        receipts: [{ id: first.files[0].id, fields: { vendor: "First" } }],
+      })
+      .expect(200)
+
+    const second = await upload("fake-image-data duplicate")
+    expect(second.files[0].duplicate.status).toBe(DUPLICATE_STATUS.EXACT)
+
+    const response = await request(app)
+      .post("/api/submit")
+      .send({
+        batchId: second.batchId,
+        receipts: [
+          {
+            id: second.files[0].id,
+            fields: { vendor: "Second" },
+            acknowledgeDuplicate: true,
+          },
+        ],
+      })
+      .expect(409)
+
+    expect(response.body.receipts[0].id).toBe(second.files[0].id)
+    expect(response.body.receipts[0].duplicate.status).toBe(DUPLICATE_STATUS.EXACT)
+  })
+
+  test("should flag the same file uploaded twice in one batch", async () => {
+    const batch = await upload("fake-image-data twice", "fake-image-data twice")
+
+    expect(batch.files[0].duplicate).toBeNull()
+    expect(batch.files[1].duplicate).toMatchObject({
+      status: DUPLICATE_STATUS.EXACT,
+      matches: [{ reason: "batch", receiptId: batch.files[0].id }],
+    })
+  })
+
+  test("should require acknowledging a similar receipt", async () => {
+    const fields = { vendor: "Harbor Books", transactionDate: "2024-02-01", total: "40.00" }
+    await request(app).post("/api/submit").send({ fields }).expect(200)
+
+    const blocked = await request(app)
+      .post("/api/submit")
+      .send({ fields: { ...fields, vendor: "Harbor Books Ltd" } })
+      .expect(409)
+    expect(blocked.body.receipts[0].duplicate.status).toBe(DUPLICATE_STATUS.SIMILAR)
+
+    const accepted = await request(app)
+      .post("/api/submit")
+      .send({ fields, acknowledgeDuplicate: true })
+      .expect(200)
+    expect(accepted.body.items[0].duplicate.status).toBe(DUPLICATE_STATUS.SIMILAR)
+  })
+})
@@ -0,0 +1,41 @@
+import fs from "fs"
+import os from "os"
+import path from "path"
+import request from "supertest"
+
+// A submission stored by an older version, with fields that no longer validate
+const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "export-errors-"))
+await fs.promises.writeFile(
+  path.join(dataDir, "submissions.json"),
+  JSON.stringify({
+    submissions: {
+      "s-old": {
+        id: "s-old",
+        itemId: "7",
+        owner: null,
+        ownerName: "Ada",
+        fields: { vendor: "Old Diner", total: "twelve", transactionDate: "2024-06-03" },
+        status: "submitted",
+        submittedAt: "2024-06-05T12:00:00.000Z",
+        history: [],
+      },
+    },
+  }),
+)
+afterAll(() => fs.promises.rm(dataDir, { recursive: true, force: true }))
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+process.env.SUBMISSION_STORE = "file"
+process.env.DATA_DIR = dataDir
+
+const { default: app } = await import("../src/server.js")
+
+describe("Export endpoint with a malformed submission", () => {
+  test("answers with the submission that cannot be exported", async () => {
+    const res = await request(app).get("/api/exports").expect(422)
+    expect(res.body.message).toMatch(/^Submission s-old cannot be exported: /)
+  })
+})
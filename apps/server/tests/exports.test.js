@@ -0,0 +1,265 @@
+import request from "supertest"
+import { ApprovalWorkflow } from "../src/services/approvals.js"
+import { exportCsv, exportIif, exportOfx, renderExport, toExportRow } from "../src/services/exports.js"
+import { MemorySubmissionStore } from "../src/stores/submissionStore.js"
+import { mockTokenVerifier } from "./mocks.js"
+
+// Tokens are user names; the mocked verifier returns their claims
+const USERS = {
+  alice: { oid: "aaaaaaaa-0000-0000-0000-000000000001", name: "Alice", roles: [] },
+  bob: { oid: "bbbbbbbb-0000-0000-0000-000000000002", name: "Bob", roles: [] },
+  frank: { oid: "ffffffff-0000-0000-0000-000000000006", name: "Frank", roles: ["Finance"] },
+}
+
+await mockTokenVerifier(USERS)
+
+process.env.AUTH_BYPASS = "false"
+process.env.APPLICATION_ID_URI = "api://receipts-test"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+const as = (user) => ({ Authorization: `Bearer ${user}` })
+
+function isoDaysAgo(days) {
+  const date = new Date()
+  date.setUTCDate(date.getUTCDate() - days)
+  return date.toISOString().slice(0, 10)
+}
+
+function recentWeekday(from = 1) {
+  let days = from
+  while ([0, 6].includes(new Date(`${isoDaysAgo(days)}T00:00:00Z`).getUTCDay())) days++
+  return isoDaysAgo(days)
+}
+
+const SUBMISSION = {
+  id: "s-1",
+  itemId: "42",
+  batchId: null,
+  owner: "u1",
+  ownerName: "Ada",
+  fields: {
+    vendor: "Blue Bottle",
+    total: 12.5,
+    currency: "EUR",
+    transactionDate: "2024-06-03",
+    items: [{ description: "Latte", totalPrice: 12.5 }],
+    category: "meals",
+  },
+  overrideReason: null,
+  justification: "Client meeting",
+  conversion: {
+    originalAmount: 12.5,
+    originalCurrency: "EUR",
+    amount: 13.55,
+    currency: "USD",
+    rate: 1.0842,
+    rateDate: "2024-06-03",
+  },
+  attestationHash: "abc",
+  signedAt: "2024-06-05T12:00:00.000Z",
+  status: "approved",
+  submittedAt: "2024-06-05T12:00:00.000Z",
+}
+
+describe("toExportRow", () => {
+  test("uses the list item columns", () => {
+    expect(toExportRow(SUBMISSION, { glCode: "6100" })).toEqual({
+      submissionId: "s-1",
+      itemId: "42",
+      submittedAt: "2024-06-05T12:00:00.000Z",
+      submitter: "Ada",
+      vendor: "Blue Bottle",
+      total: 12.5,
+      currency: "EUR",
+      transactionDate: "2024-06-03",
+      items: '[{"description":"Latte","totalPrice":12.5}]',
+      category: "meals",
+      glCode: "6100",
+      policyJustification: "Client meeting",
+      originalAmount: 12.5,
+      originalCurrency: "EUR",
+      homeAmount: 13.55,
+      homeCurrency: "USD",
+      fxRate: 1.0842,
+      fxRateDate: "2024-06-03",
+      attestationHash: "abc",
+      signedAt: "2024-06-05T12:00:00.000Z",
+      status: "approved",
+    })
+  })
+})
+
+describe("exportCsv", () => {
+  test("writes a header and quotes values that need it", () => {
+    const csv = exportCsv([toExportRow({ ...SUBMISSION, fields: { vendor: 'Joe\'s "Diner", Inc', total: 3 } })])
+    const [header, row] = csv.replace(/^\uFEFF/, "").trimEnd().split("\r\n")
+    expect(header.split(",").slice(0, 8)).toEqual([
+      "submissionId",
+      "itemId",
+      "submittedAt",
+      "submitter",
+      "status",
+      "vendor",
+      "transactionDate",
+      "total",
+    ])
+    expect(row).toContain(',"Joe\'s ""Diner"", Inc",,3,')
+  })
+
+  test("defuses spreadsheet formulas", () => {
+    const csv = exportCsv([toExportRow({ ...SUBMISSION, fields: { vendor: "=HYPERLINK(1)", total: -2 } })])
+    expect(csv).toContain(",'=HYPERLINK(1),")
+    expect(csv).toContain(",-2,")
+  })
+})
+
+describe("exportOfx", () => {
+  test("writes one debit per receipt in the home currency", () => {
+    const { body, skipped } = exportOfx(
+      [toExportRow(SUBMISSION, { glCode: "6100" }), toExportRow({ ...SUBMISSION, id: "s-2", fields: { vendor: "No total" }, conversion: null })],
+      { accountId: "CARD", from: "2024-06-01", to: "2024-06-30", now: new Date("2024-07-01T09:30:00Z") },
+    )
+    expect(skipped).toBe(1)
+    expect(body.startsWith("OFXHEADER:100\nDATA:OFXSGML\nVERSION:102")).toBe(true)
+    expect(body).toContain("<CURDEF>USD")
+    expect(body).toContain("<ACCTID>CARD</CCACCTFROM>")
+    expect(body).toContain("<DTSTART>20240601\n<DTEND>20240630")
+    expect(body).toContain(
+      "<STMTTRN>\n<TRNTYPE>DEBIT\n<DTPOSTED>20240603\n<TRNAMT>-13.55\n<FITID>s-1\n<NAME>Blue Bottle\n<MEMO>GL 6100 / meals / Ada\n</STMTTRN>",
+    )
+    expect(body).toContain("<BALAMT>-13.55<DTASOF>20240701093000")
+  })
+
+  test("escapes markup and keeps names ASCII", () => {
+    const { body } = exportOfx([toExportRow({ ...SUBMISSION, fields: { vendor: "Café <B&B>", total: 1 }, conversion: null })])
+    expect(body).toContain("<NAME>Cafe &lt;B&amp;B&gt;")
+  })
+
+  test("refuses receipts in several currencies", () => {
+    const rows = [
+      toExportRow({ ...SUBMISSION, conversion: null }),
+      toExportRow({ ...SUBMISSION, fields: { total: 1, currency: "USD" }, conversion: null }),
+    ]
+    expect(() => exportOfx(rows)).toThrow("OFX files hold a single currency, but these receipts are in EUR, USD")
+  })
+})
+
+describe("exportIif", () => {
+  test("writes a balanced journal entry per receipt", () => {
+    const { body } = exportIif([toExportRow(SUBMISSION, { glCode: "6100" })], { payableAccount: "Owed" })
+    expect(body.trimEnd().split("\r\n")).toEqual([
+      "!TRNS\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO",
+      "!SPL\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO",
+      "!ENDTRNS",
+      "TRNS\tGENERAL JOURNAL\t06/03/2024\tOwed\tBlue Bottle\t-13.55\t42\tmeals / Ada",
+      "SPL\tGENERAL JOURNAL\t06/03/2024\t6100\tBlue Bottle\t13.55\t42\tmeals / Ada",
+      "ENDTRNS",
+    ])
+  })
+
+  test("books receipts without a GL code to the default expense account", () => {
+    const { body } = exportIif([toExportRow({ ...SUBMISSION, fields: { vendor: "A\tB", total: 2 }, conversion: null })])
+    expect(body).toContain("SPL\tGENERAL JOURNAL\t06/05/2024\tUncategorized Expenses\tA B\t2.00")
+  })
+
+  test("rejects unknown formats", () => {
+    expect(() => renderExport("xlsx", [])).toThrow("Invalid format")
+  })
+})
+
+describe("ApprovalWorkflow.list", () => {
+  const finance = { oid: "finance", name: "Frank", roles: ["Finance"] }
+  let workflow
+
+  beforeEach(async () => {
+    workflow = new ApprovalWorkflow(new MemorySubmissionStore())
+    await workflow.recordSubmission({ itemId: "1", owner: "u1", ownerName: "Ada", fields: { transactionDate: "2024-06-03" } })
+    await workflow.recordSubmission({ itemId: "2", owner: "u2", ownerName: "Bob", fields: { transactionDate: "2024-06-10" } })
+  })
+
+  test("filters by date range, submitter and status", async () => {
+    // Both are recorded within the same millisecond, so compare without order
+    const ids = async (filters) => (await workflow.list(finance, filters)).map((s) => s.itemId).sort()
+    expect(await ids({})).toEqual(["1", "2"])
+    expect(await ids({ from: "2024-06-04" })).toEqual(["2"])
+    expect(await ids({ to: "2024-06-03" })).toEqual(["1"])
+    expect(await ids({ owner: "bob" })).toEqual(["2"])
+    expect(await ids({ owner: "u1" })).toEqual(["1"])
+    expect(await ids({ status: "approved" })).toEqual([])
+  })
+
+  test("limits users without a role to their own receipts", async () => {
+    expect((await workflow.list({ oid: "u1", roles: [] })).map((s) => s.itemId)).toEqual(["1"])
+    expect(await workflow.list({ oid: "u1", roles: [] }, { owner: "u2" })).toEqual([])
+  })
+
+  test("rejects invalid filters", async () => {
+    await expect(workflow.list(finance, { from: "06/03/2024" })).rejects.toThrow("Invalid from: expected YYYY-MM-DD")
+    await expect(workflow.list(finance, { from: "2024-06-10", to: "2024-06-03" })).rejects.toThrow("Invalid date range")
+    await expect(workflow.list(finance, { status: "lost" })).rejects.toThrow("Invalid status")
+    await expect(workflow.list(finance, { owner: ["a", "b"] })).rejects.toThrow("Invalid owner")
+  })
+})
+
+describe("Export endpoint", () => {
+  const date = recentWeekday()
+  const earlier = recentWeekday(8)
+
+  beforeAll(async () => {
+    await request(app)
+      .post("/api/submit")
+      .set(as("alice"))
+      .send({ fields: { vendor: "Harbor Books", total: "18.40", transactionDate: date } })
+      .expect(200)
+    await request(app)
+      .post("/api/submit")
+      .set(as("bob"))
+      .send({ fields: { vendor: "Northwind Taxi", total: "31.00", transactionDate: earlier } })
+      .expect(200)
+  })
+
+  const rowsOf = (res) => res.text.replace(/^\uFEFF/, "").trimEnd().split("\r\n").slice(1)
+
+  test("exports everyone's receipts for finance", async () => {
+    const res = await request(app).get("/api/exports").set(as("frank")).expect(200)
+    expect(res.headers["content-type"]).toBe("text/csv; charset=utf-8")
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="receipts.csv"')
+    expect(rowsOf(res)).toHaveLength(2)
+
+    const bob = await request(app).get("/api/exports").query({ user: "Bob" }).set(as("frank")).expect(200)
+    expect(rowsOf(bob)).toEqual([expect.stringContaining("Northwind Taxi")])
+
+    const recent = await request(app).get("/api/exports").query({ from: date, to: date }).set(as("frank")).expect(200)
+    expect(rowsOf(recent)).toEqual([expect.stringContaining("Harbor Books")])
+    expect(recent.headers["content-disposition"]).toBe(`attachment; filename="receipts-${date}-${date}.csv"`)
+  })
+
+  test("exports only the user's own receipts otherwise", async () => {
+    const res = await request(app).get("/api/exports").query({ user: "Bob" }).set(as("alice")).expect(200)
+    expect(rowsOf(res)).toEqual([])
+    const own = await request(app).get("/api/exports").set(as("alice")).expect(200)
+    expect(rowsOf(own)).toEqual([expect.stringContaining("Harbor Books")])
+  })
+
+  test("exports OFX and IIF", async () => {
+    const ofx = await request(app).get("/api/exports").query({ format: "ofx" }).set(as("frank")).expect(200)
+    expect(ofx.headers["content-type"]).toMatch(/^application\/x-ofx/)
+    expect(ofx.headers["x-export-count"]).toBe("2")
+    expect(ofx.text).toContain("<TRNAMT>-31.00")
+
+    const iif = await request(app).get("/api/exports").query({ format: "iif" }).set(as("frank")).expect(200)
+    expect(iif.text).toContain("\t18.40\t")
+  })
+
+  test("rejects invalid parameters", async () => {
+    const format = await request(app).get("/api/exports").query({ format: "xlsx" }).set(as("frank")).expect(400)
+    expect(format.body.message).toMatch("Invalid format")
+    await request(app).get("/api/exports").query({ format: "constructor" }).set(as("frank")).expect(400)
+    const range = await request(app).get("/api/exports").query({ from: "yesterday" }).set(as("frank")).expect(400)
+    expect(range.body.message).toBe("Invalid from: expected YYYY-MM-DD")
+  })
+})
@@ -0,0 +1,228 @@
+import request from "supertest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import {
+  CurrencyConverter,
+  TableRateProvider,
+  loadRateTable,
+  parseRatesCsv,
+  parseRatesJson,
+} from "../src/services/fx.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+function isoDaysAgo(days) {
+  const date = new Date()
+  date.setUTCDate(date.getUTCDate() - days)
+  return date.toISOString().slice(0, 10)
+}
+
+function recentWeekday() {
+  let days = 1
+  while ([0, 6].includes(new Date(`${isoDaysAgo(days)}T00:00:00Z`).getUTCDay())) days++
+  return isoDaysAgo(days)
+}
+
+const RECEIPT_DATE = recentWeekday()
+const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "fx-test-"))
+const ratesFile = path.join(tmpDir, "rates.csv")
+await fs.promises.writeFile(ratesFile, `date,base,quote,rate\n${RECEIPT_DATE},EUR,USD,1.1\n${RECEIPT_DATE},JPY,USD,0.0067\n`)
+const policyFile = path.join(tmpDir, "policy.json")
+await fs.promises.writeFile(
+  policyFile,
+  JSON.stringify({ rules: [{ id: "meals-limit", type: "maxAmount", category: "meals", max: 75, severity: "error" }] }),
+)
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+process.env.FX_RATES_FILE = ratesFile
+process.env.HOME_CURRENCY = "USD"
+process.env.POLICY_RULES_FILE = policyFile
+
+const { default: app } = await import("../src/server.js")
+
+afterAll(async () => {
+  await fs.promises.rm(tmpDir, { recursive: true, force: true })
+})
+
+const RATES = parseRatesCsv(`
+# ECB reference rates
+date,base,quote,rate
+2024-06-03,EUR,USD,1.0842
+2024-06-04,EUR,USD,1.0878
+2024-06-04,USD,JPY,154.77
+`)
+
+describe("Rate tables", () => {
+  test("parses CSV with columns in any order", () => {
+    expect(parseRatesCsv("rate,quote,base,date\n0.85,GBP,EUR,2024-06-03\n")).toEqual([
+      { date: "2024-06-03", base: "EUR", quote: "GBP", rate: 0.85 },
+    ])
+    expect(RATES).toHaveLength(3)
+  })
+
+  test("rejects malformed rows with their line number", () => {
+    expect(() => parseRatesCsv("date,base,rate\n")).toThrow("missing column quote")
+    expect(() => parseRatesCsv("date,base,quote,rate\n2024-06-03,EUR,USD,1.08\n2024-06-03,EUR,USD,-1\n")).toThrow(
+      "Invalid exchange rate at line 3: rate must be a positive number",
+    )
+    expect(() => parseRatesCsv("date,base,quote,rate\n03/06/2024,EUR,USD,1.08\n")).toThrow("YYYY-MM-DD")
+    expect(() => parseRatesJson({ rates: [{ date: "2024-06-03", base: "EUR", quote: "EUR", rate: 1 }] })).toThrow(
+      "Invalid exchange rate at index 0",
+    )
+    expect(() => parseRatesJson([])).toThrow("expected a rates array")
+  })
+
+  test("loads CSV and JSON files", async () => {
+    const json = path.join(tmpDir, "rates.json")
+    await fs.promises.writeFile(json, JSON.stringify({ rates: [{ date: "2024-06-03", base: "EUR", quote: "USD", rate: 1.08 }] }))
+    expect(await loadRateTable(json)).toHaveLength(1)
+    expect(await loadRateTable(ratesFile)).toEqual([
+      { date: RECEIPT_DATE, base: "EUR", quote: "USD", rate: 1.1 },
+      { date: RECEIPT_DATE, base: "JPY", quote: "USD", rate: 0.0067 },
+    ])
+    await expect(loadRateTable(path.join(tmpDir, "missing.csv"))).rejects.toThrow("Could not read exchange rates")
+  })
+
+  test("ships an example file that matches the expected format", async () => {
+    const rates = await loadRateTable(new URL("../fx-rates.example.csv", import.meta.url).pathname)
+    expect(rates.length).toBeGreaterThan(0)
+  })
+})
+
+describe("TableRateProvider", () => {
+  const provider = new TableRateProvider(RATES, { maxAgeDays: 4 })
+
+  test("uses the rate published for the date", async () => {
+    expect(await provider.getRate("EUR", "USD", "2024-06-04")).toEqual({ rate: 1.0878, date: "2024-06-04" })
+    expect(await provider.getRate("USD", "USD", "2024-06-04")).toEqual({ rate: 1, date: "2024-06-04" })
+  })
+
+  test("falls back to the latest earlier rate within the allowed age", async () => {
+    // Saturday uses Tuesday's rate
+    expect(await provider.getRate("EUR", "USD", "2024-06-08")).toEqual({ rate: 1.0878, date: "2024-06-04" })
+    expect(await provider.getRate("EUR", "USD", "2024-06-09")).toBeNull()
+    expect(await provider.getRate("EUR", "USD", "2024-06-02")).toBeNull()
+  })
+
+  test("derives inverse and cross rates", async () => {
+    expect(await provider.getRate("USD", "EUR", "2024-06-04")).toEqual({ rate: 0.91928663, date: "2024-06-04" })
+    expect(await provider.getRate("EUR", "JPY", "2024-06-04")).toEqual({ rate: 168.358806, date: "2024-06-04" })
+    expect(await provider.getRate("GBP", "USD", "2024-06-04")).toBeNull()
+  })
+})
+
+describe("CurrencyConverter", () => {
+  const converter = new CurrencyConverter(new TableRateProvider(RATES), { homeCurrency: "USD" })
+
+  test("converts the total at the transaction date's rate", async () => {
+    expect(await converter.convert({ total: 92.5, currency: "EUR", transactionDate: "2024-06-03" })).toEqual({
+      originalAmount: 92.5,
+      originalCurrency: "EUR",
+      amount: 100.29,
+      currency: "USD",
+      rate: 1.0842,
+      rateDate: "2024-06-03",
+    })
+  })
+
+  test("treats receipts without a currency as home currency", async () => {
+    expect(await converter.convert({ total: 5, transactionDate: "2024-06-03" })).toMatchObject({
+      amount: 5,
+      rate: 1,
+      originalCurrency: "USD",
+    })
+    expect(await converter.convert({ vendor: "No total" })).toBeNull()
+  })
+
+  test("reports a missing rate", async () => {
+    await expect(converter.convert({ total: 5, currency: "EUR", transactionDate: "2023-01-02" })).rejects.toThrow(
+      "No exchange rate from EUR to USD for 2023-01-02",
+    )
+    // Undated receipts use today's rate
+    await expect(
+      converter.convert({ total: 5, currency: "EUR" }, { now: new Date("2024-06-05T12:00:00Z") }),
+    ).resolves.toMatchObject({ rateDate: "2024-06-04" })
+  })
+
+  test("rejects an invalid home currency", () => {
+    expect(() => new CurrencyConverter(new TableRateProvider(), { homeCurrency: "usd" })).toThrow(
+      "Invalid home currency",
+    )
+  })
+})
+
+describe("Currency conversion in the API", () => {
+  test("validate reports the converted total", async () => {
+    const res = await request(app)
+      .post("/api/validate")
+      .send({ fields: { vendor: "Café", total: "20.00", currency: "EUR", transactionDate: RECEIPT_DATE } })
+      .expect(200)
+    expect(res.body.receipts[0]).toMatchObject({
+      conversion: { amount: 22, currency: "USD", rate: 1.1, rateDate: RECEIPT_DATE },
+      conversionError: null,
+    })
+  })
+
+  test("submit records the original and converted amounts", async () => {
+    const res = await request(app)
+      .post("/api/submit")
+      .send({
+        receipts: [
+          { fields: { vendor: "Café", total: "20.00", currency: "EUR", transactionDate: RECEIPT_DATE } },
+          { fields: { vendor: "Staples", total: "3.50", currency: "USD", transactionDate: RECEIPT_DATE } },
+        ],
+      })
+      .expect(200)
+    expect(res.body.items[0].conversion).toMatchObject({ originalAmount: 20, originalCurrency: "EUR", amount: 22 })
+    expect(res.body.items[1].conversion).toMatchObject({ amount: 3.5, rate: 1 })
+    expect(res.body.summary).toMatchObject({ total: "25.50", currency: "USD" })
+  })
+
+  test("submit blocks receipts without a rate", async () => {
+    const res = await request(app)
+      .post("/api/submit")
+      .send({ fields: { vendor: "Pub", total: "8.00", currency: "GBP", transactionDate: RECEIPT_DATE } })
+      .expect(422)
+    expect(res.body.receipts[0].conversionError).toBe(`No exchange rate from GBP to USD for ${RECEIPT_DATE}`)
+  })
+
+  test("checks amount limits in the home currency", async () => {
+    const meal = (id, total, currency) => ({
+      id,
+      fields: { vendor: "Izakaya", category: "meals", total, currency, transactionDate: RECEIPT_DATE },
+    })
+    const res = await request(app)
+      .post("/api/validate")
+      .send({
+        receipts: [
+          meal("00000000-0000-4000-8000-000000000001", "5000", "JPY"),
+          meal("00000000-0000-4000-8000-000000000002", "74.00", "EUR"),
+          meal("00000000-0000-4000-8000-000000000003", "60.00", "GBP"),
+        ],
+      })
+      .expect(200)
+    const [yen, euro, pound] = res.body.receipts
+
+    // ¥5,000 is 33.50 USD
+    expect(yen).toMatchObject({ blocked: false, violations: [], conversion: { amount: 33.5 } })
+    // €74 is 81.40 USD
+    expect(euro.blocked).toBe(true)
+    expect(euro.violations).toEqual([
+      expect.objectContaining({
+        rule: "meals-limit",
+        severity: "error",
+        message: "74.00 EUR (81.40 USD) is over the 75.00 USD limit for meals",
+      }),
+    ])
+    // Without a rate the limit cannot be checked; the missing rate blocks on submit
+    expect(pound).toMatchObject({ blocked: false, conversionError: expect.stringContaining("GBP") })
+    expect(pound.violations).toEqual([expect.objectContaining({ rule: "meals-limit", severity: "warning" })])
+
+    await request(app).post("/api/submit").send(meal(undefined, "5000", "JPY")).expect(200)
+  })
+})
@@ -0,0 +1,170 @@
+import { GraphClient, GraphError, SIMPLE_UPLOAD_LIMIT, parseRetryAfter } from "../src/services/graph.js"
+import { SharePointSink } from "../src/services/sinks/sharepointSink.js"
+import { startMockGraph } from "./mockGraphServer.js"
+
+let graphServer
+beforeAll(async () => {
+  graphServer = await startMockGraph()
+})
+afterAll(() => graphServer.close())
+
+const ITEMS = "/sites/site-1/lists/list-1/items"
+
+// Client against the mock server; waits are recorded instead of slept
+function client(options = {}) {
+  const waits = []
+  const graph = new GraphClient({
+    tenantId: "tenant-1",
+    clientId: "client-1",
+    clientSecret: "secret",
+    authorityUrl: graphServer.authorityUrl,
+    graphUrl: graphServer.graphUrl,
+    sleep: async (ms) => waits.push(ms),
+    ...options,
+  })
+  return { graph, waits }
+}
+
+beforeEach(() => {
+  graphServer.state.throttled.length = 0
+  graphServer.state.expiresIn = 3600
+})
+
+describe("parseRetryAfter", () => {
+  test("reads seconds and HTTP dates", () => {
+    const now = Date.parse("2024-06-05T12:00:00Z")
+    expect(parseRetryAfter("7", now)).toBe(7000)
+    expect(parseRetryAfter("Wed, 05 Jun 2024 12:00:30 GMT", now)).toBe(30000)
+    expect(parseRetryAfter("Wed, 05 Jun 2024 11:00:00 GMT", now)).toBe(0)
+    expect(parseRetryAfter("soon", now)).toBeNull()
+    expect(parseRetryAfter(null, now)).toBeNull()
+  })
+})
+
+describe("GraphClient tokens", () => {
+  test("reuses a token until shortly before it expires", async () => {
+    const { graph } = client()
+    const before = graphServer.state.tokenRequests
+    const [a, b] = await Promise.all([graph.getToken(), graph.getToken()])
+    expect(a).toBe(b)
+    expect(await graph.getToken()).toBe(a)
+    expect(graphServer.state.tokenRequests).toBe(before + 1)
+
+    // Tokens inside the refresh margin are renewed
+    graphServer.state.expiresIn = 60
+    graph.clearToken()
+    const short = await graph.getToken()
+    expect(await graph.getToken()).not.toBe(short)
+    expect(graphServer.state.tokenRequests).toBe(before + 3)
+  })
+
+  test("renews a rejected token once", async () => {
+    const { graph } = client()
+    await graph.request(ITEMS, { method: "POST", json: { fields: { vendor: "Before" } } })
+    const before = graphServer.state.tokenRequests
+    graphServer.revokeTokens()
+    const item = await graph.request(ITEMS, { method: "POST", json: { fields: { vendor: "After" } } })
+    expect(graphServer.state.items.get(item.id)).toEqual({ vendor: "After" })
+    expect(graphServer.state.tokenRequests).toBe(before + 1)
+  })
+
+  test("needs credentials", async () => {
+    const { graph } = client({ clientSecret: "" })
+    expect(graph.configured).toBe(false)
+    expect(await graph.getToken()).toBeNull()
+    await expect(graph.request(ITEMS)).rejects.toThrow("Graph credentials are not configured")
+    await expect(client({ clientSecret: "wrong" }).graph.getToken()).rejects.toThrow("Token request failed: 401")
+  })
+})
+
+describe("GraphClient throttling", () => {
+  test("waits as long as Retry-After asks", async () => {
+    const { graph, waits } = client()
+    await graph.getToken()
+    graphServer.throttle(2, { status: 429, retryAfter: 3 })
+    const item = await graph.request(ITEMS, { method: "POST", json: { fields: { vendor: "Throttled" } } })
+    expect(item.id).toBeDefined()
+    expect(waits).toEqual([3000, 3000])
+  })
+
+  test("backs off exponentially without Retry-After", async () => {
+    const { graph, waits } = client({ baseDelayMs: 100 })
+    await graph.getToken()
+    graphServer.throttle(3, { status: 503 })
+    await graph.request(ITEMS, { method: "POST", json: { fields: {} } })
+    expect(waits).toEqual([100, 200, 400])
+  })
+
+  test("gives up after the last retry", async () => {
+    const { graph, waits } = client({ maxRetries: 2 })
+    await graph.getToken()
+    graphServer.throttle(3, { status: 429, retryAfter: 1 })
+    const error = await graph.request(ITEMS, { method: "POST", json: { fields: {} }, label: "Create item" }).catch((e) => e)
+    expect(error).toBeInstanceOf(GraphError)
+    expect(error.status).toBe(429)
+    expect(error.message).toMatch("Create item failed: 429")
+    expect(waits).toHaveLength(2)
+  })
+})
+
+describe("GraphClient uploads", () => {
+  test("sends small files in one request and large ones in 320 KiB-aligned chunks", async () => {
+    const { graph } = client({ chunkSize: 1024 * 1024 })
+    const { id } = await graph.request(ITEMS, { method: "POST", json: { fields: {} } })
+    const folder = `${ITEMS}/${id}/driveItem/children`
+
+    const small = Buffer.alloc(SIMPLE_UPLOAD_LIMIT, 1)
+    await graph.upload(`${folder}/small.pdf:`, small)
+    expect(graphServer.state.files.get(`${id}/small.pdf`).equals(small)).toBe(true)
+
+    const large = Buffer.alloc(SIMPLE_UPLOAD_LIMIT + 12345)
+    for (let i = 0; i < large.length; i += 4096) large[i] = i % 251
+    const requestsBefore = graphServer.state.requests.length
+    await graph.upload(`${folder}/large%20scan.pdf:`, large)
+    expect(graphServer.state.files.get(`${id}/large scan.pdf`).equals(large)).toBe(true)
+
+    const { chunks } = graphServer.state.uploads.at(-1)
+    expect(chunks.slice(0, -1).every((size) => size === 3 * 320 * 1024)).toBe(true)
+    expect(chunks.reduce((a, b) => a + b)).toBe(large.length)
+    const chunkRequests = graphServer.state.requests.slice(requestsBefore).filter((r) => r.path.startsWith("/upload/"))
+    expect(chunkRequests.every((r) => !r.headers.authorization)).toBe(true)
+  })
+
+  test("retries a throttled chunk", async () => {
+    const { graph, waits } = client()
+    const { id } = await graph.request(ITEMS, { method: "POST", json: { fields: {} } })
+    const large = Buffer.alloc(SIMPLE_UPLOAD_LIMIT + 1, 7)
+    // The session is created, then its first chunk is throttled
+    graphServer.throttle(1, { status: 503, retryAfter: 2, after: 1 })
+    await graph.upload(`${ITEMS}/${id}/driveItem/children/big.pdf:`, large)
+    expect(waits).toEqual([2000])
+    expect(graphServer.state.files.get(`${id}/big.pdf`).equals(large)).toBe(true)
+  })
+
+  test("abandons the session when a chunk fails", async () => {
+    const { graph } = client({ maxRetries: 0 })
+    const { id } = await graph.request(ITEMS, { method: "POST", json: { fields: {} } })
+    graphServer.throttle(1, { status: 503, after: 1 })
+    await expect(
+      graph.upload(`${ITEMS}/${id}/driveItem/children/lost.pdf:`, Buffer.alloc(SIMPLE_UPLOAD_LIMIT + 1), { label: "Attach" }),
+    ).rejects.toThrow("Attach failed: 503")
+    expect(graphServer.state.sessions.size).toBe(0)
+    expect(graphServer.state.files.has(`${id}/lost.pdf`)).toBe(false)
+  })
+})
+
+describe("SharePointSink over Graph", () => {
+  test("creates, updates and attaches to list items", async () => {
+    const { graph } = client()
+    const sink = new SharePointSink({ siteId: "site-1", listId: "list-1", graph })
+    const { id } = await sink.createItem({ vendor: "Contoso", status: "submitted" })
+    await sink.updateItem(id, { status: "approved" })
+    await sink.uploadAttachment(id, "receipt.jpg", Buffer.from("jpeg"))
+    await sink.uploadAttachment(id, "expense-report.pdf", Buffer.alloc(SIMPLE_UPLOAD_LIMIT + 1))
+
+    expect(graphServer.state.items.get(id)).toEqual({ vendor: "Contoso", status: "approved" })
+    expect(graphServer.state.files.get(`${id}/receipt.jpg`).toString()).toBe("jpeg")
+    expect(graphServer.state.files.get(`${id}/expense-report.pdf`).length).toBe(SIMPLE_UPLOAD_LIMIT + 1)
+    await expect(sink.updateItem("999", { status: "approved" })).rejects.toThrow("Update item failed: 404")
+  })
+})
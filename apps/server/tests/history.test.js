@@ -0,0 +1,217 @@
+import request from "supertest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { parseSearchQuery, searchSubmissions } from "../src/services/receiptSearch.js"
+import { createAttachmentStore } from "../src/stores/attachmentStore.js"
+import { mockFileType, mockTokenVerifier } from "./mocks.js"
+
+// Tokens are user names; the mocked verifier returns their claims
+const USERS = {
+  alice: { oid: "aaaaaaaa-0000-0000-0000-000000000001", name: "Alice", roles: [] },
+  bob: { oid: "bbbbbbbb-0000-0000-0000-000000000002", name: "Bob", roles: [] },
+  carol: { oid: "cccccccc-0000-0000-0000-000000000003", name: "Carol", roles: ["Approver"] },
+}
+
+await mockTokenVerifier(USERS)
+await mockFileType()
+
+process.env.AUTH_BYPASS = "false"
+process.env.APPLICATION_ID_URI = "api://receipts-test"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+const as = (user) => ({ Authorization: `Bearer ${user}` })
+
+function isoDaysAgo(days) {
+  const date = new Date()
+  date.setUTCDate(date.getUTCDate() - days)
+  return date.toISOString().slice(0, 10)
+}
+
+function recentWeekday(from = 1) {
+  let days = from
+  while ([0, 6].includes(new Date(`${isoDaysAgo(days)}T00:00:00Z`).getUTCDay())) days++
+  return isoDaysAgo(days)
+}
+
+const submission = (id, fields, extra = {}) => ({
+  id,
+  fields,
+  status: "submitted",
+  submittedAt: "2024-06-05T12:00:00.000Z",
+  conversion: null,
+  ...extra,
+})
+
+const SUBMISSIONS = [
+  submission("a", {
+    vendor: "Café Central",
+    total: 12.5,
+    transactionDate: "2024-06-03",
+    category: "meals",
+    items: [{ description: "Espresso" }, { description: "Croissant" }],
+  }),
+  submission("b", { vendor: "Harbor Books", total: 40, transactionDate: "2024-06-04", category: "office" }, { status: "approved" }),
+  submission("c", { vendor: "Hotel Lux", total: 90, currency: "EUR", transactionDate: "2024-05-20" }, {
+    conversion: { amount: 99.5, currency: "USD" },
+  }),
+]
+
+const search = (query) => searchSubmissions(SUBMISSIONS, parseSearchQuery(query))
+const ids = (query) => search(query).results.map((s) => s.id)
+
+describe("receipt search", () => {
+  test("matches every word against the vendor and line items, ignoring case and accents", () => {
+    expect(ids({ q: "cafe" })).toEqual(["a"])
+    expect(ids({ q: "CROISSANT central" })).toEqual(["a"])
+    expect(ids({ q: "croissant books" })).toEqual([])
+  })
+
+  test("lists newest receipts first", () => {
+    expect(ids({})).toEqual(["b", "a", "c"])
+  })
+
+  test("filters by date, amount, category and status", () => {
+    expect(ids({ from: "2024-06-01", to: "2024-06-03" })).toEqual(["a"])
+    expect(ids({ minAmount: "20" })).toEqual(["b", "c"])
+    // Converted receipts are compared in the home currency
+    expect(ids({ minAmount: "95", maxAmount: "100" })).toEqual(["c"])
+    expect(ids({ category: "office" })).toEqual(["b"])
+    expect(ids({ status: "approved" })).toEqual(["b"])
+  })
+
+  test("pages results", () => {
+    expect(search({ pageSize: "2", page: "2" })).toEqual({
+      results: [SUBMISSIONS[2]],
+      total: 3,
+      page: 2,
+      pageSize: 2,
+    })
+  })
+
+  test("rejects invalid parameters", () => {
+    expect(() => parseSearchQuery({ from: "June" })).toThrow("Invalid from: expected YYYY-MM-DD")
+    expect(() => parseSearchQuery({ minAmount: "-1" })).toThrow("Invalid minAmount")
+    expect(() => parseSearchQuery({ minAmount: "10", maxAmount: "5" })).toThrow("Invalid amount range")
+    expect(() => parseSearchQuery({ status: "lost" })).toThrow("Invalid status")
+    expect(() => parseSearchQuery({ pageSize: "101" })).toThrow("Invalid pageSize")
+    expect(() => parseSearchQuery({ page: "0" })).toThrow("Invalid page")
+    expect(() => parseSearchQuery({ q: ["a", "b"] })).toThrow("Invalid q: expected text")
+  })
+})
+
+describe("Attachment stores", () => {
+  test("store, list and return files by submission", async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "attachment-test-"))
+    try {
+      for (const store of [createAttachmentStore({ type: "memory" }), createAttachmentStore({ type: "file", dataDir: dir })]) {
+        expect(await store.get("s-1", "missing.pdf")).toBeNull()
+        expect(await store.list("s-1")).toEqual([])
+        await store.put("s-1", "signature.png", Buffer.from("png"))
+        await store.put("s-1", "expense-report.pdf", Buffer.from("%PDF-1.7"))
+        expect((await store.get("s-1", "expense-report.pdf")).toString()).toBe("%PDF-1.7")
+        expect(await store.list("s-1")).toEqual([
+          { name: "expense-report.pdf", size: 8 },
+          { name: "signature.png", size: 3 },
+        ])
+        await expect(store.put("../x", "a.pdf", Buffer.from(""))).rejects.toThrow("Invalid submission id")
+        await expect(store.get("s-1", "../secret")).rejects.toThrow("Invalid attachment name")
+      }
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe("History API", () => {
+  let item
+
+  beforeAll(async () => {
+    const upload = await request(app)
+      .post("/api/upload")
+      .set(as("alice"))
+      .attach("files", Buffer.from("fake-image-data history"), "receipt.jpg")
+      .expect(202)
+    const batch = upload.body
+    const res = await request(app)
+      .post("/api/submit")
+      .set(as("alice"))
+      .send({
+        batchId: batch.batchId,
+        receipts: [
+          {
+            id: batch.files[0].id,
+            fields: {
+              vendor: "Contoso Diner",
+              total: "23.10",
+              transactionDate: recentWeekday(),
+              items: [{ description: "Club sandwich", totalPrice: "23.10" }],
+            },
+          },
+        ],
+      })
+      .expect(200)
+    item = { ...res.body.items[0], file: batch.files[0].secureFile }
+    await request(app)
+      .post("/api/submit")
+      .set(as("bob"))
+      .send({ fields: { vendor: "Northwind Taxi", total: "31.00", transactionDate: recentWeekday(8) } })
+      .expect(200)
+  })
+
+  test("searches the user's own receipts", async () => {
+    const res = await request(app).get("/api/submissions/search").query({ q: "sandwich" }).set(as("alice")).expect(200)
+    expect(res.body).toMatchObject({ total: 1, page: 1, pageSize: 20 })
+    expect(res.body.receipts[0]).toMatchObject({
+      id: item.submissionId,
+      itemId: item.itemId,
+      status: "submitted",
+      fields: { vendor: "Contoso Diner" },
+    })
+    expect(res.body.receipts[0].attachments.map((a) => a.name)).toEqual([item.file, "expense-report.pdf"].sort())
+
+    const others = await request(app).get("/api/submissions/search").query({ q: "northwind" }).set(as("alice")).expect(200)
+    expect(others.body.receipts).toEqual([])
+  })
+
+  test("rejects invalid search parameters", async () => {
+    const res = await request(app).get("/api/submissions/search").query({ maxAmount: "lots" }).set(as("alice")).expect(400)
+    expect(res.body.message).toMatch("Invalid maxAmount")
+  })
+
+  test("re-opens a submission with its history", async () => {
+    const res = await request(app).get(`/api/submissions/${item.submissionId}`).set(as("alice")).expect(200)
+    expect(res.body.history).toEqual([expect.objectContaining({ status: "submitted", by: "Alice" })])
+    expect(res.body.attachments).toHaveLength(2)
+
+    await request(app).get(`/api/submissions/${item.submissionId}`).set(as("bob")).expect(404)
+    await request(app).get(`/api/submissions/${item.submissionId}`).set(as("carol")).expect(200)
+  })
+
+  test("downloads the stored attachments", async () => {
+    const res = await request(app)
+      .get(`/api/submissions/${item.submissionId}/attachments/${item.file}`)
+      .set(as("alice"))
+      .responseType("blob")
+      .expect(200)
+    expect(res.body.toString()).toBe("fake-image-data history")
+    expect(res.headers["content-disposition"]).toBe(`attachment; filename="${item.file}"`)
+
+    await request(app)
+      .get(`/api/submissions/${item.submissionId}/attachments/${item.file}`)
+      .set(as("bob"))
+      .expect(404)
+    await request(app)
+      .get(`/api/submissions/${item.submissionId}/attachments/..%2F..%2Fsecret`)
+      .set(as("alice"))
+      .expect(404)
+    await request(app)
+      .get(`/api/submissions/${item.submissionId}/attachments/missing.png`)
+      .set(as("alice"))
+      .expect(404)
+  })
+})
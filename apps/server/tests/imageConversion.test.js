@@ -0,0 +1,145 @@
+import fs from "fs"
+import os from "os"
+import path from "path"
+import sharp from "sharp"
+import { jest } from "@jest/globals"
+import { PDFDocument } from "pdf-lib"
+
+// Decoding real HEVC needs a camera photo; the decoder is replaced with one
+// that returns a fixed JPEG and records what it was given
+const heicCalls = []
+await jest.unstable_mockModule("heic-convert", () => ({
+  default: async (options) => {
+    heicCalls.push(options)
+    if (options.buffer.includes(Buffer.from("corrupt"))) throw new Error("HEIF image not found")
+    return jpegFixture
+  },
+}))
+
+const { convertReceiptFile, detectConvertibleType } = await import("../src/services/imageConversion.js")
+const { OCRService, OCRError, OCR_ERROR_CODES } = await import("../src/services/ocrService.js")
+
+const image = (background, width = 40, height = 60) =>
+  sharp({ create: { width, height, channels: 3, background } })
+
+const jpegFixture = await image("white").jpeg().toBuffer()
+const heic = (brand = "heic", compatible = ["mif1", "heic"], rest = "") =>
+  Buffer.concat([
+    Buffer.from([0, 0, 0, 16 + 4 * compatible.length]),
+    Buffer.from(`ftyp${brand}\0\0\0\0${compatible.join("")}${rest}`),
+  ])
+
+describe("detectConvertibleType", () => {
+  test("recognizes HEIC, WebP and TIFF by their leading bytes", async () => {
+    expect(detectConvertibleType(heic())).toBe("image/heic")
+    expect(detectConvertibleType(heic("mif1", ["mif1", "heic"]))).toBe("image/heif")
+    expect(detectConvertibleType(await image("red").webp().toBuffer())).toBe("image/webp")
+    expect(detectConvertibleType(await image("red").tiff().toBuffer())).toBe("image/tiff")
+    expect(detectConvertibleType(Buffer.from("MM\0*\0\0\0\x08rest"))).toBe("image/tiff")
+  })
+
+  test("leaves other files alone", async () => {
+    expect(detectConvertibleType(jpegFixture)).toBeNull()
+    expect(detectConvertibleType(await image("red").png().toBuffer())).toBeNull()
+    expect(detectConvertibleType(Buffer.from("%PDF-1.4 fake pdf content"))).toBeNull()
+    // AVIF and MP4 share the container with HEIC
+    expect(detectConvertibleType(heic("avif", ["mif1", "avif"]))).toBeNull()
+    expect(detectConvertibleType(heic("mif1", ["mif1", "avif"], "heic"))).toBeNull()
+    expect(detectConvertibleType(heic("isom", ["isom", "mp41"]))).toBeNull()
+    expect(detectConvertibleType(Buffer.from("RIFF"))).toBeNull()
+  })
+})
+
+describe("convertReceiptFile", () => {
+  test("turns WebP and single-page TIFF into JPEG", async () => {
+    for (const source of [await image("red").webp().toBuffer(), await image("red").tiff().toBuffer()]) {
+      const converted = await convertReceiptFile(source)
+      expect(converted).toMatchObject({ mime: "image/jpeg", pages: 1 })
+      const meta = await sharp(converted.data).metadata()
+      expect(meta).toMatchObject({ format: "jpeg", width: 40, height: 60 })
+    }
+  })
+
+  test("applies the orientation recorded in the file", async () => {
+    const rotated = await image("red").withMetadata({ orientation: 6 }).tiff().toBuffer()
+    const meta = await sharp((await convertReceiptFile(rotated)).data).metadata()
+    expect(meta).toMatchObject({ width: 60, height: 40 })
+  })
+
+  test("turns a multi-page TIFF into a PDF with a page per image", async () => {
+    const pages = await Promise.all([image("red").png().toBuffer(), image("blue").png().toBuffer()])
+    const tiff = await sharp(pages, { join: { animated: true } }).tiff({ xres: 300 / 25.4, yres: 300 / 25.4 }).toBuffer()
+    const converted = await convertReceiptFile(tiff)
+    expect(converted).toMatchObject({ mime: "application/pdf", pages: 2, from: "image/tiff" })
+
+    const pdf = await PDFDocument.load(converted.data)
+    expect(pdf.getPageCount()).toBe(2)
+    // 40 pixels at 300 dpi
+    expect(pdf.getPage(0).getWidth()).toBeCloseTo(9.6, 1)
+  })
+
+  test("decodes HEIC through the HEIF decoder", async () => {
+    const converted = await convertReceiptFile(heic())
+    expect(converted).toEqual({ data: jpegFixture, mime: "image/jpeg", pages: 1, from: "image/heic" })
+    expect(heicCalls.at(-1)).toMatchObject({ format: "JPEG" })
+  })
+
+  test("returns null for files that need no conversion", async () => {
+    expect(await convertReceiptFile(jpegFixture)).toBeNull()
+  })
+})
+
+describe("OCR of converted files", () => {
+  let dir
+  beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "conversion-test-"))
+  })
+  afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }))
+
+  // Provider that records the files it is handed
+  function recordingProvider() {
+    const seen = []
+    return {
+      seen,
+      name: "recording",
+      analyze: async (filePath) => {
+        seen.push({ filePath, data: await fs.promises.readFile(filePath) })
+        return { fields: {}, fieldMeta: {}, pages: [], confidence: 0.9, merchantType: null }
+      },
+    }
+  }
+
+  test("analyzes a JPEG copy and keeps the original", async () => {
+    const original = await image("red").webp().toBuffer()
+    const filePath = path.join(dir, "receipt.webp")
+    await fs.promises.writeFile(filePath, original)
+    const provider = recordingProvider()
+
+    await new OCRService(provider).analyzeReceipt(filePath)
+    const [{ filePath: analyzed, data }] = provider.seen
+    expect(analyzed).not.toBe(filePath)
+    expect(analyzed.endsWith(".jpg")).toBe(true)
+    expect(data[0]).toBe(0xff)
+    expect((await fs.promises.readFile(filePath)).equals(original)).toBe(true)
+    // The copy is removed once analyzed
+    expect(fs.existsSync(path.dirname(analyzed))).toBe(false)
+  })
+
+  test("hands other files to the provider as they are", async () => {
+    const filePath = path.join(dir, "receipt.jpg")
+    await fs.promises.writeFile(filePath, jpegFixture)
+    const provider = recordingProvider()
+    await new OCRService(provider).analyzeReceipt(filePath)
+    expect(provider.seen[0].filePath).toBe(filePath)
+  })
+
+  test("reports images that cannot be decoded", async () => {
+    const filePath = path.join(dir, "broken.heic")
+    await fs.promises.writeFile(filePath, heic("heic", ["mif1", "heic"], "corrupt"))
+    const provider = recordingProvider()
+    const error = await new OCRService(provider).analyzeReceipt(filePath).catch((e) => e)
+    expect(error).toBeInstanceOf(OCRError)
+    expect(error.code).toBe(OCR_ERROR_CODES.CONVERSION_FAILED)
+    expect(provider.seen).toEqual([])
+  })
+})
@@ -0,0 +1,229 @@
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { jest } from "@jest/globals"
+import { BatchJanitor, REMOVAL_REASONS } from "../src/services/janitor.js"
+import { MANIFEST_FILE, readManifest, writeManifest } from "../src/services/batches.js"
+import { MemoryReceiptStore } from "../src/stores/receiptStore.js"
+import { MemoryCleanupReportStore } from "../src/stores/cleanupReportStore.js"
+
+const HOUR = 60 * 60 * 1000
+const NOW = new Date("2024-06-01T12:00:00.000Z")
+
+let root
+
+beforeEach(async () => {
+  root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "janitor-test-"))
+  jest.spyOn(console, "info").mockImplementation(() => {})
+})
+
+afterEach(async () => {
+  jest.restoreAllMocks()
+  await fs.promises.rm(root, { recursive: true, force: true })
+})
+
+let batchCounter = 0
+async function makeBatch({ owner = "user-a", ageHours = 1, bytes = 100 } = {}) {
+  batchCounter += 1
+  const batchId = `batch-1717243200000-test${batchCounter}`
+  const dir = path.join(root, batchId)
+  await fs.promises.mkdir(dir)
+  await fs.promises.writeFile(path.join(dir, "receipt.jpg"), Buffer.alloc(bytes))
+  await writeManifest(dir, {
+    batchId,
+    owner,
+    createdAt: new Date(NOW - ageHours * HOUR).toISOString(),
+    files: [],
+  })
+  return batchId
+}
+
+function exists(batchId) {
+  return fs.existsSync(path.join(root, batchId))
+}
+
+describe("BatchJanitor", () => {
+  test("removes batches older than the TTL and keeps recent ones", async () => {
+    const old = await makeBatch({ ageHours: 30 })
+    const recent = await makeBatch({ ageHours: 2 })
+    const janitor = new BatchJanitor({ root, ttlMs: 24 * HOUR })
+
+    const report = await janitor.sweep(NOW)
+
+    expect(exists(old)).toBe(false)
+    expect(exists(recent)).toBe(true)
+    expect(report.removed).toEqual([
+      expect.objectContaining({ batchId: old, owner: "user-a", reason: REMOVAL_REASONS.EXPIRED }),
+    ])
+    expect(report.kept.batches).toBe(1)
+    expect(janitor.lastReport).toBe(report)
+  })
+
+  test("keeps batches with a saved draft until the draft TTL and removes the draft with them", async () => {
+    const drafts = new MemoryReceiptStore()
+    const saved = await makeBatch({ ageHours: 48 })
+    const abandoned = await makeBatch({ ageHours: 10 * 24 })
+    await drafts.put({ id: saved, owner: "user-a", updatedAt: new Date(NOW - 30 * HOUR).toISOString() })
+    await drafts.put({ id: abandoned, owner: "user-a", updatedAt: new Date(NOW - 8 * 24 * HOUR).toISOString() })
+    const janitor = new BatchJanitor({ root, drafts, ttlMs: 24 * HOUR, draftTtlMs: 7 * 24 * HOUR })
+
+    const report = await janitor.sweep(NOW)
+
+    expect(exists(saved)).toBe(true)
+    expect(exists(abandoned)).toBe(false)
+    expect(await drafts.get(saved)).not.toBeNull()
+    expect(await drafts.get(abandoned)).toBeNull()
+    expect(report.removed.map((r) => r.batchId)).toEqual([abandoned])
+  })
+
+  test("enforces the per-user quota by removing that user's oldest batches", async () => {
+    const oldest = await makeBatch({ owner: "user-a", ageHours: 5, bytes: 400 })
+    const newer = await makeBatch({ owner: "user-a", ageHours: 3, bytes: 400 })
+    const other = await makeBatch({ owner: "user-b", ageHours: 6, bytes: 400 })
+    const janitor = new BatchJanitor({ root, maxBytesPerUser: 700 })
+
+    const report = await janitor.sweep(NOW)
+
+    expect(exists(oldest)).toBe(false)
+    expect(exists(newer)).toBe(true)
+    expect(exists(other)).toBe(true)
+    expect(report.removed).toEqual([
+      expect.objectContaining({ batchId: oldest, reason: REMOVAL_REASONS.USER_QUOTA }),
+    ])
+  })
+
+  test("enforces the total quota, evicting batches without drafts first", async () => {
+    const drafts = new MemoryReceiptStore()
+    const withDraft = await makeBatch({ owner: "user-a", ageHours: 10, bytes: 500 })
+    const plain = await makeBatch({ owner: "user-b", ageHours: 2, bytes: 500 })
+    const fresh = await makeBatch({ owner: "user-c", ageHours: 0, bytes: 500 })
+    await drafts.put({ id: withDraft, owner: "user-a", updatedAt: new Date(NOW - 10 * HOUR).toISOString() })
+    const janitor = new BatchJanitor({ root, drafts, maxBytesTotal: 1400 })
+
+    const report = await janitor.sweep(NOW)
+
+    expect(exists(plain)).toBe(false)
+    expect(exists(withDraft)).toBe(true)
+    // Batches still being uploaded and reviewed are protected by the grace period
+    expect(exists(fresh)).toBe(true)
+    expect(report.removed).toEqual([
+      expect.objectContaining({ batchId: plain, reason: REMOVAL_REASONS.TOTAL_QUOTA }),
+    ])
+    expect(report.freedBytes).toBe(report.removed[0].bytes)
+  })
+
+  test("never evicts batches with a saved draft for quota", async () => {
+    const drafts = new MemoryReceiptStore()
+    const older = await makeBatch({ owner: "user-a", ageHours: 20, bytes: 600 })
+    const newer = await makeBatch({ owner: "user-a", ageHours: 5, bytes: 600 })
+    for (const id of [older, newer]) {
+      await drafts.put({ id, owner: "user-a", updatedAt: new Date(NOW - 5 * HOUR).toISOString() })
+    }
+    const janitor = new BatchJanitor({ root, drafts, maxBytesPerUser: 1000, maxBytesTotal: 1000 })
+
+    const report = await janitor.sweep(NOW)
+
+    expect(exists(older)).toBe(true)
+    expect(exists(newer)).toBe(true)
+    expect(await drafts.get(older)).not.toBeNull()
+    expect(report.removed).toEqual([])
+    expect(report.kept).toEqual({ batches: 2, bytes: report.kept.bytes })
+  })
+
+  test("checks whether an upload fits in the per-user and total quotas", async () => {
+    const own = await makeBatch({ owner: "user-a", bytes: 600 })
+    await makeBatch({ owner: "user-b", bytes: 600 })
+    const janitor = new BatchJanitor({ root, maxBytesPerUser: 1000, maxBytesTotal: 2000 })
+    // The manifest counts too
+    const usedA = 600 + (await fs.promises.stat(path.join(root, own, MANIFEST_FILE))).size
+
+    expect(await janitor.checkQuota("user-a", 1000 - usedA)).toBeNull()
+    expect(await janitor.checkQuota("user-a", 1000 - usedA + 1)).toEqual({
+      reason: REMOVAL_REASONS.USER_QUOTA,
+      used: usedA,
+      limit: 1000,
+    })
+    expect(await janitor.checkQuota("user-c", 1000)).toEqual(
+      expect.objectContaining({ reason: REMOVAL_REASONS.TOTAL_QUOTA, limit: 2000 }),
+    )
+    expect(await janitor.checkQuota("user-c", 500)).toBeNull()
+  })
+
+  test("lets only one of two uploads at once take the last of a quota", async () => {
+    const janitor = new BatchJanitor({ root, maxBytesPerUser: 1000, maxBytesTotal: 2000 })
+    const batchId = "batch-1717243200000-reserved"
+
+    const results = await Promise.all([
+      janitor.reserveQuota(batchId, "user-a", 600),
+      janitor.reserveQuota("batch-1717243200000-refused", "user-a", 600),
+    ])
+    expect(results[0]).toBeNull()
+    expect(results[1]).toEqual({ reason: REMOVAL_REASONS.USER_QUOTA, used: 600, limit: 1000 })
+
+    // While the batch is being written it is counted once, by its reservation
+    const dir = path.join(root, batchId)
+    await fs.promises.mkdir(dir)
+    await fs.promises.writeFile(path.join(dir, "receipt.jpg"), Buffer.alloc(600))
+    expect(await janitor.checkQuota("user-a", 400)).toBeNull()
+
+    await writeManifest(dir, { batchId, owner: "user-a", createdAt: NOW.toISOString(), files: [] })
+    janitor.releaseQuota(batchId)
+    expect(await janitor.checkQuota("user-a", 400)).toEqual(
+      expect.objectContaining({ reason: REMOVAL_REASONS.USER_QUOTA }),
+    )
+  })
+
+  test("removes stray upload files older than the TTL and ignores unrelated folders", async () => {
+    const stray = path.join(root, "3f2a9c")
+    const recentStray = path.join(root, "8b1e77")
+    await fs.promises.writeFile(stray, "partial upload")
+    await fs.promises.writeFile(recentStray, "in progress")
+    const old = new Date(NOW - 48 * HOUR)
+    await fs.promises.utimes(stray, old, old)
+    await fs.promises.utimes(recentStray, NOW, NOW)
+    await fs.promises.mkdir(path.join(root, "not-a-batch"))
+    const janitor = new BatchJanitor({ root })
+
+    const report = await janitor.sweep(NOW)
+
+    expect(fs.existsSync(stray)).toBe(false)
+    expect(fs.existsSync(recentStray)).toBe(true)
+    expect(fs.existsSync(path.join(root, "not-a-batch"))).toBe(true)
+    expect(report.strays).toBe(1)
+    expect(report.removed).toEqual([])
+  })
+
+  test("falls back to the folder time when a batch has no manifest", async () => {
+    const batchId = await makeBatch({ ageHours: 1 })
+    await fs.promises.rm(path.join(root, batchId, "manifest.json"))
+    expect(await readManifest(path.join(root, batchId))).toBeNull()
+    const janitor = new BatchJanitor({ root, ttlMs: 24 * HOUR })
+
+    await janitor.sweep(NOW)
+    expect(exists(batchId)).toBe(true)
+
+    await janitor.sweep(new Date(Date.now() + 25 * HOUR))
+    expect(exists(batchId)).toBe(false)
+  })
+
+  test("logs and keeps a report only when something was removed", async () => {
+    await makeBatch({ ageHours: 2 })
+    const reports = new MemoryCleanupReportStore()
+    const janitor = new BatchJanitor({ root, reports })
+    await janitor.sweep(NOW)
+    expect(console.info).not.toHaveBeenCalled()
+    expect(await reports.list()).toEqual([])
+
+    const old = await makeBatch({ ageHours: 48 })
+    const report = await janitor.sweep(NOW)
+    expect(console.info).toHaveBeenCalledWith(expect.stringContaining("1 expired"))
+    expect(await reports.list()).toEqual([report])
+    expect(report.removed).toEqual([expect.objectContaining({ batchId: old, reason: REMOVAL_REASONS.EXPIRED })])
+  })
+
+  test("reports an empty sweep when the batch folder does not exist", async () => {
+    const janitor = new BatchJanitor({ root: path.join(root, "missing") })
+    const report = await janitor.sweep(NOW)
+    expect(report).toMatchObject({ removed: [], strays: 0, freedBytes: 0, kept: { batches: 0, bytes: 0 } })
+  })
+})
@@ -0,0 +1,128 @@
+import http from "http"
+
+/**
+ * A local stand-in for the identity platform token endpoint and the parts
+ * of Microsoft Graph the SharePoint sink uses: list items, their fields,
+ * simple uploads and upload sessions. It keeps what it receives for the
+ * test to inspect, and can be told to throttle or reject tokens.
+ */
+export async function startMockGraph() {
+  const state = {
+    requests: [],
+    tokenRequests: 0,
+    tokens: new Set(),
+    items: new Map(),
+    files: new Map(),
+    sessions: new Map(),
+    // Completed upload sessions: { key, chunks: [sizes] }
+    uploads: [],
+    throttled: [],
+    expiresIn: 3600,
+  }
+  let nextItem = 1
+  let nextSession = 1
+
+  const server = http.createServer((req, res) => {
+    const chunks = []
+    req.on("data", (chunk) => chunks.push(chunk))
+    req.on("end", () => {
+      const body = Buffer.concat(chunks)
+      const url = new URL(req.url, base)
+      state.requests.push({ method: req.method, path: url.pathname, headers: req.headers, size: body.length })
+      const send = (status, json, headers = {}) => {
+        res.writeHead(status, { ...(json && { "Content-Type": "application/json" }), ...headers })
+        res.end(json ? JSON.stringify(json) : undefined)
+      }
+
+      if (req.method === "POST" && /^\/[^/]+\/oauth2\/v2\.0\/token$/.test(url.pathname)) {
+        const form = new URLSearchParams(body.toString())
+        if (form.get("client_secret") !== "secret") return send(401, { error: "invalid_client" })
+        state.tokenRequests++
+        const token = `token-${state.tokenRequests}`
+        state.tokens.add(token)
+        return send(200, { token_type: "Bearer", access_token: token, expires_in: state.expiresIn })
+      }
+
+      const throttled = state.throttled.shift()
+      if (throttled?.status) {
+        const { status, retryAfter } = throttled
+        return send(status, { error: { code: "throttled" } }, retryAfter != null ? { "Retry-After": String(retryAfter) } : {})
+      }
+
+      // Upload session URLs carry their own authorization
+      const upload = url.pathname.match(/^\/upload\/([^/]+)$/)
+      if (upload) {
+        const session = state.sessions.get(upload[1])
+        if (!session) return send(404, { error: { code: "itemNotFound" } })
+        if (req.headers.authorization) return send(400, { error: { code: "authorizationNotAllowed" } })
+        if (req.method === "DELETE") {
+          state.sessions.delete(upload[1])
+          return send(204)
+        }
+        const range = (req.headers["content-range"] || "").match(/^bytes (\d+)-(\d+)\/(\d+)$/)
+        if (!range || Number(range[1]) !== session.received.length || body.length !== Number(range[2]) - Number(range[1]) + 1) {
+          return send(416, { error: { code: "invalidRange" } })
+        }
+        session.received = Buffer.concat([session.received, body])
+        session.chunks.push(body.length)
+        if (session.received.length < Number(range[3])) {
+          return send(202, { nextExpectedRanges: [`${session.received.length}-`] })
+        }
+        state.files.set(session.key, session.received)
+        state.uploads.push({ key: session.key, chunks: session.chunks })
+        state.sessions.delete(upload[1])
+        return send(201, { id: `file-${session.key}`, size: session.received.length })
+      }
+
+      const token = (req.headers.authorization || "").replace(/^Bearer /, "")
+      if (!state.tokens.has(token)) return send(401, { error: { code: "InvalidAuthenticationToken" } })
+
+      const m = url.pathname.match(
+        /^\/v1\.0\/sites\/[^/]+\/lists\/[^/]+\/items(?:\/([^/]+)(\/fields|\/driveItem\/children\/([^/:]+):\/(content|createUploadSession)))?$/,
+      )
+      if (!m) return send(404, { error: { code: "itemNotFound" } })
+      const [, itemId, sub, name, action] = m
+      if (!itemId && req.method === "POST") {
+        const id = String(nextItem++)
+        state.items.set(id, JSON.parse(body).fields)
+        return send(201, { id, fields: state.items.get(id) })
+      }
+      if (!state.items.has(itemId)) return send(404, { error: { code: "itemNotFound" } })
+      if (sub === "/fields" && req.method === "PATCH") {
+        Object.assign(state.items.get(itemId), JSON.parse(body))
+        return send(200, state.items.get(itemId))
+      }
+      const key = `${itemId}/${decodeURIComponent(name)}`
+      if (action === "content" && req.method === "PUT") {
+        if (body.length > 4 * 1024 * 1024) return send(413, { error: { code: "requestTooLarge" } })
+        state.files.set(key, body)
+        return send(201, { id: `file-${key}`, size: body.length })
+      }
+      if (action === "createUploadSession" && req.method === "POST") {
+        const sessionId = String(nextSession++)
+        state.sessions.set(sessionId, { key, received: Buffer.alloc(0), chunks: [] })
+        return send(200, { uploadUrl: `${base}/upload/${sessionId}` })
+      }
+      send(405, { error: { code: "notSupported" } })
+    })
+  })
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  return {
+    state,
+    authorityUrl: base,
+    graphUrl: `${base}/v1.0`,
+    /** Answer `count` Graph requests with `status`, after letting `after` through */
+    throttle(count, { status = 429, retryAfter = null, after = 0 } = {}) {
+      for (let i = 0; i < after; i++) state.throttled.push({})
+      for (let i = 0; i < count; i++) state.throttled.push({ status, retryAfter })
+    },
+    /** Reject every token issued so far */
+    revokeTokens() {
+      state.tokens.clear()
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
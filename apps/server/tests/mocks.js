@@ -0,0 +1,46 @@
+import { jest } from "@jest/globals"
+
+/**
+ * Module mocks shared by the API suites. Register them before the server is
+ * imported, e.g.
+ *
+ *   await mockTokenVerifier(USERS)
+ *   await mockFileType()
+ *   const { default: app } = await import("../src/server.js")
+ */
+
+const TENANT = "11111111-1111-1111-1111-111111111111"
+
+/**
+ * Replace the access token verifier: a token is a user name and verifies as
+ * that user's claims, issued by a test tenant for APPLICATION_ID_URI
+ * @param {Object} users - Claims by token, e.g. { alice: { oid, name, roles } }
+ */
+export async function mockTokenVerifier(users) {
+  await jest.unstable_mockModule("jose", () => ({
+    createRemoteJWKSet: () => ({}),
+    jwtVerify: async (token) => {
+      if (!users[token]) throw new Error("invalid signature")
+      return {
+        payload: {
+          ...users[token],
+          iss: `https://login.microsoftonline.com/${TENANT}/v2.0`,
+          tid: TENANT,
+          aud: process.env.APPLICATION_ID_URI,
+          scp: "access_as_user",
+        },
+      }
+    },
+  }))
+}
+
+/**
+ * Replace content sniffing: buffers containing "fake-image-data" are JPEG
+ * images and anything else is of unknown type
+ */
+export async function mockFileType() {
+  await jest.unstable_mockModule("file-type", () => ({
+    fileTypeFromBuffer: async (buffer) =>
+      buffer.toString().includes("fake-image-data") ? { mime: "image/jpeg" } : null,
+  }))
+}
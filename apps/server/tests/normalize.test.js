@@ -0,0 +1,84 @@
+import {
+  detectCurrency,
+  isCurrencyCode,
+  isIsoDate,
+  normalizeAmount,
+  normalizeDate,
+  parseDecimal,
+} from "../src/services/normalize.js"
+
+describe("parseDecimal", () => {
+  test.each([
+    ["12.34", 12.34],
+    ["$12.34", 12.34],
+    ["12,34 €", 12.34],
+    ["1,234.56", 1234.56],
+    ["1.234,56", 1234.56],
+    ["1,234", 1234],
+    ["(5.00)", -5],
+    ["-3.10", -3.1],
+    [7.005, 7.01],
+  ])("should parse %p as %p", (input, expected) => {
+    expect(parseDecimal(input)).toBe(expected)
+  })
+
+  test("should return null for text without digits", () => {
+    expect(parseDecimal("N/A")).toBeNull()
+    expect(parseDecimal(undefined)).toBeNull()
+  })
+})
+
+describe("normalizeAmount", () => {
+  test("should use the typed currency value from OCR", () => {
+    expect(
+      normalizeAmount({ amount: 9.5, currencySymbol: "£" }, { content: "£9.50" }),
+    ).toEqual({ amount: 9.5, currency: "GBP" })
+  })
+
+  test("should detect ISO codes and symbols in printed amounts", () => {
+    expect(normalizeAmount("EUR 10,00")).toEqual({ amount: 10, currency: "EUR" })
+    expect(normalizeAmount("C$4.00")).toEqual({ amount: 4, currency: "CAD" })
+  })
+
+  test("should only assume a currency for a bare dollar sign when configured", () => {
+    expect(detectCurrency("$4.00")).toBeNull()
+    expect(detectCurrency("$4.00", "USD")).toBe("USD")
+  })
+})
+
+describe("normalizeDate", () => {
+  test.each([
+    ["2024-03-04", "2024-03-04"],
+    ["2024/3/4", "2024-03-04"],
+    ["03/04/2024", "2024-03-04"],
+    ["03/04/24", "2024-03-04"],
+    ["25/12/2023", "2023-12-25"],
+    ["4 Mar 2024", "2024-03-04"],
+    ["March 4th, 2024", "2024-03-04"],
+  ])("should normalize %p to %p", (input, expected) => {
+    expect(normalizeDate(input)).toBe(expected)
+  })
+
+  test("should honor day-first ordering for ambiguous dates", () => {
+    expect(normalizeDate("03/04/2024", { dateOrder: "DMY" })).toBe("2024-04-03")
+  })
+
+  test("should reject impossible dates", () => {
+    expect(normalizeDate("2023-02-30")).toBeNull()
+    expect(normalizeDate("13/13/2024")).toBeNull()
+  })
+})
+
+describe("type checks", () => {
+  test("should recognize ISO currency codes", () => {
+    expect(isCurrencyCode("USD")).toBe(true)
+    expect(isCurrencyCode("usd")).toBe(false)
+    expect(isCurrencyCode("XYZ")).toBe(false)
+  })
+
+  test("should recognize ISO dates", () => {
+    expect(isIsoDate("2024-02-29")).toBe(true)
+    expect(isIsoDate("2023-02-29")).toBe(false)
+    expect(isIsoDate("02/29/2024")).toBe(false)
+  })
+})
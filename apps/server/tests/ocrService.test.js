@@ -0,0 +1,259 @@
+import { jest } from "@jest/globals"
+import {
+  OCRService,
+  OCRError,
+  OCR_ERROR_CODES,
+  createOCRService,
+} from "../src/services/ocrService.js"
+import { AzureOCRProvider } from "../src/services/ocr/azureProvider.js"
+
+describe("Azure provider receipt extraction", () => {
+  const service = new AzureOCRProvider({ endpoint: "https://example.test", apiKey: "key" })
+
+  function analyzeResult(fields) {
+    return { analyzeResult: { documents: [{ confidence: 0.9, fields }] } }
+  }
+
+  test("should extract line items from the Items array", () => {
+    const data = service._extractReceiptData(
+      analyzeResult({
+        MerchantName: { content: "Cafe", confidence: 0.98 },
+        Total: { content: "11.00", confidence: 0.97 },
+        Items: {
+          type: "array",
+          valueArray: [
+            {
+              type: "object",
+              valueObject: {
+                Description: { content: "Latte", confidence: 0.95 },
+                Quantity: { content: "2", confidence: 0.9 },
+                Price: { content: "4.00", confidence: 0.9 },
+                TotalPrice: { content: "8.00", confidence: 0.92 },
+              },
+            },
+            {
+              type: "object",
+              valueObject: {
+                Description: { content: "Cookie", confidence: 0.94 },
+                TotalPrice: { content: "3.00", confidence: 0.93 },
+              },
+            },
+          ],
+        },
+      }),
+    )
+
+    expect(data.fields.vendor).toBe("Cafe")
+    expect(data.fields.items).toEqual([
+      { description: "Latte", quantity: 2, unitPrice: 4, totalPrice: 8 },
+      { description: "Cookie", quantity: null, unitPrice: null, totalPrice: 3 },
+    ])
+  })
+
+  test("should return an empty items list when the receipt has none", () => {
+    const data = service._extractReceiptData(
+      analyzeResult({ MerchantName: { content: "Cafe", confidence: 0.98 } }),
+    )
+
+    expect(data.fields.items).toEqual([])
+  })
+
+  test("should drop items with no usable values", () => {
+    const data = service._extractReceiptData(
+      analyzeResult({
+        Items: {
+          valueArray: [
+            { valueObject: {} },
+            { valueObject: { Description: { confidence: 0.1 } } },
+          ],
+        },
+      }),
+    )
+
+    expect(data.fields.items).toEqual([])
+  })
+
+  test("should prefer typed OCR values over printed content", () => {
+    const data = service._extractReceiptData(
+      analyzeResult({
+        Total: {
+          content: "12,34 €",
+          valueCurrency: { amount: 12.34, currencySymbol: "€", currencyCode: "EUR" },
+          confidence: 0.97,
+        },
+        TransactionDate: { content: "03.04.24", valueDate: "2024-04-03", confidence: 0.95 },
+      }),
+    )
+
+    expect(data.fields.total).toBe(12.34)
+    expect(data.fields.currency).toBe("EUR")
+    expect(data.fields.transactionDate).toBe("2024-04-03")
+  })
+
+  test("should normalize printed amounts and dates when no typed value exists", () => {
+    const data = service._extractReceiptData(
+      analyzeResult({
+        Total: { content: "$1,234.50", confidence: 0.97 },
+        Subtotal: { content: "1.200,00", confidence: 0.9 },
+        TransactionDate: { content: "Mar 4, 2024", confidence: 0.95 },
+      }),
+    )
+
+    expect(data.fields.total).toBe(1234.5)
+    expect(data.fields.subtotal).toBe(1200)
+    expect(data.fields.currency).toBe("USD")
+    expect(data.fields.transactionDate).toBe("2024-03-04")
+  })
+
+  test("should flag values that cannot be normalized", () => {
+    const data = service._extractReceiptData(
+      analyzeResult({ TransactionDate: { content: "yesterday", confidence: 0.99 } }),
+    )
+
+    expect(data.fields.transactionDate).toBeNull()
+    expect(data.fieldMeta.transactionDate).toMatchObject({ content: "yesterday", uncertain: true })
+  })
+
+  test("should keep low confidence values and flag them as uncertain", () => {
+    const data = service._extractReceiptData(
+      analyzeResult({
+        MerchantName: { content: "C4fe", confidence: 0.3 },
+        Total: { content: "11.00", confidence: 0.99 },
+      }),
+    )
+
+    expect(data.fields.vendor).toBe("C4fe")
+    expect(data.fieldMeta.vendor).toMatchObject({ confidence: 0.3, uncertain: true })
+    expect(data.fieldMeta.total).toMatchObject({ confidence: 0.99, uncertain: false })
+  })
+
+  test("should return bounding regions and page sizes", () => {
+    const polygon = [1, 1, 5, 1, 5, 2, 1, 2]
+    const data = service._extractReceiptData({
+      analyzeResult: {
+        pages: [{ pageNumber: 1, width: 800, height: 1200, unit: "pixel", words: [] }],
+        documents: [
+          {
+            confidence: 0.9,
+            fields: {
+              Total: {
+                content: "11.00",
+                confidence: 0.95,
+                boundingRegions: [{ pageNumber: 1, polygon }],
+              },
+              Items: {
+                valueArray: [
+                  {
+                    valueObject: {
+                      Description: {
+                        content: "Latte",
+                        confidence: 0.6,
+                        boundingRegions: [{ pageNumber: 1, polygon }],
+                      },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        ],
+      },
+    })
+
+    expect(data.pages).toEqual([{ pageNumber: 1, width: 800, height: 1200, unit: "pixel" }])
+    expect(data.fieldMeta.total.boundingRegions).toEqual([{ pageNumber: 1, polygon }])
+    expect(data.fieldMeta["items.0.description"]).toMatchObject({
+      confidence: 0.6,
+      uncertain: true,
+      boundingRegions: [{ pageNumber: 1, polygon }],
+    })
+  })
+})
+
+describe("OCR failures", () => {
+  let errorSpy
+  let warnSpy
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, "error").mockImplementation(() => {})
+    warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    errorSpy.mockRestore()
+    warnSpy.mockRestore()
+  })
+
+  test("should return demo data only from the mock provider", async () => {
+    const service = createOCRService("mock")
+
+    const data = await service.analyzeReceipt("/does/not/matter")
+    expect(data.fields.vendor).toBe("Demo Store")
+  })
+
+  test("should fail with not_configured instead of returning demo data", async () => {
+    const service = createOCRService("azure")
+
+    await expect(service.analyzeReceipt("/does/not/matter")).rejects.toMatchObject({
+      code: OCR_ERROR_CODES.NOT_CONFIGURED,
+    })
+  })
+
+  test("should report a timeout reason when requests time out", async () => {
+    const service = new AzureOCRProvider({ endpoint: "https://example.test", apiKey: "key" })
+    jest.spyOn(service, "_startAnalysis").mockRejectedValue(new Error("Request timed out"))
+
+    await expect(service.analyze("/tmp/receipt.jpg")).rejects.toMatchObject({
+      code: OCR_ERROR_CODES.TIMEOUT,
+    })
+  })
+
+  test("should report a service error when analysis cannot start", async () => {
+    const service = new AzureOCRProvider({ endpoint: "https://example.test", apiKey: "key" })
+    jest
+      .spyOn(service, "_startAnalysis")
+      .mockRejectedValue(new Error("Analysis start failed: 500 boom"))
+
+    const error = await service.analyze("/tmp/receipt.jpg").catch((e) => e)
+    expect(error).toBeInstanceOf(OCRError)
+    expect(error.code).toBe(OCR_ERROR_CODES.SERVICE_ERROR)
+    expect(error.message).not.toContain("boom")
+  })
+
+  test("should stop polling when the analysis failed", async () => {
+    const service = new AzureOCRProvider({ endpoint: "https://example.test", apiKey: "key" })
+    const request = jest.spyOn(service, "_makeRequest").mockResolvedValue({
+      ok: true,
+      json: async () => ({ status: "failed", error: { message: "bad image" } }),
+    })
+
+    await expect(service._pollForResults("https://example.test/op")).rejects.toMatchObject({
+      code: OCR_ERROR_CODES.SERVICE_ERROR,
+    })
+    expect(request).toHaveBeenCalledTimes(1)
+  })
+
+  test("should fail with no_document when nothing was recognized", () => {
+    const service = new AzureOCRProvider({ endpoint: "https://example.test", apiKey: "key" })
+
+    expect(() => service._extractReceiptData({ analyzeResult: { documents: [] } })).toThrow(
+      expect.objectContaining({ code: OCR_ERROR_CODES.NO_DOCUMENT }),
+    )
+  })
+
+  test("should fail with low_confidence and keep the partial data", async () => {
+    const provider = new AzureOCRProvider({ endpoint: "https://example.test", apiKey: "key" })
+    jest.spyOn(provider, "_startAnalysis").mockResolvedValue("https://example.test/op")
+    jest.spyOn(provider, "_pollForResults").mockResolvedValue({
+      analyzeResult: {
+        documents: [{ confidence: 0.3, fields: { MerchantName: { content: "C4fe", confidence: 0.9 } } }],
+      },
+    })
+    const service = new OCRService(provider, { minConfidence: 0.6 })
+
+    const error = await service.analyzeReceipt("/tmp/receipt.jpg").catch((e) => e)
+
+    expect(error.code).toBe(OCR_ERROR_CODES.LOW_CONFIDENCE)
+    expect(error.data.fields.vendor).toBe("C4fe")
+  })
+})
@@ -0,0 +1,316 @@
+import express from "express"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import request from "supertest"
+import http from "http"
+import { DELIVERY_STATUS, Outbox } from "../src/services/outbox.js"
+import { MemoryOutboxStore } from "../src/stores/outboxStore.js"
+import { MemoryAttachmentStore } from "../src/stores/attachmentStore.js"
+import { FileIdempotencyStore, MemoryIdempotencyStore } from "../src/stores/idempotencyStore.js"
+import { idempotency } from "../src/middleware/idempotency.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+// Webhook receiver whose health the tests switch
+const hook = { healthy: true, events: [] }
+const hookServer = http.createServer((req, res) => {
+  const chunks = []
+  req.on("data", (chunk) => chunks.push(chunk))
+  req.on("end", () => {
+    if (!hook.healthy) {
+      res.writeHead(503)
+      return res.end("unavailable")
+    }
+    hook.events.push(JSON.parse(Buffer.concat(chunks)))
+    res.writeHead(204)
+    res.end()
+  })
+})
+await new Promise((resolve) => hookServer.listen(0, "127.0.0.1", resolve))
+afterAll(() => new Promise((resolve) => hookServer.close(resolve)))
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+process.env.SUBMISSION_SINK = "webhook"
+process.env.WEBHOOK_URL = `http://127.0.0.1:${hookServer.address().port}/hook`
+process.env.OUTBOX_MAX_ATTEMPTS = "1"
+
+const { default: app } = await import("../src/server.js")
+
+function recentWeekday(from = 1) {
+  const date = new Date()
+  date.setUTCDate(date.getUTCDate() - from)
+  while ([0, 6].includes(date.getUTCDay())) date.setUTCDate(date.getUTCDate() - 1)
+  return date.toISOString().slice(0, 10)
+}
+
+// A sink that fails the calls listed in `failures`, once per listing, e.g. "upload:b.pdf"
+function flakySink(failures = []) {
+  const pending = [...failures]
+  const calls = []
+  let items = 0
+  const call = (name) => {
+    calls.push(name)
+    if (pending.includes(name)) {
+      pending.splice(pending.indexOf(name), 1)
+      throw new Error(`${name} unavailable`)
+    }
+  }
+  return {
+    calls,
+    createItem: async () => {
+      call("create")
+      return { id: `item-${++items}` }
+    },
+    updateItem: async (itemId, columns) => call(`update:${itemId}:${columns.status}`),
+    uploadAttachment: async (itemId, name) => call(`upload:${name}`),
+  }
+}
+
+async function setup(sink, options = {}) {
+  const files = new MemoryAttachmentStore()
+  await files.put("s-1", "a.jpg", Buffer.from("a"))
+  await files.put("s-1", "b.pdf", Buffer.from("b"))
+  const outbox = new Outbox(new MemoryOutboxStore(), { sink, files, baseDelayMs: 1000, ...options })
+  await outbox.enqueue({ id: "s-1", columns: { vendor: "Contoso", status: "submitted" }, attachments: ["a.jpg", "b.pdf"] })
+  return outbox
+}
+
+describe("Outbox", () => {
+  test("resumes a delivery at the step that failed", async () => {
+    const sink = flakySink(["upload:b.pdf"])
+    const created = []
+    const outbox = await setup(sink, { onItemCreated: async (entry) => created.push(entry.itemId) })
+
+    const first = await outbox.deliver("s-1")
+    expect(first).toMatchObject({ status: DELIVERY_STATUS.PENDING, itemId: "item-1", attempts: 1, lastError: "upload:b.pdf unavailable" })
+    expect(first.steps.map((s) => s.status)).toEqual(["done", "done", "failed"])
+    expect(Date.parse(first.nextAttemptAt) - Date.now()).toBeGreaterThan(500)
+
+    // Not due yet
+    expect(await outbox.processDue()).toEqual([])
+    const [second] = await outbox.processDue(new Date(Date.now() + 2000))
+    expect(second).toMatchObject({ status: DELIVERY_STATUS.DELIVERED, itemId: "item-1", lastError: null })
+    expect(second.steps.every((s) => s.status === "done" && s.error === null)).toBe(true)
+    // The item was created once and each file uploaded once successfully
+    expect(sink.calls).toEqual(["create", "upload:a.jpg", "upload:b.pdf", "upload:b.pdf"])
+    expect(created).toEqual(["item-1"])
+  })
+
+  test("backs off exponentially up to a limit", () => {
+    const outbox = new Outbox(new MemoryOutboxStore(), { baseDelayMs: 1000, maxDelayMs: 5000 })
+    expect([1, 2, 3, 4].map((n) => outbox.backoff(n))).toEqual([1000, 2000, 4000, 5000])
+  })
+
+  test("gives up after the last attempt until retried", async () => {
+    const sink = flakySink(["create", "create"])
+    const outbox = await setup(sink, { maxAttempts: 2 })
+    await outbox.deliver("s-1")
+    const failed = await outbox.deliver("s-1")
+    expect(failed).toMatchObject({ status: DELIVERY_STATUS.FAILED, attempts: 2, nextAttemptAt: null })
+    expect(await outbox.processDue(new Date(Date.now() + 60 * 60 * 1000))).toEqual([])
+
+    const retried = await outbox.retry("s-1")
+    expect(retried).toMatchObject({ status: DELIVERY_STATUS.DELIVERED, attempts: 1 })
+    expect(await outbox.retry("s-1")).toBeNull()
+  })
+
+  test("sends column changes with the item until it exists", async () => {
+    const sink = flakySink(["create"])
+    const outbox = await setup(sink)
+    await outbox.deliver("s-1")
+    await outbox.updateColumns("s-1", null, { status: "approved" })
+    expect((await outbox.get("s-1")).columns).toEqual({ vendor: "Contoso", status: "approved" })
+
+    await outbox.deliver("s-1")
+    await outbox.updateColumns("s-1", null, { status: "reimbursed" })
+    expect(sink.calls.at(-1)).toBe("update:item-1:reimbursed")
+    // Submissions from before the outbox use their recorded item
+    await outbox.updateColumns("old", "item-9", { status: "approved" })
+    expect(sink.calls.at(-1)).toBe("update:item-9:approved")
+  })
+})
+
+describe("Submitting through the outbox", () => {
+  const submit = (vendor, total, key) => {
+    const req = request(app).post("/api/submit")
+    if (key) req.set("Idempotency-Key", key)
+    return req.send({ fields: { vendor, total, transactionDate: recentWeekday() } })
+  }
+
+  beforeEach(() => {
+    hook.healthy = true
+    hook.events = []
+  })
+
+  test("keeps the files and reports each step when the sink is down", async () => {
+    hook.healthy = false
+    const upload = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data outbox"), "receipt.jpg")
+      .expect(202)
+    const batch = upload.body
+    const res = await request(app)
+      .post("/api/submit")
+      .send({
+        batchId: batch.batchId,
+        receipts: [{ id: batch.files[0].id, fields: { vendor: "Outage Cafe", total: "9.10", transactionDate: recentWeekday() } }],
+      })
+      .expect(202)
+    const [item] = res.body.items
+    expect(item.itemId).toBeNull()
+    expect(item.delivery).toMatchObject({ status: "failed", attempts: 1 })
+    expect(item.delivery.steps).toEqual([
+      expect.objectContaining({ type: "create_item", status: "failed", error: expect.stringContaining("503") }),
+      expect.objectContaining({ type: "upload_attachment", name: batch.files[0].secureFile, status: "pending" }),
+      expect.objectContaining({ type: "upload_attachment", name: "expense-report.pdf", status: "pending" }),
+    ])
+
+    // The receipt image survives the failed delivery
+    const file = await request(app)
+      .get(`/api/submissions/${item.submissionId}/attachments/${batch.files[0].secureFile}`)
+      .responseType("blob")
+      .expect(200)
+    expect(file.body.toString()).toBe("fake-image-data outbox")
+
+    hook.healthy = true
+    const retried = await request(app).post(`/api/submissions/${item.submissionId}/delivery/retry`).expect(200)
+    expect(retried.body.status).toBe("delivered")
+    expect(hook.events.map((e) => e.event)).toEqual(["item.created", "attachment.added", "attachment.added"])
+    expect(Buffer.from(hook.events[1].content, "base64").toString()).toBe("fake-image-data outbox")
+
+    const submission = await request(app).get(`/api/submissions/${item.submissionId}`).expect(200)
+    expect(submission.body.itemId).toBe(retried.body.itemId)
+    // The duplicate index learns the item id once the item exists
+    const again = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data outbox"), "receipt.jpg")
+      .expect(202)
+    expect(again.body.files[0].duplicate.matches[0]).toMatchObject({
+      submissionId: item.submissionId,
+      itemId: retried.body.itemId,
+    })
+    expect(submission.body.delivery.status).toBe("delivered")
+    const delivery = await request(app).get(`/api/submissions/${item.submissionId}/delivery`).expect(200)
+    expect(delivery.body.steps.every((s) => s.status === "done")).toBe(true)
+    await request(app).post(`/api/submissions/${item.submissionId}/delivery/retry`).expect(409)
+  })
+
+  test("replays the first response for a repeated Idempotency-Key", async () => {
+    const first = await submit("Once Only Deli", "14.20", "retry-key-0001").expect(200)
+    const again = await submit("Once Only Deli", "14.20", "retry-key-0001").expect(200)
+    expect(again.headers["idempotent-replayed"]).toBe("true")
+    expect(again.body).toEqual(first.body)
+    expect(hook.events.filter((e) => e.event === "item.created")).toHaveLength(1)
+
+    const found = await request(app).get("/api/submissions/search").query({ q: "once only" }).expect(200)
+    expect(found.body.total).toBe(1)
+  })
+
+  test("replays the current delivery state rather than the saved one", async () => {
+    hook.healthy = false
+    const first = await submit("Late Delivery Cafe", "11.40", "retry-key-0004").expect(202)
+    expect(first.body.items[0].delivery.status).toBe("failed")
+
+    hook.healthy = true
+    await request(app).post(`/api/submissions/${first.body.items[0].submissionId}/delivery/retry`).expect(200)
+    const again = await submit("Late Delivery Cafe", "11.40", "retry-key-0004").expect(200)
+    expect(again.headers["idempotent-replayed"]).toBe("true")
+    expect(again.body.items[0].delivery.status).toBe("delivered")
+    expect(again.body.itemId).toBeTruthy()
+    expect(again.body.itemId).toBe(again.body.items[0].itemId)
+    expect(again.body.summary).toEqual(first.body.summary)
+  })
+
+  test("rejects a reused key for a different request and malformed keys", async () => {
+    await submit("Key Reuse Bistro", "15.30", "retry-key-0002").expect(200)
+    const res = await submit("Key Reuse Bistro", "99.00", "retry-key-0002").expect(422)
+    expect(res.body.message).toMatch("different request")
+    await submit("Key Reuse Bistro", "16.40", "short").expect(400)
+  })
+
+  test("lets a failed request be sent again with the same key", async () => {
+    await request(app)
+      .post("/api/submit")
+      .set("Idempotency-Key", "retry-key-0003")
+      .send({ fields: { vendor: "Fixed Later Grill", total: "abc" } })
+      .expect(400)
+    await request(app)
+      .post("/api/submit")
+      .set("Idempotency-Key", "retry-key-0003")
+      .send({ fields: { vendor: "Fixed Later Grill", total: "17.50", transactionDate: recentWeekday() } })
+      .expect(200)
+  })
+})
+
+describe("Idempotency-Key reservations", () => {
+  // A route that waits for the test before answering in the requested way
+  function keyedApp(store, options) {
+    const calls = []
+    const app = express()
+    app.post("/run", express.json(), idempotency(store, options), async (req, res) => {
+      const call = {}
+      call.done = new Promise((resolve) => (call.finish = resolve))
+      calls.push(call)
+      const how = await call.done
+      if (how === "json") return res.json({ ok: true })
+      res.status(204).end()
+    })
+    return { app, calls }
+  }
+
+  const send = (app) => request(app).post("/run").set("Idempotency-Key", "lease-key-0001").send({ a: 1 })
+  const until = async (check) => {
+    while (!check()) await new Promise((resolve) => setTimeout(resolve, 5))
+  }
+
+  test("holds the key while the first request runs and releases it when nothing was saved", async () => {
+    const store = new MemoryIdempotencyStore()
+    const { app, calls } = keyedApp(store)
+
+    const first = send(app).then((res) => res)
+    await until(() => calls.length === 1)
+    await send(app).expect(409)
+
+    // Answering without res.json leaves no outcome to replay
+    calls[0].finish("end")
+    expect((await first).status).toBe(204)
+    const second = send(app).then((res) => res)
+    await until(() => calls.length === 2)
+    calls[1].finish("json")
+    expect((await second).status).toBe(200)
+    const replayed = await send(app).expect(200)
+    expect(replayed.headers["idempotent-replayed"]).toBe("true")
+    expect(calls).toHaveLength(2)
+  })
+
+  test("frees a pending key once its lease ends", async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "idempotency-test-"))
+    try {
+      for (const store of [new MemoryIdempotencyStore(), new FileIdempotencyStore(path.join(dir, "keys.json"))]) {
+        const pending = {
+          requestHash: "h",
+          state: "pending",
+          createdAt: "2024-06-01T12:00:00.000Z",
+          pendingExpiresAt: "2024-06-01T12:05:00.000Z",
+        }
+        const expiredBefore = "2024-05-31T12:00:00.000Z"
+        expect(await store.reserve("k", pending, { expiredBefore, now: pending.createdAt })).toBeNull()
+        expect(await store.reserve("k", pending, { expiredBefore, now: "2024-06-01T12:04:00.000Z" })).toEqual(pending)
+        expect(await store.reserve("k", pending, { expiredBefore, now: "2024-06-01T12:06:00.000Z" })).toBeNull()
+
+        // Saved outcomes last for the whole TTL
+        await store.put("k", { requestHash: "h", state: "complete", status: 200, body: {}, createdAt: pending.createdAt })
+        expect(await store.reserve("k", pending, { expiredBefore, now: "2024-06-01T18:00:00.000Z" })).toMatchObject({
+          state: "complete",
+        })
+      }
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,135 @@
+import request from "supertest"
+import { mockFileType, mockTokenVerifier } from "./mocks.js"
+
+// Tokens are user names; the mocked verifier returns their claims
+const USERS = {
+  alice: { oid: "aaaaaaaa-0000-0000-0000-000000000001", name: "Alice", preferred_username: "alice@example.com" },
+  bob: { oid: "bbbbbbbb-0000-0000-0000-000000000002", name: "Bob", preferred_username: "bob@example.com" },
+}
+
+await mockTokenVerifier(USERS)
+await mockFileType()
+
+process.env.AUTH_BYPASS = "false"
+process.env.APPLICATION_ID_URI = "api://receipts-test"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+const as = (user) => ({ Authorization: `Bearer ${user}` })
+
+async function upload(user, content = "fake-image-data owned") {
+  const res = await request(app)
+    .post("/api/upload")
+    .set(as(user))
+    .attach("files", Buffer.from(content), "receipt.jpg")
+    .expect(202)
+  return res.body
+}
+
+function draftFor(batch) {
+  return {
+    receipts: batch.files.map((f, fileIndex) => ({
+      id: f.id,
+      file: f.file,
+      secureFile: f.secureFile,
+      fileIndex,
+      fields: { vendor: "Cafe", total: "4.50" },
+    })),
+    files: batch.files.map((f) => ({ name: f.file, type: "image/jpeg", size: 21 })),
+    signatureDataUrl: null,
+  }
+}
+
+describe("Batch ownership", () => {
+  test("rejects requests without a valid token", async () => {
+    await request(app).get("/api/submissions/search").expect(401)
+    await request(app).get("/api/submissions/search").set(as("mallory")).expect(401)
+  })
+
+  test("records the uploader on the job and hides it from other users", async () => {
+    const batch = await upload("alice")
+
+    const job = await request(app).get(`/api/jobs/${batch.jobId}`).set(as("alice")).expect(200)
+    expect(job.body.owner).toBe(USERS.alice.oid)
+
+    await request(app).get(`/api/jobs/${batch.jobId}`).set(as("bob")).expect(404)
+    await request(app).get(`/api/jobs/${batch.jobId}/events`).set(as("bob")).expect(404)
+  })
+
+  test("serves batch files only to the uploader", async () => {
+    const batch = await upload("alice")
+    const url = `/api/batches/${batch.batchId}/files/${batch.files[0].id}`
+
+    await request(app).get(url).set(as("bob")).expect(404)
+    const res = await request(app).get(url).set(as("alice")).expect(200)
+    expect(Buffer.from(res.body).toString()).toContain("fake-image-data")
+  })
+
+  test("does not let another user submit the batch", async () => {
+    const batch = await upload("alice", "fake-image-data stolen")
+    const submission = {
+      batchId: batch.batchId,
+      receipts: [{ id: batch.files[0].id, fields: { vendor: "Cafe" } }],
+    }
+
+    const denied = await request(app).post("/api/submit").set(as("bob")).send(submission).expect(404)
+    expect(denied.body.message).toBe("Batch not found")
+
+    const res = await request(app).post("/api/submit").set(as("alice")).send(submission).expect(200)
+    expect(res.body.items[0].attachments).toEqual([batch.files[0].secureFile, "expense-report.pdf"])
+
+    const { reportUrl } = res.body.items[0]
+    await request(app).get(reportUrl).set(as("bob")).expect(404)
+    const report = await request(app).get(reportUrl).set(as("alice")).expect(200)
+    expect(report.headers["content-type"]).toBe("application/pdf")
+  })
+
+  test("flags another user's copy of a receipt without its details", async () => {
+    const batch = await upload("alice", "fake-image-data shared bill")
+    await request(app)
+      .post("/api/submit")
+      .set(as("alice"))
+      .send({
+        batchId: batch.batchId,
+        receipts: [{ id: batch.files[0].id, fields: { vendor: "Shared Bill Diner", total: "30.00" } }],
+      })
+      .expect(200)
+
+    const theirs = await upload("bob", "fake-image-data shared bill")
+    expect(theirs.files[0].duplicate).toEqual({
+      status: "exact",
+      matches: [{ reason: "file", byAnotherUser: true }],
+    })
+    const own = await upload("alice", "fake-image-data shared bill")
+    expect(own.files[0].duplicate.matches[0]).toMatchObject({ reason: "file", vendor: "Shared Bill Diner", total: 30 })
+  })
+
+  test("does not let another user save or discard a draft for the batch", async () => {
+    const batch = await upload("alice", "fake-image-data draft")
+
+    await request(app)
+      .put(`/api/receipts/${batch.batchId}`)
+      .set(as("bob"))
+      .send(draftFor(batch))
+      .expect(404)
+    await request(app)
+      .put(`/api/receipts/${batch.batchId}`)
+      .set(as("alice"))
+      .send(draftFor(batch))
+      .expect(200)
+
+    await request(app).get(`/api/receipts/${batch.batchId}`).set(as("bob")).expect(404)
+    await request(app).delete(`/api/receipts/${batch.batchId}`).set(as("bob")).expect(404)
+    const list = await request(app).get("/api/drafts").set(as("bob")).expect(200)
+    expect(list.body.drafts).toEqual([])
+
+    // Alice's files are untouched
+    await request(app)
+      .get(`/api/batches/${batch.batchId}/files/${batch.files[0].id}`)
+      .set(as("alice"))
+      .expect(200)
+  })
+})
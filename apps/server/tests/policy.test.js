@@ -0,0 +1,304 @@
+import request from "supertest"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import {
+  DEFAULT_POLICY_RULES,
+  POLICY_SEVERITY,
+  PolicyEngine,
+  isBlocked,
+  loadPolicyRules,
+  validateJustification,
+  validatePolicyRules,
+} from "../src/services/policy.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+// The rules the engine and API tests are written against
+const RULES = {
+  rules: [
+    { id: "meals-limit", type: "maxAmount", category: "meals", max: 75, severity: "error", justifiable: true },
+    { id: "lodging-limit", type: "maxAmount", category: "lodging", max: 300, severity: "error", justifiable: true },
+    { id: "receipt-age", type: "maxAge", days: 60, severity: "error" },
+    { id: "weekend-spend", type: "weekend", severity: "error", justifiable: true },
+    {
+      id: "no-alcohol",
+      type: "forbiddenItems",
+      keywords: ["alcohol", "beer", "wine", "rum", "gin", "ipa", "cider"],
+      severity: "error",
+      justifiable: false,
+    },
+  ],
+}
+
+const rulesDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "policy-rules-"))
+await fs.promises.writeFile(path.join(rulesDir, "policy.json"), JSON.stringify(RULES))
+afterAll(() => fs.promises.rm(rulesDir, { recursive: true, force: true }))
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+process.env.POLICY_RULES_FILE = path.join(rulesDir, "policy.json")
+
+const { default: app } = await import("../src/server.js")
+
+// Wednesday; 2024-06-01 is a Saturday
+const NOW = new Date("2024-06-05T12:00:00Z")
+
+function isoDaysAgo(days) {
+  const date = new Date()
+  date.setUTCDate(date.getUTCDate() - days)
+  return date.toISOString().slice(0, 10)
+}
+
+function recentWeekday() {
+  let days = 1
+  while ([0, 6].includes(new Date(`${isoDaysAgo(days)}T00:00:00Z`).getUTCDay())) days++
+  return isoDaysAgo(days)
+}
+
+describe("PolicyEngine", () => {
+  const engine = new PolicyEngine(validatePolicyRules(RULES))
+  const evaluate = (fields, options) => engine.evaluate(fields, { now: NOW, ...options })
+
+  test("accepts a receipt within policy", () => {
+    expect(
+      evaluate({ vendor: "Cafe", category: "meals", total: 42, transactionDate: "2024-06-04" }),
+    ).toEqual([])
+  })
+
+  test("limits amounts per category", () => {
+    const violations = evaluate({ category: "meals", total: 92.1, transactionDate: "2024-06-04" })
+    expect(violations).toEqual([
+      {
+        rule: "meals-limit",
+        severity: POLICY_SEVERITY.ERROR,
+        field: "total",
+        message: "92.10 is over the 75.00 limit for meals",
+        justifiable: true,
+        justified: false,
+      },
+    ])
+    // Other categories have their own limit or none
+    expect(evaluate({ category: "supplies", total: 92.1, transactionDate: "2024-06-04" })).toEqual([])
+  })
+
+  test("rejects receipts older than the allowed age", () => {
+    expect(evaluate({ transactionDate: "2024-04-08" })).toEqual([])
+    const [violation] = evaluate({ transactionDate: "2024-04-03" })
+    expect(violation).toMatchObject({
+      rule: "receipt-age",
+      field: "transactionDate",
+      message: "Receipt is 63 days old; receipts must be submitted within 60 days",
+    })
+  })
+
+  test("needs a justification for weekend spend", () => {
+    const [violation] = evaluate({ transactionDate: "2024-06-01" })
+    expect(violation).toMatchObject({ rule: "weekend-spend", severity: "error", justifiable: true })
+
+    const justified = evaluate({ transactionDate: "2024-06-01" }, { justification: "Client visit" })
+    expect(justified).toEqual([expect.objectContaining({ severity: "warning", justified: true })])
+    expect(isBlocked(justified)).toBe(false)
+  })
+
+  test("flags alcohol line items by whole word", () => {
+    const violations = evaluate({
+      transactionDate: "2024-06-04",
+      items: [
+        { description: "Burger" },
+        { description: "Craft IPA pint" },
+        { description: "Rump steak" },
+        { description: "Ginger ale" },
+        { description: "Gin & tonic" },
+        { description: "Pipa nuts" },
+      ],
+    })
+    expect(violations.map((v) => [v.field, v.severity])).toEqual([
+      ["items.1.description", "error"],
+      ["items.4.description", "error"],
+    ])
+
+  })
+
+  test("keeps a violation that cannot be justified as an error", () => {
+    const violations = evaluate(
+      { transactionDate: "2024-06-04", items: [{ description: "House wine" }] },
+      { justification: "Client dinner, approved by manager" },
+    )
+    expect(violations).toEqual([
+      expect.objectContaining({ rule: "no-alcohol", severity: "error", justifiable: false, justified: false }),
+    ])
+    expect(isBlocked(violations)).toBe(true)
+  })
+
+  test("compares limits without a currency in the home currency", () => {
+    const meal = { category: "meals", transactionDate: "2024-06-04" }
+    // ¥5,000 is about 33.50 USD
+    expect(evaluate({ ...meal, total: 5000, currency: "JPY" }, { conversion: { rate: 0.0067 } })).toEqual([])
+    expect(evaluate({ ...meal, total: 74, currency: "EUR" }, { conversion: { rate: 1.1 } })).toEqual([
+      expect.objectContaining({
+        rule: "meals-limit",
+        severity: "error",
+        message: "74.00 EUR (81.40 USD) is over the 75.00 USD limit for meals",
+      }),
+    ])
+    expect(evaluate({ ...meal, total: 80, currency: "USD" })[0].message).toBe("80.00 is over the 75.00 limit for meals")
+
+    // Foreign amounts without a rate are only flagged
+    const unchecked = evaluate({ ...meal, total: 5000, currency: "JPY" })
+    expect(unchecked).toEqual([
+      expect.objectContaining({
+        severity: "warning",
+        message: "5000.00 JPY could not be checked against the 75.00 USD limit for meals: no exchange rate",
+      }),
+    ])
+    expect(isBlocked(unchecked)).toBe(false)
+  })
+
+  test("uses a rule's own message and limits by currency", () => {
+    const custom = new PolicyEngine(
+      validatePolicyRules({
+        rules: [
+          {
+            id: "usd-cap",
+            type: "maxAmount",
+            currency: "USD",
+            max: 500,
+            severity: "warning",
+            message: "Large purchase: attach the approval email",
+          },
+        ],
+      }),
+    )
+    expect(custom.evaluate({ total: 600, currency: "EUR" })).toEqual([])
+    const violations = custom.evaluate({ total: 600, currency: "USD" })
+    expect(violations[0]).toMatchObject({ severity: "warning", message: "Large purchase: attach the approval email" })
+    expect(isBlocked(violations)).toBe(false)
+  })
+})
+
+describe("Policy rules", () => {
+  test("applies no rules unless configured", async () => {
+    expect(DEFAULT_POLICY_RULES).toEqual({ rules: [] })
+    const engine = new PolicyEngine(await loadPolicyRules())
+    expect(engine.evaluate({ category: "meals", total: 5000, transactionDate: "2020-02-01" })).toEqual([])
+  })
+
+  test("rejects malformed rule sets", () => {
+    expect(() => validatePolicyRules({})).toThrow("expected a rules array")
+    expect(() => validatePolicyRules({ rules: [{ id: "x", type: "nope", severity: "error" }] })).toThrow(
+      "Unknown type for policy rule x",
+    )
+    expect(() => validatePolicyRules({ rules: [{ id: "x", type: "weekend", severity: "fatal" }] })).toThrow(
+      "Invalid severity",
+    )
+    expect(() => validatePolicyRules({ rules: [{ id: "x", type: "maxAge", severity: "error" }] })).toThrow(
+      "Invalid days for policy rule x",
+    )
+    expect(() =>
+      validatePolicyRules({
+        rules: [
+          { id: "x", type: "weekend", severity: "error" },
+          { id: "x", type: "weekend", severity: "error" },
+        ],
+      }),
+    ).toThrow("Duplicate policy rule id: x")
+  })
+
+  test("loads an admin-provided rules file", async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "policy-test-"))
+    const file = path.join(dir, "policy.json")
+    await fs.promises.writeFile(file, JSON.stringify({ rules: [{ id: "w", type: "weekend", severity: "warning" }] }))
+    try {
+      expect((await loadPolicyRules(file)).rules).toHaveLength(1)
+      await fs.promises.writeFile(file, "{ not json")
+      await expect(loadPolicyRules(file)).rejects.toThrow("Could not read policy rules")
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+  })
+
+  test("ships an example file that matches the expected format", async () => {
+    const rules = await loadPolicyRules(new URL("../policy.example.json", import.meta.url).pathname)
+    expect(rules.rules.length).toBeGreaterThan(0)
+  })
+
+  test("validates justifications", () => {
+    expect(validateJustification("  Client visit ")).toBe("Client visit")
+    expect(validateJustification("   ")).toBeNull()
+    expect(() => validateJustification(42)).toThrow("Invalid justification")
+    expect(() => validateJustification("x".repeat(501))).toThrow("too long")
+  })
+})
+
+describe("Policy in the API", () => {
+  test("validate reports violations without submitting", async () => {
+    const res = await request(app)
+      .post("/api/validate")
+      .send({
+        receipts: [
+          {
+            id: "00000000-0000-4000-8000-000000000001",
+            fields: { vendor: "Bistro", category: "meals", total: "120.00", transactionDate: recentWeekday() },
+          },
+          {
+            id: "00000000-0000-4000-8000-000000000002",
+            fields: { vendor: "Staples", total: "10.00", transactionDate: recentWeekday() },
+          },
+        ],
+      })
+      .expect(200)
+
+    expect(res.body.receipts[0]).toMatchObject({
+      blocked: true,
+      violations: [expect.objectContaining({ rule: "meals-limit", field: "total" })],
+    })
+    expect(res.body.receipts[1]).toEqual({
+      id: "00000000-0000-4000-8000-000000000002",
+      violations: [],
+      blocked: false,
+      conversion: null,
+      conversionError: null,
+    })
+  })
+
+  test("validate rejects malformed receipts", async () => {
+    await request(app).post("/api/validate").send({ receipts: "x" }).expect(400)
+  })
+
+  test("submit blocks policy errors until they are justified", async () => {
+    const fields = { vendor: "Steakhouse", category: "meals", total: "95.00", transactionDate: recentWeekday() }
+
+    const blocked = await request(app).post("/api/submit").send({ fields }).expect(422)
+    expect(blocked.body.message).toBe("Some receipts break the expense policy.")
+    expect(blocked.body.receipts[0].violations[0]).toMatchObject({ rule: "meals-limit", severity: "error" })
+
+    const res = await request(app)
+      .post("/api/submit")
+      .send({ fields, justification: "Dinner with a client" })
+      .expect(200)
+    expect(res.body.ok).toBe(true)
+  })
+
+  test("submit rejects alcohol even with a justification", async () => {
+    const res = await request(app)
+      .post("/api/submit")
+      .send({
+        fields: { vendor: "Wine Bar", total: "30.00", transactionDate: recentWeekday(), items: [{ description: "Red wine" }] },
+        justification: "Team celebration",
+      })
+      .expect(422)
+    expect(res.body.receipts[0].violations[0]).toMatchObject({ rule: "no-alcohol", severity: "error" })
+  })
+
+  test("submit rejects receipts older than the policy allows", async () => {
+    const res = await request(app)
+      .post("/api/submit")
+      .send({ fields: { vendor: "Cafe", total: "5.00", transactionDate: isoDaysAgo(90) } })
+      .expect(422)
+    expect(res.body.receipts[0].violations[0].rule).toBe("receipt-age")
+  })
+})
@@ -0,0 +1,131 @@
+import request from "supertest"
+import { PDFDocument } from "pdf-lib"
+import sharp from "sharp"
+import { renderExpenseReport } from "../src/services/report.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+// 1×1 transparent PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64",
+)
+
+const FIELDS = {
+  vendor: "Blue Bottle",
+  transactionDate: "2024-06-03",
+  total: 12.5,
+  currency: "USD",
+  items: [{ description: "Latte", quantity: 2, unitPrice: 6.25, totalPrice: 12.5 }],
+}
+
+const ATTESTATION = {
+  signer: { oid: "u1", name: "Ada", upn: "ada@example.com" },
+  signedAt: "2024-06-05T12:00:00.000Z",
+  statement: "I certify.",
+  signature: { method: "typed", typedName: "Ada" },
+  contentHash: "a".repeat(64),
+}
+
+function isoDaysAgo(days) {
+  const date = new Date()
+  date.setUTCDate(date.getUTCDate() - days)
+  return date.toISOString().slice(0, 10)
+}
+
+function recentWeekday() {
+  let days = 1
+  while ([0, 6].includes(new Date(`${isoDaysAgo(days)}T00:00:00Z`).getUTCDay())) days++
+  return isoDaysAgo(days)
+}
+
+async function pdfWithPages(count) {
+  const doc = await PDFDocument.create()
+  for (let i = 0; i < count; i++) doc.addPage()
+  return Buffer.from(await doc.save())
+}
+
+describe("renderExpenseReport", () => {
+  test("renders the fields, signature and attestation", async () => {
+    const pdf = await renderExpenseReport({
+      fields: FIELDS,
+      category: { label: "Meals", glCode: "6100" },
+      submissionId: "sub-42",
+      submitter: { name: "Ada", upn: "ada@example.com" },
+      submittedAt: "2024-06-05T12:00:00.000Z",
+      policyWarnings: [{ field: "total", message: "Over the limit" }],
+      justification: "Client meeting",
+      signaturePng: PNG,
+      attestation: ATTESTATION,
+    })
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-")
+    const doc = await PDFDocument.load(pdf)
+    expect(doc.getPageCount()).toBe(1)
+    expect(doc.getTitle()).toBe("Expense report: Blue Bottle (sub-42)")
+    expect(doc.getSubject()).toBe(`Attestation SHA-256 ${"a".repeat(64)}`)
+  })
+
+  test("appends receipt images and PDF pages", async () => {
+    const withImage = await renderExpenseReport({ fields: FIELDS, file: { name: "r.png", data: PNG } })
+    expect((await PDFDocument.load(withImage)).getPageCount()).toBe(2)
+
+    const withPdf = await renderExpenseReport({ fields: FIELDS, file: { name: "r.pdf", data: await pdfWithPages(3) } })
+    expect((await PDFDocument.load(withPdf)).getPageCount()).toBe(4)
+  })
+
+  test("embeds WebP and TIFF receipts as converted images", async () => {
+    const red = sharp({ create: { width: 40, height: 60, channels: 3, background: "red" } })
+    const webp = await renderExpenseReport({ fields: FIELDS, file: { name: "r.webp", data: await red.webp().toBuffer() } })
+    expect((await PDFDocument.load(webp)).getPageCount()).toBe(2)
+
+    const pages = [await red.png().toBuffer(), await red.png().toBuffer()]
+    const tiff = await sharp(pages, { join: { animated: true } }).tiff().toBuffer()
+    const scan = await renderExpenseReport({ fields: FIELDS, file: { name: "r.tiff", data: tiff } })
+    expect((await PDFDocument.load(scan)).getPageCount()).toBe(3)
+  })
+
+  test("notes receipts that cannot be embedded", async () => {
+    const pdf = await renderExpenseReport({
+      fields: FIELDS,
+      file: { name: "r.jpg", data: Buffer.from([0xff, 0xd8, 0x00]) },
+    })
+    expect((await PDFDocument.load(pdf)).getPageCount()).toBe(1)
+  })
+
+  test("replaces characters outside the standard fonts", async () => {
+    const pdf = await renderExpenseReport({ fields: { ...FIELDS, vendor: "東京 Café" } })
+    expect((await PDFDocument.load(pdf)).getTitle()).toBe("Expense report: ?? Café")
+  })
+})
+
+describe("Report endpoint", () => {
+  test("serves the report of a submitted receipt", async () => {
+    const res = await request(app)
+      .post("/api/submit")
+      .send({
+        fields: { vendor: "Harbor Books", total: "18.40", transactionDate: recentWeekday() },
+        signature: { method: "typed", typedName: "Ada Lovelace" },
+      })
+      .expect(200)
+    const { reportUrl, submissionId } = res.body.items[0]
+    expect(reportUrl).toBe(`/api/submissions/${submissionId}/report`)
+
+    const report = await request(app).get(reportUrl).responseType("blob").expect(200)
+    expect(report.headers["content-type"]).toBe("application/pdf")
+    expect(report.headers["content-disposition"]).toBe(`attachment; filename="expense-report-${submissionId}.pdf"`)
+    const doc = await PDFDocument.load(report.body)
+    expect(doc.getSubject()).toBe(`Attestation SHA-256 ${res.body.attestation.contentHash}`)
+  })
+
+  test("returns 404 for unknown submissions", async () => {
+    await request(app).get("/api/submissions/nope/report").expect(404)
+  })
+})
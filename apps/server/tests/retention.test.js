@@ -0,0 +1,115 @@
+import fs from "fs"
+import os from "os"
+import path from "path"
+import request from "supertest"
+import { mockFileType, mockTokenVerifier } from "./mocks.js"
+
+// Tokens are user names; the mocked verifier returns their claims
+const USERS = {
+  carol: { oid: "cccccccc-0000-0000-0000-000000000003", name: "Carol", preferred_username: "carol@example.com" },
+  dave: { oid: "dddddddd-0000-0000-0000-000000000004", name: "Dave", preferred_username: "dave@example.com" },
+  erin: {
+    oid: "eeeeeeee-0000-0000-0000-000000000005",
+    name: "Erin",
+    preferred_username: "erin@example.com",
+    roles: ["Admin"],
+  },
+}
+
+await mockTokenVerifier(USERS)
+await mockFileType()
+
+process.env.AUTH_BYPASS = "false"
+process.env.APPLICATION_ID_URI = "api://receipts-test"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+process.env.BATCH_QUOTA_PER_USER_MB = "1"
+
+// Reports of earlier sweeps, as the janitor persisted them
+const REPORTS = [
+  {
+    ranAt: "2024-06-02T12:00:00.000Z",
+    removed: [{ batchId: "batch-1717243200000-newer", owner: USERS.dave.oid, bytes: 2048, reason: "user_quota" }],
+    strays: 0,
+    freedBytes: 2048,
+    kept: { batches: 3, bytes: 4096 },
+  },
+  {
+    ranAt: "2024-06-01T12:00:00.000Z",
+    removed: [{ batchId: "batch-1717243200000-older", owner: USERS.carol.oid, bytes: 1024, reason: "expired" }],
+    strays: 1,
+    freedBytes: 1524,
+    kept: { batches: 2, bytes: 2048 },
+  },
+]
+const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "retention-test-"))
+await fs.promises.writeFile(path.join(dataDir, "cleanup-reports.json"), JSON.stringify({ reports: REPORTS }))
+process.env.DATA_DIR = dataDir
+process.env.CLEANUP_REPORT_STORE = "file"
+
+const { default: app } = await import("../src/server.js")
+
+const as = (user) => ({ Authorization: `Bearer ${user}` })
+
+const KB = 1024
+
+const upload = (user, bytes) =>
+  request(app)
+    .post("/api/upload")
+    .set(as(user))
+    .attach("files", Buffer.from(`fake-image-data${".".repeat(bytes - 15)}`), "receipt.jpg")
+
+const saveDraft = (user, batchId) =>
+  request(app)
+    .put(`/api/receipts/${batchId}`)
+    .set(as(user))
+    .send({ receipts: [], files: [], signatureDataUrl: null })
+    .expect(200)
+
+// Batches live in the shared upload folder; discard them so reruns start under quota
+const uploaded = []
+afterAll(async () => {
+  await fs.promises.rm(dataDir, { recursive: true, force: true })
+  for (const { user, batchId } of uploaded) {
+    await saveDraft(user, batchId)
+    await request(app).delete(`/api/receipts/${batchId}`).set(as(user)).expect(204)
+  }
+})
+
+describe("Upload quota", () => {
+  test("refuses uploads over the user's quota and keeps their saved draft", async () => {
+    const first = await upload("carol", 600 * KB).expect(202)
+    uploaded.push({ user: "carol", batchId: first.body.batchId })
+    await saveDraft("carol", first.body.batchId)
+
+    const res = await upload("carol", 600 * KB).expect(413)
+    expect(res.body.message).toMatch(/^Upload quota exceeded: your batches use 0\.6 of 1\.0 MB/)
+    expect(res.body.message).toMatch("Submit or discard saved drafts")
+
+    // Other users have their own quota
+    const other = await upload("dave", 600 * KB).expect(202)
+    uploaded.push({ user: "dave", batchId: other.body.batchId })
+
+    const draft = await request(app).get(`/api/receipts/${first.body.batchId}`).set(as("carol")).expect(200)
+    expect(draft.body.receipts).toEqual([])
+  })
+})
+
+describe("Cleanup reports", () => {
+  test("shows the recent removals to admins, newest first", async () => {
+    const res = await request(app).get("/api/admin/cleanup").set(as("erin")).expect(200)
+    // No sweep runs under test
+    expect(res.body).toEqual({ lastSweep: null, reports: REPORTS })
+
+    const latest = await request(app).get("/api/admin/cleanup?limit=1").set(as("erin")).expect(200)
+    expect(latest.body.reports).toEqual([REPORTS[0]])
+
+    await request(app).get("/api/admin/cleanup?limit=1000").set(as("erin")).expect(400)
+  })
+
+  test("is hidden from other users", async () => {
+    const res = await request(app).get("/api/admin/cleanup").set(as("carol")).expect(403)
+    expect(res.body.message).toBe("Not allowed to view cleanup reports")
+  })
+})
@@ -10,11 +10,12 @@ await jest.unstable_mockModule(
     fileTypeFromBuffer: async buffer => {
       const str = buffer.toString()
       if (str.startsWith('%PDF')) return { mime: 'application/pdf' }
+      if (str.startsWith('RIFF') && str.slice(8, 12) === 'WEBP') return { mime: 'image/webp' }
+      if (str.slice(4, 8) === 'ftyp') return { mime: str.slice(8, 12) === 'mif1' ? 'image/heif' : 'image/heic' }
       if (str.includes('fake-image-data')) return { mime: 'image/jpeg' }
       return null
     }
-  }),
-  { virtual: true }
+  })
 )
 
 const __filename = fileURLToPath(import.meta.url);
@@ -23,6 +24,8 @@ const __dirname = path.dirname(__filename);
 // Mock environment for testing
 process.env.AUTH_BYPASS = "true"
 process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
 
 // Import app after setting env
 const { default: app } = await import("../src/server.js");
@@ -78,10 +81,10 @@ describe("File Upload Security Tests", () => {
       const response = await request(app)
         .post("/api/upload")
         .attach("files", testImageBuffer, "receipt.jpg")
-        .expect(200);
+        .expect(202);
 
       expect(response.body.batchId).toBeDefined();
-      expect(response.body.results).toBeDefined();
+      expect(response.body.jobId).toBeDefined();
     });
   });
 
@@ -108,20 +111,43 @@ describe("File Upload Security Tests", () => {
       const response = await request(app)
         .post("/api/upload")
         .attach("files", testImageBuffer, "receipt.jpg")
-        .expect(200);
+        .expect(202);
 
-      expect(response.body.results[0].file).toBe("receipt.jpg");
+      expect(response.body.files[0].file).toBe("receipt.jpg");
     });
 
       test("should accept valid PDF files", async () => {
         const response = await request(app)
           .post("/api/upload")
           .attach("files", testPdfBuffer, "receipt.pdf")
-          .expect(200);
+          .expect(202);
 
-        expect(response.body.results[0].file).toBe("receipt.pdf");
+        expect(response.body.files[0].file).toBe("receipt.pdf");
       });
 
+      test('should accept HEIC and WebP photos', async () => {
+        const heic = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic\0\0\0\0mif1heic')])
+        const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')])
+        const response = await request(app)
+          .post('/api/upload')
+          .attach('files', heic, 'IMG_0001.HEIC')
+          .attach('files', webp, 'receipt.webp')
+          .expect(202)
+
+        expect(response.body.files.map(f => f.file)).toEqual(['IMG_0001.HEIC', 'receipt.webp'])
+      })
+
+      test('should reject HEIF images that are not HEVC photos', async () => {
+        // AVIF-coded HEIF shares the container but cannot be converted
+        const avif = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypmif1\0\0\0\0mif1avif')])
+        const response = await request(app)
+          .post('/api/upload')
+          .attach('files', avif, 'receipt.heif')
+          .expect(400)
+
+        expect(response.body.message).toContain('not allowed')
+      })
+
       test('should reject files with spoofed MIME type', async () => {
         const response = await request(app)
           .post('/api/upload')
@@ -145,14 +171,14 @@ describe("File Upload Security Tests", () => {
     });
 
     test("should accept files within size limit", async () => {
-      const smallBuffer = Buffer.alloc(1024); // 1KB
+      const smallBuffer = Buffer.concat([testImageBuffer, Buffer.alloc(1024)]); // ~1KB
 
       const response = await request(app)
         .post("/api/upload")
         .attach("files", smallBuffer, "small.jpg")
-        .expect(200);
+        .expect(202);
 
-      expect(response.body.results).toBeDefined();
+      expect(response.body.files).toBeDefined();
     });
 
     test("should reject too many files", async () => {
@@ -173,9 +199,9 @@ describe("File Upload Security Tests", () => {
       const response = await request(app)
         .post("/api/upload")
         .attach("files", testImageBuffer, "test.jpg")
-        .expect(200);
+        .expect(202);
 
-      expect(response.body.results).toBeDefined();
+      expect(response.body.files).toBeDefined();
     });
 
     // Note: Rate limiting tests are complex due to timing
@@ -183,6 +209,120 @@ describe("File Upload Security Tests", () => {
   });
 });
 
+describe("Per-receipt batches", () => {
+  test("should track one entry per uploaded receipt", async () => {
+    const response = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data one"), "a.jpg")
+      .attach("files", Buffer.from("fake-image-data two"), "b.jpg")
+      .expect(202)
+
+    expect(response.body.files).toHaveLength(2)
+    const ids = response.body.files.map((r) => r.id)
+    expect(new Set(ids).size).toBe(2)
+    for (const result of response.body.files) {
+      expect(result.secureFile.startsWith(result.id)).toBe(true)
+    }
+  })
+
+  test("should create one item per receipt with its own attachment", async () => {
+    const upload = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data one"), "a.jpg")
+      .attach("files", Buffer.from("fake-image-data two"), "b.jpg")
+      .expect(202)
+
+    const { batchId, files: results } = upload.body
+    const response = await request(app)
+      .post("/api/submit")
+      .send({
+        batchId,
+        receipts: [
+          { id: results[0].id, fields: { vendor: "A", total: "10.00" } },
+          { id: results[1].id, fields: { vendor: "B", total: "2.50" } },
+        ],
+      })
+      .expect(200)
+
+    expect(response.body.items).toHaveLength(2)
+    expect(response.body.items[0].attachments).toEqual([results[0].secureFile, "expense-report.pdf"])
+    expect(response.body.items[1].attachments).toEqual([results[1].secureFile, "expense-report.pdf"])
+    expect(response.body.summary).toEqual({
+      receiptCount: 2,
+      attachmentCount: 4,
+      total: "12.50",
+    })
+    expect(response.body.itemId).toBeUndefined()
+  })
+
+  test("should attach every batch file to the single-receipt payload", async () => {
+    const upload = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data legacy front"), "front.jpg")
+      .attach("files", Buffer.from("fake-image-data legacy back"), "back.jpg")
+      .expect(202)
+
+    const { batchId, files: results } = upload.body
+    const response = await request(app)
+      .post("/api/submit")
+      .send({ batchId, fields: { vendor: "Legacy Diner", total: "8.00" } })
+      .expect(200)
+
+    expect(response.body.items).toHaveLength(1)
+    const { attachments } = response.body.items[0]
+    expect(attachments.at(-1)).toBe("expense-report.pdf")
+    expect(attachments.slice(0, -1).sort()).toEqual(results.map((r) => r.secureFile).sort())
+  })
+
+  test("should reject receipts and files that do not match before taking the batch", async () => {
+    const upload = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data claimed"), "a.jpg")
+      .attach("files", Buffer.from("fake-image-data unclaimed"), "b.jpg")
+      .expect(202)
+    const { batchId, files: results } = upload.body
+
+    const unknown = await request(app)
+      .post("/api/submit")
+      .send({ batchId, receipts: [{ id: "00000000-0000-4000-8000-000000000000", fields: { vendor: "A" } }] })
+      .expect(400)
+    expect(unknown.body.message).toBe("No file in the batch for receipt 00000000-0000-4000-8000-000000000000")
+
+    const unclaimed = await request(app)
+      .post("/api/submit")
+      .send({ batchId, receipts: [{ id: results[0].id, fields: { vendor: "A" } }] })
+      .expect(400)
+    expect(unclaimed.body.message).toBe(`Batch files not claimed by any receipt: ${results[1].id}`)
+
+    // The batch is still there; dropping the unwanted file lets it through
+    await request(app).delete(`/api/batches/${batchId}/files/${results[1].id}`).expect(204)
+    await request(app).get(`/api/batches/${batchId}/files/${results[1].id}`).expect(404)
+    const response = await request(app)
+      .post("/api/submit")
+      .send({ batchId, receipts: [{ id: results[0].id, fields: { vendor: "A", total: "1.00" } }] })
+      .expect(200)
+    expect(response.body.items[0].attachments).toEqual([results[0].secureFile, "expense-report.pdf"])
+  })
+
+  test("should reject an empty receipts array", async () => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({ receipts: [] })
+      .expect(400)
+
+    expect(response.body.message).toContain("Invalid receipts")
+  })
+
+  test("should reject malformed receipt ids", async () => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({ receipts: [{ id: "../../etc/passwd", fields: {} }] })
+      .expect(400)
+
+    expect(response.body.message).toContain("Invalid receipt id")
+  })
+})
+
 describe("API Health and Basic Functionality", () => {
   test("health endpoint should return ok", async () => {
     const response = await request(app).get("/api/health").expect(200);
@@ -248,6 +388,100 @@ describe("Submit Endpoint", () => {
     expect(response.body.message).toContain("Invalid type")
   })
 
+  test("should accept line items", async () => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({
+        fields: {
+          vendor: "Cafe",
+          total: "8.00",
+          items: [
+            { description: "Latte", quantity: "2", unitPrice: "4.00", totalPrice: "8.00" },
+          ],
+        },
+      })
+      .expect(200)
+
+    expect(response.body.ok).toBe(true)
+  })
+
+  test("should normalize typed fields", async () => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({
+        fields: {
+          total: "12.30",
+          currency: "EUR",
+          transactionDate: "2024-03-04",
+          items: [{ description: "Latte", quantity: "2", totalPrice: 12.3 }],
+        },
+      })
+      .expect(200)
+
+    expect(response.body.summary.total).toBe("12.30")
+  })
+
+  test.each([
+    ["total", "$12.34", "amount"],
+    ["transactionDate", "03/04/2024", "date"],
+    ["currency", "dollars", "currency"],
+  ])("should reject %s with value %p", async (field, value, type) => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({ fields: { [field]: value } })
+      .expect(400)
+
+    expect(response.body.message).toContain(`Invalid type for ${field}: expected ${type}`)
+  })
+
+  test("should reject totals that do not add up", async () => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({ fields: { subtotal: "10.00", tax: "1.00", total: "17.00" } })
+      .expect(422)
+
+    expect(response.body.receipts[0].issues[0].code).toBe("total_mismatch")
+  })
+
+  test("should accept mismatched totals with an override reason", async () => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({
+        fields: { subtotal: "10.00", tax: "1.00", total: "17.00" },
+        override: { reason: "Tip added by hand" },
+      })
+      .expect(200)
+
+    expect(response.body.ok).toBe(true)
+  })
+
+  test("should reject an override without a reason", async () => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({ fields: { total: "17.00" }, override: { reason: "" } })
+      .expect(400)
+
+    expect(response.body.message).toContain("Override requires a reason")
+  })
+
+  test("should reject items that are not an array", async () => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({ fields: { items: "Latte x2" } })
+      .expect(400)
+
+    expect(response.body.message).toContain("Invalid type for items")
+  })
+
+  test("should reject unknown item fields", async () => {
+    const response = await request(app)
+      .post("/api/submit")
+      .send({ fields: { items: [{ description: "Latte", sku: "123" }] } })
+      .expect(400)
+
+    expect(response.body.message).toContain("Invalid field: items[0].sku")
+  })
+
   test('should reject path traversal in batchId', async () => {
     const response = await request(app)
       .post('/api/submit')
@@ -0,0 +1,201 @@
+import request from "supertest"
+import crypto from "crypto"
+import fs from "fs"
+import http from "http"
+import os from "os"
+import path from "path"
+import { createSubmissionSink } from "../src/services/submissionSink.js"
+import { LocalSink } from "../src/services/sinks/localSink.js"
+import { GraphClient } from "../src/services/graph.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "sink-test-"))
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "file"
+process.env.DATA_DIR = dataDir
+
+const { default: app } = await import("../src/server.js")
+
+afterAll(() => fs.promises.rm(dataDir, { recursive: true, force: true }))
+
+function recentWeekday() {
+  const date = new Date()
+  do date.setUTCDate(date.getUTCDate() - 1)
+  while ([0, 6].includes(date.getUTCDay()))
+  return date.toISOString().slice(0, 10)
+}
+
+// An HTTP server on a free port that records requests and answers with `reply`
+async function startServer(reply) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    const chunks = []
+    req.on("data", (chunk) => chunks.push(chunk))
+    req.on("end", () => {
+      const body = Buffer.concat(chunks)
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+      const { status = 200, json = {} } = reply(req, body) || {}
+      res.writeHead(status, { "Content-Type": "application/json" })
+      res.end(JSON.stringify(json))
+    })
+  })
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
+
+describe("createSubmissionSink", () => {
+  test("checks the sink name and its settings", () => {
+    expect(() => createSubmissionSink("dropbox")).toThrow("Unknown submission sink: dropbox")
+    expect(() => createSubmissionSink("constructor")).toThrow("Unknown submission sink")
+    expect(() => createSubmissionSink("sharepoint", { siteId: "s" })).toThrow("SITE_ID and LIST_ID")
+    expect(() => createSubmissionSink("webhook", {})).toThrow("WEBHOOK_URL")
+    expect(createSubmissionSink("local").name).toBe("local")
+  })
+})
+
+describe("LocalSink", () => {
+  test("keeps items and files where they can be inspected", async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "local-sink-"))
+    try {
+      const sink = new LocalSink({ dir })
+      const { id } = await sink.createItem({ vendor: "Contoso", total: 10, status: "submitted" })
+      await sink.updateItem(id, { status: "approved" })
+      await sink.uploadAttachment(id, "receipt.jpg", Buffer.from("jpeg"))
+
+      expect(await sink.getItem(id)).toMatchObject({
+        id,
+        columns: { vendor: "Contoso", total: 10, status: "approved" },
+        attachments: ["receipt.jpg"],
+      })
+      const onDisk = JSON.parse(await fs.promises.readFile(path.join(dir, "items.json"), "utf8"))
+      expect(onDisk.items[id].columns.status).toBe("approved")
+      expect(await fs.promises.readFile(path.join(dir, "files", id, "receipt.jpg"), "utf8")).toBe("jpeg")
+
+      // A new instance reads what the last one wrote
+      expect((await new LocalSink({ dir }).listItems()).map((i) => i.id)).toEqual([id])
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+  })
+
+  test("rejects unknown items and unsafe names", async () => {
+    const sink = new LocalSink()
+    await expect(sink.updateItem("missing", {})).rejects.toThrow("Item not found")
+    await expect(sink.uploadAttachment("missing", "a.pdf", Buffer.from(""))).rejects.toThrow("Item not found")
+    const { id } = await sink.createItem({})
+    await expect(sink.uploadAttachment(id, "../a.pdf", Buffer.from(""))).rejects.toThrow("Invalid attachment name")
+    expect(await sink.getItem("missing")).toBeNull()
+  })
+})
+
+describe("WebhookSink", () => {
+  test("posts signed events", async () => {
+    const server = await startServer(() => ({ json: { id: "ext-1" } }))
+    try {
+      const sink = createSubmissionSink("webhook", { url: `${server.url}/hook`, secret: "s3cret" })
+      const { id } = await sink.createItem({ vendor: "Contoso" })
+      await sink.updateItem(id, { status: "approved" })
+      await sink.uploadAttachment(id, "receipt.jpg", Buffer.from("jpeg"))
+
+      expect(id).toBe("ext-1")
+      const events = server.requests.map((r) => JSON.parse(r.body))
+      expect(events).toEqual([
+        { event: "item.created", itemId: expect.any(String), columns: { vendor: "Contoso" } },
+        { event: "item.updated", itemId: "ext-1", columns: { status: "approved" } },
+        { event: "attachment.added", itemId: "ext-1", name: "receipt.jpg", size: 4, content: "anBlZw==" },
+      ])
+      for (const r of server.requests) {
+        const expected = crypto.createHmac("sha256", "s3cret").update(r.body).digest("hex")
+        expect(r.headers["x-receipts-signature"]).toBe(`sha256=${expected}`)
+      }
+      expect(server.requests[0].headers["x-receipts-event"]).toBe("item.created")
+    } finally {
+      await server.close()
+    }
+  })
+
+  test("fails when the receiver does", async () => {
+    const server = await startServer(() => ({ status: 503, json: { error: "down" } }))
+    try {
+      const sink = createSubmissionSink("webhook", { url: server.url })
+      await expect(sink.createItem({})).rejects.toThrow("Webhook item.created failed: 503")
+      expect(server.requests[0].headers["x-receipts-signature"]).toBeUndefined()
+    } finally {
+      await server.close()
+    }
+  })
+})
+
+describe("SharePointSink", () => {
+  test("writes list items and files through Graph", async () => {
+    const server = await startServer((req) => {
+      if (req.url.endsWith("/oauth2/v2.0/token")) return { json: { access_token: "graph-token", expires_in: 3600 } }
+      return req.method === "POST" ? { status: 201, json: { id: "42" } } : {}
+    })
+    try {
+      const graph = new GraphClient({
+        tenantId: "tenant",
+        clientId: "client",
+        clientSecret: "secret",
+        authorityUrl: server.url,
+        graphUrl: server.url,
+      })
+      const sink = createSubmissionSink("sharepoint", { siteId: "site", listId: "list", graph })
+      expect(await sink.createItem({ vendor: "Contoso" })).toEqual({ id: "42" })
+      await sink.updateItem("42", { status: "approved" })
+      await sink.uploadAttachment("42", "receipt 1.jpg", Buffer.from("jpeg"))
+
+      const [token, ...requests] = server.requests
+      expect(token.url).toBe("/tenant/oauth2/v2.0/token")
+      expect(requests.map((r) => `${r.method} ${r.url}`)).toEqual([
+        "POST /sites/site/lists/list/items",
+        "PATCH /sites/site/lists/list/items/42/fields",
+        "PUT /sites/site/lists/list/items/42/driveItem/children/receipt%201.jpg:/content",
+      ])
+      expect(JSON.parse(requests[0].body)).toEqual({ fields: { vendor: "Contoso" } })
+      expect(requests[2].body.toString()).toBe("jpeg")
+      expect(requests.every((r) => r.headers.authorization === "Bearer graph-token")).toBe(true)
+    } finally {
+      await server.close()
+    }
+  })
+
+  test("needs Graph credentials", async () => {
+    const sink = createSubmissionSink("sharepoint", { siteId: "s", listId: "l", graph: new GraphClient() })
+    await expect(sink.createItem({})).rejects.toThrow("Graph credentials are not configured")
+  })
+})
+
+describe("Submitting without SharePoint", () => {
+  test("stores the item and its files in the local sink", async () => {
+    const upload = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data sink"), "receipt.jpg")
+      .expect(202)
+    const batch = upload.body
+    const res = await request(app)
+      .post("/api/submit")
+      .send({
+        batchId: batch.batchId,
+        receipts: [{ id: batch.files[0].id, fields: { vendor: "Local Bakery", total: "8.40", transactionDate: recentWeekday() } }],
+      })
+      .expect(200)
+
+    const { itemId } = res.body.items[0]
+    const sink = new LocalSink({ dir: path.join(dataDir, "sink") })
+    expect(await sink.getItem(itemId)).toMatchObject({
+      columns: { vendor: "Local Bakery", total: 8.4, status: "submitted" },
+      attachments: [batch.files[0].secureFile, "expense-report.pdf"].sort(),
+    })
+    expect((await sink.getAttachment(itemId, batch.files[0].secureFile)).toString()).toBe("fake-image-data sink")
+  })
+})
@@ -0,0 +1,179 @@
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { jest } from "@jest/globals"
+
+const recognize = jest.fn()
+const createWorker = jest.fn(async () => ({ recognize, terminate: jest.fn() }))
+
+await jest.unstable_mockModule("tesseract.js", () => ({
+  default: { createWorker },
+}))
+
+const { parseReceiptText } = await import("../src/services/ocr/receiptParser.js")
+const { TesseractOCRProvider } = await import("../src/services/ocr/tesseractProvider.js")
+const { OCR_ERROR_CODES } = await import("../src/services/ocrService.js")
+
+const RECEIPT = [
+  "CORNER CAFE",
+  "123 Main Street",
+  "Springfield, IL 62701",
+  "(555) 123-4567",
+  "03/05/2024 10:42",
+  "2 x 3.50 Latte 7.00",
+  "Muffin 3.99",
+  "Subtotal 10.99",
+  "Tax 1.35",
+  "TOTAL $12.34",
+  "Cash 20.00",
+  "Change 7.66",
+]
+
+const toLines = (texts) =>
+  texts.map((text, i) => ({
+    text,
+    confidence: 0.9,
+    bbox: { x0: 10, y0: i * 20, x1: 200, y1: i * 20 + 15 },
+  }))
+
+describe("parseReceiptText", () => {
+  test("should read merchant details, date and totals", () => {
+    const { fields } = parseReceiptText(toLines(RECEIPT))
+
+    expect(fields).toMatchObject({
+      vendor: "CORNER CAFE",
+      merchantAddress: "123 Main Street, Springfield, IL 62701",
+      merchantPhone: "(555) 123-4567",
+      transactionDate: "2024-03-05",
+      subtotal: 10.99,
+      tax: 1.35,
+      total: 12.34,
+      currency: "USD",
+    })
+  })
+
+  test("should read line items between the header and the totals", () => {
+    const { fields } = parseReceiptText(toLines(RECEIPT))
+
+    expect(fields.items).toEqual([
+      { description: "Latte", quantity: 2, unitPrice: 3.5, totalPrice: 7 },
+      { description: "Muffin", quantity: null, unitPrice: null, totalPrice: 3.99 },
+    ])
+  })
+
+  test("should record where each field was read", () => {
+    const { fieldMeta, confidence } = parseReceiptText(toLines(RECEIPT))
+
+    expect(fieldMeta.total).toEqual({
+      confidence: 0.9,
+      content: "TOTAL $12.34",
+      uncertain: false,
+      boundingRegions: [{ pageNumber: 1, polygon: [10, 180, 200, 180, 200, 195, 10, 195] }],
+    })
+    expect(fieldMeta["items.1.totalPrice"].content).toBe("Muffin 3.99")
+    expect(confidence).toBeCloseTo(0.9)
+  })
+
+  test("should detect the currency and decimal commas", () => {
+    const { fields } = parseReceiptText(
+      toLines(["Bäckerei Schmidt", "12.03.2024", "Brezel 1,20", "Summe", "Total 1,20 €"]),
+      { dateOrder: "DMY" },
+    )
+
+    expect(fields).toMatchObject({
+      vendor: "Bäckerei Schmidt",
+      transactionDate: "2024-03-12",
+      total: 1.2,
+      currency: "EUR",
+    })
+  })
+
+  test("should flag low confidence lines as uncertain", () => {
+    const lines = toLines(["CORNER CAFE", "TOTAL 5.00"])
+    lines[1].confidence = 0.4
+
+    const { fieldMeta } = parseReceiptText(lines)
+
+    expect(fieldMeta.total.uncertain).toBe(true)
+    expect(fieldMeta.vendor.uncertain).toBe(false)
+  })
+
+  test("should fail with no_document when nothing looks like a receipt", () => {
+    expect(() => parseReceiptText(toLines(["12", "---"]))).toThrow(
+      expect.objectContaining({ code: OCR_ERROR_CODES.NO_DOCUMENT }),
+    )
+  })
+})
+
+describe("TesseractOCRProvider", () => {
+  let dir
+  let errorSpy
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tesseract-"))
+    errorSpy = jest.spyOn(console, "error").mockImplementation(() => {})
+    recognize.mockReset()
+    createWorker.mockClear()
+  })
+
+  afterEach(() => {
+    errorSpy.mockRestore()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  function writePng(name, width, height) {
+    const header = Buffer.alloc(24)
+    header.writeUInt32BE(0x89504e47, 0)
+    header.writeUInt32BE(width, 16)
+    header.writeUInt32BE(height, 20)
+    const file = path.join(dir, name)
+    fs.writeFileSync(file, header)
+    return file
+  }
+
+  function recognized(texts) {
+    const lines = toLines(texts).map((line) => ({ ...line, confidence: 90 }))
+    return { data: { blocks: [{ paragraphs: [{ lines }] }] } }
+  }
+
+  test("should return the shared result shape with page size", async () => {
+    recognize.mockResolvedValue(recognized(RECEIPT))
+    const provider = new TesseractOCRProvider({ langPath: "/data/tessdata" })
+
+    const data = await provider.analyze(writePng("receipt.png", 640, 1200))
+
+    expect(data.fields.total).toBe(12.34)
+    expect(data.fieldMeta.vendor.confidence).toBeCloseTo(0.9)
+    expect(data.pages).toEqual([{ pageNumber: 1, width: 640, height: 1200, unit: "pixel" }])
+    expect(data.confidence).toBeCloseTo(0.9)
+    expect(createWorker).toHaveBeenCalledWith("eng", 1, { langPath: "/data/tessdata" })
+  })
+
+  test("should reuse one worker across receipts", async () => {
+    recognize.mockResolvedValue(recognized(RECEIPT))
+    const provider = new TesseractOCRProvider()
+    const file = writePng("receipt.png", 10, 10)
+
+    await provider.analyze(file)
+    await provider.analyze(file)
+
+    expect(createWorker).toHaveBeenCalledTimes(1)
+  })
+
+  test("should reject PDFs as unsupported", async () => {
+    const file = path.join(dir, "receipt.pdf")
+    fs.writeFileSync(file, "%PDF-1.4 fake")
+
+    await expect(new TesseractOCRProvider().analyze(file)).rejects.toMatchObject({
+      code: OCR_ERROR_CODES.UNSUPPORTED_FILE,
+    })
+  })
+
+  test("should report a service error when recognition fails", async () => {
+    recognize.mockRejectedValue(new Error("worker crashed"))
+
+    await expect(
+      new TesseractOCRProvider().analyze(writePng("receipt.png", 10, 10)),
+    ).rejects.toMatchObject({ code: OCR_ERROR_CODES.SERVICE_ERROR })
+  })
+})
@@ -0,0 +1,135 @@
+import request from "supertest"
+import { jest } from "@jest/globals"
+import { UploadJobs } from "../src/services/uploadJobs.js"
+import { OCRError, OCR_ERROR_CODES } from "../src/services/ocrService.js"
+import { mockFileType } from "./mocks.js"
+
+await mockFileType()
+
+process.env.AUTH_BYPASS = "true"
+process.env.NODE_ENV = "test"
+process.env.OCR_MOCK = "true"
+process.env.STORE_TYPE = "memory"
+
+const { default: app } = await import("../src/server.js")
+
+async function waitForJob(jobId) {
+  for (let i = 0; i < 50; i++) {
+    const res = await request(app).get(`/api/jobs/${jobId}`).expect(200)
+    if (res.body.status === "completed") return res.body
+    await new Promise((resolve) => setTimeout(resolve, 20))
+  }
+  throw new Error("Job did not complete")
+}
+
+describe("UploadJobs", () => {
+  const files = [
+    { id: "a", file: "a.jpg", secureFile: "a.jpg" },
+    { id: "b", file: "b.jpg", secureFile: "b.jpg" },
+  ]
+
+  test("should queue every file when a job is created", () => {
+    const jobs = new UploadJobs()
+    const job = jobs.create("batch-1-x", files)
+
+    expect(job.status).toBe("queued")
+    expect(job.files.map((f) => f.state)).toEqual(["queued", "queued"])
+  })
+
+  test("should record success and failure per file", async () => {
+    const jobs = new UploadJobs()
+    const job = jobs.create("batch-1-x", files)
+    jest.spyOn(console, "error").mockImplementation(() => {})
+
+    const done = await jobs.run(job.id, async (entry) => {
+      if (entry.id === "b") throw new Error("boom")
+      return { vendor: "Cafe" }
+    })
+
+    expect(done.status).toBe("completed")
+    expect(done.files[0]).toMatchObject({ state: "succeeded", data: { vendor: "Cafe" } })
+    expect(done.files[1]).toMatchObject({
+      state: "failed",
+      error: { code: "service_error", message: "OCR processing failed" },
+    })
+    console.error.mockRestore()
+  })
+
+  test("should keep reason codes and partial data from OCR errors", async () => {
+    const jobs = new UploadJobs()
+    const job = jobs.create("batch-1-x", files.slice(0, 1))
+    jest.spyOn(console, "error").mockImplementation(() => {})
+
+    const done = await jobs.run(job.id, async () => {
+      throw new OCRError(OCR_ERROR_CODES.LOW_CONFIDENCE, { data: { vendor: "C4fe" } })
+    })
+
+    expect(done.files[0]).toMatchObject({
+      state: "failed",
+      data: { vendor: "C4fe" },
+      error: { code: "low_confidence" },
+    })
+    console.error.mockRestore()
+  })
+
+  test("should notify subscribers of each state change", async () => {
+    const jobs = new UploadJobs()
+    const job = jobs.create("batch-1-x", files.slice(0, 1))
+    const states = []
+    const unsubscribe = jobs.subscribe(job.id, (snapshot) =>
+      states.push(snapshot.files[0].state),
+    )
+
+    await jobs.run(job.id, async () => ({}))
+    unsubscribe()
+
+    expect(states).toEqual(["running", "succeeded", "succeeded"])
+  })
+})
+
+describe("Job endpoints", () => {
+  test("should return a job id immediately and complete in the background", async () => {
+    const upload = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data"), "receipt.jpg")
+      .expect(202)
+
+    expect(upload.body.jobId).toBeDefined()
+    expect(upload.body.files[0].file).toBe("receipt.jpg")
+
+    const job = await waitForJob(upload.body.jobId)
+    expect(job.batchId).toBe(upload.body.batchId)
+    expect(job.files[0].state).toBe("succeeded")
+    expect(job.files[0].data).toBeDefined()
+  })
+
+  test("should stream job snapshots as server-sent events", async () => {
+    const upload = await request(app)
+      .post("/api/upload")
+      .attach("files", Buffer.from("fake-image-data"), "receipt.jpg")
+      .expect(202)
+
+    const res = await request(app)
+      .get(`/api/jobs/${upload.body.jobId}/events`)
+      .buffer(true)
+      .parse((response, cb) => {
+        let text = ""
+        response.on("data", (chunk) => (text += chunk))
+        response.on("end", () => cb(null, text))
+      })
+      .expect(200)
+
+    expect(res.headers["content-type"]).toContain("text/event-stream")
+    const events = res.body
+      .split("\n\n")
+      .filter((frame) => frame.startsWith("event: job"))
+      .map((frame) => JSON.parse(frame.split("data: ")[1]))
+    expect(events.length).toBeGreaterThan(0)
+    expect(events[events.length - 1].status).toBe("completed")
+  })
+
+  test("should return 404 for unknown jobs", async () => {
+    await request(app).get("/api/jobs/does-not-exist").expect(404)
+    await request(app).get("/api/jobs/does-not-exist/events").expect(404)
+  })
+})
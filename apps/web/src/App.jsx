@@ -4,7 +4,12 @@ import Upload from './pages/UploadPage.jsx'
 import Review from './pages/ReviewPage.jsx'
 import Signature from './pages/SignaturePage.jsx'
 import Submit from './pages/SubmitPage.jsx'
-import { initMsal } from './msal.js'
+import Drafts from './pages/DraftsPage.jsx'
+import History from './pages/HistoryPage.jsx'
+import Approvals from './pages/ApprovalsPage.jsx'
+import Exports from './pages/ExportsPage.jsx'
+import { getToken, initMsal } from './msal.js'
+import { fetchMe } from './approvals.js'
 import { ReceiptProvider } from './receiptContext.jsx'
 import ErrorBoundary from './components/ErrorBoundary.jsx'
 
@@ -27,6 +32,10 @@ export default function App() {
                 <Route path="/review" element={<Review />} />
                 <Route path="/signature" element={<Signature />} />
                 <Route path="/submit" element={<Submit />} />
+                <Route path="/drafts" element={<Drafts />} />
+                <Route path="/history" element={<History />} />
+                <Route path="/approvals" element={<Approvals />} />
+                <Route path="/exports" element={<Exports />} />
               </Routes>
             </ErrorBoundary>
           </main>
@@ -38,12 +47,31 @@ export default function App() {
 
 function NavBar() {
   const [open, setOpen] = useState(false)
+  const [canApprove, setCanApprove] = useState(false)
+
+  // The approvals link is only shown to approvers and finance
+  useEffect(() => {
+    let cancelled = false
+    getToken()
+      .then(fetchMe)
+      .then(({ permissions }) => {
+        if (!cancelled) setCanApprove(permissions.approve || permissions.reimburse)
+      })
+      .catch((error) => console.warn('Could not load permissions:', error?.message || error))
+    return () => {
+      cancelled = true
+    }
+  }, [])
 
   const links = [
     { to: '/', label: 'Upload', variant: 'primary' },
     { to: '/review', label: 'Review', variant: 'secondary' },
     { to: '/signature', label: 'Signature', variant: 'secondary' },
     { to: '/submit', label: 'Submit', variant: 'primary' },
+    { to: '/drafts', label: 'My drafts', variant: 'tertiary' },
+    { to: '/history', label: 'History', variant: 'tertiary' },
+    ...(canApprove ? [{ to: '/approvals', label: 'Approvals', variant: 'tertiary' }] : []),
+    { to: '/exports', label: 'Exports', variant: 'tertiary' },
   ]
 
   return (
@@ -76,7 +104,7 @@ function NavBar() {
         id="main-menu"
         className={`${
           open
-            ? 'max-h-40 opacity-100 visible sm:block'
+            ? 'max-h-96 opacity-100 visible sm:block'
             : 'max-h-0 opacity-0 invisible sm:hidden'
         } md:opacity-100 md:max-h-none md:visible md:flex md:flex-row transition-all duration-300 ease-in-out overflow-hidden flex flex-col md:space-x-4 items-center space-y-2 md:space-y-0 mt-2 md:mt-0`}
       >
@@ -0,0 +1,70 @@
+// apps/web/src/approvals.js
+// Approval workflow: who the signed-in user is, the approver and finance
+// queues, status changes and PDF reports of submitted receipts.
+
+import axios from 'axios'
+import { saveResponse } from './download.js'
+
+const authHeaders = token => ({ Authorization: `Bearer ${token}` })
+
+export const STATUS_LABELS = {
+  submitted: 'Awaiting approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  reimbursed: 'Reimbursed',
+}
+
+/**
+ * Signed-in user with the permissions granted by their app roles
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - { oid, name, upn, roles, permissions: { approve, reimburse } }
+ */
+export async function fetchMe(token) {
+  const res = await axios.get('/api/me', { headers: authHeaders(token) })
+  return res.data
+}
+
+/**
+ * List a queue, oldest first
+ * @param {string} status - 'submitted' (to approve) or 'approved' (to reimburse)
+ * @param {string} token - Bearer token
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listQueue(status, token) {
+  const res = await axios.get('/api/approvals', {
+    params: { status },
+    headers: authHeaders(token),
+  })
+  return res.data.submissions || []
+}
+
+/**
+ * Approve, reject or reimburse a submission
+ * @param {string} id - Submission id
+ * @param {string} action - 'approve', 'reject' or 'reimburse'
+ * @param {string} comment - Required when rejecting
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - Updated submission
+ */
+export async function updateStatus(id, action, comment, token) {
+  const res = await axios.post(
+    `/api/approvals/${encodeURIComponent(id)}/${action}`,
+    { comment: comment || undefined },
+    { headers: authHeaders(token) },
+  )
+  return res.data
+}
+
+/**
+ * Download the PDF expense report of a submission
+ * @param {string} id - Submission id
+ * @param {string} token - Bearer token
+ * @returns {Promise<void>}
+ */
+export async function downloadReport(id, token) {
+  const res = await axios.get(`/api/submissions/${encodeURIComponent(id)}/report`, {
+    headers: authHeaders(token),
+    responseType: 'blob',
+  })
+  saveResponse(res, 'expense-report.pdf')
+}
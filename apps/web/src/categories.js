@@ -0,0 +1,14 @@
+// apps/web/src/categories.js
+// Expense categories configured on the server, each with its GL code.
+
+import axios from 'axios'
+
+/**
+ * List the expense categories receipts can be filed under
+ * @param {string} token - Bearer token
+ * @returns {Promise<Array<Object>>} - [{ id, label, glCode }]
+ */
+export async function listCategories(token) {
+  const res = await axios.get('/api/categories', { headers: { Authorization: `Bearer ${token}` } })
+  return res.data.categories || []
+}
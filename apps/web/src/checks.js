@@ -0,0 +1,71 @@
+// apps/web/src/checks.js
+// Client copy of the server's arithmetic checks (apps/server/src/services/consistency.js)
+// so mismatches show up while the user is still editing.
+
+const TOLERANCE = 0.02
+
+const round = n => Math.round(n * 100) / 100
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value !== 'string' || value.trim() === '') return null
+  const n = Number(value.trim())
+  return Number.isFinite(n) ? n : null
+}
+
+/**
+ * Check that subtotal + tax = total, that line items sum to the subtotal and
+ * that each line's quantity × unit price matches its line total
+ * @param {Object} fields - Receipt fields as edited on the review page
+ * @returns {Array<Object>} - Issues as { code, fields, message }
+ */
+export function checkTotals(fields = {}) {
+  const issues = []
+  const subtotal = toNumber(fields.subtotal)
+  const tax = toNumber(fields.tax)
+  const total = toNumber(fields.total)
+  const items = Array.isArray(fields.items) ? fields.items : []
+  const differs = (a, b) => Math.abs(a - b) > TOLERANCE + 1e-9
+
+  if (subtotal !== null && tax !== null && total !== null) {
+    const expected = round(subtotal + tax)
+    if (differs(expected, total)) {
+      issues.push({
+        code: 'total_mismatch',
+        fields: ['subtotal', 'tax', 'total'],
+        message: `Subtotal + tax is ${expected.toFixed(2)} but total is ${total.toFixed(2)}`,
+      })
+    }
+  }
+
+  const lineTotals = items.map(item => toNumber(item.totalPrice)).filter(n => n !== null)
+  const target = subtotal !== null ? subtotal : tax === null ? total : null
+  if (lineTotals.length > 0 && target !== null) {
+    const sum = round(lineTotals.reduce((a, b) => a + b, 0))
+    const field = subtotal !== null ? 'subtotal' : 'total'
+    if (differs(sum, target)) {
+      issues.push({
+        code: 'items_mismatch',
+        fields: ['items', field],
+        message: `Line items add up to ${sum.toFixed(2)} but ${field} is ${target.toFixed(2)}`,
+      })
+    }
+  }
+
+  items.forEach((item, i) => {
+    const quantity = toNumber(item.quantity)
+    const unitPrice = toNumber(item.unitPrice)
+    const totalPrice = toNumber(item.totalPrice)
+    if (quantity === null || unitPrice === null || totalPrice === null) return
+    const expected = round(quantity * unitPrice)
+    if (differs(expected, totalPrice)) {
+      issues.push({
+        code: 'line_mismatch',
+        fields: [`items.${i}.totalPrice`],
+        message: `Line ${i + 1}: ${quantity} × ${unitPrice.toFixed(2)} is ${expected.toFixed(2)} but line total is ${totalPrice.toFixed(2)}`,
+      })
+    }
+  })
+
+  return issues
+}
@@ -0,0 +1,200 @@
+import React, { useEffect, useRef, useState } from 'react'
+
+const MIN_ZOOM = 0.5
+const MAX_ZOOM = 5
+const ZOOM_STEP = 1.25
+
+/**
+ * Viewer for the receipts in a batch: zoom, pan and rotate for images, page
+ * navigation for PDFs, and the OCR bounding regions of the focused field drawn
+ * on top. Polygons are in the page's own units (pixels or inches), so the
+ * overlay uses the page size as its viewBox and stretches over the content.
+ */
+export default function ReceiptViewer({ files = [], activeIndex = 0, onSelectFile, pages = [], regions = [] }) {
+  const file = files[activeIndex]
+  const isPdf = file?.type === 'application/pdf'
+
+  const [url, setUrl] = useState(null)
+  const [pdfDoc, setPdfDoc] = useState(null)
+  const [pageNumber, setPageNumber] = useState(1)
+  const [zoom, setZoom] = useState(1)
+  const [rotation, setRotation] = useState(0)
+  const [pan, setPan] = useState({ x: 0, y: 0 })
+  const [loadError, setLoadError] = useState('')
+  const canvasRef = useRef(null)
+  const dragRef = useRef(null)
+
+  // Reset the view whenever a different file is shown
+  useEffect(() => {
+    setPageNumber(1)
+    resetView()
+    setLoadError('')
+    setPdfDoc(null)
+    if (!file) return undefined
+
+    const objectUrl = URL.createObjectURL(file)
+    setUrl(objectUrl)
+    return () => URL.revokeObjectURL(objectUrl)
+  }, [file])
+
+  useEffect(() => {
+    if (!file || !isPdf) return undefined
+    let cancelled = false
+    import('../pdf.js')
+      .then(({ loadPdf }) => loadPdf(file))
+      .then(doc => { if (!cancelled) setPdfDoc(doc) })
+      .catch(err => {
+        console.error('PDF load error:', err)
+        if (!cancelled) setLoadError('Could not display this PDF.')
+      })
+    return () => { cancelled = true }
+  }, [file, isPdf])
+
+  useEffect(() => {
+    if (!pdfDoc || !canvasRef.current) return
+    import('../pdf.js')
+      .then(({ renderPage }) => renderPage(pdfDoc, pageNumber, canvasRef.current))
+      .catch(err => console.error('PDF render error:', err))
+  }, [pdfDoc, pageNumber])
+
+  // Jump to the page holding the focused field
+  const regionPage = regions[0]?.pageNumber
+  useEffect(() => {
+    if (regionPage) setPageNumber(regionPage)
+  }, [regionPage])
+
+  function resetView() {
+    setZoom(1)
+    setRotation(0)
+    setPan({ x: 0, y: 0 })
+  }
+
+  function onPointerDown(e) {
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = { x: e.clientX - pan.x, y: e.clientY - pan.y }
+  }
+
+  function onPointerMove(e) {
+    if (!dragRef.current) return
+    setPan({ x: e.clientX - dragRef.current.x, y: e.clientY - dragRef.current.y })
+  }
+
+  function onPointerUp() {
+    dragRef.current = null
+  }
+
+  if (!file) {
+    return <p className='text-sm text-gray-400'>Original files are not available.</p>
+  }
+
+  const pageCount = isPdf ? pdfDoc?.numPages || 1 : 1
+  const page = pages.find(p => p.pageNumber === pageNumber)
+  const pageRegions = regions.filter(r => (r.pageNumber || 1) === pageNumber)
+
+  return (
+    <div>
+      {files.length > 1 && (
+        <div className='flex flex-wrap gap-2 mb-2' role='tablist' aria-label='Receipt files'>
+          {files.map((f, index) => (
+            <button
+              key={`${f.name}-${index}`}
+              role='tab'
+              aria-selected={index === activeIndex}
+              className={`text-xs sm:text-sm px-2 py-1 rounded border ${index === activeIndex ? 'border-cyan-500 text-cyan-500' : 'border-gray-600 text-gray-300'}`}
+              onClick={() => onSelectFile?.(index)}
+            >
+              {f.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className='flex flex-wrap items-center gap-2 mb-2 text-sm'>
+        <ToolbarButton label='Zoom out' onClick={() => setZoom(z => Math.max(MIN_ZOOM, z / ZOOM_STEP))}>−</ToolbarButton>
+        <span className='w-12 text-center'>{Math.round(zoom * 100)}%</span>
+        <ToolbarButton label='Zoom in' onClick={() => setZoom(z => Math.min(MAX_ZOOM, z * ZOOM_STEP))}>+</ToolbarButton>
+        <ToolbarButton label='Rotate' onClick={() => setRotation(r => (r + 90) % 360)}>⟳</ToolbarButton>
+        <ToolbarButton label='Reset view' onClick={resetView}>Reset</ToolbarButton>
+        {isPdf && (
+          <span className='flex items-center gap-2 ml-auto'>
+            <ToolbarButton label='Previous page' disabled={pageNumber <= 1} onClick={() => setPageNumber(n => n - 1)}>‹</ToolbarButton>
+            <span>Page {pageNumber} / {pageCount}</span>
+            <ToolbarButton label='Next page' disabled={pageNumber >= pageCount} onClick={() => setPageNumber(n => n + 1)}>›</ToolbarButton>
+          </span>
+        )}
+      </div>
+
+      <div
+        className='relative overflow-hidden rounded border border-gray-600 bg-gray-900 h-[60vh] md:h-[75vh] cursor-grab active:cursor-grabbing touch-none select-none'
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        {loadError && <p className='p-4 text-sm text-red-400'>{loadError}</p>}
+        <div
+          className='relative w-full'
+          style={{
+            transform: `translate(${pan.x}px, ${pan.y}px) rotate(${rotation}deg) scale(${zoom})`,
+            transformOrigin: 'center center',
+          }}
+        >
+          {isPdf ? (
+            <canvas ref={canvasRef} className='block w-full h-auto bg-white' />
+          ) : (
+            url && (
+              <img
+                src={url}
+                alt={`Receipt ${file.name}`}
+                draggable={false}
+                className='block w-full h-auto'
+                // e.g. HEIC and TIFF outside Safari; the server still reads them
+                onError={() => setLoadError('This browser cannot display this file. The server can still read it.')}
+              />
+            )
+          )}
+          {page?.width && page?.height && pageRegions.length > 0 && (
+            <svg
+              className='absolute inset-0 w-full h-full pointer-events-none'
+              viewBox={`0 0 ${page.width} ${page.height}`}
+              preserveAspectRatio='none'
+              aria-hidden='true'
+            >
+              {pageRegions.map((r, i) => (
+                <polygon
+                  key={i}
+                  points={toPoints(r.polygon)}
+                  fill='rgba(6, 182, 212, 0.25)'
+                  stroke='rgb(6, 182, 212)'
+                  strokeWidth={page.width / 200}
+                />
+              ))}
+            </svg>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function ToolbarButton({ label, children, ...props }) {
+  return (
+    <button
+      type='button'
+      aria-label={label}
+      title={label}
+      className='min-w-8 px-2 py-1 rounded border border-gray-600 hover:border-cyan-500 disabled:opacity-40 focus:outline-none focus:ring-2 focus:ring-cyan-500'
+      {...props}
+    >
+      {children}
+    </button>
+  )
+}
+
+function toPoints(polygon = []) {
+  const points = []
+  for (let i = 0; i + 1 < polygon.length; i += 2) {
+    points.push(`${polygon[i]},${polygon[i + 1]}`)
+  }
+  return points.join(' ')
+}
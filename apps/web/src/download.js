@@ -0,0 +1,35 @@
+// apps/web/src/download.js
+// Saving files the API returns, e.g. expense reports and accounting exports.
+
+/**
+ * Save a blob response as a file, named after its Content-Disposition
+ * @param {Object} res - axios response requested with responseType 'blob'
+ * @param {string} fallbackName - File name when the server gives none
+ */
+export function saveResponse(res, fallbackName) {
+  const name = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '')?.[1] || fallbackName
+  const url = URL.createObjectURL(res.data)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Error bodies of blob requests arrive as blobs too; read the JSON message
+ * back so callers can show it like any other API error
+ * @param {Error} err - axios error
+ * @returns {Promise<Error>} - The same error with response.data parsed
+ */
+export async function readBlobError(err) {
+  const data = err?.response?.data
+  if (data instanceof Blob) {
+    try {
+      err.response.data = JSON.parse(await data.text())
+    } catch {
+      err.response.data = {}
+    }
+  }
+  return err
+}
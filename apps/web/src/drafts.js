@@ -0,0 +1,100 @@
+// apps/web/src/drafts.js
+// Server-side drafts keyed by batch id, so a review can be resumed after a
+// reload or on another device.
+
+import axios from 'axios'
+
+const authHeaders = token => ({ Authorization: `Bearer ${token}` })
+
+/**
+ * Save the review state of a batch. File objects cannot be stored, so only
+ * their names are kept; the files themselves stay in the server batch.
+ * @param {string} batchId - Batch the receipts were uploaded in
+ * @param {Object} state - { receipts, files, signatureDataUrl, signature } from the receipt context
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - { id, updatedAt }
+ */
+export async function saveDraft(batchId, { receipts, files, signatureDataUrl, signature }, token) {
+  const payload = {
+    receipts,
+    files: files.map(f => ({ name: f.name, type: f.type, size: f.size })),
+    signatureDataUrl: signatureDataUrl || null,
+    signature: signature || null,
+  }
+  const res = await axios.put(`/api/receipts/${encodeURIComponent(batchId)}`, payload, {
+    headers: authHeaders(token),
+  })
+  return res.data
+}
+
+/**
+ * List the signed-in user's drafts, most recent first
+ * @param {string} token - Bearer token
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listDrafts(token) {
+  const res = await axios.get('/api/drafts', { headers: authHeaders(token) })
+  return res.data.drafts || []
+}
+
+/**
+ * Load a draft together with its original files
+ * @param {string} id - Draft (batch) id
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - { batchId, receipts, files, signatureDataUrl, signature }
+ */
+export async function loadDraft(id, token) {
+  const res = await axios.get(`/api/receipts/${encodeURIComponent(id)}`, {
+    headers: authHeaders(token),
+  })
+  const draft = res.data
+  const files = []
+  const receipts = []
+
+  for (const receipt of [...draft.receipts].sort((a, b) => (a.fileIndex ?? 0) - (b.fileIndex ?? 0))) {
+    const meta = draft.files?.[receipt.fileIndex] || {}
+    try {
+      const blob = await axios.get(
+        `/api/batches/${encodeURIComponent(id)}/files/${encodeURIComponent(receipt.id)}`,
+        { headers: authHeaders(token), responseType: 'blob' },
+      )
+      files.push(new File([blob.data], meta.name || receipt.file, { type: meta.type || blob.data.type }))
+      receipts.push({ ...receipt, fileIndex: files.length - 1 })
+    } catch (err) {
+      // The review can still be finished without the image
+      console.warn(`Original file for ${receipt.file} is not available:`, err?.message || err)
+      receipts.push({ ...receipt, fileIndex: -1 })
+    }
+  }
+
+  return {
+    batchId: draft.id,
+    receipts,
+    files,
+    signatureDataUrl: draft.signatureDataUrl || null,
+    signature: draft.signature || null,
+  }
+}
+
+/**
+ * Discard a draft and its uploaded files
+ * @param {string} id - Draft (batch) id
+ * @param {string} token - Bearer token
+ */
+export async function deleteDraft(id, token) {
+  await axios.delete(`/api/receipts/${encodeURIComponent(id)}`, { headers: authHeaders(token) })
+}
+
+/**
+ * Drop one receipt's file from an uploaded batch, e.g. a duplicate removed
+ * during review; the server rejects submissions that leave files unclaimed
+ * @param {string} batchId - Batch the file was uploaded in
+ * @param {string} receiptId - Receipt id of the file
+ * @param {string} token - Bearer token
+ */
+export async function removeBatchFile(batchId, receiptId, token) {
+  await axios.delete(
+    `/api/batches/${encodeURIComponent(batchId)}/files/${encodeURIComponent(receiptId)}`,
+    { headers: authHeaders(token) },
+  )
+}
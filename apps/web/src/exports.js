@@ -0,0 +1,36 @@
+// apps/web/src/exports.js
+// Accounting exports of submitted receipts as CSV, OFX or QuickBooks IIF.
+
+import axios from 'axios'
+import { readBlobError, saveResponse } from './download.js'
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV (spreadsheet)' },
+  { id: 'ofx', label: 'OFX (bank statement)' },
+  { id: 'iif', label: 'QuickBooks IIF' },
+]
+
+/**
+ * Download an export
+ * @param {Object} filters - { format, from, to, user, status }; empty values are ignored
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - { count, skipped }: receipts exported, and left out for lacking a total
+ */
+export async function downloadExport(filters, token) {
+  const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v))
+  let res
+  try {
+    res = await axios.get('/api/exports', {
+      params,
+      headers: { Authorization: `Bearer ${token}` },
+      responseType: 'blob',
+    })
+  } catch (err) {
+    throw await readBlobError(err)
+  }
+  saveResponse(res, `receipts.${params.format || 'csv'}`)
+  return {
+    count: Number(res.headers['x-export-count'] || 0),
+    skipped: Number(res.headers['x-export-skipped'] || 0),
+  }
+}
@@ -0,0 +1,64 @@
+// apps/web/src/history.js
+// The signed-in user's submitted receipts: search, details, stored attachments and delivery.
+
+import axios from 'axios'
+import { readBlobError, saveResponse } from './download.js'
+
+const authHeaders = token => ({ Authorization: `Bearer ${token}` })
+
+/**
+ * Search submitted receipts, newest first
+ * @param {Object} filters - { q, from, to, minAmount, maxAmount, category, status, page, pageSize };
+ *   empty values are ignored
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - { receipts, total, page, pageSize }
+ */
+export async function searchReceipts(filters, token) {
+  const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== '' && v != null))
+  const res = await axios.get('/api/submissions/search', { params, headers: authHeaders(token) })
+  return res.data
+}
+
+/**
+ * Load one submission with its status history and attachments
+ * @param {string} id - Submission id
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>}
+ */
+export async function getSubmission(id, token) {
+  const res = await axios.get(`/api/submissions/${encodeURIComponent(id)}`, { headers: authHeaders(token) })
+  return res.data
+}
+
+/**
+ * Download a file attached to a submitted receipt
+ * @param {string} id - Submission id
+ * @param {string} name - Attachment name
+ * @param {string} token - Bearer token
+ * @returns {Promise<void>}
+ */
+export async function downloadAttachment(id, name, token) {
+  let res
+  try {
+    res = await axios.get(
+      `/api/submissions/${encodeURIComponent(id)}/attachments/${encodeURIComponent(name)}`,
+      { headers: authHeaders(token), responseType: 'blob' },
+    )
+  } catch (err) {
+    throw await readBlobError(err)
+  }
+  saveResponse(res, name)
+}
+
+/**
+ * Try delivering a submission that gave up again
+ * @param {string} id - Submission id
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - Delivery status with its steps
+ */
+export async function retryDelivery(id, token) {
+  const res = await axios.post(`/api/submissions/${encodeURIComponent(id)}/delivery/retry`, null, {
+    headers: authHeaders(token),
+  })
+  return res.data
+}
@@ -0,0 +1,68 @@
+// apps/web/src/jobs.js
+
+import axios from 'axios'
+
+const POLL_INTERVAL = 2000
+
+/**
+ * Follow an upload job until it completes.
+ * EventSource cannot send an Authorization header, so the SSE stream is read
+ * with fetch. If streaming is unavailable we fall back to polling.
+ * @param {string} jobId - Job id returned by /api/upload
+ * @param {string} token - Bearer token
+ * @param {Function} onUpdate - Called with every job snapshot
+ * @returns {Promise<Object>} - Final job snapshot
+ */
+export async function watchJob(jobId, token, onUpdate) {
+  try {
+    const final = await streamJob(jobId, token, onUpdate)
+    if (final?.status === 'completed') return final
+  } catch (err) {
+    console.warn('Job stream failed, falling back to polling:', err?.message || err)
+  }
+  return pollJob(jobId, token, onUpdate)
+}
+
+async function streamJob(jobId, token, onUpdate) {
+  const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/events`, {
+    headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+  })
+  if (!res.ok || !res.body) throw new Error(`Job stream failed: ${res.status}`)
+
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let last = null
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+
+    let sep
+    while ((sep = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, sep)
+      buffer = buffer.slice(sep + 2)
+      const data = frame
+        .split('\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => line.slice(6))
+        .join('\n')
+      if (!data) continue
+      last = JSON.parse(data)
+      onUpdate(last)
+    }
+  }
+  return last
+}
+
+async function pollJob(jobId, token, onUpdate) {
+  while (true) {
+    const res = await axios.get(`/api/jobs/${encodeURIComponent(jobId)}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+    onUpdate(res.data)
+    if (res.data.status === 'completed') return res.data
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL))
+  }
+}
@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react'
+import { getToken } from '../msal.js'
+import { downloadReport, fetchMe, listQueue, STATUS_LABELS, updateStatus } from '../approvals.js'
+import Alert from '../components/Alert.jsx'
+
+const QUEUES = [
+  { status: 'submitted', label: 'Awaiting approval', permission: 'approve' },
+  { status: 'approved', label: 'Awaiting reimbursement', permission: 'reimburse' },
+]
+
+export default function ApprovalsPage() {
+  const [permissions, setPermissions] = useState(null)
+  const [queue, setQueue] = useState(null)
+  const [submissions, setSubmissions] = useState(null)
+  const [comments, setComments] = useState({})
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    getToken()
+      .then(fetchMe)
+      .then(me => {
+        if (cancelled) return
+        setPermissions(me.permissions)
+        const first = QUEUES.find(q => me.permissions[q.permission])
+        setQueue(first?.status || null)
+      })
+      .catch(err => {
+        console.error('Load user error:', err)
+        if (!cancelled) {
+          setPermissions({})
+          setError(err?.response?.data?.message || 'Your permissions could not be loaded.')
+        }
+      })
+    return () => { cancelled = true }
+  }, [])
+
+  useEffect(() => {
+    if (!queue) return
+    let cancelled = false
+    setSubmissions(null)
+    getToken()
+      .then(token => listQueue(queue, token))
+      .then(list => { if (!cancelled) setSubmissions(list) })
+      .catch(err => {
+        console.error('Load approvals error:', err)
+        if (!cancelled) {
+          setSubmissions([])
+          setError(err?.response?.data?.message || 'Submissions could not be loaded.')
+        }
+      })
+    return () => { cancelled = true }
+  }, [queue])
+
+  async function onAction(submission, action) {
+    const comment = comments[submission.id] || ''
+    if (action === 'reject' && !comment.trim()) {
+      setError('Add a comment explaining why the receipt is rejected.')
+      return
+    }
+    setBusyId(submission.id); setError(''); setNotice('')
+    try {
+      const token = await getToken()
+      const updated = await updateStatus(submission.id, action, comment, token)
+      setSubmissions(prev => prev.filter(s => s.id !== submission.id))
+      setNotice(`${submission.fields.vendor || 'Receipt'}: ${STATUS_LABELS[updated.status].toLowerCase()}.`)
+    } catch (err) {
+      console.error('Update approval error:', err)
+      setError(err?.response?.data?.message || 'The status could not be updated.')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  async function onDownload(submission) {
+    try {
+      await downloadReport(submission.id, await getToken())
+    } catch (err) {
+      console.error('Download report error:', err)
+      setError('The expense report could not be downloaded.')
+    }
+  }
+
+  const available = QUEUES.filter(q => permissions?.[q.permission])
+
+  return (
+    <div className='max-w-screen w-full px-4 mx-auto'>
+      {error && (
+        <Alert type='error' className='mb-4 sm:mb-6 md:mb-8'>
+          {error}
+        </Alert>
+      )}
+      {notice && (
+        <Alert type='success' className='mb-4 sm:mb-6 md:mb-8'>
+          {notice}
+        </Alert>
+      )}
+      <h2 className='text-xl sm:text-2xl md:text-3xl mb-4 sm:mb-6'>Approvals</h2>
+      {permissions === null && <p className='text-sm sm:text-base'>Loading…</p>}
+      {permissions && available.length === 0 && !error && (
+        <p className='text-sm sm:text-base'>You do not have an approver or finance role.</p>
+      )}
+      {available.length > 1 && (
+        <div className='flex gap-2 mb-4' role='tablist'>
+          {available.map(q => (
+            <button
+              key={q.status}
+              role='tab'
+              aria-selected={queue === q.status}
+              className={queue === q.status ? 'btn-primary' : 'btn-tertiary'}
+              onClick={() => { setQueue(q.status); setNotice('') }}
+            >
+              {q.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {queue && submissions === null && <p className='text-sm sm:text-base'>Loading submissions…</p>}
+      {submissions?.length === 0 && (
+        <p className='text-sm sm:text-base'>Nothing is waiting for you.</p>
+      )}
+      {submissions?.length > 0 && (
+        <ul className='space-y-2 sm:space-y-3'>
+          {submissions.map(submission => (
+            <li key={submission.id} className='flex flex-col gap-2 p-3 border rounded'>
+              <div className='flex flex-col sm:flex-row sm:items-center justify-between gap-2'>
+                <div>
+                  <div className='font-semibold text-sm sm:text-base'>
+                    {submission.fields.vendor || 'Unknown vendor'} • {formatTotal(submission.fields)}
+                    {submission.conversion && submission.conversion.originalCurrency !== submission.conversion.currency && (
+                      <span className='font-normal text-gray-400'>
+                        {` (${submission.conversion.amount.toFixed(2)} ${submission.conversion.currency} at ${submission.conversion.rate})`}
+                      </span>
+                    )}
+                  </div>
+                  <div className='text-xs sm:text-sm text-gray-400'>
+                    {submission.ownerName || 'Unknown submitter'}
+                    {submission.fields.transactionDate && ` • ${submission.fields.transactionDate}`}
+                    {` • Submitted ${new Date(submission.submittedAt).toLocaleString()}`}
+                  </div>
+                  {submission.overrideReason && (
+                    <div className='text-xs sm:text-sm text-yellow-400'>
+                      Totals overridden: {submission.overrideReason}
+                    </div>
+                  )}
+                  {submission.policyWarnings?.length > 0 && (
+                    <div className='text-xs sm:text-sm text-yellow-400'>
+                      Policy: {submission.policyWarnings.map(v => v.message).join('; ')}
+                      {submission.justification && ` — Justification: ${submission.justification}`}
+                    </div>
+                  )}
+                </div>
+                <div className='flex gap-2'>
+                  <button className='btn-tertiary' onClick={() => onDownload(submission)}>
+                    Report
+                  </button>
+                  {queue === 'submitted' ? (
+                    <>
+                      <button className='btn-primary' onClick={() => onAction(submission, 'approve')} disabled={busyId !== null}>
+                        {busyId === submission.id ? 'Saving…' : 'Approve'}
+                      </button>
+                      <button className='btn-tertiary' onClick={() => onAction(submission, 'reject')} disabled={busyId !== null}>
+                        Reject
+                      </button>
+                    </>
+                  ) : (
+                    <button className='btn-primary' onClick={() => onAction(submission, 'reimburse')} disabled={busyId !== null}>
+                      {busyId === submission.id ? 'Saving…' : 'Mark reimbursed'}
+                    </button>
+                  )}
+                </div>
+              </div>
+              <textarea
+                aria-label='Comment'
+                className='w-full p-1 sm:p-2 rounded text-black text-sm sm:text-base'
+                rows={2}
+                maxLength={1000}
+                placeholder={queue === 'submitted' ? 'Comment (required to reject)' : 'Comment (optional)'}
+                value={comments[submission.id] || ''}
+                onChange={e => setComments(prev => ({ ...prev, [submission.id]: e.target.value }))}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+function formatTotal(fields) {
+  if (fields.total == null) return 'No total'
+  return `${Number(fields.total).toFixed(2)} ${fields.currency || ''}`.trim()
+}
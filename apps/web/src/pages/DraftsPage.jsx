@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useReceipt } from '../receiptContext.jsx'
+import { getToken } from '../msal.js'
+import { deleteDraft, listDrafts, loadDraft } from '../drafts.js'
+import Alert from '../components/Alert.jsx'
+
+export default function DraftsPage() {
+  const { restoreDraft } = useReceipt()
+  const navigate = useNavigate()
+  const [drafts, setDrafts] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    getToken()
+      .then(listDrafts)
+      .then(list => { if (!cancelled) setDrafts(list) })
+      .catch(err => {
+        console.error('Load drafts error:', err)
+        if (!cancelled) {
+          setDrafts([])
+          setError(err?.response?.data?.message || 'Drafts could not be loaded.')
+        }
+      })
+    return () => { cancelled = true }
+  }, [])
+
+  async function onOpen(id) {
+    setBusyId(id); setError('')
+    try {
+      const token = await getToken()
+      restoreDraft(await loadDraft(id, token))
+      navigate('/review')
+    } catch (err) {
+      console.error('Open draft error:', err)
+      setError(err?.response?.data?.message || 'Draft could not be opened.')
+      setBusyId(null)
+    }
+  }
+
+  async function onDelete(id) {
+    if (!window.confirm('Discard this draft and its uploaded files?')) return
+    setBusyId(id); setError('')
+    try {
+      const token = await getToken()
+      await deleteDraft(id, token)
+      setDrafts(prev => prev.filter(d => d.id !== id))
+    } catch (err) {
+      console.error('Delete draft error:', err)
+      setError(err?.response?.data?.message || 'Draft could not be discarded.')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div className='max-w-screen w-full px-4 mx-auto'>
+      {error && (
+        <Alert type='error' className='mb-4 sm:mb-6 md:mb-8'>
+          {error}
+        </Alert>
+      )}
+      <h2 className='text-xl sm:text-2xl md:text-3xl mb-4 sm:mb-6'>My drafts</h2>
+      {drafts === null && <p className='text-sm sm:text-base'>Loading drafts…</p>}
+      {drafts?.length === 0 && !error && (
+        <p className='text-sm sm:text-base'>No saved drafts. Drafts are saved automatically while you review receipts.</p>
+      )}
+      {drafts?.length > 0 && (
+        <ul className='space-y-2 sm:space-y-3'>
+          {drafts.map(draft => (
+            <li key={draft.id} className='flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3 border rounded'>
+              <div>
+                <div className='font-semibold text-sm sm:text-base'>
+                  {draft.vendors.join(', ') || draft.files.join(', ') || 'Untitled'}
+                </div>
+                <div className='text-xs sm:text-sm text-gray-400'>
+                  {draft.receiptCount} receipt(s) • Total {draft.total} • Saved {new Date(draft.updatedAt).toLocaleString()}
+                </div>
+              </div>
+              <div className='flex gap-2'>
+                <button className='btn-primary' onClick={() => onOpen(draft.id)} disabled={busyId !== null}>
+                  {busyId === draft.id ? 'Opening…' : 'Continue'}
+                </button>
+                <button className='btn-tertiary' onClick={() => onDelete(draft.id)} disabled={busyId !== null}>
+                  Discard
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react'
+import { getToken } from '../msal.js'
+import { fetchMe, STATUS_LABELS } from '../approvals.js'
+import { downloadExport, EXPORT_FORMATS } from '../exports.js'
+import Alert from '../components/Alert.jsx'
+
+export default function ExportsPage() {
+  const [filters, setFilters] = useState({ format: 'csv', from: '', to: '', user: '', status: '' })
+  const [allUsers, setAllUsers] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  // Approvers and finance export everyone's receipts and can filter by submitter
+  useEffect(() => {
+    let cancelled = false
+    getToken()
+      .then(fetchMe)
+      .then(({ permissions }) => {
+        if (!cancelled) setAllUsers(permissions.approve || permissions.reimburse)
+      })
+      .catch(err => console.warn('Could not load permissions:', err?.message || err))
+    return () => { cancelled = true }
+  }, [])
+
+  function setFilter(name, value) {
+    setFilters(prev => ({ ...prev, [name]: value }))
+  }
+
+  async function onExport(e) {
+    e.preventDefault()
+    if (filters.from && filters.to && filters.from > filters.to) {
+      setError('The start date must be on or before the end date.')
+      return
+    }
+    setBusy(true); setError(''); setNotice('')
+    try {
+      const token = await getToken()
+      const { count, skipped } = await downloadExport(allUsers ? filters : { ...filters, user: '' }, token)
+      setNotice(
+        `Exported ${count} receipt(s).` +
+          (skipped ? ` ${skipped} receipt(s) without a total were left out.` : '')
+      )
+    } catch (err) {
+      console.error('Export error:', err)
+      setError(err?.response?.data?.message || 'The export could not be created.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const inputClass = 'w-full p-1 sm:p-2 rounded text-black text-sm sm:text-base'
+
+  return (
+    <div className='max-w-screen w-full px-4 mx-auto'>
+      {error && (
+        <Alert type='error' className='mb-4 sm:mb-6 md:mb-8'>
+          {error}
+        </Alert>
+      )}
+      {notice && (
+        <Alert type='success' className='mb-4 sm:mb-6 md:mb-8'>
+          {notice}
+        </Alert>
+      )}
+      <h2 className='text-xl sm:text-2xl md:text-3xl mb-4 sm:mb-6'>Exports</h2>
+      <p className='mb-4 sm:mb-6 text-sm sm:text-base text-gray-400'>
+        {allUsers
+          ? 'Download submitted receipts for your accounting software.'
+          : 'Download your submitted receipts for your accounting software.'}{' '}
+        Receipts are filtered by their transaction date.
+      </p>
+      <form className='grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4 max-w-2xl' onSubmit={onExport}>
+        <label className='text-sm sm:text-base'>
+          Format
+          <select className={inputClass} value={filters.format} onChange={e => setFilter('format', e.target.value)}>
+            {EXPORT_FORMATS.map(f => (
+              <option key={f.id} value={f.id}>{f.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className='text-sm sm:text-base'>
+          Status
+          <select className={inputClass} value={filters.status} onChange={e => setFilter('status', e.target.value)}>
+            <option value=''>Any status</option>
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className='text-sm sm:text-base'>
+          From
+          <input type='date' className={inputClass} value={filters.from} onChange={e => setFilter('from', e.target.value)} />
+        </label>
+        <label className='text-sm sm:text-base'>
+          To
+          <input type='date' className={inputClass} value={filters.to} onChange={e => setFilter('to', e.target.value)} />
+        </label>
+        {allUsers && (
+          <label className='text-sm sm:text-base sm:col-span-2'>
+            Submitter
+            <input
+              className={inputClass}
+              placeholder='Name or user id (everyone when empty)'
+              maxLength={200}
+              value={filters.user}
+              onChange={e => setFilter('user', e.target.value)}
+            />
+          </label>
+        )}
+        <div className='sm:col-span-2'>
+          <button type='submit' className='btn-primary text-sm sm:text-base' disabled={busy}>
+            {busy ? 'Exporting…' : 'Download export'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,313 @@
+import React, { useEffect, useState } from 'react'
+import { getToken } from '../msal.js'
+import { STATUS_LABELS } from '../approvals.js'
+import { listCategories } from '../categories.js'
+import { downloadAttachment, getSubmission, retryDelivery, searchReceipts } from '../history.js'
+import Alert from '../components/Alert.jsx'
+
+// Delivery of each submission to SharePoint (or the configured destination)
+const DELIVERY_LABELS = {
+  pending: 'Delivery pending',
+  delivered: 'Delivered',
+  failed: 'Delivery failed',
+}
+
+const STEP_LABELS = {
+  create_item: 'Create item',
+  upload_attachment: 'Upload',
+}
+
+const EMPTY_FILTERS = { q: '', from: '', to: '', minAmount: '', maxAmount: '', category: '', status: '' }
+
+// Friendlier names for the files attached to every submission
+const ATTACHMENT_LABELS = {
+  'expense-report.pdf': 'Expense report (PDF)',
+  'signature.png': 'Signature (PNG)',
+  'signature.svg': 'Signature (SVG)',
+  'attestation.json': 'Attestation',
+}
+
+export default function HistoryPage() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  // Filters of the search shown, so paging keeps them while the form is edited
+  const [applied, setApplied] = useState(EMPTY_FILTERS)
+  const [page, setPage] = useState(1)
+  const [result, setResult] = useState(null)
+  const [categories, setCategories] = useState([])
+  const [openId, setOpenId] = useState(null)
+  const [details, setDetails] = useState({})
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    getToken()
+      .then(listCategories)
+      .then(list => { if (!cancelled) setCategories(list) })
+      .catch(err => console.warn('Could not load categories:', err?.message || err))
+    return () => { cancelled = true }
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+    setResult(null)
+    getToken()
+      .then(token => searchReceipts({ ...applied, page }, token))
+      .then(data => { if (!cancelled) setResult(data) })
+      .catch(err => {
+        console.error('Search receipts error:', err)
+        if (!cancelled) {
+          setResult({ receipts: [], total: 0, page: 1, pageSize: 20 })
+          setError(err?.response?.data?.message || 'Receipts could not be loaded.')
+        }
+      })
+    return () => { cancelled = true }
+  }, [applied, page])
+
+  function setFilter(name, value) {
+    setFilters(prev => ({ ...prev, [name]: value }))
+  }
+
+  function onSearch(e) {
+    e.preventDefault()
+    setError('')
+    setApplied(filters)
+    setPage(1)
+  }
+
+  function onClear() {
+    setFilters(EMPTY_FILTERS)
+    setApplied(EMPTY_FILTERS)
+    setPage(1)
+  }
+
+  async function onToggle(id) {
+    if (openId === id) {
+      setOpenId(null)
+      return
+    }
+    setOpenId(id)
+    if (details[id]) return
+    try {
+      const submission = await getSubmission(id, await getToken())
+      setDetails(prev => ({ ...prev, [id]: submission }))
+    } catch (err) {
+      console.error('Load submission error:', err)
+      setError(err?.response?.data?.message || 'The receipt could not be opened.')
+      setOpenId(null)
+    }
+  }
+
+  async function onDownload(id, name) {
+    try {
+      await downloadAttachment(id, name, await getToken())
+    } catch (err) {
+      console.error('Download attachment error:', err)
+      setError(err?.response?.data?.message || `${name} could not be downloaded.`)
+    }
+  }
+
+  async function onRetry(id) {
+    try {
+      const delivery = await retryDelivery(id, await getToken())
+      setDetails(prev => ({ ...prev, [id]: { ...prev[id], itemId: delivery.itemId, delivery } }))
+    } catch (err) {
+      console.error('Retry delivery error:', err)
+      setError(err?.response?.data?.message || 'The delivery could not be retried.')
+    }
+  }
+
+  const pages = result ? Math.max(1, Math.ceil(result.total / result.pageSize)) : 1
+  const categoryLabel = id => categories.find(c => c.id === id)?.label || id
+  const inputClass = 'w-full p-1 sm:p-2 rounded text-black text-sm sm:text-base'
+
+  return (
+    <div className='max-w-screen w-full px-4 mx-auto'>
+      {error && (
+        <Alert type='error' className='mb-4 sm:mb-6 md:mb-8'>
+          {error}
+        </Alert>
+      )}
+      <h2 className='text-xl sm:text-2xl md:text-3xl mb-4 sm:mb-6'>History</h2>
+      <form className='grid grid-cols-2 sm:grid-cols-4 gap-2 sm:gap-3 mb-4 sm:mb-6' onSubmit={onSearch}>
+        <input
+          aria-label='Search'
+          className={`${inputClass} col-span-2 sm:col-span-4`}
+          placeholder='Search vendors and line items'
+          maxLength={200}
+          value={filters.q}
+          onChange={e => setFilter('q', e.target.value)}
+        />
+        <label className='text-xs sm:text-sm'>
+          From
+          <input type='date' className={inputClass} value={filters.from} onChange={e => setFilter('from', e.target.value)} />
+        </label>
+        <label className='text-xs sm:text-sm'>
+          To
+          <input type='date' className={inputClass} value={filters.to} onChange={e => setFilter('to', e.target.value)} />
+        </label>
+        <label className='text-xs sm:text-sm'>
+          Min amount
+          <input
+            inputMode='decimal'
+            className={inputClass}
+            value={filters.minAmount}
+            onChange={e => setFilter('minAmount', e.target.value.trim())}
+          />
+        </label>
+        <label className='text-xs sm:text-sm'>
+          Max amount
+          <input
+            inputMode='decimal'
+            className={inputClass}
+            value={filters.maxAmount}
+            onChange={e => setFilter('maxAmount', e.target.value.trim())}
+          />
+        </label>
+        <label className='text-xs sm:text-sm col-span-2'>
+          Category
+          <select className={inputClass} value={filters.category} onChange={e => setFilter('category', e.target.value)}>
+            <option value=''>Any category</option>
+            {categories.map(c => (
+              <option key={c.id} value={c.id}>{c.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className='text-xs sm:text-sm col-span-2'>
+          Status
+          <select className={inputClass} value={filters.status} onChange={e => setFilter('status', e.target.value)}>
+            <option value=''>Any status</option>
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <div className='col-span-2 sm:col-span-4 flex gap-2'>
+          <button type='submit' className='btn-primary text-sm sm:text-base'>Search</button>
+          <button type='button' className='btn-tertiary text-sm sm:text-base' onClick={onClear}>Clear</button>
+        </div>
+      </form>
+
+      {result === null && <p className='text-sm sm:text-base'>Loading receipts…</p>}
+      {result?.receipts.length === 0 && !error && (
+        <p className='text-sm sm:text-base'>No submitted receipts match.</p>
+      )}
+      {result?.receipts.length > 0 && (
+        <ul className='space-y-2 sm:space-y-3'>
+          {result.receipts.map(receipt => (
+            <li key={receipt.id} className='flex flex-col gap-2 p-3 border rounded'>
+              <div className='flex flex-col sm:flex-row sm:items-center justify-between gap-2'>
+                <div>
+                  <div className='font-semibold text-sm sm:text-base'>
+                    {receipt.fields.vendor || 'Unknown vendor'} • {formatTotal(receipt.fields)}
+                  </div>
+                  <div className='text-xs sm:text-sm text-gray-400'>
+                    {STATUS_LABELS[receipt.status] || receipt.status}
+                    {receipt.fields.transactionDate && ` • ${receipt.fields.transactionDate}`}
+                    {receipt.fields.category && ` • ${categoryLabel(receipt.fields.category)}`}
+                    {` • ${receipt.itemId ? `Item ${receipt.itemId}` : 'Not delivered yet'}`}
+                  </div>
+                </div>
+                <button className='btn-secondary' aria-expanded={openId === receipt.id} onClick={() => onToggle(receipt.id)}>
+                  {openId === receipt.id ? 'Close' : 'Open'}
+                </button>
+              </div>
+              {receipt.attachments.length > 0 && (
+                <div className='flex flex-wrap gap-2'>
+                  {receipt.attachments.map(a => (
+                    <button key={a.name} className='btn-tertiary text-xs sm:text-sm' onClick={() => onDownload(receipt.id, a.name)}>
+                      {ATTACHMENT_LABELS[a.name] || `Receipt file (${a.name.split('.').pop().toUpperCase()})`}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {openId === receipt.id && (
+                details[receipt.id]
+                  ? <SubmissionDetails submission={details[receipt.id]} onRetry={() => onRetry(receipt.id)} />
+                  : <p className='text-xs sm:text-sm'>Loading…</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {result && pages > 1 && (
+        <div className='flex items-center gap-2 mt-4'>
+          <button className='btn-tertiary' onClick={() => setPage(p => p - 1)} disabled={page <= 1}>Previous</button>
+          <span className='text-sm'>Page {page} of {pages}</span>
+          <button className='btn-tertiary' onClick={() => setPage(p => p + 1)} disabled={page >= pages}>Next</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function SubmissionDetails({ submission, onRetry }) {
+  const { fields, conversion, delivery } = submission
+  return (
+    <div className='text-xs sm:text-sm space-y-2 border-t pt-2'>
+      <div className='text-gray-400'>
+        Submitted {new Date(submission.submittedAt).toLocaleString()}
+        {submission.signedAt && ` • Signed ${new Date(submission.signedAt).toLocaleString()}`}
+      </div>
+      {conversion && conversion.originalCurrency !== conversion.currency && (
+        <div>{`${conversion.amount.toFixed(2)} ${conversion.currency} at ${conversion.rate} (${conversion.rateDate} rate)`}</div>
+      )}
+      {fields.items?.length > 0 && (
+        <table className='w-full'>
+          <thead>
+            <tr className='text-left'>
+              <th>Description</th>
+              <th className='text-right'>Qty</th>
+              <th className='text-right'>Line total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.items.map((item, i) => (
+              <tr key={i}>
+                <td>{item.description}</td>
+                <td className='text-right'>{item.quantity ?? ''}</td>
+                <td className='text-right'>{item.totalPrice != null ? Number(item.totalPrice).toFixed(2) : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {submission.overrideReason && <div className='text-yellow-400'>Totals overridden: {submission.overrideReason}</div>}
+      {submission.policyWarnings?.length > 0 && (
+        <div className='text-yellow-400'>
+          Policy: {submission.policyWarnings.map(v => v.message).join('; ')}
+          {submission.justification && ` — Justification: ${submission.justification}`}
+        </div>
+      )}
+      {delivery && delivery.status !== 'delivered' && (
+        <div className={delivery.status === 'failed' ? 'text-red-400' : 'text-yellow-400'}>
+          {DELIVERY_LABELS[delivery.status]} after {delivery.attempts} attempt(s)
+          {delivery.nextAttemptAt && `, next try ${new Date(delivery.nextAttemptAt).toLocaleString()}`}
+          <ul className='ml-4 list-disc'>
+            {delivery.steps.map((step, i) => (
+              <li key={i}>
+                {STEP_LABELS[step.type] || step.type}{step.name && ` ${step.name}`}: {step.status}
+                {step.error && ` (${step.error})`}
+              </li>
+            ))}
+          </ul>
+          {delivery.status === 'failed' && (
+            <button className='btn-secondary text-xs sm:text-sm mt-1' onClick={onRetry}>Retry delivery</button>
+          )}
+        </div>
+      )}
+      <ol className='space-y-1'>
+        {submission.history.map((entry, i) => (
+          <li key={i}>
+            {STATUS_LABELS[entry.status] || entry.status} by {entry.by || 'unknown'} on {new Date(entry.at).toLocaleString()}
+            {entry.comment && ` — “${entry.comment}”`}
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+function formatTotal(fields) {
+  if (fields.total == null) return 'No total'
+  return `${Number(fields.total).toFixed(2)} ${fields.currency || ''}`.trim()
+}
@@ -1,28 +1,509 @@
-import React from 'react'
+import React, { useEffect, useMemo, useState } from 'react'
 import { useReceipt } from '../receiptContext.jsx'
+import { getToken } from '../msal.js'
+import { checkTotals } from '../checks.js'
+import { removeBatchFile, saveDraft } from '../drafts.js'
+import { listCategories } from '../categories.js'
+import { validateReceipts } from '../policy.js'
+import Alert from '../components/Alert.jsx'
+import ReceiptViewer from '../components/ReceiptViewer.jsx'
+
+// Input hints per field type; the server normalizes and validates the values
+const AMOUNT_INPUT = { inputMode: 'decimal', placeholder: '0.00', format: formatAmount }
+
+const FIELD_INPUTS = {
+  total: AMOUNT_INPUT,
+  subtotal: AMOUNT_INPUT,
+  tax: AMOUNT_INPUT,
+  transactionDate: { type: 'date' },
+  currency: { maxLength: 3, placeholder: 'USD', parse: v => v.toUpperCase() },
+}
+
+const ITEM_COLUMNS = [
+  { key: 'description', label: 'Description' },
+  { key: 'quantity', label: 'Qty', input: { inputMode: 'decimal' } },
+  { key: 'unitPrice', label: 'Unit price', input: AMOUNT_INPUT },
+  { key: 'totalPrice', label: 'Line total', input: AMOUNT_INPUT },
+]
+
+const OCR_ERROR_TITLES = {
+  not_configured: 'OCR unavailable',
+  timeout: 'OCR timed out',
+  service_error: 'OCR service error',
+  no_document: 'No receipt found',
+  low_confidence: 'Low confidence',
+  unsupported_file: 'File type not supported by OCR',
+  conversion_failed: 'Image could not be converted',
+}
+
+const AUTOSAVE_DELAY = 1000
+const VALIDATE_DELAY = 600
+
+const SAVE_LABELS = {
+  saving: 'Saving draft…',
+  saved: 'Draft saved',
+  error: 'Draft could not be saved. Your changes are kept in this tab.',
+}
+
+const EMPTY_ITEM = { description: '', quantity: '', unitPrice: '', totalPrice: '' }
 
 export default function ReviewPage() {
-  const { fields, setFields } = useReceipt()
+  const { files, receipts, setReceipts, updateReceipt, updateReceiptFields, batchId, signatureDataUrl, signature } = useReceipt()
+  const [activeId, setActiveId] = useState(null)
+  const [saveStatus, setSaveStatus] = useState(null)
+  const [categories, setCategories] = useState([])
+  // Policy violations and currency conversion per receipt id, from the server's /api/validate
+  const [checks, setChecks] = useState({})
 
-  function update(k, v) { setFields({ ...fields, [k]: v }) }
+  useEffect(() => {
+    let cancelled = false
+    getToken()
+      .then(listCategories)
+      .then(list => { if (!cancelled) setCategories(list) })
+      .catch(err => console.error('Load categories error:', err))
+    return () => { cancelled = true }
+  }, [])
+
+  // Autosave the review as a draft shortly after the last change
+  useEffect(() => {
+    if (!batchId || receipts.length === 0) return undefined
+    const timer = setTimeout(async () => {
+      setSaveStatus('saving')
+      try {
+        const token = await getToken()
+        await saveDraft(batchId, { receipts, files, signatureDataUrl, signature }, token)
+        setSaveStatus('saved')
+      } catch (err) {
+        console.error('Autosave failed:', err)
+        setSaveStatus('error')
+      }
+    }, AUTOSAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [batchId, receipts, files, signatureDataUrl, signature])
+
+  // Re-check the expense policy and conversion shortly after the last change
+  useEffect(() => {
+    if (receipts.length === 0) return undefined
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const token = await getToken()
+        const results = await validateReceipts(receipts, token)
+        if (!cancelled) setChecks(Object.fromEntries(results.map(r => [r.id, r])))
+      } catch (err) {
+        // Fields the server cannot parse yet keep the last result
+        console.error('Policy check failed:', err)
+      }
+    }, VALIDATE_DELAY)
+    return () => { cancelled = true; clearTimeout(timer) }
+  }, [receipts])
+
+  const active = receipts.find(r => r.id === activeId) || receipts[0]
+
+  function selectFile(index) {
+    const receipt = receipts.find(r => r.fileIndex === index)
+    if (receipt) setActiveId(receipt.id)
+  }
+
+  // The file leaves the server batch too, or the submission would be refused
+  async function removeReceipt(id) {
+    try {
+      if (batchId) await removeBatchFile(batchId, id, await getToken())
+    } catch (err) {
+      // A file that is already gone needs no removing
+      if (err.response?.status !== 404) return console.error('Remove receipt error:', err)
+    }
+    setReceipts(receipts.filter(r => r.id !== id))
+  }
 
-  const keys = Object.keys(fields || {})
   return (
     <div className='max-w-screen w-full px-4 mx-auto'>
       <h2 className='text-xl sm:text-2xl md:text-3xl mb-4 sm:mb-6'>Review</h2>
-      {keys.length === 0 && (
+      {saveStatus && (
+        <p className={`text-xs sm:text-sm mb-2 ${saveStatus === 'error' ? 'text-red-600' : 'text-gray-400'}`}>
+          {SAVE_LABELS[saveStatus]}
+        </p>
+      )}
+      {receipts.length === 0 && (
         <p className='text-sm sm:text-base'>No fields yet. Upload a receipt first.</p>
       )}
-      {keys.map(k => (
-        <div key={k} className='mb-2 sm:mb-4'>
-          <label className='block font-semibold text-sm sm:text-base md:text-lg'>{k}</label>
-          <input
-            className='mt-1 w-full p-1 sm:p-2 border rounded text-sm sm:text-base md:text-lg'
-            value={fields[k] ?? ''}
-            onChange={e => update(k, e.target.value)}
+      {receipts.length > 1 && (
+        <div className='flex flex-wrap gap-2 mb-4 sm:mb-6' role='tablist'>
+          {receipts.map((r, index) => (
+            <button
+              key={r.id}
+              role='tab'
+              aria-selected={r.id === active.id}
+              className={r.id === active.id ? 'btn-primary' : 'btn-secondary'}
+              onClick={() => setActiveId(r.id)}
+            >
+              {index + 1}. {r.file}
+            </button>
+          ))}
+        </div>
+      )}
+      {active && (
+        <ReceiptForm
+          key={active.id}
+          receipt={active}
+          files={files}
+          categories={categories}
+          violations={checks[active.id]?.violations || []}
+          conversion={checks[active.id]?.conversion}
+          conversionError={checks[active.id]?.conversionError}
+          onSelectFile={selectFile}
+          onChange={fields => updateReceiptFields(active.id, fields)}
+          onOverrideChange={override => updateReceipt(active.id, { override })}
+          onAcknowledgeDuplicate={acknowledgeDuplicate => updateReceipt(active.id, { acknowledgeDuplicate })}
+          onJustificationChange={justification => updateReceipt(active.id, { justification })}
+          onRemove={() => removeReceipt(active.id)}
+        />
+      )}
+    </div>
+  )
+}
+
+function ReceiptForm({ receipt, files, categories, violations, conversion, conversionError, onSelectFile, onChange, onOverrideChange, onAcknowledgeDuplicate, onJustificationChange, onRemove }) {
+  const [focused, setFocused] = useState(null)
+  const fields = receipt.fields || {}
+  const fieldMeta = receipt.fieldMeta || {}
+
+  const issues = useMemo(() => checkTotals(fields), [fields])
+  const mismatched = new Set(issues.flatMap(issue => issue.fields))
+  const blocking = new Set(violations.filter(v => v.severity === 'error').map(v => v.field))
+  const fieldClass = key =>
+    mismatched.has(key) || blocking.has(key) ? 'border-red-500 border-2' : uncertainClass(fieldMeta[key])
+  const violationsFor = key => violations.filter(v => v.field === key)
+
+  function update(k, v) { onChange({ ...fields, [k]: v }) }
+
+  const items = fields.items || []
+
+  function updateItem(index, k, v) {
+    update('items', items.map((item, i) => (i === index ? { ...item, [k]: v } : item)))
+  }
+
+  function addItem() {
+    update('items', [...items, { ...EMPTY_ITEM }])
+  }
+
+  function removeItem(index) {
+    update('items', items.filter((_, i) => i !== index))
+  }
+
+  const regions = fieldMeta[focused]?.boundingRegions || []
+
+  const keys = Object.keys(fields).filter(k => k !== 'items' && k !== 'category')
+  return (
+    <div className='grid gap-4 sm:gap-6 md:grid-cols-2'>
+      <div>
+        <h3 className='font-semibold text-base sm:text-lg md:text-xl mb-2'>{receipt.file}</h3>
+        {receipt.confidence != null && (
+          <p className='text-sm sm:text-base text-gray-400 mb-2'>
+            Overall confidence {formatConfidence(receipt.confidence)}
+          </p>
+        )}
+        {receipt.error && (
+          <Alert type='error' className='mb-4 sm:mb-6'>
+            <strong>{OCR_ERROR_TITLES[receipt.error.code] || 'OCR failed'}</strong>
+            <div className='text-sm mt-1 sm:text-base'>
+              {receipt.error.message}. Check every value against the receipt before submitting.
+            </div>
+          </Alert>
+        )}
+        {receipt.duplicate && (
+          <DuplicateWarning
+            duplicate={receipt.duplicate}
+            acknowledged={Boolean(receipt.acknowledgeDuplicate)}
+            onChange={onAcknowledgeDuplicate}
+            onRemove={onRemove}
+          />
+        )}
+        {issues.length > 0 && (
+          <ConsistencyWarning issues={issues} override={receipt.override} onChange={onOverrideChange} />
+        )}
+        {violations.length > 0 && (
+          <PolicyWarning
+            violations={violations}
+            justification={receipt.justification || ''}
+            onChange={onJustificationChange}
           />
+        )}
+        {keys.map(k => (
+          <div key={k} className='mb-2 sm:mb-4'>
+            <label className='block font-semibold text-sm sm:text-base md:text-lg' htmlFor={`field-${k}`}>
+              {k}
+              <ConfidenceBadge meta={fieldMeta[k]} />
+            </label>
+            <TypedInput
+              id={`field-${k}`}
+              spec={FIELD_INPUTS[k]}
+              className={`mt-1 w-full p-1 sm:p-2 border rounded text-sm sm:text-base md:text-lg ${fieldClass(k)}`}
+              value={fields[k]}
+              onChange={v => update(k, v)}
+              onFocus={() => setFocused(k)}
+            />
+            {fields[k] == null && fieldMeta[k]?.content && (
+              <p className='text-xs sm:text-sm text-yellow-400 mt-1'>
+                OCR read “{fieldMeta[k].content}” but could not interpret it.
+              </p>
+            )}
+            <ViolationMessages violations={violationsFor(k)} />
+            {k === 'total' && (
+              <ConversionNote conversion={conversion} error={conversionError} />
+            )}
+          </div>
+        ))}
+        <CategoryField
+          categories={categories}
+          value={fields.category || ''}
+          meta={fieldMeta.category}
+          onChange={v => update('category', v)}
+        />
+        <div className='mt-4 sm:mt-6'>
+          <h3 className='font-semibold text-base sm:text-lg md:text-xl mb-2'>Line items</h3>
+          <div className='overflow-x-auto'>
+            <table className='w-full text-sm sm:text-base'>
+              <thead>
+                <tr>
+                  {ITEM_COLUMNS.map(col => (
+                    <th key={col.key} className='text-left p-1 sm:p-2'>{col.label}</th>
+                  ))}
+                  <th className='p-1 sm:p-2'><span className='sr-only'>Actions</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.length === 0 && (
+                  <tr>
+                    <td colSpan={ITEM_COLUMNS.length + 1} className='p-1 sm:p-2 text-gray-400'>
+                      No line items detected.
+                    </td>
+                  </tr>
+                )}
+                {items.map((item, index) => (
+                  <tr key={index}>
+                    {ITEM_COLUMNS.map(col => {
+                      const metaKey = `items.${index}.${col.key}`
+                      return (
+                        <td key={col.key} className='p-1 sm:p-2'>
+                          <TypedInput
+                            spec={col.input}
+                            aria-label={`${col.label} for item ${index + 1}`}
+                            title={fieldMeta[metaKey]?.uncertain ? `Low confidence (${formatConfidence(fieldMeta[metaKey].confidence)})` : undefined}
+                            className={`w-full p-1 sm:p-2 border rounded text-sm sm:text-base ${fieldClass(metaKey)}`}
+                            value={item[col.key]}
+                            onChange={v => updateItem(index, col.key, v)}
+                            onFocus={() => setFocused(metaKey)}
+                          />
+                          <ViolationMessages violations={violationsFor(metaKey)} />
+                        </td>
+                      )
+                    })}
+                    <td className='p-1 sm:p-2 text-right'>
+                      <button className='btn-tertiary' onClick={() => removeItem(index)}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button className='btn-secondary mt-2' onClick={addItem}>Add item</button>
+        </div>
+      </div>
+      <div className='md:sticky md:top-4 self-start'>
+        <ReceiptViewer
+          files={files}
+          activeIndex={receipt.fileIndex}
+          onSelectFile={onSelectFile}
+          pages={receipt.pages}
+          regions={regions}
+        />
+        {focused && regions.length === 0 && fieldMeta[focused] && (
+          <p className='text-xs sm:text-sm text-gray-400 mt-2'>No location recorded for this field.</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function ConsistencyWarning({ issues, override, onChange }) {
+  const overridden = Boolean(override)
+  return (
+    <Alert type='error' className='mb-4 sm:mb-6'>
+      <strong>Totals do not add up</strong>
+      <ul className='mt-1 list-disc pl-5 text-sm sm:text-base'>
+        {issues.map((issue, i) => <li key={i}>{issue.message}</li>)}
+      </ul>
+      <label className='flex items-center gap-2 mt-2 text-sm sm:text-base'>
+        <input
+          type='checkbox'
+          checked={overridden}
+          onChange={e => onChange(e.target.checked ? { reason: '' } : null)}
+        />
+        The values match the receipt
+      </label>
+      {overridden && (
+        <textarea
+          aria-label='Reason for override'
+          placeholder='Explain why the totals differ (required)'
+          maxLength={500}
+          className='mt-2 w-full p-1 sm:p-2 rounded text-black text-sm sm:text-base'
+          value={override.reason}
+          onChange={e => onChange({ reason: e.target.value })}
+        />
+      )}
+    </Alert>
+  )
+}
+
+function PolicyWarning({ violations, justification, onChange }) {
+  const blocked = violations.some(v => v.severity === 'error')
+  const justifiable = violations.some(v => v.justifiable)
+  return (
+    <Alert type='error' className='mb-4 sm:mb-6'>
+      <strong>{blocked ? 'Outside the expense policy' : 'Expense policy warnings'}</strong>
+      <ul className='mt-1 list-disc pl-5 text-sm sm:text-base'>
+        {violations.map((v, i) => (
+          <li key={i}>{v.message}{v.justified ? ' (justified)' : ''}</li>
+        ))}
+      </ul>
+      {justifiable && (
+        <textarea
+          aria-label='Justification'
+          placeholder='Explain why this expense is needed (allows justifiable exceptions)'
+          maxLength={500}
+          className='mt-2 w-full p-1 sm:p-2 rounded text-black text-sm sm:text-base'
+          value={justification}
+          onChange={e => onChange(e.target.value)}
+        />
+      )}
+    </Alert>
+  )
+}
+
+function ConversionNote({ conversion, error }) {
+  if (error) return <p className='text-xs sm:text-sm text-red-600 mt-1'>{error}</p>
+  if (!conversion || conversion.originalCurrency === conversion.currency) return null
+  return (
+    <p className='text-xs sm:text-sm text-gray-400 mt-1'>
+      ≈ {conversion.amount.toFixed(2)} {conversion.currency} at {conversion.rate} ({conversion.rateDate} rate)
+    </p>
+  )
+}
+
+function ViolationMessages({ violations }) {
+  if (violations.length === 0) return null
+  return violations.map((v, i) => (
+    <p key={i} className={`text-xs sm:text-sm mt-1 ${v.severity === 'error' ? 'text-red-600' : 'text-yellow-400'}`}>
+      {v.message}
+    </p>
+  ))
+}
+
+function DuplicateWarning({ duplicate, acknowledged, onChange, onRemove }) {
+  const exact = duplicate.status === 'exact'
+  return (
+    <Alert type='error' className='mb-4 sm:mb-6'>
+      <strong>{exact ? 'This receipt was already submitted' : 'Possible duplicate'}</strong>
+      <ul className='mt-1 list-disc pl-5 text-sm sm:text-base'>
+        {duplicate.matches.map((match, i) => <li key={i}>{describeMatch(match)}</li>)}
+      </ul>
+      {exact ? (
+        <div className='flex flex-wrap items-center gap-2 mt-2 text-sm sm:text-base'>
+          The same file cannot be submitted twice.
+          <button className='btn-tertiary' onClick={onRemove}>Remove from batch</button>
         </div>
-      ))}
+      ) : (
+        <label className='flex items-center gap-2 mt-2 text-sm sm:text-base'>
+          <input type='checkbox' checked={acknowledged} onChange={e => onChange(e.target.checked)} />
+          This is a different purchase
+        </label>
+      )}
+    </Alert>
+  )
+}
+
+function describeMatch(match) {
+  if (match.reason === 'batch') return 'Same file as another receipt in this upload'
+  if (match.byAnotherUser) return 'Already submitted by another user'
+  const amount = match.total != null ? `${Number(match.total).toFixed(2)} ${match.currency || ''}`.trim() : null
+  const submitted = match.submittedAt ? new Date(match.submittedAt).toLocaleDateString() : 'earlier'
+  return [match.vendor || 'Receipt', amount, match.transactionDate && `on ${match.transactionDate}`]
+    .filter(Boolean)
+    .join(' ') + `, submitted ${submitted}`
+}
+
+function CategoryField({ categories, value, meta, onChange }) {
+  const selected = categories.find(c => c.id === value)
+  const suggested = selected && meta?.suggested?.category === value
+  return (
+    <div className='mb-2 sm:mb-4'>
+      <label className='block font-semibold text-sm sm:text-base md:text-lg' htmlFor='field-category'>
+        category
+        {suggested && (
+          <span className='ml-2 text-xs font-normal px-2 py-0.5 rounded bg-gray-700 text-gray-200'>
+            Suggested
+          </span>
+        )}
+      </label>
+      <select
+        id='field-category'
+        className='mt-1 w-full p-1 sm:p-2 border rounded text-sm sm:text-base md:text-lg text-black'
+        value={value}
+        onChange={e => onChange(e.target.value)}
+      >
+        <option value=''>Choose a category</option>
+        {categories.map(c => (
+          <option key={c.id} value={c.id}>{c.label}</option>
+        ))}
+        {value && !selected && <option value={value}>{value}</option>}
+      </select>
+      {suggested && (
+        <p className='text-xs sm:text-sm text-gray-400 mt-1'>
+          Suggested from {meta.suggested.source === 'vendor' ? `“${meta.content}” in the vendor name` : `the merchant type (${meta.content})`}. GL code {selected.glCode}.
+        </p>
+      )}
+      {selected && !suggested && (
+        <p className='text-xs sm:text-sm text-gray-400 mt-1'>GL code {selected.glCode}</p>
+      )}
     </div>
   )
 }
+
+function TypedInput({ spec = {}, value, onChange, ...props }) {
+  const { format, parse, ...inputProps } = spec
+  const display = value == null ? '' : format ? format(value) : value
+  return (
+    <input
+      {...inputProps}
+      {...props}
+      value={display}
+      onChange={e => onChange(parse ? parse(e.target.value) : e.target.value)}
+    />
+  )
+}
+
+function formatAmount(value) {
+  return typeof value === 'number' ? value.toFixed(2) : value
+}
+
+function ConfidenceBadge({ meta }) {
+  if (!meta || meta.confidence == null) return null
+  return (
+    <span
+      className={`ml-2 text-xs font-normal px-2 py-0.5 rounded ${meta.uncertain ? 'bg-yellow-400 text-black' : 'bg-gray-700 text-gray-200'}`}
+    >
+      {meta.uncertain ? 'Check · ' : ''}{formatConfidence(meta.confidence)}
+    </span>
+  )
+}
+
+function uncertainClass(meta) {
+  return meta?.uncertain ? 'border-yellow-400 border-2 bg-yellow-50 text-black' : ''
+}
+
+function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`
+}
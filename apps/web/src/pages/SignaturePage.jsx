@@ -1,12 +1,30 @@
 import React, { useEffect, useRef, useState } from 'react'
 import { useReceipt } from '../receiptContext.jsx'
 
+const TYPED_FONT = '48px "Segoe Script", "Brush Script MT", cursive'
+
+// PNG of a typed name, attached like a drawn signature
+function renderTypedSignature(name) {
+  const canvas = document.createElement('canvas')
+  const ctx = canvas.getContext('2d')
+  ctx.font = TYPED_FONT
+  canvas.width = Math.ceil(ctx.measureText(name).width) + 32
+  canvas.height = 80
+  ctx.font = TYPED_FONT
+  ctx.fillStyle = '#000000'
+  ctx.fillText(name, 16, 54)
+  return canvas.toDataURL('image/png')
+}
+
 export default function SignaturePage() {
-  const { signatureDataUrl, setSignatureDataUrl } = useReceipt()
+  const { signatureDataUrl, setSignatureDataUrl, signature, setSignature } = useReceipt()
   const canvasRef = useRef(null)
   const containerRef = useRef(null)
+  const [mode, setMode] = useState(signature?.method === 'typed' ? 'typed' : 'drawn')
   const [isDrawing, setIsDrawing] = useState(false)
   const isDrawingRef = useRef(false)
+  // Pen strokes in canvas pixels, kept so the server can store them as SVG
+  const strokesRef = useRef([])
   const [canvasSize, setCanvasSize] = useState({ width: 600, height: 200 })
 
   // Handle canvas resizing
@@ -24,7 +42,7 @@ export default function SignaturePage() {
     updateCanvasSize()
     window.addEventListener('resize', updateCanvasSize)
     return () => window.removeEventListener('resize', updateCanvasSize)
-  }, [])
+  }, [mode])
 
   // Drawing functionality
   useEffect(() => {
@@ -54,9 +72,10 @@ export default function SignaturePage() {
         clientY = e.clientY
       }
 
+      // Clamped so strokes leaving the pad stay on its edge
       return {
-        x: (clientX - rect.left) * scaleX,
-        y: (clientY - rect.top) * scaleY,
+        x: Math.min(Math.max((clientX - rect.left) * scaleX, 0), canvas.width),
+        y: Math.min(Math.max((clientY - rect.top) * scaleY, 0), canvas.height),
       }
     }
 
@@ -64,6 +83,7 @@ export default function SignaturePage() {
       isDrawingRef.current = true
       setIsDrawing(true)
       const pos = getEventPos(e)
+      strokesRef.current.push([[pos.x, pos.y]])
       ctx.beginPath()
       ctx.moveTo(pos.x, pos.y)
     }
@@ -72,6 +92,7 @@ export default function SignaturePage() {
       if (!isDrawingRef.current) return
 
       const pos = getEventPos(e)
+      strokesRef.current[strokesRef.current.length - 1].push([pos.x, pos.y])
       ctx.lineTo(pos.x, pos.y)
       ctx.stroke()
     }
@@ -83,6 +104,12 @@ export default function SignaturePage() {
       ctx.beginPath()
 
       setSignatureDataUrl(canvas.toDataURL('image/png'))
+      setSignature({
+        method: 'drawn',
+        width: canvas.width,
+        height: canvas.height,
+        strokes: strokesRef.current.map(stroke => stroke.map(([x, y]) => [Math.round(x * 10) / 10, Math.round(y * 10) / 10])),
+      })
     }
 
     canvas.addEventListener('mousedown', startDrawing)
@@ -105,54 +132,108 @@ export default function SignaturePage() {
       canvas.removeEventListener('touchend', stopDrawing)
       canvas.removeEventListener('touchcancel', stopDrawing)
     }
-  }, [setSignatureDataUrl])
+  }, [mode, setSignatureDataUrl, setSignature])
 
   function clearSignature() {
     const canvas = canvasRef.current
     if (canvas) {
       const ctx = canvas.getContext('2d')
       ctx.clearRect(0, 0, canvas.width, canvas.height)
-      setSignatureDataUrl(null)
     }
+    strokesRef.current = []
+    setSignatureDataUrl(null)
+    setSignature(null)
+  }
+
+  function switchMode(next) {
+    if (next === mode) return
+    clearSignature()
+    setMode(next)
+  }
+
+  function onTypedName(value) {
+    const name = value.slice(0, 100)
+    setSignatureDataUrl(name.trim() ? renderTypedSignature(name.trim()) : null)
+    setSignature(name.trim() ? { method: 'typed', typedName: name } : null)
   }
 
+  const typedName = signature?.method === 'typed' ? signature.typedName : ''
+
   return (
     <div>
       <h2>Signature</h2>
 
-      <div ref={containerRef} className='w-full max-w-md mx-auto'>
-        <div className='relative w-full border-2 border-gray-400 rounded-lg bg-white shadow-md'>
-          <canvas
-            ref={canvasRef}
-            width={canvasSize.width}
-            height={canvasSize.height}
-            className='w-full h-auto block cursor-crosshair touch-none'
-          />
+      <div className='flex justify-center gap-2 my-3' role='tablist'>
+        <button
+          role='tab'
+          aria-selected={mode === 'drawn'}
+          className={mode === 'drawn' ? 'btn-primary' : 'btn-tertiary'}
+          onClick={() => switchMode('drawn')}
+        >
+          Draw
+        </button>
+        <button
+          role='tab'
+          aria-selected={mode === 'typed'}
+          className={mode === 'typed' ? 'btn-primary' : 'btn-tertiary'}
+          onClick={() => switchMode('typed')}
+        >
+          Type
+        </button>
+      </div>
 
-          {!signatureDataUrl && (
-            <div className='absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-gray-400 text-base pointer-events-none text-center'>
-              Sign here
-            </div>
-          )}
+      {mode === 'typed' && (
+        <div className='w-full max-w-md mx-auto'>
+          <label className='block font-semibold text-sm sm:text-base' htmlFor='typed-signature'>
+            Type your full name
+          </label>
+          <input
+            id='typed-signature'
+            className='mt-1 w-full p-1 sm:p-2 border rounded text-black text-sm sm:text-base'
+            autoComplete='name'
+            maxLength={100}
+            value={typedName}
+            onChange={e => onTypedName(e.target.value)}
+          />
+          <p className='text-xs text-gray-400 mt-1'>Your typed name counts as your signature.</p>
         </div>
+      )}
 
-        <div className='flex justify-between items-center mt-3 gap-3'>
-          <button
-            onClick={clearSignature}
-            className='bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded transition-all focus:outline-none focus:ring-2 focus:ring-red-400 text-sm'
-          >
-            Clear
-          </button>
+      {mode === 'drawn' && (
+        <div ref={containerRef} className='w-full max-w-md mx-auto'>
+          <div className='relative w-full border-2 border-gray-400 rounded-lg bg-white shadow-md'>
+            <canvas
+              ref={canvasRef}
+              width={canvasSize.width}
+              height={canvasSize.height}
+              className='w-full h-auto block cursor-crosshair touch-none'
+            />
 
-          <div className='text-xs text-gray-600 text-center flex-1'>
-            {signatureDataUrl ? '✓ Signature captured' : 'Draw your signature above'}
+            {!signatureDataUrl && (
+              <div className='absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-gray-400 text-base pointer-events-none text-center'>
+                Sign here
+              </div>
+            )}
           </div>
 
-          <div className='text-xs text-gray-400'>
-            {canvasSize.width} × {canvasSize.height}
+          <div className='flex justify-between items-center mt-3 gap-3'>
+            <button
+              onClick={clearSignature}
+              className='bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded transition-all focus:outline-none focus:ring-2 focus:ring-red-400 text-sm'
+            >
+              Clear
+            </button>
+
+            <div className='text-xs text-gray-600 text-center flex-1'>
+              {signatureDataUrl ? '✓ Signature captured' : 'Draw your signature above'}
+            </div>
+
+            <div className='text-xs text-gray-400'>
+              {canvasSize.width} × {canvasSize.height}
+            </div>
           </div>
         </div>
-      </div>
+      )}
 
       {signatureDataUrl && (
         <div className='mt-6'>
@@ -1,27 +1,86 @@
-import React, { useState } from 'react'
+import React, { useRef, useState } from 'react'
 import axios from 'axios'
 import { useReceipt } from '../receiptContext.jsx'
 import { getToken } from '../msal.js'
 import Alert from '../components/Alert.jsx'
+import { checkTotals } from '../checks.js'
+import { downloadReport } from '../approvals.js'
+
+// Same statement the server records (apps/server/src/services/attestation.js)
+const ATTESTATION_STATEMENT =
+  'I certify that these expenses were incurred on company business and that the receipts and amounts are accurate.'
 
 export default function SubmitPage() {
-  const { files, fields, signatureDataUrl, batchId } = useReceipt()
+  const { files, receipts, updateReceipt, signatureDataUrl, signature, batchId } = useReceipt()
   const [message, setMessage] = useState('')
   const [error, setError] = useState('')
+  const [submitted, setSubmitted] = useState([])
+  // Sending the same receipts again reuses the key, so a retry after a lost
+  // response cannot submit them twice
+  const attempt = useRef({ body: null, key: null })
+
+  // Receipts whose totals don't add up and have no override reason yet
+  const unresolved = receipts.filter(
+    r => checkTotals(r.fields).length > 0 && !r.override?.reason?.trim()
+  )
+
+  // Exact copies are rejected by the server; similar ones need acknowledging
+  const duplicates = receipts.filter(
+    r => r.duplicate && (r.duplicate.status === 'exact' || !r.acknowledgeDuplicate)
+  )
 
   async function onSubmit() {
-    setMessage(''); setError('')
+    setMessage(''); setError(''); setSubmitted([])
     try {
       const token = await getToken()
-      const res = await axios.post('/api/submit', { fields, signatureDataUrl, batchId }, {
-        headers: { Authorization: `Bearer ${token}` }
+      const payload = {
+        receipts: receipts.map(r => ({
+          id: r.id,
+          fields: r.fields,
+          ...(r.override && { override: r.override }),
+          ...(r.acknowledgeDuplicate && { acknowledgeDuplicate: true }),
+          ...(r.justification?.trim() && { justification: r.justification }),
+        })),
+        signatureDataUrl,
+        signature,
+        batchId,
+      }
+      const body = JSON.stringify(payload)
+      if (attempt.current.body !== body) attempt.current = { body, key: crypto.randomUUID() }
+      const res = await axios.post('/api/submit', payload, {
+        headers: { Authorization: `Bearer ${token}`, 'Idempotency-Key': attempt.current.key }
       })
-      setMessage(`Submitted. Item ID: ${res.data.itemId}`)
+      const { items = [], summary, attestation } = res.data
+      const undelivered = items.filter(i => i.delivery && i.delivery.status !== 'delivered').length
+      setSubmitted(items.filter(i => i.reportUrl))
+      setMessage(
+        `Submitted ${summary?.receiptCount ?? items.length} receipt(s), total ${[summary?.total ?? 'n/a', summary?.currency].filter(Boolean).join(' ')}. Item IDs: ${items.map(i => i.itemId || 'pending').join(', ')}` +
+          (attestation ? `. Signed ${new Date(attestation.signedAt).toLocaleString()}, attestation ${attestation.contentHash.slice(0, 12)}` : '') +
+          (undelivered ? `. ${undelivered} receipt(s) are saved and will be delivered when the destination is reachable; see History.` : '')
+      )
     } catch (e) {
-    setError(e?.response?.data?.message || e.message)
+    const data = e?.response?.data
+    // Duplicates found since upload show up on the Review page
+    if (e?.response?.status === 409) {
+      for (const r of data?.receipts || []) {
+        if (r.id) updateReceipt(r.id, { duplicate: r.duplicate })
+      }
+    }
+    const details = (data?.receipts || [])
+      .flatMap(r => [...(r.issues || []), ...(r.violations || [])].map(issue => issue.message).concat(r.conversionError || []))
+    setError([data?.message || e.message, ...details].join(' '))
   }
 }
 
+  async function onDownload(item) {
+    try {
+      await downloadReport(item.submissionId, await getToken())
+    } catch (e) {
+      console.error('Download report error:', e)
+      setError('The expense report could not be downloaded.')
+    }
+  }
+
   return (
     <div className='max-w-screen w-full px-4 mx-auto'>
       {message && (
@@ -29,6 +88,15 @@ export default function SubmitPage() {
           {message}
         </Alert>
       )}
+      {submitted.length > 0 && (
+        <div className='flex flex-wrap gap-2 mb-4 sm:mb-6'>
+          {submitted.map(item => (
+            <button key={item.submissionId} className='btn-secondary text-sm sm:text-base' onClick={() => onDownload(item)}>
+              Expense report {item.itemId || item.submissionId.slice(0, 8)}
+            </button>
+          ))}
+        </div>
+      )}
       {error && (
         <Alert type='error' className='mb-4 sm:mb-6 md:mb-8'>
           {error}
@@ -36,8 +104,26 @@ export default function SubmitPage() {
       )}
       <h2 className='text-xl sm:text-2xl md:text-3xl mb-4 sm:mb-6'>Submit</h2>
       <p className='mb-2 sm:mb-3 text-sm sm:text-base'>Files: {files.map(f => f.name).join(', ') || 'None'}</p>
+      <p className='mb-2 sm:mb-3 text-sm sm:text-base'>Receipts: {receipts.length}</p>
+      {unresolved.length > 0 && (
+        <Alert type='error' className='mb-4 sm:mb-6'>
+          Totals do not add up on {unresolved.map(r => r.file).join(', ')}. Fix them on the Review page or
+          confirm the values with a reason.
+        </Alert>
+      )}
+      {duplicates.length > 0 && (
+        <Alert type='error' className='mb-4 sm:mb-6'>
+          {duplicates.map(r => r.file).join(', ')} may already have been submitted. Review them on the Review page.
+        </Alert>
+      )}
       <p className='mb-4 sm:mb-6 text-sm sm:text-base'>Batch: {batchId || 'n/a'}</p>
-      <button className='btn-primary text-sm sm:text-base' onClick={onSubmit}>Submit</button>
+      {(signatureDataUrl || signature) && (
+        <p className='mb-4 sm:mb-6 text-xs sm:text-sm text-gray-400'>
+          By submitting you certify: {ATTESTATION_STATEMENT} Your name, the time and a fingerprint of these
+          receipts are recorded with your signature.
+        </p>
+      )}
+      <button className='btn-primary text-sm sm:text-base' onClick={onSubmit} disabled={receipts.length === 0 || unresolved.length > 0 || duplicates.length > 0}>Submit</button>
     </div>
   )
 }
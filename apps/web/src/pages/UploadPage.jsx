@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react'
 import axios from 'axios'
 import { useReceipt } from '../receiptContext.jsx'
 import { getToken } from '../msal.js'
+import { watchJob } from '../jobs.js'
 import { useNavigate } from 'react-router-dom'
 import Alert from '../components/Alert.jsx'
 
@@ -11,7 +12,13 @@ const ALLOWED_TYPES = [
   'image/png',
   'image/gif',
   'application/pdf',
+  'image/heic',
+  'image/heif',
+  'image/webp',
+  'image/tiff',
 ]
+// Some browsers report no type for HEIC photos; fall back to the extension
+const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.pdf', '.heic', '.heif', '.webp', '.tif', '.tiff']
 const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB
 const MAX_FILES = 5
 
@@ -44,9 +51,10 @@ function validateFiles(files) {
     }
 
     // Check file type
-    if (!ALLOWED_TYPES.includes(file.type)) {
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase()
+    if (!ALLOWED_TYPES.includes(file.type) && !(file.type === '' && ALLOWED_EXTENSIONS.includes(extension))) {
       throw new Error(
-        `File "${file.name}" has an unsupported type (${file.type}). Allowed types: JPG, PNG, GIF, PDF.`,
+        `File "${file.name}" has an unsupported type (${file.type || 'unknown'}). Allowed types: JPG, PNG, GIF, PDF, HEIC, WebP, TIFF.`,
       )
     }
 
@@ -80,11 +88,51 @@ function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
 }
 
+// Failed files still get a blank form so the receipt can be keyed in by hand
+const EMPTY_FIELDS = { vendor: '', total: '', currency: '', transactionDate: '', items: [] }
+
+const STATE_LABELS = {
+  queued: 'Queued',
+  running: 'Extracting…',
+  succeeded: 'Done',
+  failed: 'Failed',
+}
+
+const STATE_CLASSES = {
+  queued: 'text-gray-500',
+  running: 'text-blue-600',
+  succeeded: 'text-green-600',
+  failed: 'text-red-600',
+}
+
+/**
+ * Turn a finished job file into a receipt record for review
+ * @param {Object} entry - Per-file entry from the upload job
+ * @param {number} index - Position of the file in the upload
+ * @returns {Object} - Receipt with editable fields split from OCR metadata
+ */
+function toReceipt(entry, index) {
+  const { fields, fieldMeta, pages, confidence } = entry.data || {}
+  return {
+    id: entry.id,
+    file: entry.file,
+    secureFile: entry.secureFile,
+    fileIndex: index,
+    fields: fields || { ...EMPTY_FIELDS },
+    fieldMeta: fieldMeta || {},
+    pages: pages || [],
+    confidence: confidence ?? null,
+    error: entry.error || null,
+    duplicate: entry.duplicate || null,
+  }
+}
+
 export default function UploadPage() {
   const [busy, setBusy] = useState(false)
   const [error, setError] = useState('')
   const [validationInfo, setValidationInfo] = useState(null)
-  const { setFiles, setFields, setBatchId } = useReceipt()
+  const [progress, setProgress] = useState([])
+  const { setFiles, setReceipts, setBatchId } = useReceipt()
   const navigate = useNavigate()
 
   const mountedRef = useRef(true)
@@ -104,12 +152,15 @@ export default function UploadPage() {
   const safeSetFiles = value => {
     if (mountedRef.current) setFiles(value)
   }
-  const safeSetFields = value => {
-    if (mountedRef.current) setFields(value)
+  const safeSetReceipts = value => {
+    if (mountedRef.current) setReceipts(value)
   }
   const safeSetBatchId = value => {
     if (mountedRef.current) setBatchId(value)
   }
+  const safeSetProgress = value => {
+    if (mountedRef.current) setProgress(value)
+  }
 
   async function onSelect(e) {
     const selectedFiles = e.target.files
@@ -138,6 +189,7 @@ export default function UploadPage() {
       safeSetFiles(fileArray)
       safeSetBusy(true)
       safeSetError('')
+      safeSetProgress([])
 
       try {
         const token = await getToken()
@@ -152,9 +204,14 @@ export default function UploadPage() {
           timeout: 30000, // 30 second timeout
         })
 
-        safeSetFields(res.data.fields || {})
-        safeSetBatchId(res.data.batchId || null)
-        navigate('/review')
+        safeSetProgress(res.data.files || [])
+        const job = await watchJob(res.data.jobId, token, update =>
+          safeSetProgress(update.files || []),
+        )
+
+        safeSetReceipts((job.files || []).map(toReceipt))
+        safeSetBatchId(job.batchId || res.data.batchId || null)
+        if (mountedRef.current) navigate('/review')
       } catch (err) {
         console.error('Upload error:', err)
 
@@ -162,7 +219,11 @@ export default function UploadPage() {
         if (err.code === 'ECONNABORTED') {
           safeSetError('Upload timed out. Please try again with smaller files.')
         } else if (err.response?.status === 413) {
-          safeSetError('Files too large. Please reduce file size and try again.')
+          // Over the file size limit or the upload quota
+          safeSetError(
+            err.response.data?.message ||
+              'Files too large. Please reduce file size and try again.',
+          )
         } else if (err.response?.status === 400) {
           safeSetError(err.response.data?.message || 'Invalid files selected.')
         } else if (err.response?.status === 429) {
@@ -219,32 +280,54 @@ export default function UploadPage() {
       <div className='mb-4 sm:mb-6'>
         <input
           type='file'
-          accept='image/jpeg,image/jpg,image/png,image/gif,application/pdf'
+          accept='image/jpeg,image/jpg,image/png,image/gif,application/pdf,image/heic,image/heif,image/webp,image/tiff,.heic,.heif'
           multiple
           onChange={onSelect}
           disabled={busy}
           className='p-2 border-2 border-dashed border-gray-300 rounded cursor-pointer disabled:cursor-not-allowed w-full sm:w-auto'
         />
         <div className='text-xs text-gray-600 mt-1 sm:text-sm md:text-base'>
-          Supported: JPG, PNG, GIF, PDF • Max {MAX_FILES} files • Max{' '}
+          Supported: JPG, PNG, GIF, PDF, HEIC, WebP, TIFF • Max {MAX_FILES} files • Max{' '}
           {MAX_FILE_SIZE / (1024 * 1024)}MB per file
         </div>
       </div>
 
       {/* Processing indicator */}
       {busy && (
-        <div className='p-4 sm:p-6 bg-blue-50 border border-blue-500 rounded mb-4 sm:mb-6 text-center'>
-          <div className='flex flex-col sm:flex-row items-center justify-center gap-3 sm:gap-4 md:gap-6'>
+        <div className='p-4 sm:p-6 bg-blue-50 border border-blue-500 rounded mb-4 sm:mb-6'>
+          <div className='flex flex-col sm:flex-row items-center justify-center gap-3 sm:gap-4 md:gap-6 text-center'>
             <div className='w-5 h-5 border-2 border-blue-500 border-t-transparent rounded-full animate-spin'></div>
             <div>
               <div className='font-bold mb-1 sm:mb-0'>
-                Processing Receipt
+                Processing Receipts
               </div>
               <div className='text-sm sm:text-base text-gray-600'>
-                Extracting data with OCR technology...
+                {progress.length === 0
+                  ? 'Uploading files...'
+                  : `${progress.filter(f => f.state === 'succeeded' || f.state === 'failed').length} of ${progress.length} extracted`}
               </div>
             </div>
           </div>
+          {progress.length > 0 && (
+            <ul className='mt-3 sm:mt-4 space-y-1'>
+              {progress.map(f => (
+                <li
+                  key={f.id}
+                  className='flex justify-between gap-3 text-sm sm:text-base text-gray-900'
+                >
+                  <span className='truncate'>{f.file}</span>
+                  {f.duplicate && (
+                    <span className='text-red-600'>
+                      {f.duplicate.status === 'exact' ? 'Already submitted' : 'Possible duplicate'}
+                    </span>
+                  )}
+                  <span className={STATE_CLASSES[f.state] || 'text-gray-500'}>
+                    {STATE_LABELS[f.state] || f.state}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
 
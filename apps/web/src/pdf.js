@@ -0,0 +1,34 @@
+// apps/web/src/pdf.js
+// Loaded lazily so pdf.js only ships to users who open a PDF receipt.
+
+import * as pdfjs from 'pdfjs-dist'
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url'
+
+pdfjs.GlobalWorkerOptions.workerSrc = workerUrl
+
+/**
+ * Open a PDF from a File or Blob
+ * @param {Blob} file - PDF file
+ * @returns {Promise<Object>} - pdf.js document proxy
+ */
+export async function loadPdf(file) {
+  const data = new Uint8Array(await file.arrayBuffer())
+  return pdfjs.getDocument({ data }).promise
+}
+
+/**
+ * Render one page of a PDF into a canvas
+ * @param {Object} doc - pdf.js document proxy
+ * @param {number} pageNumber - 1-based page number
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} [scale] - Render scale relative to 72dpi
+ * @returns {Promise<Object>} - Rendered page proxy
+ */
+export async function renderPage(doc, pageNumber, canvas, scale = 2) {
+  const page = await doc.getPage(pageNumber)
+  const viewport = page.getViewport({ scale })
+  canvas.width = viewport.width
+  canvas.height = viewport.height
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise
+  return page
+}
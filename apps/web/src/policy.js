@@ -0,0 +1,21 @@
+// apps/web/src/policy.js
+// Expense policy checks and currency conversion run by the server while
+// receipts are being reviewed.
+
+import axios from 'axios'
+
+/**
+ * Check receipts against the expense policy and convert their totals to the
+ * home currency without submitting them
+ * @param {Array<Object>} receipts - [{ id, fields, justification }]
+ * @param {string} token - Bearer token
+ * @returns {Promise<Array<Object>>} - [{ id, violations, blocked, conversion, conversionError }]
+ */
+export async function validateReceipts(receipts, token) {
+  const res = await axios.post(
+    '/api/validate',
+    { receipts: receipts.map(r => ({ id: r.id, fields: r.fields, justification: r.justification })) },
+    { headers: { Authorization: `Bearer ${token}` } },
+  )
+  return res.data.receipts || []
+}
@@ -1,16 +1,34 @@
-import React, { createContext, useContext, useState } from 'react'
+import React, { createContext, useCallback, useContext, useState } from 'react'
 
 const Ctx = createContext(null)
 export const useReceipt = () => useContext(Ctx)
 
 export function ReceiptProvider({ children }) {
   const [files, setFiles] = useState([])
-  const [fields, setFields] = useState({})
+  // One entry per uploaded file: { id, file, secureFile, fields, error, override, justification }
+  const [receipts, setReceipts] = useState([])
   const [signatureDataUrl, setSignatureDataUrl] = useState(null)
+  // How it was signed: { method: 'drawn', width, height, strokes } or { method: 'typed', typedName }
+  const [signature, setSignature] = useState(null)
   const [batchId, setBatchId] = useState(null)
 
+  const updateReceipt = useCallback((id, changes) => {
+    setReceipts(prev => prev.map(r => (r.id === id ? { ...r, ...changes } : r)))
+  }, [])
+
+  const updateReceiptFields = useCallback((id, fields) => updateReceipt(id, { fields }), [updateReceipt])
+
+  // Replace the current work with a saved draft (see drafts.js loadDraft)
+  const restoreDraft = useCallback(draft => {
+    setFiles(draft.files)
+    setReceipts(draft.receipts)
+    setSignatureDataUrl(draft.signatureDataUrl)
+    setSignature(draft.signature)
+    setBatchId(draft.batchId)
+  }, [])
+
   return (
-    <Ctx.Provider value={{ files, setFiles, fields, setFields, signatureDataUrl, setSignatureDataUrl, batchId, setBatchId }}>
+    <Ctx.Provider value={{ files, setFiles, receipts, setReceipts, updateReceipt, updateReceiptFields, signatureDataUrl, setSignatureDataUrl, signature, setSignature, batchId, setBatchId, restoreDraft }}>
       {children}
     </Ctx.Provider>
   )